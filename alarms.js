@@ -0,0 +1,786 @@
+// alarms.js — rule-based alarm engine.
+// Rules live in the `alarm_rules` table: a row without serial_number applies to every station, a row
+// with one replaces the global rule of the same name for that station. A rule compares one metric of a
+// reading (kind 'level') or its rate of change per minute over rate_window_s (kind 'rate') with
+// `threshold` using `operator`, and has a severity ('warning' | 'critical').
+//  - duration_s: the condition must hold on every reading for that long before the alarm is raised
+//  - clear_threshold: hysteresis; an active `>`/`>=` alarm clears only once the value drops below it,
+//    a `<`/`<=` alarm once it rises above it (default: as soon as the condition is false)
+// The PPM threshold of the `thresholds` table (setThresholdLookup) is evaluated as the built-in rule
+// `ppm_threshold` (los_ppm > threshold, critical) unless a rule of that name exists. Likewise the station
+// monitor (server.js) feeds `ping_failures` (consecutive failed ping cycles) and `data_age_s` (seconds since
+// the last reading) to the built-in rules `station_offline` (ping_failures >= n, critical) and `data_stale`
+// (data_age_s > n, warning), and `sensor_frozen_s` (seconds the sensor has looked frozen, frozen.js) to
+// `sensor_frozen` (sensor_frozen_s >= n, warning); their thresholds come from setBuiltinThresholds().
+//
+// evaluate() keeps the state of every (rule, station) pair in memory and returns the transitions
+// ('raise' / 'peak' / 'clear'); what happens on a transition (socket events, notifications) is up to the
+// caller. A changed rule applies from the next reading; an active alarm whose rule was removed, disabled
+// or overridden is cleared on the station's next reading.
+//
+// Alarm lifecycle: recordTransition() keeps every alarm in `alarm_events` (raised -> acknowledged ->
+// cleared, with the value at raise, peak and clear value), with comments in `alarm_comments`. Open
+// alarms are restored into the engine on start, so they are neither raised nor notified again after a
+// restart. Every state change is passed to the onAlarmEvent listener.
+const { pool } = require('./db');
+
+const METRICS = ['los_ppm', 'ppm_m', 'los_temp', 'los_rx_light', 'los_r2', 'los_heartbeat', 'rssi_dbm', 'csq',
+  'ping_failures', 'data_age_s', 'sensor_frozen_s'];
+const OPERATORS = ['>', '>=', '<', '<=', '==', '!='];
+const KINDS = ['level', 'rate'];
+const SEVERITIES = ['warning', 'critical'];
+const THRESHOLD_RULE_NAME = 'ppm_threshold';
+const OFFLINE_RULE_NAME = 'station_offline';
+const STALE_RULE_NAME = 'data_stale';
+const FROZEN_RULE_NAME = 'sensor_frozen';
+// metric, operator and severity of the built-in rules (the threshold is looked up per station)
+const BUILTIN_RULES = {
+  [THRESHOLD_RULE_NAME]: { metric: 'los_ppm', operator: '>', severity: 'critical' },
+  [OFFLINE_RULE_NAME]: { metric: 'ping_failures', operator: '>=', severity: 'critical' },
+  [STALE_RULE_NAME]: { metric: 'data_age_s', operator: '>', severity: 'warning' },
+  [FROZEN_RULE_NAME]: { metric: 'sensor_frozen_s', operator: '>=', severity: 'warning' },
+};
+const RATE_HISTORY_MAX_S = 24 * 3600; // longest rate_window_s
+
+const RULE_COLUMNS = `id, name, metric, serial_number, kind, operator, threshold, clear_threshold, duration_s,
+  rate_window_s, severity, enabled, updated_at`;
+
+let rules = []; // rows of alarm_rules (numeric columns as numbers)
+let thresholdLookup = null; // async (serial) => number|null
+let builtinThresholds = {}; // station_offline / data_stale / sensor_frozen -> threshold (null or 0: rule off)
+
+const states = new Map(); // `${ruleKey}|${serial}` -> { active, pendingSince, since, peak, value }
+let eventListener = null; // (action, alarm) => void
+const history = new Map(); // `${serial}|${metric}` -> [{ at, value }] for rate rules
+
+function numOrNull(v) {
+  if (v === null || v === undefined || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function normalizeRule(r) {
+  const out = Object.assign({}, r);
+  out.threshold = numOrNull(r.threshold);
+  out.clear_threshold = numOrNull(r.clear_threshold);
+  out.duration_s = numOrNull(r.duration_s) || 0;
+  out.rate_window_s = numOrNull(r.rate_window_s);
+  return out;
+}
+
+function compare(value, operator, threshold) {
+  switch (operator) {
+    case '>': return value > threshold;
+    case '>=': return value >= threshold;
+    case '<': return value < threshold;
+    case '<=': return value <= threshold;
+    case '==': return value === threshold;
+    case '!=': return value !== threshold;
+    default: return false;
+  }
+}
+
+// Whether an active alarm has cleared (hysteresis around clear_threshold)
+function isCleared(rule, value) {
+  if (rule.clear_threshold === null || rule.clear_threshold === undefined) return !compare(value, rule.operator, rule.threshold);
+  if (rule.operator === '>' || rule.operator === '>=') return value < rule.clear_threshold;
+  if (rule.operator === '<' || rule.operator === '<=') return value > rule.clear_threshold;
+  return !compare(value, rule.operator, rule.threshold);
+}
+
+// Most extreme value seen while active, in the direction of the rule
+function morePeak(rule, value, peak) {
+  if (peak === null || peak === undefined) return value;
+  if (rule.operator === '<' || rule.operator === '<=') return Math.min(value, peak);
+  return Math.max(value, peak);
+}
+
+// A built-in rule (the PPM threshold one also stands in for a removed rule in transitions)
+function builtinRule(name, threshold) {
+  const def = BUILTIN_RULES[name] || BUILTIN_RULES[THRESHOLD_RULE_NAME];
+  return {
+    id: name,
+    name,
+    metric: def.metric,
+    serial_number: null,
+    kind: 'level',
+    operator: def.operator,
+    threshold,
+    clear_threshold: null,
+    duration_s: 0,
+    rate_window_s: null,
+    severity: def.severity,
+    enabled: true,
+    builtin: true,
+  };
+}
+
+/**
+ * Rules that apply to a station: its own rules plus the global ones it does not override, and the
+ * built-in rules (PPM threshold, offline, stale data). Disabled rules are left out.
+ *
+ * @param {string} serialNumber
+ * @returns {Promise<Array>} rules
+ */
+async function rulesFor(serialNumber) {
+  const byName = new Map();
+  for (const r of rules) {
+    if (r.serial_number && r.serial_number !== serialNumber) continue;
+    const prev = byName.get(r.name);
+    if (!prev || (r.serial_number && !prev.serial_number)) byName.set(r.name, r);
+  }
+  if (!byName.has(THRESHOLD_RULE_NAME) && thresholdLookup) {
+    const threshold = numOrNull(await thresholdLookup(serialNumber));
+    if (threshold !== null) byName.set(THRESHOLD_RULE_NAME, builtinRule(THRESHOLD_RULE_NAME, threshold));
+  }
+  for (const name of [OFFLINE_RULE_NAME, STALE_RULE_NAME, FROZEN_RULE_NAME]) {
+    const threshold = numOrNull(builtinThresholds[name]);
+    if (!byName.has(name) && threshold) byName.set(name, builtinRule(name, threshold));
+  }
+  return Array.from(byName.values()).filter(r => r.enabled !== false);
+}
+
+// Change per minute of a metric since the oldest sample within windowS (null when there is none)
+function rateOf(serialNumber, metric, value, at, windowS) {
+  const key = `${serialNumber}|${metric}`;
+  const list = history.get(key) || [];
+  let base = null;
+  for (const s of list) {
+    if (s.at >= at - windowS * 1000 && s.at < at) { base = s; break; }
+  }
+  if (!base || at === base.at) return null;
+  return ((value - base.value) / (at - base.at)) * 60000;
+}
+
+function recordSample(serialNumber, metric, value, at) {
+  const key = `${serialNumber}|${metric}`;
+  const list = history.get(key) || [];
+  if (list.length && list[list.length - 1].at >= at) return; // out-of-order readings are not used for rates
+  list.push({ at, value });
+  while (list.length && list[0].at < at - RATE_HISTORY_MAX_S * 1000) list.shift();
+  history.set(key, list);
+}
+
+/**
+ * Evaluate a station's rules against one reading.
+ *
+ * @param {string} serialNumber
+ * @param {object} values metric -> number (metrics that are missing or not numbers are skipped)
+ * @param {number} at reading time (ms)
+ * @returns {Promise<Array<{type: 'raise'|'peak'|'clear', reason: string|null, rule: object,
+ *   serial_number: string, metric: string, value: number|null, peak: number, severity: string, since: string,
+ *   at: string}>>} transitions; 'peak' when an active alarm reaches a new peak; a clear has reason
+ *   'condition' or 'rule_removed' (value null; 'station_removed' comes from retainStations)
+ */
+async function evaluate(serialNumber, values, at = Date.now()) {
+  const transitions = [];
+  if (!serialNumber) return transitions;
+  const applicable = await rulesFor(serialNumber);
+
+  for (const rule of applicable) {
+    const raw = numOrNull(values ? values[rule.metric] : null);
+    if (raw === null) continue;
+    let value = raw;
+    if (rule.kind === 'rate') {
+      value = rateOf(serialNumber, rule.metric, raw, at, rule.rate_window_s || 60);
+      if (value === null) continue;
+    }
+
+    const key = `${rule.id}|${serialNumber}`;
+    const st = states.get(key) || { active: false, pendingSince: null, since: null, peak: null, value: null };
+    st.value = value;
+
+    if (st.active) {
+      if (isCleared(rule, value)) {
+        transitions.push(transition('clear', rule, serialNumber, value, st, at));
+        st.active = false;
+        st.pendingSince = null;
+        st.since = null;
+        st.peak = null;
+      } else {
+        const peak = morePeak(rule, value, st.peak);
+        if (peak !== st.peak) {
+          st.peak = peak;
+          transitions.push(transition('peak', rule, serialNumber, value, st, at));
+        }
+      }
+    } else if (compare(value, rule.operator, rule.threshold)) {
+      if (st.pendingSince === null) st.pendingSince = at;
+      st.peak = morePeak(rule, value, st.peak);
+      if (at - st.pendingSince >= rule.duration_s * 1000) {
+        st.active = true;
+        st.since = st.pendingSince;
+        transitions.push(transition('raise', rule, serialNumber, value, st, at));
+      }
+    } else {
+      st.pendingSince = null;
+      st.peak = null;
+    }
+    states.set(key, st);
+  }
+
+  // alarms of rules that no longer apply to the station
+  const applicableKeys = new Set(applicable.map(r => `${r.id}|${serialNumber}`));
+  for (const [key, st] of Array.from(states)) {
+    if (!key.endsWith(`|${serialNumber}`) || applicableKeys.has(key)) continue;
+    if (st.active) {
+      const ruleKey = key.slice(0, key.lastIndexOf('|'));
+      const rule = rules.find(r => String(r.id) === ruleKey) || builtinRule(ruleKey, null);
+      transitions.push(Object.assign(transition('clear', rule, serialNumber, null, st, at), { reason: 'rule_removed' }));
+    }
+    states.delete(key);
+  }
+
+  for (const metric of new Set(applicable.filter(r => r.kind === 'rate').map(r => r.metric))) {
+    const v = numOrNull(values ? values[metric] : null);
+    if (v !== null) recordSample(serialNumber, metric, v, at);
+  }
+  return transitions;
+}
+
+function transition(type, rule, serialNumber, value, st, at) {
+  return {
+    type,
+    reason: type === 'clear' ? 'condition' : null,
+    rule,
+    serial_number: serialNumber,
+    metric: rule.metric,
+    value,
+    peak: st.peak,
+    severity: rule.severity,
+    since: new Date(st.since !== null ? st.since : at).toISOString(),
+    at: new Date(at).toISOString(),
+  };
+}
+
+/**
+ * Alarms currently active, per rule and station.
+ * @returns {Array<{rule_id, rule_name, serial_number, metric, severity, since, value, peak}>}
+ */
+function activeAlarms() {
+  const out = [];
+  for (const [key, st] of states) {
+    if (!st.active) continue;
+    const sep = key.lastIndexOf('|');
+    const ruleId = key.slice(0, sep);
+    const rule = rules.find(r => String(r.id) === ruleId) || (BUILTIN_RULES[ruleId] ? builtinRule(ruleId, null) : null);
+    if (!rule) continue;
+    out.push({
+      rule_id: rule.id,
+      rule_name: rule.name,
+      serial_number: key.slice(sep + 1),
+      metric: rule.metric,
+      severity: rule.severity,
+      since: new Date(st.since).toISOString(),
+      value: st.value,
+      peak: st.peak,
+    });
+  }
+  return out;
+}
+
+/**
+ * Drop the state of stations that are no longer monitored (removed or disabled). Their active alarms
+ * are cleared with reason 'station_removed', so they do not stay open and are raised afresh if the
+ * station comes back.
+ * @param {Set<string>} serials stations to keep
+ * @param {number} at time of the clear (ms)
+ * @returns {Array<object>} the clear transitions (see evaluate)
+ */
+function retainStations(serials, at = Date.now()) {
+  const transitions = [];
+  for (const [key, st] of Array.from(states)) {
+    const sep = key.lastIndexOf('|');
+    const serialNumber = key.slice(sep + 1);
+    if (serials.has(serialNumber)) continue;
+    if (st.active) {
+      const ruleKey = key.slice(0, sep);
+      const rule = rules.find(r => String(r.id) === ruleKey) || builtinRule(ruleKey, null);
+      transitions.push(Object.assign(transition('clear', rule, serialNumber, null, st, at), { reason: 'station_removed' }));
+    }
+    states.delete(key);
+  }
+  for (const key of Array.from(history.keys())) {
+    if (!serials.has(key.slice(0, key.lastIndexOf('|')))) history.delete(key);
+  }
+  return transitions;
+}
+
+/**
+ * Where the built-in PPM threshold rule gets its threshold.
+ * @param {(serialNumber: string) => Promise<number|null>} fn
+ */
+function setThresholdLookup(fn) {
+  thresholdLookup = fn;
+}
+
+/**
+ * Thresholds of the built-in station_offline (failed ping cycles), data_stale (seconds) and
+ * sensor_frozen (seconds frozen, see frozen.js) rules; null or 0 turns the rule off.
+ * @param {{station_offline?: number|null, data_stale?: number|null, sensor_frozen?: number|null}} thresholds
+ */
+function setBuiltinThresholds(thresholds) {
+  builtinThresholds = Object.assign({}, thresholds);
+}
+
+// --- storage ---
+async function ensureAlarmRulesTable() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS alarm_rules (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL,
+      metric TEXT NOT NULL,
+      serial_number TEXT,
+      kind TEXT NOT NULL DEFAULT 'level',
+      operator TEXT NOT NULL,
+      threshold NUMERIC NOT NULL,
+      clear_threshold NUMERIC,
+      duration_s INTEGER NOT NULL DEFAULT 0,
+      rate_window_s INTEGER,
+      severity TEXT NOT NULL DEFAULT 'warning',
+      enabled BOOLEAN NOT NULL DEFAULT true,
+      updated_at TIMESTAMPTZ DEFAULT now()
+    );
+  `);
+  await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS alarm_rules_name_serial_idx ON alarm_rules (name, COALESCE(serial_number, ''));`);
+}
+
+async function reloadRules() {
+  try {
+    const res = await pool.query(`SELECT ${RULE_COLUMNS} FROM alarm_rules ORDER BY name, serial_number NULLS FIRST;`);
+    rules = res.rows.map(normalizeRule);
+  } catch (err) {
+    console.error('Error loading alarm_rules:', err && err.message ? err.message : err);
+  }
+  return listRules();
+}
+
+async function initAlarms() {
+  try {
+    await ensureAlarmRulesTable();
+    await ensureAlarmEventsTables();
+  } catch (err) {
+    console.warn('Could not ensure alarm tables exist:', err && err.message ? err.message : err);
+  }
+  const list = await reloadRules();
+  await restoreOpenAlarms();
+  return list;
+}
+
+function listRules() {
+  return rules.slice();
+}
+
+/**
+ * Validate a rule body from the API.
+ *
+ * @param {object} body { name, metric, serial_number, kind, operator, threshold, clear_threshold,
+ *   duration_s, rate_window_s, severity, enabled }
+ * @param {{partial?: boolean, current?: object}} opts partial=true for updates (name and serial_number
+ *   cannot change); current is the stored rule, used to check the merged result
+ * @returns {{value?: object, error?: string}}
+ */
+function validateRuleInput(body, { partial = false, current = null } = {}) {
+  const b = body && typeof body === 'object' ? body : {};
+  const value = {};
+
+  if (!partial) {
+    if (typeof b.name !== 'string' || !/^[A-Za-z0-9_.-]{1,64}$/.test(b.name)) {
+      return { error: 'name is required (letters, digits, _ . -; at most 64 characters)' };
+    }
+    value.name = b.name;
+    if (b.serial_number !== undefined && b.serial_number !== null && (typeof b.serial_number !== 'string' || !b.serial_number.trim())) {
+      return { error: 'serial_number must be a non-empty string or null' };
+    }
+    value.serial_number = b.serial_number ? b.serial_number.trim() : null;
+  }
+
+  if (b.metric !== undefined || !partial) {
+    if (!METRICS.includes(b.metric)) return { error: `metric must be one of ${METRICS.join(', ')}` };
+    value.metric = b.metric;
+  }
+  if (b.kind !== undefined) {
+    if (!KINDS.includes(b.kind)) return { error: `kind must be one of ${KINDS.join(', ')}` };
+    value.kind = b.kind;
+  }
+  if (b.operator !== undefined || !partial) {
+    if (!OPERATORS.includes(b.operator)) return { error: `operator must be one of ${OPERATORS.join(' ')}` };
+    value.operator = b.operator;
+  }
+  if (b.threshold !== undefined || !partial) {
+    if (!Number.isFinite(b.threshold)) return { error: 'threshold must be a number' };
+    value.threshold = b.threshold;
+  }
+  if (b.clear_threshold !== undefined) {
+    if (b.clear_threshold !== null && !Number.isFinite(b.clear_threshold)) return { error: 'clear_threshold must be a number or null' };
+    value.clear_threshold = b.clear_threshold;
+  }
+  for (const k of ['duration_s', 'rate_window_s']) {
+    if (b[k] === undefined) continue;
+    if (b[k] !== null && (!Number.isInteger(b[k]) || b[k] < 0)) return { error: `${k} must be a non-negative integer` };
+    value[k] = b[k];
+  }
+  if (value.rate_window_s !== undefined && value.rate_window_s !== null
+    && (value.rate_window_s < 1 || value.rate_window_s > RATE_HISTORY_MAX_S)) {
+    return { error: `rate_window_s must be between 1 and ${RATE_HISTORY_MAX_S}` };
+  }
+  if (b.severity !== undefined) {
+    if (!SEVERITIES.includes(b.severity)) return { error: `severity must be one of ${SEVERITIES.join(', ')}` };
+    value.severity = b.severity;
+  }
+  if (b.enabled !== undefined) {
+    if (typeof b.enabled !== 'boolean') return { error: 'enabled must be a boolean' };
+    value.enabled = b.enabled;
+  }
+
+  // checks on the resulting rule
+  const merged = Object.assign({ kind: 'level', clear_threshold: null, rate_window_s: null }, current || {}, value);
+  if (merged.kind === 'rate' && !merged.rate_window_s) return { error: 'rate rules need rate_window_s' };
+  if (merged.clear_threshold !== null && merged.clear_threshold !== undefined) {
+    if (['==', '!='].includes(merged.operator)) return { error: 'clear_threshold is only used with < <= > >=' };
+    if (['>', '>='].includes(merged.operator) && merged.clear_threshold > merged.threshold) {
+      return { error: 'clear_threshold must not be above threshold for > and >=' };
+    }
+    if (['<', '<='].includes(merged.operator) && merged.clear_threshold < merged.threshold) {
+      return { error: 'clear_threshold must not be below threshold for < and <=' };
+    }
+  }
+
+  return { value };
+}
+
+async function getRule(id) {
+  const res = await pool.query(`SELECT ${RULE_COLUMNS} FROM alarm_rules WHERE id = $1;`, [Number(id)]);
+  return res.rows[0] ? normalizeRule(res.rows[0]) : null;
+}
+
+async function createRule(value) {
+  const res = await pool.query(
+    `INSERT INTO alarm_rules (name, metric, serial_number, kind, operator, threshold, clear_threshold, duration_s,
+       rate_window_s, severity, enabled)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING ${RULE_COLUMNS};`,
+    [value.name, value.metric, value.serial_number, value.kind || 'level', value.operator, value.threshold,
+      value.clear_threshold ?? null, value.duration_s ?? 0, value.rate_window_s ?? null, value.severity || 'warning',
+      value.enabled !== false]
+  );
+  await reloadRules();
+  return res.rows[0] ? normalizeRule(res.rows[0]) : null;
+}
+
+async function updateRule(id, value) {
+  const sets = [];
+  const values = [];
+  let idx = 1;
+  for (const k of ['metric', 'kind', 'operator', 'threshold', 'clear_threshold', 'duration_s', 'rate_window_s', 'severity', 'enabled']) {
+    if (value[k] !== undefined) { sets.push(`${k} = $${idx++}`); values.push(k === 'duration_s' && value[k] === null ? 0 : value[k]); }
+  }
+  sets.push('updated_at = now()');
+  values.push(Number(id));
+  const res = await pool.query(`UPDATE alarm_rules SET ${sets.join(', ')} WHERE id = $${idx} RETURNING ${RULE_COLUMNS};`, values);
+  await reloadRules();
+  return res.rows[0] ? normalizeRule(res.rows[0]) : null;
+}
+
+async function deleteRule(id) {
+  const res = await pool.query('DELETE FROM alarm_rules WHERE id = $1;', [Number(id)]);
+  await reloadRules();
+  return res.rowCount > 0;
+}
+
+// --- alarm lifecycle (alarm_events / alarm_comments) ---
+const EVENT_COLUMNS = `id, rule_key, rule_name, serial_number, metric, kind, operator, threshold::float8 AS threshold,
+  severity, state, raised_at, raised_value::float8 AS raised_value, peak_value::float8 AS peak_value, acknowledged_at,
+  acknowledged_by, ack_comment, cleared_at, cleared_value::float8 AS cleared_value, clear_reason, notified_at, updated_at`;
+const EVENT_STATES = ['raised', 'acknowledged', 'cleared'];
+
+async function ensureAlarmEventsTables() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS alarm_events (
+      id BIGSERIAL PRIMARY KEY,
+      rule_key TEXT NOT NULL,
+      rule_name TEXT NOT NULL,
+      serial_number TEXT NOT NULL,
+      metric TEXT,
+      kind TEXT,
+      operator TEXT,
+      threshold NUMERIC,
+      severity TEXT NOT NULL,
+      state TEXT NOT NULL DEFAULT 'raised',
+      raised_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      raised_value NUMERIC,
+      peak_value NUMERIC,
+      acknowledged_at TIMESTAMPTZ,
+      acknowledged_by TEXT,
+      ack_comment TEXT,
+      cleared_at TIMESTAMPTZ,
+      cleared_value NUMERIC,
+      clear_reason TEXT,
+      notified_at TIMESTAMPTZ,
+      updated_at TIMESTAMPTZ DEFAULT now()
+    );
+  `);
+  // at most one open alarm per rule and station
+  await pool.query('CREATE UNIQUE INDEX IF NOT EXISTS alarm_events_open_idx ON alarm_events (rule_key, serial_number) WHERE cleared_at IS NULL;');
+  await pool.query('CREATE INDEX IF NOT EXISTS alarm_events_raised_idx ON alarm_events (raised_at);');
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS alarm_comments (
+      id BIGSERIAL PRIMARY KEY,
+      alarm_id BIGINT NOT NULL REFERENCES alarm_events(id) ON DELETE CASCADE,
+      author TEXT NOT NULL,
+      comment TEXT NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+  `);
+  await pool.query('CREATE INDEX IF NOT EXISTS alarm_comments_alarm_idx ON alarm_comments (alarm_id);');
+}
+
+// Put the open alarms back into the engine state (on start)
+async function restoreOpenAlarms() {
+  try {
+    const res = await pool.query(`SELECT ${EVENT_COLUMNS} FROM alarm_events WHERE cleared_at IS NULL;`);
+    for (const row of res.rows) {
+      states.set(`${row.rule_key}|${row.serial_number}`, {
+        active: true,
+        pendingSince: null,
+        since: new Date(row.raised_at).getTime(),
+        peak: row.peak_value,
+        value: row.peak_value,
+      });
+    }
+    if (res.rowCount) console.log(`Restored ${res.rowCount} open alarm(s)`);
+  } catch (err) {
+    console.error('Error restoring open alarms:', err && err.message ? err.message : err);
+  }
+}
+
+/**
+ * Listen to alarm state changes (raised, acknowledged, commented, cleared).
+ * @param {(action: string, alarm: object) => void} fn
+ */
+function onAlarmEvent(fn) {
+  eventListener = fn;
+}
+
+function fireEvent(action, alarm) {
+  if (!eventListener || !alarm) return;
+  try {
+    eventListener(action, alarm);
+  } catch (err) {
+    console.error('Alarm event listener error:', err && err.message ? err.message : err);
+  }
+}
+
+/**
+ * Store an engine transition in alarm_events.
+ *
+ * @param {object} t transition from evaluate()
+ * @returns {Promise<object|null>} the alarm row (null on a database error)
+ */
+async function recordTransition(t) {
+  const ruleKey = String(t.rule.id);
+  try {
+    if (t.type === 'raise') {
+      const res = await pool.query(
+        `INSERT INTO alarm_events (rule_key, rule_name, serial_number, metric, kind, operator, threshold, severity,
+           raised_at, raised_value, peak_value)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         ON CONFLICT (rule_key, serial_number) WHERE cleared_at IS NULL DO UPDATE SET updated_at = now()
+         RETURNING ${EVENT_COLUMNS};`,
+        [ruleKey, t.rule.name, t.serial_number, t.metric, t.rule.kind || 'level', t.rule.operator, t.rule.threshold,
+          t.severity, t.since, t.value, t.peak]
+      );
+      fireEvent('raised', res.rows[0]);
+      return res.rows[0] || null;
+    }
+    if (t.type === 'peak') {
+      const res = await pool.query(
+        `UPDATE alarm_events SET peak_value = $3, updated_at = now()
+         WHERE rule_key = $1 AND serial_number = $2 AND cleared_at IS NULL RETURNING ${EVENT_COLUMNS};`,
+        [ruleKey, t.serial_number, t.peak]
+      );
+      return res.rows[0] || null;
+    }
+    const res = await pool.query(
+      `UPDATE alarm_events SET state = 'cleared', cleared_at = $3, cleared_value = $4, clear_reason = $5, updated_at = now()
+       WHERE rule_key = $1 AND serial_number = $2 AND cleared_at IS NULL RETURNING ${EVENT_COLUMNS};`,
+      [ruleKey, t.serial_number, t.at, t.value, t.reason]
+    );
+    fireEvent('cleared', res.rows[0]);
+    return res.rows[0] || null;
+  } catch (err) {
+    console.error('Error recording alarm event:', err && err.message ? err.message : err);
+    return null;
+  }
+}
+
+async function markNotified(id) {
+  try {
+    await pool.query('UPDATE alarm_events SET notified_at = now() WHERE id = $1;', [Number(id)]);
+  } catch (err) {
+    console.error('Error updating alarm_events.notified_at:', err && err.message ? err.message : err);
+  }
+}
+
+/**
+ * Last notification time per station and rule (seeds the notification cooldown after a restart).
+ * @returns {Promise<Array<{serial_number: string, rule_name: string, notified_at: Date}>>}
+ */
+async function lastNotified() {
+  try {
+    const res = await pool.query(
+      `SELECT serial_number, rule_name, max(notified_at) AS notified_at FROM alarm_events
+       WHERE notified_at IS NOT NULL GROUP BY serial_number, rule_name;`
+    );
+    return res.rows;
+  } catch (err) {
+    console.error('Error reading alarm_events.notified_at:', err && err.message ? err.message : err);
+    return [];
+  }
+}
+
+/**
+ * Alarms, newest first.
+ *
+ * @param {{state?: string|null, serial_number?: string|null, severity?: string|null, from?: string|null,
+ *   to?: string|null, limit?: number, offset?: number}} params state 'open' = not cleared yet;
+ *   from/to apply to raised_at
+ * @returns {Promise<{rows: Array, total: number}>}
+ */
+async function listEvents({ state = null, serial_number = null, severity = null, from = null, to = null, limit = 100, offset = 0 } = {}) {
+  const clauses = [];
+  const values = [];
+  let idx = 1;
+  if (state === 'open') {
+    clauses.push('cleared_at IS NULL');
+  } else if (state) {
+    clauses.push(`state = $${idx++}`);
+    values.push(state);
+  }
+  if (serial_number) {
+    clauses.push(`serial_number = $${idx++}`);
+    values.push(String(serial_number));
+  }
+  if (severity) {
+    clauses.push(`severity = $${idx++}`);
+    values.push(severity);
+  }
+  if (from) {
+    clauses.push(`raised_at >= $${idx++}`);
+    values.push(new Date(from).toISOString());
+  }
+  if (to) {
+    clauses.push(`raised_at <= $${idx++}`);
+    values.push(new Date(to).toISOString());
+  }
+  const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+  const total = await pool.query(`SELECT COUNT(*)::int AS total FROM alarm_events ${where};`, values);
+  const res = await pool.query(
+    `SELECT ${EVENT_COLUMNS}, (SELECT COUNT(*)::int FROM alarm_comments c WHERE c.alarm_id = alarm_events.id) AS comment_count
+     FROM alarm_events ${where} ORDER BY raised_at DESC, id DESC LIMIT $${idx++} OFFSET $${idx++};`,
+    values.concat([Number(limit), Number(offset)])
+  );
+  return { rows: res.rows, total: total.rows[0].total };
+}
+
+/**
+ * One alarm with its comments (oldest first).
+ * @param {number} id
+ * @returns {Promise<object|null>}
+ */
+async function getEvent(id) {
+  const res = await pool.query(`SELECT ${EVENT_COLUMNS} FROM alarm_events WHERE id = $1;`, [Number(id)]);
+  if (!res.rows[0]) return null;
+  const comments = await pool.query(
+    'SELECT id, author, comment, created_at FROM alarm_comments WHERE alarm_id = $1 ORDER BY created_at, id;',
+    [Number(id)]
+  );
+  return Object.assign(res.rows[0], { comments: comments.rows });
+}
+
+/**
+ * Validate an acknowledge / comment body from the API.
+ *
+ * @param {object} body { by, comment }
+ * @param {{commentRequired?: boolean}} opts
+ * @returns {{value?: {by: string, comment: string|null}, error?: string}}
+ */
+function validateAlarmNote(body, { commentRequired = false } = {}) {
+  const b = body && typeof body === 'object' ? body : {};
+  if (typeof b.by !== 'string' || !b.by.trim() || b.by.length > 100) return { error: 'by is required (at most 100 characters)' };
+  if (b.comment !== undefined && b.comment !== null && typeof b.comment !== 'string') return { error: 'comment must be a string' };
+  const comment = b.comment ? b.comment.trim() : '';
+  if (commentRequired && !comment) return { error: 'comment is required' };
+  if (comment.length > 2000) return { error: 'comment must be at most 2000 characters' };
+  return { value: { by: b.by.trim(), comment: comment || null } };
+}
+
+/**
+ * Acknowledge an alarm (open or already cleared).
+ * @returns {Promise<{alarm?: object, error?: 'not_found'|'already_acknowledged'}>}
+ */
+async function acknowledgeEvent(id, { by, comment = null }) {
+  const res = await pool.query(
+    `UPDATE alarm_events SET acknowledged_at = now(), acknowledged_by = $2, ack_comment = $3, updated_at = now(),
+       state = CASE WHEN cleared_at IS NULL THEN 'acknowledged' ELSE state END
+     WHERE id = $1 AND acknowledged_at IS NULL RETURNING id;`,
+    [Number(id), by, comment]
+  );
+  if (!res.rowCount) {
+    const exists = await pool.query('SELECT 1 FROM alarm_events WHERE id = $1;', [Number(id)]);
+    return { error: exists.rowCount ? 'already_acknowledged' : 'not_found' };
+  }
+  const alarm = await getEvent(id);
+  fireEvent('acknowledged', alarm);
+  return { alarm };
+}
+
+/**
+ * Add a comment to an alarm.
+ * @returns {Promise<{alarm?: object, comment?: object, error?: 'not_found'}>}
+ */
+async function addEventComment(id, { by, comment }) {
+  const exists = await pool.query('SELECT 1 FROM alarm_events WHERE id = $1;', [Number(id)]);
+  if (!exists.rowCount) return { error: 'not_found' };
+  const res = await pool.query(
+    'INSERT INTO alarm_comments (alarm_id, author, comment) VALUES ($1, $2, $3) RETURNING id, author, comment, created_at;',
+    [Number(id), by, comment]
+  );
+  await pool.query('UPDATE alarm_events SET updated_at = now() WHERE id = $1;', [Number(id)]);
+  const alarm = await getEvent(id);
+  fireEvent('commented', alarm);
+  return { alarm, comment: res.rows[0] };
+}
+
+module.exports = {
+  METRICS,
+  OPERATORS,
+  KINDS,
+  SEVERITIES,
+  EVENT_STATES,
+  THRESHOLD_RULE_NAME,
+  OFFLINE_RULE_NAME,
+  STALE_RULE_NAME,
+  FROZEN_RULE_NAME,
+  evaluate,
+  activeAlarms,
+  retainStations,
+  setThresholdLookup,
+  setBuiltinThresholds,
+  initAlarms,
+  reloadRules,
+  listRules,
+  validateRuleInput,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  onAlarmEvent,
+  recordTransition,
+  markNotified,
+  lastNotified,
+  listEvents,
+  getEvent,
+  validateAlarmNote,
+  acknowledgeEvent,
+  addEventComment,
+};
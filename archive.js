@@ -0,0 +1,94 @@
+// archive.js — raw MQTT message archive (`mqtt_archive` table).
+// When SAVE_MQTT_TO_DB=1 every message received on the data topics, the discovery pattern and
+// MODBUS_TOPIC is stored as received (payload bytes, receive time, retain/qos flags) before any
+// parsing, so los_data can be rebuilt from the original data with POST /api/replay.
+const { pool } = require('./db');
+
+async function ensureArchiveTable() {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS mqtt_archive (
+        id BIGSERIAL PRIMARY KEY,
+        topic TEXT NOT NULL,
+        payload BYTEA,
+        received_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        retain BOOLEAN NOT NULL DEFAULT false,
+        qos SMALLINT NOT NULL DEFAULT 0
+      );
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS mqtt_archive_received_idx ON mqtt_archive (received_at, id);');
+    await pool.query('CREATE INDEX IF NOT EXISTS mqtt_archive_topic_idx ON mqtt_archive (topic, received_at);');
+    // ingest queue id, so a batch written again from the spool is not archived twice
+    await pool.query('ALTER TABLE mqtt_archive ADD COLUMN IF NOT EXISTS ingest_id UUID;');
+    await pool.query('CREATE UNIQUE INDEX IF NOT EXISTS mqtt_archive_ingest_id_idx ON mqtt_archive (ingest_id);');
+  } catch (err) {
+    console.warn('Could not ensure mqtt_archive table exists:', err && err.message ? err.message : err);
+  }
+}
+
+/**
+ * Store raw messages with one multi-row INSERT (used by the ingest queue).
+ * Messages whose ingestId is already stored are skipped. Throws on error so the batch can be retried.
+ *
+ * @param {Array<{topic: string, payload: Buffer, receivedAt: Date, retain: boolean, qos: number,
+ *   ingestId?: string}>} items
+ * @returns {Promise<number>} rows inserted
+ */
+async function archiveMessagesBatch(items) {
+  if (!items || items.length === 0) return 0;
+  const values = [];
+  const tuples = items.map((it, i) => {
+    values.push(it.topic, it.payload, new Date(it.receivedAt).toISOString(), !!it.retain,
+      Number.isInteger(it.qos) ? it.qos : 0, it.ingestId || null);
+    const b = i * 6;
+    return `($${b + 1}, $${b + 2}, $${b + 3}, $${b + 4}, $${b + 5}, $${b + 6})`;
+  });
+  const res = await pool.query(
+    `INSERT INTO mqtt_archive (topic, payload, received_at, retain, qos, ingest_id) VALUES ${tuples.join(', ')}
+     ON CONFLICT (ingest_id) DO NOTHING;`,
+    values
+  );
+  return res.rowCount;
+}
+
+/**
+ * Archived messages received in [from, to], oldest first, in batches keyed on id.
+ *
+ * @param {{from?: string|Date|null, to?: string|Date|null, topic?: string|null, includeRetained?: boolean}} filter
+ * @param {number} afterId only rows with a greater id (0 for the first batch)
+ * @param {number} limit
+ * @returns {Promise<Array>} rows { id, topic, payload (Buffer), received_at, retain, qos }
+ */
+async function fetchArchiveBatch({ from = null, to = null, topic = null, includeRetained = false } = {}, afterId = 0, limit = 500) {
+  const clauses = ['id > $1'];
+  const values = [Number(afterId)];
+  let idx = 2;
+
+  if (from) {
+    clauses.push(`received_at >= $${idx++}`);
+    values.push(new Date(from).toISOString());
+  }
+  if (to) {
+    clauses.push(`received_at <= $${idx++}`);
+    values.push(new Date(to).toISOString());
+  }
+  if (topic) {
+    clauses.push(`topic = $${idx++}`);
+    values.push(String(topic));
+  }
+  if (!includeRetained) clauses.push('retain = false');
+
+  const res = await pool.query(
+    `SELECT id, topic, payload, received_at, retain, qos FROM mqtt_archive
+     WHERE ${clauses.join(' AND ')}
+     ORDER BY id ASC LIMIT $${idx};`,
+    values.concat([Number(limit)])
+  );
+  return res.rows;
+}
+
+module.exports = {
+  ensureArchiveTable,
+  archiveMessagesBatch,
+  fetchArchiveBatch,
+};
@@ -0,0 +1,278 @@
+// availability.js — device availability history from the station health checks (prober.js).
+// Every probe result is stored as a sample (`device_probe_samples`: online, RTT, packet loss) and every
+// change of state as a transition (`device_availability`). online is null in a transition when the
+// station stops being monitored (disabled, removed, no ip), so that time is not counted as up or down.
+//
+// availabilityReport() rebuilds the up / down periods of a range from the transitions (the state at
+// the start of the range is the last transition before it) and derives uptime, outages and MTTR.
+// Time the server was not running is not monitored either: on start, stations whose last state is up or
+// down get an unmonitored transition at their last sample, and the next probe records the real state.
+//
+// Samples are kept PROBE_SAMPLE_RETENTION_DAYS (default 30, 0 = forever; pruneSamples); transitions
+// are kept for the reports.
+const { pool } = require('./db');
+
+const MAX_RANGE_DAYS = 366;
+const PROBE_SAMPLE_RETENTION_DAYS = parseInt(process.env.PROBE_SAMPLE_RETENTION_DAYS || '30', 10);
+
+const lastState = new Map(); // serial -> { online, at } of the last stored transition
+
+async function ensureAvailabilityTables() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS device_availability (
+      id BIGSERIAL PRIMARY KEY,
+      serial_number TEXT NOT NULL,
+      online BOOLEAN,
+      changed_at TIMESTAMPTZ NOT NULL,
+      rtt_ms NUMERIC,
+      loss_pct NUMERIC,
+      error TEXT
+    );
+  `);
+  await pool.query('CREATE INDEX IF NOT EXISTS device_availability_serial_idx ON device_availability (serial_number, changed_at);');
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS device_probe_samples (
+      id BIGSERIAL PRIMARY KEY,
+      serial_number TEXT NOT NULL,
+      probed_at TIMESTAMPTZ NOT NULL,
+      online BOOLEAN NOT NULL,
+      rtt_ms NUMERIC,
+      loss_pct NUMERIC
+    );
+  `);
+  await pool.query('CREATE INDEX IF NOT EXISTS device_probe_samples_serial_idx ON device_probe_samples (serial_number, probed_at);');
+}
+
+async function initAvailability() {
+  try {
+    await ensureAvailabilityTables();
+    const res = await pool.query(
+      `SELECT DISTINCT ON (serial_number) serial_number, online, changed_at
+       FROM device_availability ORDER BY serial_number, changed_at DESC, id DESC;`
+    );
+    lastState.clear();
+    for (const row of res.rows) lastState.set(row.serial_number, { online: row.online, at: row.changed_at });
+  } catch (err) {
+    console.warn('Could not ensure device availability tables exist:', err && err.message ? err.message : err);
+    return;
+  }
+  try {
+    await markDowntimeUnmonitored();
+  } catch (err) {
+    console.error('Error recording server downtime as unmonitored:', err && err.message ? err.message : err);
+  }
+}
+
+// The server was not running since the last sample of each monitored station: close its last state there
+async function markDowntimeUnmonitored() {
+  const serials = Array.from(lastState).filter(([, st]) => st.online !== null).map(([serial]) => serial);
+  if (!serials.length) return;
+  const res = await pool.query(
+    `SELECT serial_number, max(probed_at) AS probed_at FROM device_probe_samples
+     WHERE serial_number = ANY($1) GROUP BY serial_number;`,
+    [serials]
+  );
+  const lastSample = new Map(res.rows.map(r => [r.serial_number, new Date(r.probed_at).getTime()]));
+  for (const serial of serials) {
+    const since = new Date(lastState.get(serial).at).getTime();
+    await insertTransition(serial, null, new Date(Math.max(since, lastSample.get(serial) || since)));
+  }
+}
+
+async function insertTransition(serialNumber, online, at, { rtt_ms = null, loss_pct = null, error = null } = {}) {
+  lastState.set(serialNumber, { online, at });
+  await pool.query(
+    `INSERT INTO device_availability (serial_number, online, changed_at, rtt_ms, loss_pct, error)
+     VALUES ($1, $2, $3, $4, $5, $6);`,
+    [serialNumber, online, at, rtt_ms, loss_pct, error]
+  );
+}
+
+/**
+ * Store a probe result (prober.probeStation) as a sample, and as a transition when the station's state
+ * differs from the last stored one (also across restarts).
+ * @returns {Promise<boolean>} true when a transition was recorded
+ */
+async function recordProbe(result) {
+  const at = new Date(result.at);
+  const prev = lastState.get(result.serial_number);
+  const changed = !prev || prev.online !== result.online;
+  if (changed) {
+    const failed = result.checks.filter(c => !c.ok).map(c => `${c.type}: ${c.error || 'failed'}`);
+    await insertTransition(result.serial_number, result.online, at, {
+      rtt_ms: result.rtt_ms,
+      loss_pct: result.loss_pct,
+      error: result.online || !failed.length ? null : failed.join(', ').slice(0, 500),
+    });
+  }
+  await pool.query(
+    `INSERT INTO device_probe_samples (serial_number, probed_at, online, rtt_ms, loss_pct)
+     VALUES ($1, $2, $3, $4, $5);`,
+    [result.serial_number, at, result.online, result.rtt_ms, result.loss_pct]
+  );
+  return changed;
+}
+
+/**
+ * Mark a station as no longer monitored (its time is neither up nor down from now on).
+ */
+async function recordUnmonitored(serialNumber, at = new Date()) {
+  const prev = lastState.get(serialNumber);
+  if (!prev || prev.online === null) return;
+  await insertTransition(serialNumber, null, at);
+}
+
+/**
+ * Delete probe samples older than PROBE_SAMPLE_RETENTION_DAYS.
+ * @returns {Promise<number>} rows deleted
+ */
+async function pruneSamples() {
+  if (PROBE_SAMPLE_RETENTION_DAYS <= 0) return 0;
+  const res = await pool.query(
+    'DELETE FROM device_probe_samples WHERE probed_at < now() - make_interval(days => $1);',
+    [PROBE_SAMPLE_RETENTION_DAYS]
+  );
+  return res.rowCount;
+}
+
+function clauses({ serial_number, from, to }, column) {
+  const where = [];
+  const values = [];
+  if (serial_number) { values.push(serial_number); where.push(`serial_number = $${values.length}`); }
+  if (from) { values.push(new Date(from)); where.push(`${column} >= $${values.length}`); }
+  if (to) { values.push(new Date(to)); where.push(`${column} < $${values.length}`); }
+  return { where: where.length ? `WHERE ${where.join(' AND ')}` : '', values };
+}
+
+/**
+ * Stored transitions, newest first.
+ * @param {{serial_number?: string, from?: string, to?: string, limit?: number}} filters
+ */
+async function listTransitions({ serial_number = null, from = null, to = null, limit = 500 } = {}) {
+  const { where, values } = clauses({ serial_number, from, to }, 'changed_at');
+  const res = await pool.query(
+    `SELECT id, serial_number, online, changed_at, rtt_ms::float8 AS rtt_ms, loss_pct::float8 AS loss_pct, error
+     FROM device_availability ${where} ORDER BY changed_at DESC, id DESC LIMIT $${values.length + 1};`,
+    values.concat([limit])
+  );
+  return res.rows;
+}
+
+/**
+ * Probe samples, oldest first.
+ * @param {{serial_number?: string, from?: string, to?: string, limit?: number}} filters
+ */
+async function listSamples({ serial_number = null, from = null, to = null, limit = 5000 } = {}) {
+  const { where, values } = clauses({ serial_number, from, to }, 'probed_at');
+  const res = await pool.query(
+    `SELECT serial_number, probed_at, online, rtt_ms::float8 AS rtt_ms, loss_pct::float8 AS loss_pct
+     FROM device_probe_samples ${where} ORDER BY probed_at ASC, id ASC LIMIT $${values.length + 1};`,
+    values.concat([limit])
+  );
+  return res.rows;
+}
+
+const seconds = (ms) => Math.round(ms / 1000);
+const pct = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 100 : null);
+
+/**
+ * Up / down periods of one station in [from, to) and their statistics.
+ *
+ * @param {{online: boolean|null, changed_at: Date}|null} before last transition before `from`
+ * @param {Array<{online: boolean|null, changed_at: Date}>} transitions in the range, oldest first
+ * @param {number} fromMs
+ * @param {number} toMs end of the range, not after now
+ */
+function summarize(before, transitions, fromMs, toMs) {
+  const periods = [];
+  let state = before ? before.online : null;
+  let start = fromMs;
+  let since = before ? new Date(before.changed_at).getTime() : fromMs; // real start of the current period
+  for (const t of transitions) {
+    const at = new Date(t.changed_at).getTime();
+    if (t.online === state) continue;
+    if (at > start) periods.push({ online: state, start, end: at, since });
+    state = t.online;
+    start = Math.max(at, fromMs);
+    since = at;
+  }
+  if (toMs > start) periods.push({ online: state, start, end: toMs, since, open: true });
+
+  let up = 0;
+  let down = 0;
+  let unknown = 0;
+  const recovered = [];
+  for (const p of periods) {
+    const d = p.end - p.start;
+    if (p.online === true) up += d;
+    else if (p.online === false) down += d;
+    else unknown += d;
+    if (p.online === false && !p.open) recovered.push(p.end - p.since);
+  }
+  const outages = periods.filter(p => p.online === false);
+  return {
+    uptime_pct: pct(up, up + down),
+    up_s: seconds(up),
+    down_s: seconds(down),
+    unknown_s: seconds(unknown),
+    outages: outages.length,
+    mttr_s: recovered.length ? seconds(recovered.reduce((a, b) => a + b, 0) / recovered.length) : null,
+    longest_outage_s: outages.length ? seconds(Math.max(...outages.map(p => p.end - p.start))) : null,
+    periods: periods.map(p => ({ online: p.online, start: new Date(p.start).toISOString(), end: new Date(p.end).toISOString() })),
+  };
+}
+
+/**
+ * Availability of stations over a range: uptime % (of the monitored time), up / down / unmonitored
+ * seconds, outages (down periods overlapping the range), MTTR (mean duration of the outages that
+ * recovered in the range, from their real start), average RTT and loss of the samples, and the periods.
+ *
+ * @param {{serials: Array<string>, from: Date, to: Date}} params
+ * @returns {Promise<Array<object>>} one entry per serial, in the given order
+ */
+async function availabilityReport({ serials, from, to }) {
+  const fromMs = from.getTime();
+  const toMs = Math.min(to.getTime(), Date.now());
+  const [beforeRes, inRangeRes, samplesRes] = await Promise.all([
+    pool.query(
+      `SELECT DISTINCT ON (serial_number) serial_number, online, changed_at
+       FROM device_availability WHERE serial_number = ANY($1) AND changed_at < $2
+       ORDER BY serial_number, changed_at DESC, id DESC;`,
+      [serials, from]
+    ),
+    pool.query(
+      `SELECT serial_number, online, changed_at FROM device_availability
+       WHERE serial_number = ANY($1) AND changed_at >= $2 AND changed_at < $3
+       ORDER BY changed_at ASC, id ASC;`,
+      [serials, from, new Date(toMs)]
+    ),
+    pool.query(
+      `SELECT serial_number, count(*)::int AS samples, avg(rtt_ms)::float8 AS rtt_avg_ms, avg(loss_pct)::float8 AS loss_avg_pct
+       FROM device_probe_samples WHERE serial_number = ANY($1) AND probed_at >= $2 AND probed_at < $3
+       GROUP BY serial_number;`,
+      [serials, from, to]
+    ),
+  ]);
+  const round = (v) => (v === null || v === undefined ? null : Math.round(v * 100) / 100);
+  return serials.map((serial) => {
+    const before = beforeRes.rows.find(r => r.serial_number === serial) || null;
+    const transitions = inRangeRes.rows.filter(r => r.serial_number === serial);
+    const sample = samplesRes.rows.find(r => r.serial_number === serial) || {};
+    return Object.assign(
+      { serial_number: serial },
+      summarize(before, transitions, fromMs, Math.max(fromMs, toMs)),
+      { samples: sample.samples || 0, rtt_avg_ms: round(sample.rtt_avg_ms), loss_avg_pct: round(sample.loss_avg_pct) }
+    );
+  });
+}
+
+module.exports = {
+  MAX_RANGE_DAYS,
+  initAvailability,
+  recordProbe,
+  recordUnmonitored,
+  pruneSamples,
+  listTransitions,
+  listSamples,
+  availabilityReport,
+};
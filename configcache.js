@@ -0,0 +1,90 @@
+// configcache.js — in-memory copies of configuration tables used on every MQTT message
+// (path lengths, thresholds), so the message handler does not query Postgres per reading.
+// A cache loads on first use, is reloaded after CONFIG_CACHE_TTL_MS (picks up direct SQL edits)
+// and is invalidated by the API routes that change the underlying table.
+
+const CONFIG_CACHE_TTL_MS = parseInt(process.env.CONFIG_CACHE_TTL_MS || String(60 * 1000), 10);
+
+const caches = [];
+
+/**
+ * Create a cached loader.
+ *
+ * @param {string} name used in logs and metrics
+ * @param {() => Promise<any>} loader loads the full value (e.g. all rows of a table)
+ * @param {number} ttlMs reload after this long
+ * @returns {{get: Function, invalidate: Function, metrics: Function}}
+ */
+function createConfigCache(name, loader, ttlMs = CONFIG_CACHE_TTL_MS) {
+  let value;
+  let loadedAt = 0;
+  let loading = null;
+  let generation = 0; // bumped by invalidate() so a load started before a change is not kept
+  const stats = { hits: 0, loads: 0, load_errors: 0, invalidations: 0, last_error: null };
+
+  function load() {
+    if (!loading) {
+      const gen = generation;
+      loading = loader()
+        .then((v) => {
+          value = v;
+          loadedAt = gen === generation ? Date.now() : 0;
+          stats.loads++;
+          return value;
+        })
+        .catch((err) => {
+          stats.load_errors++;
+          stats.last_error = err && err.message ? err.message : String(err);
+          console.error(`Config cache ${name} load error:`, stats.last_error);
+          // keep serving the previous value (retried after 5s); without one the caller gets the error
+          if (value !== undefined) {
+            loadedAt = Date.now() - ttlMs + Math.min(ttlMs, 5000);
+            return value;
+          }
+          throw err;
+        })
+        .finally(() => { loading = null; });
+    }
+    return loading;
+  }
+
+  /**
+   * Cached value; loads it when missing, expired or invalidated.
+   * @returns {Promise<any>}
+   */
+  async function get() {
+    if (loadedAt && Date.now() - loadedAt < ttlMs) {
+      stats.hits++;
+      return value;
+    }
+    return load();
+  }
+
+  function invalidate() {
+    loadedAt = 0;
+    generation++;
+    stats.invalidations++;
+  }
+
+  function metrics() {
+    return Object.assign({
+      name,
+      loaded: !!loadedAt,
+      age_ms: loadedAt ? Date.now() - loadedAt : null,
+      ttl_ms: ttlMs,
+    }, stats);
+  }
+
+  const cache = { get, invalidate, metrics };
+  caches.push(cache);
+  return cache;
+}
+
+function cacheMetrics() {
+  return caches.map(c => c.metrics());
+}
+
+module.exports = {
+  createConfigCache,
+  cacheMetrics,
+};
@@ -20,7 +20,14 @@ const pool = new Pool({
   password: PGPASSWORD,
 });
 
-// Ensure path_length table exists (simple single-value history table)
+// True once los_data has the unique (serial_number, recorded_at) index that inserts upsert on.
+// Until then (existing duplicates, see dedupeLosData) rows are inserted without the natural key.
+let naturalKeyReady = false;
+
+// Ensure path_length table exists (effective-dated history; serial_number NULL = default for all stations)
+// and that los_data keeps the raw PPM-m, the path length it was divided by and the decoding profile used.
+// ingest_id identifies a queued reading so a batch written again from the spool is not duplicated.
+// extra holds the payload params that are not LoS fields (see fetchLosData for querying them).
 (async () => {
   try {
     await pool.query(`
@@ -30,24 +37,77 @@ const pool = new Pool({
         set_time TIMESTAMPTZ DEFAULT now()
       );
     `);
+    await pool.query('ALTER TABLE path_length ADD COLUMN IF NOT EXISTS serial_number TEXT;');
+    await pool.query('ALTER TABLE path_length ADD COLUMN IF NOT EXISTS effective_from TIMESTAMPTZ;');
+    await pool.query('UPDATE path_length SET effective_from = set_time WHERE effective_from IS NULL;');
+    await pool.query('ALTER TABLE path_length ALTER COLUMN effective_from SET DEFAULT now();');
+    await pool.query('CREATE INDEX IF NOT EXISTS path_length_serial_effective_idx ON path_length (serial_number, effective_from);');
+    await pool.query('ALTER TABLE los_data ADD COLUMN IF NOT EXISTS path_length NUMERIC;');
+    await pool.query('ALTER TABLE los_data ADD COLUMN IF NOT EXISTS ppm_m NUMERIC;');
+    await pool.query('ALTER TABLE los_data ADD COLUMN IF NOT EXISTS decoding_profile TEXT;');
+    await pool.query('ALTER TABLE los_data ADD COLUMN IF NOT EXISTS ingest_id UUID;');
+    await pool.query('ALTER TABLE los_data ADD COLUMN IF NOT EXISTS quality TEXT;');
+    await pool.query('ALTER TABLE los_data ADD COLUMN IF NOT EXISTS quality_reasons TEXT[];');
+    await pool.query('ALTER TABLE los_data ADD COLUMN IF NOT EXISTS extra JSONB;');
+    await pool.query('CREATE INDEX IF NOT EXISTS los_data_extra_idx ON los_data USING GIN (extra);');
+    await pool.query('CREATE UNIQUE INDEX IF NOT EXISTS los_data_ingest_id_idx ON los_data (ingest_id);');
   } catch (err) {
     console.warn('Could not ensure path_length table exists:', err && err.message ? err.message : err);
   }
+  await ensureNaturalKey();
 })();
 
 /**
- * Insert a LoS reading into los_data table.
+ * Create the unique (serial_number, recorded_at) index on los_data unless duplicates exist.
+ * @returns {Promise<boolean>} whether the natural key is in place
+ */
+async function ensureNaturalKey() {
+  try {
+    const idx = await pool.query(`SELECT 1 FROM pg_indexes WHERE tablename = 'los_data' AND indexname = 'los_data_serial_recorded_uidx';`);
+    if (!idx.rowCount) {
+      const dup = await pool.query(
+        `SELECT 1 FROM los_data WHERE serial_number IS NOT NULL
+         GROUP BY serial_number, recorded_at HAVING COUNT(*) > 1 LIMIT 1;`
+      );
+      if (dup.rowCount) {
+        console.warn('los_data has duplicate (serial_number, recorded_at) rows; inserts do not upsert until they are removed (POST /api/los/dedupe)');
+        naturalKeyReady = false;
+        return false;
+      }
+      await pool.query('CREATE UNIQUE INDEX IF NOT EXISTS los_data_serial_recorded_uidx ON los_data (serial_number, recorded_at);');
+      console.log('Created unique index on los_data (serial_number, recorded_at)');
+    }
+    naturalKeyReady = true;
+  } catch (err) {
+    console.warn('Could not ensure los_data natural key:', err && err.message ? err.message : err);
+  }
+  return naturalKeyReady;
+}
+
+const LOS_INSERT_COLUMNS = `"LoS-Temp(c)", "LoS-Rx Light", "LoS- R2", "LoS-HeartBeat", "LoS - PPM", recorded_at, serial_number,
+  ppm_m, path_length, decoding_profile, ingest_id, quality, quality_reasons, extra`;
+const LOS_INSERT_COLUMN_COUNT = 14;
+// On a natural key conflict the stored reading takes the new values (ingest_id stays)
+const LOS_UPSERT_SET = LOS_INSERT_COLUMNS.split(',').map(c => c.trim())
+  .filter(c => !['recorded_at', 'serial_number', 'ingest_id'].includes(c))
+  .map(c => `${c} = EXCLUDED.${c}`).join(', ');
+const LOS_UPSERT_CONFLICT = `ON CONFLICT (serial_number, recorded_at) DO UPDATE SET ${LOS_UPSERT_SET}`;
+
+/**
+ * Build the los_data column values (in LOS_INSERT_COLUMNS order) for a reading.
  * Accepts losObj keys in either normalized form (los_temp, los_ppm, etc)
  * or the original DB column names ("LoS-Temp(c)", "LoS - PPM", ...).
+ * Besides the LoS fields, losObj may carry ppm_m (raw PPM-m before path length division),
+ * path_length (the divisor applied to los_ppm, null when none), decoding_profile, the
+ * data-quality result (quality, quality_reasons; see quality.js) and extra (the other payload params).
  *
- * @param {string} topic
- * @param {object|string} rawPayload
  * @param {object} losObj
  * @param {string|Date} receivedAt
- * @param {string|null} serialNumber  OPTIONAL: device serial number to store
- * @returns {Promise<object|null>} inserted row id or null on error
+ * @param {string|null} serialNumber
+ * @param {string|null} ingestId ingest queue id (UUID), null for direct inserts
+ * @returns {Array} values
  */
-async function insertLosData(topic, rawPayload, losObj, receivedAt, serialNumber = null) {
+function losRowValues(losObj, receivedAt, serialNumber = null, ingestId = null) {
   const recv = receivedAt ? new Date(receivedAt) : new Date();
 
   // normalize values - try to coerce to number where possible, otherwise null
@@ -87,23 +147,41 @@ async function insertLosData(topic, rawPayload, losObj, receivedAt, serialNumber
     'LoS - PPM', 'LoS- PPM', 'LoS-PPM', 'los_ppm', 'ppm', 'losppm', 'ppm_mlo'
   );
 
-  const sql = `
-    INSERT INTO los_data ("LoS-Temp(c)", "LoS-Rx Light", "LoS- R2", "LoS-HeartBeat", "LoS - PPM", recorded_at, serial_number)
-    VALUES ($1, $2, $3, $4, $5, $6, $7)
-    RETURNING id;
-  `;
-  const values = [
+  return [
     numOrNull(colTemp),
     numOrNull(colRxLight),
     numOrNull(colR2),
     numOrNull(colHeart),
     numOrNull(colPpm),
     recv.toISOString(),
-    serialNumber || null
+    serialNumber || null,
+    numOrNull(pick('ppm_m')),
+    numOrNull(pick('path_length')),
+    pick('decoding_profile') || null,
+    ingestId || null,
+    pick('quality') || null,
+    Array.isArray(pick('quality_reasons')) ? pick('quality_reasons').map(String) : null,
+    pick('extra') && typeof pick('extra') === 'object' ? JSON.stringify(pick('extra')) : null
   ];
+}
+
+/**
+ * Insert a LoS reading into los_data table; a reading already stored for the same station and
+ * recorded_at is updated instead (once the natural key is in place).
+ *
+ * @param {string} topic
+ * @param {object|string} rawPayload
+ * @param {object} losObj see losRowValues
+ * @param {string|Date} receivedAt
+ * @param {string|null} serialNumber  OPTIONAL: device serial number to store
+ * @returns {Promise<object|null>} inserted row id or null on error
+ */
+async function insertLosData(topic, rawPayload, losObj, receivedAt, serialNumber = null) {
+  const placeholders = Array.from({ length: LOS_INSERT_COLUMN_COUNT }, (_, i) => `$${i + 1}`).join(', ');
+  const sql = `INSERT INTO los_data (${LOS_INSERT_COLUMNS}) VALUES (${placeholders}) ${naturalKeyReady ? LOS_UPSERT_CONFLICT : ''} RETURNING id;`;
 
   try {
-    const res = await pool.query(sql, values);
+    const res = await pool.query(sql, losRowValues(losObj, receivedAt, serialNumber));
     return res.rows[0] || null;
   } catch (err) {
     console.error('Error inserting into los_data:', err && err.message ? err.message : err);
@@ -111,6 +189,203 @@ async function insertLosData(topic, rawPayload, losObj, receivedAt, serialNumber
   }
 }
 
+/**
+ * Insert several readings with one multi-row INSERT per conflict mode, in a transaction.
+ * Readings are keyed on (serial_number, recorded_at). item.onConflict says what happens when the
+ * station already has a reading at that time:
+ *   'update'  (default) the stored reading takes the new values (gateway re-sends, QoS redelivery)
+ *   'replace' same as update (replay with replace); without the natural key index the stored
+ *             reading(s) are deleted first
+ *   'ignore'  the stored reading is kept (replay without replace)
+ * Within a batch the last item for a key wins. Items whose ingestId is already stored are skipped,
+ * so writing a batch twice is harmless. Throws on error so the caller (ingest queue) can retry.
+ *
+ * @param {Array<{losObj: object, receivedAt: string|Date, serialNumber: string|null,
+ *   onConflict?: 'update'|'replace'|'ignore', ingestId?: string}>} items
+ * @returns {Promise<number>} rows inserted or updated
+ */
+async function insertLosDataBatch(items) {
+  if (!items || items.length === 0) return 0;
+  const rowsByKey = new Map();
+  const unkeyed = [];
+  for (const it of items) {
+    // spooled items from before onConflict carry `replace`
+    const mode = it.onConflict || (it.replace ? 'replace' : 'update');
+    const row = losRowValues(it.losObj, it.receivedAt, it.serialNumber, it.ingestId);
+    if (row[6]) {
+      const key = `${row[6]}|${row[5]}`;
+      rowsByKey.delete(key); // re-insert so the batch keeps arrival order
+      rowsByKey.set(key, { row, mode });
+    } else {
+      unkeyed.push({ row, mode });
+    }
+  }
+  const entries = Array.from(rowsByKey.values()).concat(unkeyed);
+
+  const insert = async (client, list, conflict) => {
+    if (!list.length) return 0;
+    const values = [];
+    const tuples = [];
+    for (const { row } of list) {
+      const base = values.length;
+      tuples.push(`(${row.map((_, i) => `$${base + i + 1}`).join(', ')})`);
+      values.push(...row);
+    }
+    const res = await client.query(`INSERT INTO los_data (${LOS_INSERT_COLUMNS}) VALUES ${tuples.join(', ')} ${conflict};`, values);
+    return res.rowCount;
+  };
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    let count = 0;
+    if (naturalKeyReady) {
+      count += await insert(client, entries.filter(e => e.mode !== 'ignore'), LOS_UPSERT_CONFLICT);
+      count += await insert(client, entries.filter(e => e.mode === 'ignore'), 'ON CONFLICT DO NOTHING');
+    } else {
+      const replace = entries.filter(e => e.mode === 'replace' && e.row[6]);
+      if (replace.length) {
+        await client.query(
+          `DELETE FROM los_data d USING unnest($1::text[], $2::timestamptz[]) AS r(serial_number, recorded_at)
+           WHERE d.serial_number = r.serial_number AND d.recorded_at = r.recorded_at;`,
+          [replace.map(e => String(e.row[6])), replace.map(e => e.row[5])]
+        );
+      }
+      count += await insert(client, entries, 'ON CONFLICT (ingest_id) DO NOTHING');
+    }
+    await client.query('COMMIT');
+    return count;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Find readings stored more than once for the same station and recorded_at and delete all but
+ * the most recently stored one. Once no duplicates are left the unique index is created.
+ *
+ * @param {{from?: string|Date|null, to?: string|Date|null, serial_number?: string|null, dry_run?: boolean}} params
+ * @returns {Promise<object>} { duplicate_groups, deleted (or would_delete), by_station, examples, natural_key }
+ */
+async function dedupeLosData({ from = null, to = null, serial_number = null, dry_run = false } = {}) {
+  const clauses = ['serial_number IS NOT NULL'];
+  const values = [];
+  let idx = 1;
+  if (from) {
+    clauses.push(`recorded_at >= $${idx++}`);
+    values.push(new Date(from).toISOString());
+  }
+  if (to) {
+    clauses.push(`recorded_at <= $${idx++}`);
+    values.push(new Date(to).toISOString());
+  }
+  if (serial_number) {
+    clauses.push(`serial_number = $${idx++}`);
+    values.push(String(serial_number));
+  }
+  const dups = `
+    WITH ranked AS (
+      SELECT id, serial_number, recorded_at,
+             row_number() OVER (PARTITION BY serial_number, recorded_at ORDER BY id DESC) AS rn,
+             max(id) OVER (PARTITION BY serial_number, recorded_at) AS kept_id
+      FROM los_data
+      WHERE ${clauses.join(' AND ')}
+    )`;
+  const res = dry_run
+    ? await pool.query(`${dups} SELECT id, serial_number, recorded_at, kept_id FROM ranked WHERE rn > 1 ORDER BY recorded_at, id;`, values)
+    : await pool.query(
+      `${dups}
+       DELETE FROM los_data d USING ranked r WHERE d.id = r.id AND r.rn > 1
+       RETURNING d.id, d.serial_number, d.recorded_at, r.kept_id;`,
+      values
+    );
+
+  const groups = new Map();
+  const byStation = {};
+  for (const r of res.rows) {
+    const key = `${r.serial_number}|${new Date(r.recorded_at).toISOString()}`;
+    if (!groups.has(key)) groups.set(key, { serial_number: r.serial_number, recorded_at: r.recorded_at, kept_id: Number(r.kept_id), deleted_ids: [] });
+    groups.get(key).deleted_ids.push(Number(r.id));
+    byStation[r.serial_number] = (byStation[r.serial_number] || 0) + 1;
+  }
+
+  const report = {
+    dry_run: !!dry_run,
+    duplicate_groups: groups.size,
+    [dry_run ? 'would_delete' : 'deleted']: res.rowCount,
+    by_station: byStation,
+    examples: Array.from(groups.values()).slice(0, 50),
+  };
+  report.natural_key = dry_run ? naturalKeyReady : await ensureNaturalKey();
+  return report;
+}
+
+/**
+ * Filters on los_data.extra keys, from /api/los `extra_filter` values such as `voltage>=11.5`,
+ * `fw=2.1.0`, `alarm_bits!=0` or `voltage` (key present). `<`, `<=`, `>`, `>=` compare numerically
+ * (rows whose value is not a number do not match), `=` and `!=` compare as text.
+ */
+const EXTRA_KEY_RE = /^[A-Za-z0-9_.:\- ()]{1,64}$/;
+const EXTRA_FILTER_RE = /^([^<>=!]+?)\s*(>=|<=|!=|=|>|<)\s*(.*)$/;
+
+/**
+ * Parse extra_filter values.
+ * @param {string|string[]|undefined} input one filter or several
+ * @returns {{filters?: Array<{key: string, op: string|null, value: string|null}>, error?: string}}
+ */
+function parseExtraFilters(input) {
+  const list = input === undefined ? [] : (Array.isArray(input) ? input : [input]);
+  const filters = [];
+  for (const raw of list) {
+    const text = String(raw || '').trim();
+    if (!text) continue;
+    const m = text.match(EXTRA_FILTER_RE);
+    const key = (m ? m[1] : text).trim();
+    if (!EXTRA_KEY_RE.test(key)) return { error: `invalid extra_filter key: ${key}` };
+    const op = m ? m[2] : null;
+    const value = m ? m[3].trim() : null;
+    if (op && ['<', '<=', '>', '>='].includes(op) && !Number.isFinite(Number(value))) {
+      return { error: `extra_filter ${text}: ${op} needs a number` };
+    }
+    filters.push({ key, op, value });
+  }
+  return { filters };
+}
+
+// Append WHERE clauses for extra filters; returns the next placeholder index
+function addExtraFilterClauses(filters, clauses, values, idx) {
+  for (const f of filters || []) {
+    if (!f.op) {
+      clauses.push(`extra ? $${idx++}`);
+      values.push(f.key);
+    } else if (f.op === '=' || f.op === '!=') {
+      clauses.push(f.op === '='
+        ? `extra->>$${idx++} = $${idx++}`
+        : `extra ? $${idx} AND extra->>$${idx++} <> $${idx++}`);
+      values.push(f.key, f.value);
+    } else {
+      clauses.push(`(CASE WHEN jsonb_typeof(extra->$${idx}) = 'number' OR (extra->>$${idx}) ~ '^\\s*-?[0-9]+(\\.[0-9]+)?([eE][-+]?[0-9]+)?\\s*$'
+        THEN (extra->>$${idx})::numeric END) ${f.op} $${idx + 1}`);
+      idx += 2;
+      values.push(f.key, Number(f.value));
+    }
+  }
+  return idx;
+}
+
+/**
+ * recorded_at of the newest stored reading of a station
+ * @param {string} serialNumber
+ * @returns {Promise<Date|null>}
+ */
+async function latestRecordedAt(serialNumber) {
+  const res = await pool.query('SELECT max(recorded_at) AS at FROM los_data WHERE serial_number = $1;', [String(serialNumber)]);
+  return res.rows[0] && res.rows[0].at ? res.rows[0].at : null;
+}
+
 /**
  * Fetch rows from los_data in a time range (uses recorded_at)
  * @param {string|Date|null} from inclusive start
@@ -118,9 +393,10 @@ async function insertLosData(topic, rawPayload, losObj, receivedAt, serialNumber
  * @param {number} limit
  * @param {number} offset
  * @param {string|null} serial_number  OPTIONAL: filter by serial_number if provided
+ * @param {Array} extraFilters OPTIONAL: filters on extra keys (parseExtraFilters)
  * @returns {Promise<Array>} rows
  */
-async function fetchLosData(from, to, limit = 500, offset = 0, serial_number = null) {
+async function fetchLosData(from, to, limit = 500, offset = 0, serial_number = null, extraFilters = []) {
   const clauses = [];
   const values = [];
   let idx = 1;
@@ -138,6 +414,7 @@ async function fetchLosData(from, to, limit = 500, offset = 0, serial_number = n
     clauses.push(`serial_number = $${idx++}`);
     values.push(String(serial_number));
   }
+  idx = addExtraFilterClauses(extraFilters, clauses, values, idx);
 
   const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
   const sql = `
@@ -147,6 +424,12 @@ async function fetchLosData(from, to, limit = 500, offset = 0, serial_number = n
           "LoS- R2" AS los_r2,
           "LoS-HeartBeat" AS los_heartbeat,
           "LoS - PPM" AS los_ppm,
+          ppm_m,
+          path_length,
+          decoding_profile,
+          quality,
+          quality_reasons,
+          extra,
           to_char(recorded_at AT TIME ZONE 'UTC' AT TIME ZONE 'Asia/Dubai', 'YYYY-MM-DD HH24:MI:SS') AS recorded_at_str,
           recorded_at,
           serial_number
@@ -175,9 +458,10 @@ async function fetchLosData(from, to, limit = 500, offset = 0, serial_number = n
  * @param {string|Date|null} from inclusive start
  * @param {string|Date|null} to inclusive end
  * @param {string|null} serial_number OPTIONAL: filter by serial_number if provided
+ * @param {Array} extraFilters OPTIONAL: filters on extra keys (parseExtraFilters)
  * @returns {Promise<number>} total count
  */
-async function countLosData(from, to, serial_number = null) {
+async function countLosData(from, to, serial_number = null, extraFilters = []) {
   const clauses = [];
   const values = [];
   let idx = 1;
@@ -195,6 +479,7 @@ async function countLosData(from, to, serial_number = null) {
     clauses.push(`serial_number = $${idx++}`);
     values.push(String(serial_number));
   }
+  addExtraFilterClauses(extraFilters, clauses, values, idx);
 
   const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
   const sql = `SELECT COUNT(*) AS total FROM los_data ${where};`;
@@ -209,31 +494,125 @@ async function countLosData(from, to, serial_number = null) {
   }
 }
 
+/**
+ * Keys found in los_data.extra in a time range, with the number of rows carrying each.
+ *
+ * @param {{from?: string|Date|null, to?: string|Date|null, serial_number?: string|null}} params
+ * @returns {Promise<Array<{key: string, rows: number}>>} sorted by key
+ */
+async function listLosExtraKeys({ from = null, to = null, serial_number = null } = {}) {
+  const clauses = ['extra IS NOT NULL'];
+  const values = [];
+  let idx = 1;
+  if (from) {
+    clauses.push(`recorded_at >= $${idx++}`);
+    values.push(new Date(from).toISOString());
+  }
+  if (to) {
+    clauses.push(`recorded_at <= $${idx++}`);
+    values.push(new Date(to).toISOString());
+  }
+  if (serial_number) {
+    clauses.push(`serial_number = $${idx++}`);
+    values.push(String(serial_number));
+  }
+  const res = await pool.query(
+    `SELECT k AS key, COUNT(*)::int AS rows
+     FROM los_data, jsonb_object_keys(CASE WHEN jsonb_typeof(extra) = 'object' THEN extra END) AS k
+     WHERE ${clauses.join(' AND ')}
+     GROUP BY k ORDER BY k LIMIT 500;`,
+    values
+  );
+  return res.rows;
+}
+
 /**
  * Path length helper functions
- * - getLatestPathLength(): returns numeric value or null if none
- * - setPathLength(value): inserts a new row with the provided numeric value
+ * Path lengths are effective-dated: the value for a station at time T is the newest row with
+ * effective_from <= T for that serial, falling back to the newest default row (serial_number NULL).
+ * - getPathLength(serial, at): returns the effective row { id, value, serial_number, effective_from } or null
+ * - listAllPathLengths() / pickPathLength(rows, serial, at): the same lookup on cached rows
+ * - getLatestPathLength(serial): returns the numeric value in effect now, or null if none
+ * - setPathLength(value, serial, effectiveFrom): inserts a new history row
+ * - listPathLengths(serial): history rows for a serial (or the defaults), newest first
+ * - updatePathLength(id, fields) / deletePathLength(id): correct the history
+ * - recomputeLosPpm({ serial_number, from, to }): re-divide stored PPM by the path lengths now in effect
  */
-async function getLatestPathLength() {
+const PATH_LENGTH_COLUMNS = 'id, value, serial_number, effective_from, set_time';
+
+// SQL for the path length in effect for a los_data row aliased `l` (NULL when none)
+const EFFECTIVE_PATH_LENGTH_SQL = `
+  (SELECT p.value FROM path_length p
+   WHERE (p.serial_number = l.serial_number OR p.serial_number IS NULL)
+     AND p.effective_from <= l.recorded_at AND p.value > 0
+   ORDER BY (p.serial_number IS NULL) ASC, p.effective_from DESC, p.id DESC
+   LIMIT 1)`;
+
+async function getPathLength(serial = null, at = null) {
   try {
-    const res = await pool.query('SELECT value FROM path_length ORDER BY set_time DESC LIMIT 1;');
+    const res = await pool.query(
+      `SELECT ${PATH_LENGTH_COLUMNS} FROM path_length
+       WHERE (serial_number = $1 OR serial_number IS NULL) AND effective_from <= $2
+       ORDER BY (serial_number IS NULL) ASC, effective_from DESC, id DESC
+       LIMIT 1;`,
+      [serial ? String(serial) : null, (at ? new Date(at) : new Date()).toISOString()]
+    );
     if (res.rows && res.rows.length > 0) {
-      const v = res.rows[0].value;
-      const n = Number(v);
-      return Number.isFinite(n) ? n : null;
+      const row = res.rows[0];
+      const n = Number(row.value);
+      return Number.isFinite(n) ? Object.assign(row, { value: n }) : null;
     }
     return null;
   } catch (err) {
-    console.error('Error fetching latest path_length:', err && err.message ? err.message : err);
+    console.error('Error fetching path_length:', err && err.message ? err.message : err);
     return null;
   }
 }
 
-async function setPathLength(value) {
+// All path length rows (for the in-memory config cache)
+async function listAllPathLengths() {
+  const res = await pool.query(`SELECT ${PATH_LENGTH_COLUMNS} FROM path_length WHERE value > 0;`);
+  return res.rows.map(r => Object.assign(r, { value: Number(r.value) }));
+}
+
+/**
+ * Same choice as getPathLength(), made on rows from listAllPathLengths().
+ *
+ * @param {Array<object>} rows
+ * @param {string|null} serial
+ * @param {string|Date|null} at
+ * @returns {object|null} effective row
+ */
+function pickPathLength(rows, serial = null, at = null) {
+  const t = (at ? new Date(at) : new Date()).getTime();
+  let best = null;
+  for (const r of rows || []) {
+    if (r.serial_number !== null && r.serial_number !== (serial ? String(serial) : null)) continue;
+    if (new Date(r.effective_from).getTime() > t) continue;
+    if (!best) { best = r; continue; }
+    const own = r.serial_number !== null;
+    const bestOwn = best.serial_number !== null;
+    if (own !== bestOwn) { if (own) best = r; continue; }
+    const d = new Date(r.effective_from).getTime() - new Date(best.effective_from).getTime();
+    if (d > 0 || (d === 0 && r.id > best.id)) best = r;
+  }
+  return best;
+}
+
+async function getLatestPathLength(serial = null) {
+  const row = await getPathLength(serial);
+  return row ? row.value : null;
+}
+
+async function setPathLength(value, serial = null, effectiveFrom = null) {
   try {
     const n = Number(value);
     if (!Number.isFinite(n)) throw new Error('invalid numeric value');
-    const res = await pool.query('INSERT INTO path_length (value) VALUES ($1) RETURNING id, value, set_time;', [n]);
+    const res = await pool.query(
+      `INSERT INTO path_length (value, serial_number, effective_from) VALUES ($1, $2, COALESCE($3::timestamptz, now()))
+       RETURNING ${PATH_LENGTH_COLUMNS};`,
+      [n, serial ? String(serial) : null, effectiveFrom ? new Date(effectiveFrom).toISOString() : null]
+    );
     return res.rows[0] || null;
   } catch (err) {
     console.error('Error setting path_length:', err && err.message ? err.message : err);
@@ -241,11 +620,98 @@ async function setPathLength(value) {
   }
 }
 
+async function listPathLengths(serial = null) {
+  const res = await pool.query(
+    `SELECT ${PATH_LENGTH_COLUMNS} FROM path_length
+     WHERE serial_number IS NOT DISTINCT FROM $1
+     ORDER BY effective_from DESC, id DESC;`,
+    [serial ? String(serial) : null]
+  );
+  return res.rows;
+}
+
+async function updatePathLength(id, { value, effective_from } = {}) {
+  const res = await pool.query(
+    `UPDATE path_length
+     SET value = COALESCE($2::numeric, value), effective_from = COALESCE($3::timestamptz, effective_from)
+     WHERE id = $1
+     RETURNING ${PATH_LENGTH_COLUMNS};`,
+    [Number(id), value === undefined ? null : Number(value), effective_from ? new Date(effective_from).toISOString() : null]
+  );
+  return res.rows[0] || null;
+}
+
+async function deletePathLength(id) {
+  const res = await pool.query(`DELETE FROM path_length WHERE id = $1 RETURNING ${PATH_LENGTH_COLUMNS};`, [Number(id)]);
+  return res.rows[0] || null;
+}
+
+/**
+ * Recompute stored PPM after the path length history was corrected.
+ * Each row's raw PPM-m (los_data.ppm_m, or PPM × the path length it was divided by for rows
+ * stored before ppm_m existed) is divided by the path length now in effect at its recorded_at.
+ * Rows with neither are left alone (their divisor is unknown) and counted as skipped.
+ *
+ * @param {{serial_number?: string|null, from?: string|Date|null, to?: string|Date|null}} opts
+ * @returns {Promise<{updated: number, skipped: number}>}
+ */
+async function recomputeLosPpm({ serial_number = null, from = null, to = null } = {}) {
+  const clauses = ['l."LoS - PPM" IS NOT NULL'];
+  const values = [];
+  let idx = 1;
+
+  if (from) {
+    clauses.push(`l.recorded_at >= $${idx++}`);
+    values.push(new Date(from).toISOString());
+  }
+  if (to) {
+    clauses.push(`l.recorded_at <= $${idx++}`);
+    values.push(new Date(to).toISOString());
+  }
+  if (serial_number) {
+    clauses.push(`l.serial_number = $${idx++}`);
+    values.push(String(serial_number));
+  }
+  const where = clauses.join(' AND ');
+
+  try {
+    const upd = await pool.query(`
+      UPDATE los_data d
+      SET "LoS - PPM" = COALESCE(d.ppm_m, d."LoS - PPM" * d.path_length) / COALESCE(x.new_len, 1),
+          ppm_m = COALESCE(d.ppm_m, d."LoS - PPM" * d.path_length),
+          path_length = x.new_len
+      FROM (
+        SELECT l.id, ${EFFECTIVE_PATH_LENGTH_SQL} AS new_len
+        FROM los_data l
+        WHERE ${where} AND (l.ppm_m IS NOT NULL OR l.path_length IS NOT NULL)
+      ) x
+      WHERE d.id = x.id AND d.path_length IS DISTINCT FROM x.new_len;
+    `, values);
+    const skipped = await pool.query(`SELECT COUNT(*) AS total FROM los_data l WHERE ${where} AND l.ppm_m IS NULL AND l.path_length IS NULL;`, values);
+    return { updated: upd.rowCount, skipped: Number(skipped.rows[0].total) || 0 };
+  } catch (err) {
+    console.error('Error recomputing los_data PPM:', err && err.message ? err.message : err);
+    throw err;
+  }
+}
+
 module.exports = {
   pool,
   insertLosData,
+  insertLosDataBatch,
   fetchLosData,
   countLosData,
+  latestRecordedAt,
+  parseExtraFilters,
+  listLosExtraKeys,
+  dedupeLosData,
+  getPathLength,
+  listAllPathLengths,
+  pickPathLength,
   getLatestPathLength,
-  setPathLength
+  setPathLength,
+  listPathLengths,
+  updatePathLength,
+  deletePathLength,
+  recomputeLosPpm
 };
@@ -0,0 +1,353 @@
+// decoding.js — PPM decoding profiles, stored in the `decoding_profiles` table.
+// Each station names a profile (stations.decoding_profile); stations without one use
+// DEFAULT_DECODING_PROFILE. Profile kinds:
+//   integer_only   — integer PPM register only, decimal register ignored
+//   int_dec        — integer + decimal registers; options.dec_mode decides what the decimal means:
+//                      'legacy'     single digit = hundredths ('5' => .05), at most 2 digits kept
+//                      'positional' digits as written ('5' => .5, '25' => .25)
+//                      'fixed'      decimal register holds options.dec_digits digits ('5' with 2 => .05)
+//                    options.round_digits (default 2) rounds the result
+//   float          — PPM already sent as a float (options.key selects the param, else the PPM param named
+//                    float/flt or holding a fractional value; a lone PPM param when there is no decimal
+//                    register; otherwise nothing is decoded rather than reading the integer register)
+//   modbus_scaled  — raw register value × options.factor + options.offset (options.key selects the param)
+const { pool } = require('./db');
+
+const PROFILE_KINDS = ['integer_only', 'int_dec', 'float', 'modbus_scaled'];
+const DEC_MODES = ['legacy', 'positional', 'fixed'];
+const DEFAULT_DECODING_PROFILE = process.env.DEFAULT_DECODING_PROFILE || 'int_dec_legacy';
+
+// Profiles every deployment starts with (not overwritten once they exist)
+const BUILTIN_PROFILES = [
+  { name: 'integer_only', kind: 'integer_only', options: {}, description: 'Integer PPM register only' },
+  { name: 'int_dec_legacy', kind: 'int_dec', options: { dec_mode: 'legacy', round_digits: 2 }, description: 'Integer + decimal, single decimal digit read as hundredths' },
+  { name: 'float', kind: 'float', options: {}, description: 'PPM sent as a floating point value' },
+];
+
+let profiles = new Map(); // name -> { name, kind, options, description }
+
+/**
+ * The authoritative int/dec detection + merging helpers based on the original single-file server.js you provided.
+ */
+
+// normalize key for detection: lower + drop non-alphanumeric (matches original logic)
+function normalizeKeyForMatch(k) {
+  if (!k) return '';
+  return String(k).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// find integer and decimal parts for PPM in params (tolerant matching)
+function findLosPpmParts(params) {
+  let intPart;
+  let decPart;
+
+  for (const key of Object.keys(params || {})) {
+    const nk = normalizeKeyForMatch(key);
+    const raw = params[key];
+
+    // Try to coerce numeric-ish values
+    const num = raw === null || raw === undefined ? NaN : Number(raw);
+    // if it's not numeric, skip
+    if (Number.isNaN(num)) continue;
+
+    // decimal key detection: contains 'ppm' and 'dec' or 'decimal'
+    if (nk.includes('ppm') && (nk.includes('dec') || nk.includes('decimal'))) {
+      decPart = num;
+      continue;
+    }
+
+    // integer key detection: contains 'ppm' and ('int' or 'mlo' or nothing else but not 'dec')
+    if (nk.includes('ppm') && (nk.includes('int') || nk.includes('mlo') || nk === 'losppm' || nk === 'losppmmloint' || nk.includes('losppm'))) {
+      intPart = num;
+      continue;
+    }
+
+    // Additional tolerant detection: key mentioning ppm but not dec -> treat as integer
+    if (nk.includes('ppm') && !nk.includes('dec') && !nk.includes('decimal')) {
+      if (typeof intPart === 'undefined') intPart = num;
+    }
+  }
+
+  return { intPart, decPart };
+}
+
+// float PPM param for the `float` kind without options.key (see header); undefined when none qualifies
+function findFloatPpm(params, intPart, decPart) {
+  let fractional;
+  for (const key of Object.keys(params || {})) {
+    const nk = normalizeKeyForMatch(key);
+    if (!nk.includes('ppm') || nk.includes('dec')) continue;
+    const raw = params[key];
+    const num = raw === null || raw === undefined || raw === '' ? NaN : Number(raw);
+    if (!Number.isFinite(num)) continue;
+    if (nk.includes('float') || nk.includes('flt')) return num;
+    if (fractional === undefined && !Number.isInteger(num)) fractional = num;
+  }
+  if (fractional !== undefined) return fractional;
+  return decPart === undefined ? intPart : undefined;
+}
+
+// merge int and decimal parts; dec_mode decides how the decimal register is read (see header)
+function mergeIntAndDec(intVal, decVal, options = {}) {
+  const decMode = options.dec_mode || 'legacy';
+  const roundDigits = Number.isInteger(options.round_digits) ? options.round_digits : 2;
+
+  if (typeof intVal === 'undefined' || intVal === null || Number.isNaN(Number(intVal))) return undefined;
+  // If decimal part missing, just return integer
+  if (typeof decVal === 'undefined' || decVal === null || Number.isNaN(Number(decVal))) {
+    return Number(intVal);
+  }
+  // If integer is exactly zero, ignore decimals and return 0 (legacy firmware quirk)
+  if (decMode === 'legacy' && Number(intVal) === 0) {
+    return 0;
+  }
+
+  // Convert decimal to string digits only (drop any sign or decimal separators).
+  let decStr = String(Math.trunc(Math.abs(Number(decVal)))).replace(/[^0-9]/g, '');
+  if (decStr.length === 0) decStr = '0';
+
+  let divisor;
+  if (decMode === 'fixed') {
+    const digits = Number.isInteger(options.dec_digits) ? options.dec_digits : 2;
+    if (decStr.length > digits) decStr = decStr.slice(0, digits);
+    divisor = 10 ** digits;
+  } else if (decMode === 'positional') {
+    divisor = 10 ** decStr.length;
+  } else {
+    // Restrict to at most 2 digits of fraction as requested.
+    if (decStr.length > 2) decStr = decStr.slice(0, 2);
+    // divisor is 10^digits, but treat single-digit decimal as hundredths (e.g., '5' => 0.05)
+    divisor = decStr.length === 1 ? 100 : 10 ** decStr.length;
+  }
+  const fraction = Number(decStr) / divisor;
+
+  const sign = Number(intVal) < 0 ? -1 : 1;
+  const merged = Number(intVal) + sign * fraction;
+
+  // Round to avoid floating precision surprises
+  return Number(merged.toFixed(roundDigits));
+}
+
+// key of params matching `key` (exact key first, then normalized match), undefined when absent
+function findParamKey(params, key) {
+  if (!params || !key) return undefined;
+  if (params[key] !== undefined) return key;
+  const nk = normalizeKeyForMatch(key);
+  return Object.keys(params).find(k => normalizeKeyForMatch(k) === nk);
+}
+
+// numeric value of params[key] (exact key first, then normalized match)
+function pickParam(params, key) {
+  const found = findParamKey(params, key);
+  const raw = found !== undefined ? params[found] : undefined;
+  const n = raw === null || raw === undefined || raw === '' ? NaN : Number(raw);
+  return Number.isFinite(n) ? n : undefined;
+}
+
+function getProfile(name) {
+  return profiles.get(name || DEFAULT_DECODING_PROFILE) || profiles.get(DEFAULT_DECODING_PROFILE)
+    || BUILTIN_PROFILES.find(p => p.name === DEFAULT_DECODING_PROFILE) || BUILTIN_PROFILES[1];
+}
+
+/**
+ * Decode the PPM value from message params with the named profile.
+ * Unknown or missing profile names fall back to DEFAULT_DECODING_PROFILE.
+ *
+ * @param {string|null} profileName
+ * @param {object} params payload params
+ * @returns {{value: number|undefined, profile: string, keys: string[]}} value is undefined when nothing
+ *   decodable was found; keys are the params the profile reads PPM from (every key mentioning ppm, plus
+ *   options.key)
+ */
+function decodePpm(profileName, params) {
+  const profile = getProfile(profileName);
+  const opts = profile.options || {};
+  const { intPart, decPart } = findLosPpmParts(params);
+  let value;
+
+  switch (profile.kind) {
+    case 'integer_only':
+      value = intPart;
+      break;
+    case 'float':
+      value = opts.key ? pickParam(params, opts.key) : findFloatPpm(params, intPart, decPart);
+      break;
+    case 'modbus_scaled': {
+      const reg = opts.key ? pickParam(params, opts.key) : intPart;
+      if (reg !== undefined) {
+        const factor = Number.isFinite(Number(opts.factor)) ? Number(opts.factor) : 1;
+        const offset = Number.isFinite(Number(opts.offset)) ? Number(opts.offset) : 0;
+        value = reg * factor + offset;
+      }
+      break;
+    }
+    case 'int_dec':
+    default: {
+      const merged = mergeIntAndDec(intPart, decPart, opts);
+      value = merged !== undefined ? merged : intPart;
+    }
+  }
+
+  if (value !== undefined && Number.isNaN(Number(value))) value = undefined;
+  const keys = Object.keys(params || {}).filter(k => normalizeKeyForMatch(k).includes('ppm'));
+  const optKey = findParamKey(params, opts.key);
+  if (optKey !== undefined && !keys.includes(optKey)) keys.push(optKey);
+  return { value: value === undefined ? undefined : Number(value), profile: profile.name, keys };
+}
+
+// --- storage ---
+async function ensureDecodingProfilesTable() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS decoding_profiles (
+      name TEXT PRIMARY KEY,
+      kind TEXT NOT NULL,
+      options JSONB NOT NULL DEFAULT '{}'::jsonb,
+      description TEXT,
+      created_at TIMESTAMPTZ DEFAULT now(),
+      updated_at TIMESTAMPTZ DEFAULT now()
+    );
+  `);
+  for (const p of BUILTIN_PROFILES) {
+    await pool.query(
+      `INSERT INTO decoding_profiles (name, kind, options, description) VALUES ($1, $2, $3, $4)
+       ON CONFLICT (name) DO NOTHING;`,
+      [p.name, p.kind, JSON.stringify(p.options), p.description]
+    );
+  }
+}
+
+async function reloadProfiles() {
+  try {
+    const res = await pool.query('SELECT name, kind, options, description, created_at, updated_at FROM decoding_profiles ORDER BY name;');
+    profiles = new Map(res.rows.map(r => [r.name, r]));
+  } catch (err) {
+    console.error('Error loading decoding_profiles:', err && err.message ? err.message : err);
+  }
+  return listProfiles();
+}
+
+async function initDecodingProfiles() {
+  try {
+    await ensureDecodingProfilesTable();
+  } catch (err) {
+    console.warn('Could not ensure decoding_profiles table exists:', err && err.message ? err.message : err);
+  }
+  return reloadProfiles();
+}
+
+function listProfiles() {
+  return Array.from(profiles.values());
+}
+
+function hasProfile(name) {
+  return profiles.has(name);
+}
+
+// Stored profile by name (no fallback to the default), null when absent
+function getStoredProfile(name) {
+  return profiles.get(name) || null;
+}
+
+/**
+ * Validate a profile body from the API.
+ *
+ * @param {object} body { name, kind, options, description }
+ * @param {{partial?: boolean, current?: object}} opts partial=true for updates of `current` (name comes
+ *   from the URL); the kind and options that result from the update are checked together
+ * @returns {{value?: object, error?: string}}
+ */
+function validateProfileInput(body, { partial = false, current = null } = {}) {
+  const b = body && typeof body === 'object' ? body : {};
+  const value = {};
+
+  if (!partial) {
+    if (typeof b.name !== 'string' || !/^[A-Za-z0-9_.-]{1,64}$/.test(b.name)) {
+      return { error: 'name is required (letters, digits, _ . - only)' };
+    }
+    value.name = b.name;
+  }
+
+  if (!partial || b.kind !== undefined) {
+    if (!PROFILE_KINDS.includes(b.kind)) return { error: `kind must be one of ${PROFILE_KINDS.join(', ')}` };
+    value.kind = b.kind;
+  }
+
+  if (b.description !== undefined) {
+    if (b.description !== null && typeof b.description !== 'string') return { error: 'description must be a string' };
+    value.description = b.description;
+  }
+
+  if (b.options !== undefined || !partial) {
+    const o = b.options === undefined || b.options === null ? {} : b.options;
+    if (typeof o !== 'object' || Array.isArray(o)) return { error: 'options must be an object' };
+    if (o.dec_mode !== undefined && !DEC_MODES.includes(o.dec_mode)) return { error: `options.dec_mode must be one of ${DEC_MODES.join(', ')}` };
+    if (o.dec_digits !== undefined && !(Number.isInteger(o.dec_digits) && o.dec_digits >= 1 && o.dec_digits <= 6)) {
+      return { error: 'options.dec_digits must be an integer between 1 and 6' };
+    }
+    if (o.round_digits !== undefined && !(Number.isInteger(o.round_digits) && o.round_digits >= 0 && o.round_digits <= 6)) {
+      return { error: 'options.round_digits must be an integer between 0 and 6' };
+    }
+    for (const k of ['factor', 'offset']) {
+      if (o[k] !== undefined && !Number.isFinite(o[k])) return { error: `options.${k} must be a number` };
+    }
+    if (o.key !== undefined && (typeof o.key !== 'string' || !o.key)) return { error: 'options.key must be a non-empty string' };
+    value.options = o;
+  }
+
+  const kind = value.kind !== undefined ? value.kind : (current ? current.kind : undefined);
+  const options = value.options !== undefined ? value.options : ((current && current.options) || {});
+  if (kind === 'modbus_scaled' && options.factor === undefined) return { error: 'options.factor is required for modbus_scaled' };
+
+  return { value };
+}
+
+async function createProfile(value) {
+  const res = await pool.query(
+    `INSERT INTO decoding_profiles (name, kind, options, description) VALUES ($1, $2, $3, $4)
+     RETURNING name, kind, options, description, created_at, updated_at;`,
+    [value.name, value.kind, JSON.stringify(value.options || {}), value.description ?? null]
+  );
+  await reloadProfiles();
+  return res.rows[0] || null;
+}
+
+async function updateProfile(name, value) {
+  const sets = [];
+  const values = [];
+  let idx = 1;
+  if (value.kind !== undefined) { sets.push(`kind = $${idx++}`); values.push(value.kind); }
+  if (value.options !== undefined) { sets.push(`options = $${idx++}`); values.push(JSON.stringify(value.options)); }
+  if (value.description !== undefined) { sets.push(`description = $${idx++}`); values.push(value.description); }
+  sets.push('updated_at = now()');
+  values.push(String(name));
+  const res = await pool.query(
+    `UPDATE decoding_profiles SET ${sets.join(', ')} WHERE name = $${idx}
+     RETURNING name, kind, options, description, created_at, updated_at;`,
+    values
+  );
+  await reloadProfiles();
+  return res.rows[0] || null;
+}
+
+async function deleteProfile(name) {
+  const res = await pool.query('DELETE FROM decoding_profiles WHERE name = $1;', [String(name)]);
+  await reloadProfiles();
+  return res.rowCount > 0;
+}
+
+module.exports = {
+  PROFILE_KINDS,
+  DEFAULT_DECODING_PROFILE,
+  findLosPpmParts,
+  mergeIntAndDec,
+  decodePpm,
+  initDecodingProfiles,
+  reloadProfiles,
+  listProfiles,
+  hasProfile,
+  getStoredProfile,
+  validateProfileInput,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+};
@@ -0,0 +1,180 @@
+// devices.js — mobile devices registered for push notifications (`mobile_devices` table).
+// A device is its FCM token plus a label and platform. serial_numbers and severities subscribe it to a
+// subset of stations / alarm severities; null means all. The fcm notification channel sends an alarm only
+// to the devices subscribed to its station and severity (tokensFor).
+//
+// The table lives in the app database (PG_* pool in server.js), so the storage functions are bound to that
+// pool with createDeviceStore(pool).
+
+const { SEVERITIES } = require('./alarms');
+
+const PLATFORMS = ['android', 'ios', 'web'];
+const TOKEN_RE = /^\S{1,4096}$/;
+const DEVICE_COLUMNS = 'token, label, platform, serial_numbers, severities, registered_at, updated_at';
+
+// string[] without duplicates; null / [] mean "all"
+function subscriptionList(v, name, allowed = null) {
+  if (v === null) return { value: null };
+  if (!Array.isArray(v) || v.some(x => typeof x !== 'string' || !x.trim())) {
+    return { error: `${name} must be an array of strings or null` };
+  }
+  const list = Array.from(new Set(v.map(x => x.trim())));
+  if (allowed) {
+    const bad = list.find(x => !allowed.includes(x));
+    if (bad) return { error: `${name} must only contain ${allowed.join(', ')}` };
+  }
+  return { value: list.length ? list : null };
+}
+
+/**
+ * Validate a device body from the API.
+ *
+ * @param {object} body { token, label, platform, serial_numbers, severities }
+ * @param {{partial?: boolean}} opts partial=true for updates (the token is in the URL)
+ * @returns {{value?: object, error?: string}}
+ */
+function validateDeviceInput(body, { partial = false } = {}) {
+  const b = body && typeof body === 'object' ? body : {};
+  const value = {};
+
+  if (!partial) {
+    if (typeof b.token !== 'string' || !TOKEN_RE.test(b.token)) return { error: 'token is required' };
+    value.token = b.token;
+  }
+  if (b.label !== undefined) {
+    if (b.label !== null && (typeof b.label !== 'string' || b.label.length > 100)) {
+      return { error: 'label must be a string of at most 100 characters or null' };
+    }
+    value.label = b.label ? b.label.trim() || null : null;
+  }
+  if (b.platform !== undefined) {
+    if (b.platform !== null && !PLATFORMS.includes(b.platform)) return { error: `platform must be one of ${PLATFORMS.join(', ')} or null` };
+    value.platform = b.platform;
+  }
+  if (b.serial_numbers !== undefined) {
+    const { value: list, error } = subscriptionList(b.serial_numbers, 'serial_numbers');
+    if (error) return { error };
+    value.serial_numbers = list;
+  }
+  if (b.severities !== undefined) {
+    const { value: list, error } = subscriptionList(b.severities, 'severities', SEVERITIES);
+    if (error) return { error };
+    value.severities = list;
+  }
+  if (partial && !Object.keys(value).length) {
+    return { error: 'nothing to update (label, platform, serial_numbers, severities)' };
+  }
+
+  return { value };
+}
+
+/**
+ * Storage functions bound to a pg pool.
+ *
+ * @param {import('pg').Pool} pool
+ */
+function createDeviceStore(pool) {
+  // Older deployments only have the token column; add the rest in place
+  async function ensureDevicesTable() {
+    try {
+      await pool.query('CREATE TABLE IF NOT EXISTS mobile_devices (token TEXT PRIMARY KEY);');
+      for (const col of ['label TEXT', 'platform TEXT', 'serial_numbers TEXT[]', 'severities TEXT[]',
+        'registered_at TIMESTAMPTZ DEFAULT now()', 'updated_at TIMESTAMPTZ DEFAULT now()']) {
+        await pool.query(`ALTER TABLE mobile_devices ADD COLUMN IF NOT EXISTS ${col};`);
+      }
+      // legacy tables may lack the primary key registerDevice upserts on: keep the last row per token
+      // (newest update, then physical order) and add a unique index
+      const dups = await pool.query(`
+        DELETE FROM mobile_devices d USING (
+          SELECT ctid, row_number() OVER (PARTITION BY token ORDER BY updated_at DESC NULLS LAST, ctid DESC) AS rn
+          FROM mobile_devices WHERE token IS NOT NULL
+        ) r WHERE d.ctid = r.ctid AND r.rn > 1;`);
+      if (dups.rowCount) console.log(`mobile_devices: removed ${dups.rowCount} duplicate token row(s)`);
+      await pool.query('CREATE UNIQUE INDEX IF NOT EXISTS mobile_devices_token_idx ON mobile_devices (token);');
+    } catch (err) {
+      console.warn('Could not ensure mobile_devices table exists:', err && err.message ? err.message : err);
+    }
+  }
+
+  async function listDevices() {
+    const res = await pool.query(`SELECT ${DEVICE_COLUMNS} FROM mobile_devices ORDER BY registered_at NULLS FIRST, token;`);
+    return res.rows;
+  }
+
+  /**
+   * Register a token, or update it when already registered (fields not given are kept).
+   * @returns {Promise<{device: object, created: boolean}>}
+   */
+  async function registerDevice(value) {
+    const res = await pool.query(
+      `INSERT INTO mobile_devices (token, label, platform, serial_numbers, severities)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (token) DO UPDATE SET
+         label = CASE WHEN $6 THEN EXCLUDED.label ELSE mobile_devices.label END,
+         platform = CASE WHEN $7 THEN EXCLUDED.platform ELSE mobile_devices.platform END,
+         serial_numbers = CASE WHEN $8 THEN EXCLUDED.serial_numbers ELSE mobile_devices.serial_numbers END,
+         severities = CASE WHEN $9 THEN EXCLUDED.severities ELSE mobile_devices.severities END,
+         updated_at = now()
+       RETURNING ${DEVICE_COLUMNS}, (xmax = 0) AS created;`,
+      [value.token, value.label ?? null, value.platform ?? null, value.serial_numbers ?? null, value.severities ?? null,
+        value.label !== undefined, value.platform !== undefined, value.serial_numbers !== undefined, value.severities !== undefined]
+    );
+    const { created, ...device } = res.rows[0];
+    return { device, created };
+  }
+
+  async function updateDevice(token, value) {
+    const sets = [];
+    const values = [];
+    let idx = 1;
+    for (const k of ['label', 'platform', 'serial_numbers', 'severities']) {
+      if (value[k] !== undefined) { sets.push(`${k} = $${idx++}`); values.push(value[k]); }
+    }
+    sets.push('updated_at = now()');
+    values.push(token);
+    const res = await pool.query(`UPDATE mobile_devices SET ${sets.join(', ')} WHERE token = $${idx} RETURNING ${DEVICE_COLUMNS};`, values);
+    return res.rows[0] || null;
+  }
+
+  async function unregisterDevice(token) {
+    const res = await pool.query('DELETE FROM mobile_devices WHERE token = $1;', [token]);
+    return res.rowCount > 0;
+  }
+
+  /**
+   * Tokens subscribed to a station and severity (null matches every device, e.g. test messages).
+   * @param {{serial_number?: string|null, severity?: string|null}} target
+   * @returns {Promise<string[]>}
+   */
+  async function tokensFor({ serial_number = null, severity = null } = {}) {
+    const res = await pool.query(
+      `SELECT token FROM mobile_devices
+       WHERE ($1::text IS NULL OR serial_numbers IS NULL OR $1::text = ANY(serial_numbers))
+         AND ($2::text IS NULL OR severities IS NULL OR $2::text = ANY(severities));`,
+      [serial_number, severity]
+    );
+    return res.rows.map(r => r.token).filter(Boolean);
+  }
+
+  async function removeTokens(tokens) {
+    if (!tokens || !tokens.length) return 0;
+    const res = await pool.query('DELETE FROM mobile_devices WHERE token = ANY($1::text[]);', [tokens]);
+    return res.rowCount;
+  }
+
+  return {
+    ensureDevicesTable,
+    listDevices,
+    registerDevice,
+    updateDevice,
+    unregisterDevice,
+    tokensFor,
+    removeTokens,
+  };
+}
+
+module.exports = {
+  PLATFORMS,
+  validateDeviceInput,
+  createDeviceStore,
+};
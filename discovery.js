@@ -0,0 +1,234 @@
+// discovery.js — auto-discovery of new gateways through a wildcard topic pattern.
+//
+// MQTT_DISCOVERY_PATTERN accepts MQTT wildcards as whole levels (`sites/+/los`) and also a `+`
+// inside a level (`BivicomData+`), which MQTT itself cannot express: such levels are subscribed
+// as `+` and narrowed down locally with a regex. Senders not yet in the station registry are
+// registered as pending stations and their readings are kept in `quarantine_readings` until an
+// admin approves (readings are replayed) or ignores (readings are dropped) the station.
+// pruneQuarantine() bounds the table: readings older than QUARANTINE_RETENTION_DAYS, beyond the newest
+// QUARANTINE_MAX_PER_STATION of a serial, or of a serial no longer in the registry are deleted.
+const { pool } = require('./db');
+
+const DISCOVERY_PATTERN = (process.env.MQTT_DISCOVERY_PATTERN || '').trim();
+// 'topic' | 'payload' | 'payload_then_topic'
+const DISCOVERY_SERIAL_SOURCE = (process.env.MQTT_DISCOVERY_SERIAL_SOURCE || 'payload_then_topic').trim();
+const DISCOVERY_SERIAL_KEYS = (process.env.MQTT_DISCOVERY_SERIAL_KEYS || 'serial_number,serial,serialNumber,sn,SN')
+  .split(',').map(k => k.trim()).filter(Boolean);
+
+const QUARANTINE_RETENTION_DAYS = parseInt(process.env.QUARANTINE_RETENTION_DAYS || '30', 10);
+const QUARANTINE_MAX_PER_STATION = parseInt(process.env.QUARANTINE_MAX_PER_STATION || '10000', 10);
+
+// serials end up in topics, URLs and the UI; refuse anything unusual
+const SERIAL_RE = /^[A-Za-z0-9._:-]{1,64}$/;
+
+function escapeRegex(s) {
+  return s.replace(/[.*?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile a discovery pattern into the MQTT subscription filter and a local matcher.
+ * Each `+` captures one value; the first capture is the topic-derived serial.
+ *
+ * @param {string} pattern e.g. 'BivicomData+' or 'sites/+/los'
+ * @returns {{filter: string, regex: RegExp}|null}
+ */
+function compilePattern(pattern) {
+  if (!pattern) return null;
+  const levels = pattern.split('/');
+  const filterLevels = [];
+  const regexLevels = [];
+  for (let i = 0; i < levels.length; i++) {
+    const level = levels[i];
+    if (level === '#') {
+      if (i !== levels.length - 1) return null; // '#' only valid as the last level
+      filterLevels.push('#');
+      regexLevels.push('(.*)');
+      continue;
+    }
+    if (level.includes('#')) return null;
+    if (level.includes('+')) {
+      filterLevels.push('+');
+      regexLevels.push(level.split('+').map(escapeRegex).join('([^/]+)'));
+    } else {
+      filterLevels.push(level);
+      regexLevels.push(escapeRegex(level));
+    }
+  }
+  return { filter: filterLevels.join('/'), regex: new RegExp(`^${regexLevels.join('/')}$`) };
+}
+
+const compiled = compilePattern(DISCOVERY_PATTERN);
+if (DISCOVERY_PATTERN && !compiled) {
+  console.warn(`Invalid MQTT_DISCOVERY_PATTERN "${DISCOVERY_PATTERN}" — auto-discovery disabled`);
+}
+
+// MQTT subscription filter for discovery, or null when discovery is off
+function getDiscoveryFilter() {
+  return compiled ? compiled.filter : null;
+}
+
+// Does `topic` match MQTT subscription `filter` (+ and # wildcards)?
+function topicMatchesFilter(filter, topic) {
+  if (!filter || !topic) return false;
+  const f = filter.split('/');
+  const t = topic.split('/');
+  for (let i = 0; i < f.length; i++) {
+    if (f[i] === '#') return true;
+    if (i >= t.length) return false;
+    if (f[i] !== '+' && f[i] !== t[i]) return false;
+  }
+  return f.length === t.length;
+}
+
+function matchesDiscovery(topic) {
+  return !!(compiled && compiled.regex.test(topic));
+}
+
+function cleanSerial(v) {
+  if (v === null || v === undefined) return null;
+  const s = String(v).trim();
+  return SERIAL_RE.test(s) ? s : null;
+}
+
+function serialFromPayload(payload) {
+  if (!payload || typeof payload !== 'object') return null;
+  const sources = [payload];
+  if (payload.params && typeof payload.params === 'object') sources.push(payload.params);
+  for (const src of sources) {
+    for (const key of DISCOVERY_SERIAL_KEYS) {
+      const s = cleanSerial(src[key]);
+      if (s) return s;
+    }
+  }
+  return null;
+}
+
+function serialFromTopic(topic) {
+  if (!compiled) return null;
+  const m = compiled.regex.exec(topic);
+  return m && m[1] !== undefined ? cleanSerial(m[1]) : null;
+}
+
+// Serial carried in the payload, unless MQTT_DISCOVERY_SERIAL_SOURCE restricts it to the topic
+function payloadSerial(payload) {
+  return DISCOVERY_SERIAL_SOURCE === 'topic' ? null : serialFromPayload(payload);
+}
+
+/**
+ * Work out the sender's serial for a message on a discovery topic,
+ * following MQTT_DISCOVERY_SERIAL_SOURCE.
+ *
+ * @param {string} topic
+ * @param {object|string} payload parsed payload
+ * @returns {string|null}
+ */
+function extractSerial(topic, payload) {
+  if (DISCOVERY_SERIAL_SOURCE === 'topic') return serialFromTopic(topic);
+  if (DISCOVERY_SERIAL_SOURCE === 'payload') return serialFromPayload(payload);
+  return serialFromPayload(payload) || serialFromTopic(topic);
+}
+
+// --- quarantine storage ---
+async function ensureQuarantineTable() {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS quarantine_readings (
+        id BIGSERIAL PRIMARY KEY,
+        serial_number TEXT NOT NULL,
+        topic TEXT NOT NULL,
+        payload TEXT,
+        received_at TIMESTAMPTZ DEFAULT now()
+      );
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS quarantine_readings_serial_idx ON quarantine_readings (serial_number, received_at);');
+  } catch (err) {
+    console.warn('Could not ensure quarantine_readings table exists:', err && err.message ? err.message : err);
+  }
+}
+
+async function quarantineReading(serial, topic, payloadString, receivedAt) {
+  try {
+    await pool.query(
+      'INSERT INTO quarantine_readings (serial_number, topic, payload, received_at) VALUES ($1, $2, $3, $4);',
+      [serial, topic, payloadString, (receivedAt ? new Date(receivedAt) : new Date()).toISOString()]
+    );
+    return true;
+  } catch (err) {
+    console.error('Error inserting into quarantine_readings:', err && err.message ? err.message : err);
+    return false;
+  }
+}
+
+/**
+ * Quarantined readings for a serial, oldest first.
+ * @returns {Promise<Array>} rows { id, serial_number, topic, payload, received_at }
+ */
+async function listQuarantine(serial, limit = 500, offset = 0) {
+  const res = await pool.query(
+    `SELECT id, serial_number, topic, payload, received_at
+     FROM quarantine_readings WHERE serial_number = $1
+     ORDER BY received_at ASC, id ASC LIMIT $2 OFFSET $3;`,
+    [String(serial), Number(limit), Number(offset)]
+  );
+  return res.rows;
+}
+
+async function countQuarantine(serial) {
+  const res = await pool.query('SELECT COUNT(*) AS total FROM quarantine_readings WHERE serial_number = $1;', [String(serial)]);
+  return Number(res.rows[0].total) || 0;
+}
+
+async function deleteQuarantine(serial, ids = null) {
+  const res = ids
+    ? await pool.query('DELETE FROM quarantine_readings WHERE serial_number = $1 AND id = ANY($2::bigint[]);', [String(serial), ids])
+    : await pool.query('DELETE FROM quarantine_readings WHERE serial_number = $1;', [String(serial)]);
+  return res.rowCount;
+}
+
+/**
+ * Apply quarantine retention and the per-station cap; drop rows of serials that are not stations (any more).
+ * @returns {Promise<number>} rows deleted
+ */
+async function pruneQuarantine() {
+  let deleted = 0;
+  if (QUARANTINE_RETENTION_DAYS > 0) {
+    const res = await pool.query(
+      "DELETE FROM quarantine_readings WHERE received_at < now() - make_interval(days => $1);",
+      [QUARANTINE_RETENTION_DAYS]
+    );
+    deleted += res.rowCount;
+  }
+  if (QUARANTINE_MAX_PER_STATION > 0) {
+    const res = await pool.query(
+      `DELETE FROM quarantine_readings q USING (
+         SELECT id FROM (
+           SELECT id, row_number() OVER (PARTITION BY serial_number ORDER BY received_at DESC, id DESC) AS rn
+           FROM quarantine_readings
+         ) ranked WHERE rn > $1
+       ) excess WHERE q.id = excess.id;`,
+      [QUARANTINE_MAX_PER_STATION]
+    );
+    deleted += res.rowCount;
+  }
+  const orphans = await pool.query(
+    'DELETE FROM quarantine_readings q WHERE NOT EXISTS (SELECT 1 FROM stations s WHERE s.serial_number = q.serial_number);'
+  );
+  return deleted + orphans.rowCount;
+}
+
+module.exports = {
+  DISCOVERY_PATTERN,
+  DISCOVERY_SERIAL_KEYS,
+  compilePattern,
+  getDiscoveryFilter,
+  topicMatchesFilter,
+  matchesDiscovery,
+  payloadSerial,
+  extractSerial,
+  ensureQuarantineTable,
+  quarantineReading,
+  listQuarantine,
+  countQuarantine,
+  deleteQuarantine,
+  pruneQuarantine,
+};
@@ -0,0 +1,594 @@
+// escalation.js — on-call schedules and escalation policies for unacknowledged alarms.
+//
+// On-call: people (`oncall_people`: name, email, phone) are on call for a group (`oncall_groups`) during
+// the weekly shifts of `oncall_shifts` (day_of_week 0 = Sunday, start / end as minutes of the day in the
+// group's timezone; a shift whose end is not after its start runs past midnight into the next day).
+//
+// Escalation: a policy (`escalation_policies`) applies to alarms of a severity and station (null = any;
+// the most specific enabled policy wins) and has steps { delay_min, group_id, channel_id }. Step N is sent
+// delay_min minutes after the alarm was raised, through the channel, to the people of the group on call at
+// that moment (email / sms channels are addressed to them, see notifications.dispatchToChannel). Steps stop
+// once the alarm is acknowledged or cleared; a step due while the station is in a maintenance window is
+// postponed to the end of the window (noted), so an alarm still open then escalates. Progress is kept in
+// `alarm_escalations`, so escalations carry on after a restart, and every step is written to the alarm's
+// comments.
+const { pool } = require('./db');
+const alarms = require('./alarms');
+const notifications = require('./notifications');
+const maintenance = require('./maintenance');
+
+const ONCALL_TIMEZONE = process.env.ONCALL_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+const MAX_STEPS = 10;
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const NAME_RE = /^[A-Za-z0-9 _.'-]{1,64}$/;
+const AUTHOR = 'escalation';
+
+let people = []; // rows of oncall_people
+let groups = []; // rows of oncall_groups
+let shifts = []; // rows of oncall_shifts
+let policies = []; // rows of escalation_policies
+
+// --- on-call schedule ---
+function minutesToTime(m) {
+  return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+}
+
+// 'HH:MM' -> minutes of the day ('24:00' allowed as an end)
+function timeToMinutes(v) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(v || ''));
+  if (!m) return null;
+  const minutes = Number(m[1]) * 60 + Number(m[2]);
+  return Number(m[2]) < 60 && minutes <= 1440 ? minutes : null;
+}
+
+function isValidTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Day of week and minute of the day at `at` in a timezone
+function localWeekTime(at, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+  }).formatToParts(at);
+  const get = type => (parts.find(p => p.type === type) || {}).value;
+  return { day: DAYS.indexOf(get('weekday')), minute: Number(get('hour')) * 60 + Number(get('minute')) };
+}
+
+function shiftCovers(shift, day, minute) {
+  if (shift.start_minute < shift.end_minute) {
+    return shift.day_of_week === day && minute >= shift.start_minute && minute < shift.end_minute;
+  }
+  // past midnight: from start on day_of_week until end on the next day
+  if (shift.day_of_week === day && minute >= shift.start_minute) return true;
+  return (shift.day_of_week + 1) % 7 === day && minute < shift.end_minute;
+}
+
+/**
+ * People on call for a group.
+ * @param {number} groupId
+ * @param {Date} at
+ * @returns {Array<object>} oncall_people rows
+ */
+function onCallNow(groupId, at = new Date()) {
+  const group = groups.find(g => g.id === Number(groupId));
+  if (!group) return [];
+  const { day, minute } = localWeekTime(at, group.timezone);
+  const ids = new Set(shifts.filter(s => s.group_id === group.id && shiftCovers(s, day, minute)).map(s => s.person_id));
+  return people.filter(p => ids.has(p.id));
+}
+
+function publicShift(s) {
+  return Object.assign({}, s, { day: DAYS[s.day_of_week], start: minutesToTime(s.start_minute), end: minutesToTime(s.end_minute) });
+}
+
+/**
+ * Groups with their shifts and who is on call.
+ * @param {Date} at
+ * @returns {Array<object>}
+ */
+function listGroups(at = new Date()) {
+  return groups.map(g => Object.assign({}, g, {
+    shifts: shifts.filter(s => s.group_id === g.id).map(publicShift),
+    on_call: onCallNow(g.id, at),
+  }));
+}
+
+function listPeople() {
+  return people.slice();
+}
+
+function listPolicies() {
+  return policies.slice();
+}
+
+function getGroup(id) {
+  return groups.find(g => g.id === Number(id)) || null;
+}
+
+function getPerson(id) {
+  return people.find(p => p.id === Number(id)) || null;
+}
+
+function policiesUsing({ groupId = null, channelId = null }) {
+  return policies.filter(p => (p.steps || []).some(st => (groupId !== null && st.group_id === Number(groupId))
+    || (channelId !== null && st.channel_id === Number(channelId))));
+}
+
+/**
+ * The escalation policy for an alarm: enabled policies matching its severity and station, the one with
+ * a station before one without, then one with a severity before one without.
+ * @param {{severity: string, serial_number: string}} alarm
+ * @returns {object|null}
+ */
+function policyFor(alarm) {
+  let best = null;
+  let bestScore = -1;
+  for (const p of policies) {
+    if (!p.enabled) continue;
+    if (p.severity && p.severity !== alarm.severity) continue;
+    if (p.serial_number && p.serial_number !== alarm.serial_number) continue;
+    const score = (p.serial_number ? 2 : 0) + (p.severity ? 1 : 0);
+    if (score > bestScore) { best = p; bestScore = score; }
+  }
+  return best;
+}
+
+// --- storage ---
+async function ensureEscalationTables() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS oncall_people (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL UNIQUE,
+      email TEXT,
+      phone TEXT,
+      updated_at TIMESTAMPTZ DEFAULT now()
+    );
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS oncall_groups (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL UNIQUE,
+      timezone TEXT NOT NULL,
+      updated_at TIMESTAMPTZ DEFAULT now()
+    );
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS oncall_shifts (
+      id SERIAL PRIMARY KEY,
+      group_id INTEGER NOT NULL REFERENCES oncall_groups(id) ON DELETE CASCADE,
+      person_id INTEGER NOT NULL REFERENCES oncall_people(id) ON DELETE CASCADE,
+      day_of_week SMALLINT NOT NULL,
+      start_minute SMALLINT NOT NULL,
+      end_minute SMALLINT NOT NULL,
+      updated_at TIMESTAMPTZ DEFAULT now()
+    );
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS escalation_policies (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL UNIQUE,
+      severity TEXT,
+      serial_number TEXT,
+      enabled BOOLEAN NOT NULL DEFAULT true,
+      steps JSONB NOT NULL DEFAULT '[]'::jsonb,
+      updated_at TIMESTAMPTZ DEFAULT now()
+    );
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS alarm_escalations (
+      alarm_id BIGINT PRIMARY KEY REFERENCES alarm_events(id) ON DELETE CASCADE,
+      policy_id INTEGER REFERENCES escalation_policies(id) ON DELETE CASCADE,
+      next_step INTEGER NOT NULL DEFAULT 0,
+      next_at TIMESTAMPTZ,
+      done BOOLEAN NOT NULL DEFAULT false,
+      updated_at TIMESTAMPTZ DEFAULT now()
+    );
+  `);
+  await pool.query('CREATE INDEX IF NOT EXISTS alarm_escalations_due_idx ON alarm_escalations (next_at) WHERE NOT done;');
+}
+
+async function reloadEscalation() {
+  try {
+    const [p, g, s, pol] = await Promise.all([
+      pool.query('SELECT id, name, email, phone, updated_at FROM oncall_people ORDER BY name;'),
+      pool.query('SELECT id, name, timezone, updated_at FROM oncall_groups ORDER BY name;'),
+      pool.query(`SELECT id, group_id, person_id, day_of_week, start_minute, end_minute, updated_at FROM oncall_shifts
+                  ORDER BY group_id, day_of_week, start_minute;`),
+      pool.query('SELECT id, name, severity, serial_number, enabled, steps, updated_at FROM escalation_policies ORDER BY name;'),
+    ]);
+    people = p.rows;
+    groups = g.rows;
+    shifts = s.rows;
+    policies = pol.rows;
+  } catch (err) {
+    console.error('Error loading on-call / escalation config:', err && err.message ? err.message : err);
+  }
+}
+
+async function initEscalation() {
+  try {
+    await ensureEscalationTables();
+  } catch (err) {
+    console.warn('Could not ensure escalation tables exist:', err && err.message ? err.message : err);
+  }
+  await reloadEscalation();
+}
+
+// Shared insert / update / delete for the config tables (columns already validated)
+async function insertRow(table, value) {
+  const cols = Object.keys(value);
+  const res = await pool.query(
+    `INSERT INTO ${table} (${cols.join(', ')}) VALUES (${cols.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING id;`,
+    cols.map(c => (c === 'steps' ? JSON.stringify(value[c]) : value[c]))
+  );
+  await reloadEscalation();
+  return res.rows[0].id;
+}
+
+async function updateRow(table, id, value) {
+  const cols = Object.keys(value);
+  const sets = cols.map((c, i) => `${c} = $${i + 1}`).concat('updated_at = now()');
+  const res = await pool.query(
+    `UPDATE ${table} SET ${sets.join(', ')} WHERE id = $${cols.length + 1};`,
+    cols.map(c => (c === 'steps' ? JSON.stringify(value[c]) : value[c])).concat([Number(id)])
+  );
+  await reloadEscalation();
+  return res.rowCount > 0;
+}
+
+async function deleteRow(table, id) {
+  const res = await pool.query(`DELETE FROM ${table} WHERE id = $1;`, [Number(id)]);
+  await reloadEscalation();
+  return res.rowCount > 0;
+}
+
+// --- validation ---
+function validateName(b, value, partial) {
+  if (b.name === undefined && partial) return null;
+  if (typeof b.name !== 'string' || !NAME_RE.test(b.name.trim())) {
+    return 'name is required (letters, digits, space, _ . \' -; at most 64 characters)';
+  }
+  value.name = b.name.trim();
+  return null;
+}
+
+/**
+ * Validate a person body from the API.
+ * @param {object} body { name, email, phone }
+ * @param {{partial?: boolean}} opts
+ * @returns {{value?: object, error?: string}}
+ */
+function validatePersonInput(body, { partial = false } = {}) {
+  const b = body && typeof body === 'object' ? body : {};
+  const value = {};
+  const nameError = validateName(b, value, partial);
+  if (nameError) return { error: nameError };
+  if (b.email !== undefined) {
+    if (b.email !== null && b.email !== '' && (typeof b.email !== 'string' || !/^[^\s@]+@[^\s@]+$/.test(b.email.trim()))) {
+      return { error: 'email must be an e-mail address or null' };
+    }
+    value.email = b.email ? b.email.trim() : null;
+  }
+  if (b.phone !== undefined) {
+    if (b.phone !== null && b.phone !== '' && (typeof b.phone !== 'string' || !/^\+?[0-9 ()-]{3,32}$/.test(b.phone.trim()))) {
+      return { error: 'phone must be a phone number or null' };
+    }
+    value.phone = b.phone ? b.phone.trim() : null;
+  }
+  if (partial && !Object.keys(value).length) return { error: 'nothing to update (name, email, phone)' };
+  return { value };
+}
+
+/**
+ * Validate a group body from the API.
+ * @param {object} body { name, timezone }
+ * @param {{partial?: boolean}} opts
+ * @returns {{value?: object, error?: string}}
+ */
+function validateGroupInput(body, { partial = false } = {}) {
+  const b = body && typeof body === 'object' ? body : {};
+  const value = {};
+  const nameError = validateName(b, value, partial);
+  if (nameError) return { error: nameError };
+  if (b.timezone !== undefined || !partial) {
+    const tz = b.timezone === undefined || b.timezone === null || b.timezone === '' ? ONCALL_TIMEZONE : b.timezone;
+    if (typeof tz !== 'string' || !isValidTimeZone(tz)) return { error: 'timezone must be an IANA time zone (e.g. Europe/London)' };
+    value.timezone = tz;
+  }
+  if (partial && !Object.keys(value).length) return { error: 'nothing to update (name, timezone)' };
+  return { value };
+}
+
+/**
+ * Validate a shift body from the API.
+ * @param {object} body { group_id, person_id, day_of_week (0 = Sunday), start, end ('HH:MM') }
+ * @param {{partial?: boolean}} opts
+ * @returns {{value?: object, error?: string}}
+ */
+function validateShiftInput(body, { partial = false } = {}) {
+  const b = body && typeof body === 'object' ? body : {};
+  const value = {};
+  if (b.group_id !== undefined || !partial) {
+    if (!getGroup(b.group_id)) return { error: 'group_id must be an existing group' };
+    value.group_id = Number(b.group_id);
+  }
+  if (b.person_id !== undefined || !partial) {
+    if (!getPerson(b.person_id)) return { error: 'person_id must be an existing person' };
+    value.person_id = Number(b.person_id);
+  }
+  if (b.day_of_week !== undefined || !partial) {
+    if (!Number.isInteger(b.day_of_week) || b.day_of_week < 0 || b.day_of_week > 6) {
+      return { error: 'day_of_week must be 0 (Sunday) to 6 (Saturday)' };
+    }
+    value.day_of_week = b.day_of_week;
+  }
+  for (const [k, col] of [['start', 'start_minute'], ['end', 'end_minute']]) {
+    if (b[k] === undefined && partial) continue;
+    const m = timeToMinutes(b[k]);
+    if (m === null || (k === 'start' && m === 1440)) return { error: `${k} must be a time HH:MM` };
+    value[col] = m;
+  }
+  if (partial && !Object.keys(value).length) return { error: 'nothing to update (group_id, person_id, day_of_week, start, end)' };
+  return { value };
+}
+
+/**
+ * Validate a policy body from the API.
+ * @param {object} body { name, severity, serial_number, enabled, steps: [{ delay_min, group_id, channel_id }] }
+ * @param {{partial?: boolean}} opts
+ * @returns {{value?: object, error?: string}}
+ */
+function validatePolicyInput(body, { partial = false } = {}) {
+  const b = body && typeof body === 'object' ? body : {};
+  const value = {};
+  const nameError = validateName(b, value, partial);
+  if (nameError) return { error: nameError };
+  if (b.severity !== undefined) {
+    if (b.severity !== null && !alarms.SEVERITIES.includes(b.severity)) {
+      return { error: `severity must be one of ${alarms.SEVERITIES.join(', ')} or null` };
+    }
+    value.severity = b.severity;
+  }
+  if (b.serial_number !== undefined) {
+    if (b.serial_number !== null && (typeof b.serial_number !== 'string' || !b.serial_number.trim())) {
+      return { error: 'serial_number must be a non-empty string or null' };
+    }
+    value.serial_number = b.serial_number ? b.serial_number.trim() : null;
+  }
+  if (b.enabled !== undefined) {
+    if (typeof b.enabled !== 'boolean') return { error: 'enabled must be a boolean' };
+    value.enabled = b.enabled;
+  }
+  if (b.steps !== undefined || !partial) {
+    if (!Array.isArray(b.steps) || !b.steps.length || b.steps.length > MAX_STEPS) {
+      return { error: `steps must be a list of 1 to ${MAX_STEPS} steps` };
+    }
+    const steps = [];
+    for (const [i, st] of b.steps.entries()) {
+      const s = st && typeof st === 'object' ? st : {};
+      if (!Number.isInteger(s.delay_min) || s.delay_min < 0) return { error: `steps[${i}].delay_min must be a non-negative integer` };
+      if (i > 0 && s.delay_min < steps[i - 1].delay_min) return { error: 'step delays must not decrease' };
+      if (!getGroup(s.group_id)) return { error: `steps[${i}].group_id must be an existing group` };
+      if (!notifications.getChannel(s.channel_id)) return { error: `steps[${i}].channel_id must be an existing channel` };
+      steps.push({ delay_min: s.delay_min, group_id: Number(s.group_id), channel_id: Number(s.channel_id) });
+    }
+    value.steps = steps;
+  }
+  if (partial && !Object.keys(value).length) return { error: 'nothing to update' };
+  return { value };
+}
+
+async function createPerson(value) {
+  return getPerson(await insertRow('oncall_people', value));
+}
+
+async function updatePerson(id, value) {
+  return (await updateRow('oncall_people', id, value)) ? getPerson(id) : null;
+}
+
+function deletePerson(id) {
+  return deleteRow('oncall_people', id);
+}
+
+async function createGroup(value) {
+  return getGroup(await insertRow('oncall_groups', value));
+}
+
+async function updateGroup(id, value) {
+  return (await updateRow('oncall_groups', id, value)) ? getGroup(id) : null;
+}
+
+function deleteGroup(id) {
+  return deleteRow('oncall_groups', id);
+}
+
+async function createShift(value) {
+  return publicShiftById(await insertRow('oncall_shifts', value));
+}
+
+async function updateShift(id, value) {
+  return (await updateRow('oncall_shifts', id, value)) ? publicShiftById(id) : null;
+}
+
+function deleteShift(id) {
+  return deleteRow('oncall_shifts', id);
+}
+
+async function createPolicy(value) {
+  return getPolicy(await insertRow('escalation_policies', value));
+}
+
+async function updatePolicy(id, value) {
+  return (await updateRow('escalation_policies', id, value)) ? getPolicy(id) : null;
+}
+
+function deletePolicy(id) {
+  return deleteRow('escalation_policies', id);
+}
+
+function publicShiftById(id) {
+  const s = shifts.find(x => x.id === Number(id));
+  return s ? publicShift(s) : null;
+}
+
+function getPolicy(id) {
+  return policies.find(p => p.id === Number(id)) || null;
+}
+
+// --- escalation of alarms ---
+function stepAt(alarm, step) {
+  return new Date(new Date(alarm.raised_at).getTime() + step.delay_min * 60 * 1000);
+}
+
+function fmtNum(v) {
+  if (v === null || v === undefined) return '-';
+  const n = Number(v);
+  return Number.isInteger(n) ? String(n) : n.toFixed(2);
+}
+
+/**
+ * Start escalating a newly raised alarm when a policy applies (no-op for an alarm already escalating).
+ * @param {object} alarm alarm_events row
+ */
+async function startEscalation(alarm) {
+  const policy = alarm ? policyFor(alarm) : null;
+  if (!policy) return;
+  try {
+    await pool.query(
+      `INSERT INTO alarm_escalations (alarm_id, policy_id, next_step, next_at) VALUES ($1, $2, 0, $3)
+       ON CONFLICT (alarm_id) DO NOTHING;`,
+      [alarm.id, policy.id, stepAt(alarm, policy.steps[0])]
+    );
+  } catch (err) {
+    console.error('Error starting escalation:', err && err.message ? err.message : err);
+    return;
+  }
+  await runDueEscalations();
+}
+
+// Send one step (or note why it was skipped); returns the note for the alarm's comments
+async function runStep(alarm, policy, step, index) {
+  const group = getGroup(step.group_id);
+  const onCall = onCallNow(step.group_id);
+  const names = onCall.map(p => p.name).join(', ');
+  const label = `Escalation step ${index + 1}/${policy.steps.length}`;
+  let note;
+  if (!onCall.length) {
+    note = `${label}: nobody on call in ${group ? group.name : `group ${step.group_id}`}`;
+  } else {
+    const result = await notifications.dispatchToChannel(step.channel_id, {
+      event: 'escalation',
+      title: `${index === 0 ? (alarm.severity === 'critical' ? 'Alarm' : 'Warning') : 'Unacknowledged alarm'}: ${alarm.serial_number}`,
+      body: `${alarm.rule_name}: ${alarm.metric} ${fmtNum(alarm.raised_value)} ${alarm.operator} ${fmtNum(alarm.threshold)}, raised ${new Date(alarm.raised_at).toISOString()}`,
+      severity: alarm.severity,
+      serial_number: alarm.serial_number,
+      data: { alarm_id: alarm.id, serial_number: alarm.serial_number, rule: alarm.rule_name, severity: alarm.severity,
+        escalation_step: index + 1, group: group.name, on_call: names },
+    }, { emails: onCall.map(p => p.email).filter(Boolean), phones: onCall.map(p => p.phone).filter(Boolean) });
+    note = result.ok
+      ? `${label}: notified ${group.name} (${names}) via ${result.name}${result.error ? ` (${result.error})` : ''}`
+      : `${label}: notifying ${group.name} (${names}) failed: ${result.error}`;
+  }
+  console.log(`Alarm ${alarm.id} (${alarm.serial_number}) ${note}`);
+  return note;
+}
+
+let running = null;
+let rerun = false;
+
+/**
+ * Send the escalation steps that are due; stops escalations of acknowledged / cleared alarms and of
+ * deleted or disabled policies. Runs one at a time (a call while running queues one more pass).
+ */
+function runDueEscalations() {
+  if (running) {
+    rerun = true;
+    return running;
+  }
+  running = (async () => {
+    do {
+      rerun = false;
+      try {
+        const res = await pool.query(
+          `SELECT e.alarm_id, e.policy_id, e.next_step, a.id, a.rule_name, a.serial_number, a.metric, a.operator,
+             a.threshold::float8 AS threshold, a.severity, a.raised_at, a.raised_value::float8 AS raised_value,
+             a.acknowledged_at, a.cleared_at
+           FROM alarm_escalations e JOIN alarm_events a ON a.id = e.alarm_id
+           WHERE NOT e.done AND e.next_at <= now() ORDER BY e.next_at;`
+        );
+        for (const row of res.rows) {
+          // one failing escalation must not hold back the others
+          try {
+            const policy = getPolicy(row.policy_id);
+            const step = policy && policy.enabled ? policy.steps[row.next_step] : null;
+            if (row.acknowledged_at || row.cleared_at || !step) {
+              await pool.query('UPDATE alarm_escalations SET done = true, updated_at = now() WHERE alarm_id = $1;', [row.alarm_id]);
+              continue;
+            }
+            const window = maintenance.windowAt(row.serial_number);
+            if (window) {
+              const until = new Date(window.ends_at);
+              await pool.query('UPDATE alarm_escalations SET next_at = $2, updated_at = now() WHERE alarm_id = $1;', [row.alarm_id, until]);
+              const note = `Escalation step ${row.next_step + 1}/${policy.steps.length}: postponed to ${until.toISOString()}, station in maintenance (${window.reason})`;
+              console.log(`Alarm ${row.id} (${row.serial_number}) ${note}`);
+              await alarms.addEventComment(row.id, { by: AUTHOR, comment: note });
+              continue;
+            }
+            const note = await runStep(row, policy, step, row.next_step);
+            // advance right after sending, so a failure below does not send the step again next tick
+            const next = policy.steps[row.next_step + 1];
+            await pool.query(
+              'UPDATE alarm_escalations SET next_step = $2, next_at = $3, done = $4, updated_at = now() WHERE alarm_id = $1;',
+              [row.alarm_id, row.next_step + 1, next ? stepAt(row, next) : null, !next]
+            );
+            await alarms.addEventComment(row.id, { by: AUTHOR, comment: note });
+          } catch (err) {
+            console.error(`Error escalating alarm ${row.alarm_id}:`, err && err.message ? err.message : err);
+          }
+        }
+      } catch (err) {
+        console.error('Error running escalations:', err && err.message ? err.message : err);
+      }
+    } while (rerun);
+  })().finally(() => { running = null; });
+  return running;
+}
+
+module.exports = {
+  DAYS,
+  ONCALL_TIMEZONE,
+  initEscalation,
+  reloadEscalation,
+  onCallNow,
+  listGroups,
+  listPeople,
+  listPolicies,
+  getGroup,
+  getPerson,
+  getPolicy,
+  policiesUsing,
+  policyFor,
+  validatePersonInput,
+  validateGroupInput,
+  validateShiftInput,
+  validatePolicyInput,
+  createPerson,
+  updatePerson,
+  deletePerson,
+  createGroup,
+  updateGroup,
+  deleteGroup,
+  createShift,
+  updateShift,
+  deleteShift,
+  createPolicy,
+  updatePolicy,
+  deletePolicy,
+  startEscalation,
+  runDueEscalations,
+};
@@ -0,0 +1,208 @@
+// frozen.js — stuck-heartbeat and frozen-sensor detection. A GasFinder that hangs usually keeps being
+// published by its gateway, with LoS-HeartBeat no longer moving or the PPM reading exactly the same value.
+// For every live reading the detector tracks, per station, since when the heartbeat and the PPM (raw
+// PPM-m when known) have not changed:
+//
+// - heartbeat: unchanged for FROZEN_HEARTBEAT_SECS (default 300). Any change counts as progress, so a
+//   counter that wraps or restarts after a reboot is not stuck.
+// - ppm_flat: exactly the same PPM for FROZEN_PPM_SECS (default 3600). A PPM at or below
+//   FROZEN_PPM_BASELINE (default 0) is never flat: clean air reads a steady 0, especially with
+//   integer-only profiles. The heartbeat stays the primary signal.
+//
+// 0 turns a check off. While either check fails the sensor is frozen: an episode is stored in
+// `sensor_frozen_events` (started_at = when the value stopped changing, ended_at = the reading that moved
+// again) and the sensor_frozen alarm rule sees how long it has lasted (sensor_frozen_s, see alarms.js).
+// Open episodes survive a restart; the stuck values are compared with the first readings after it.
+const { pool } = require('./db');
+
+const FROZEN_HEARTBEAT_SECS = parseInt(process.env.FROZEN_HEARTBEAT_SECS || '300', 10);
+const FROZEN_PPM_SECS = parseInt(process.env.FROZEN_PPM_SECS || String(60 * 60), 10);
+const FROZEN_PPM_BASELINE = Number(process.env.FROZEN_PPM_BASELINE || '0');
+const EVENT_COLUMNS = `id, serial_number, reasons, started_at, detected_at, ended_at, heartbeat::float8 AS heartbeat,
+  ppm::float8 AS ppm`;
+
+// serial -> { heartbeat, heartbeatSince, ppm, ppmSince, episode, writing } (times in ms; episode: open row or null)
+const tracks = new Map();
+
+function enabled() {
+  return FROZEN_HEARTBEAT_SECS > 0 || FROZEN_PPM_SECS > 0;
+}
+
+async function ensureFrozenTable() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS sensor_frozen_events (
+      id SERIAL PRIMARY KEY,
+      serial_number TEXT NOT NULL,
+      reasons TEXT[] NOT NULL,
+      started_at TIMESTAMPTZ NOT NULL,
+      detected_at TIMESTAMPTZ NOT NULL,
+      ended_at TIMESTAMPTZ,
+      heartbeat NUMERIC,
+      ppm NUMERIC
+    );
+  `);
+  await pool.query('CREATE INDEX IF NOT EXISTS sensor_frozen_events_serial_idx ON sensor_frozen_events (serial_number, started_at);');
+  await pool.query('CREATE UNIQUE INDEX IF NOT EXISTS sensor_frozen_events_open_idx ON sensor_frozen_events (serial_number) WHERE ended_at IS NULL;');
+}
+
+async function initFrozen() {
+  try {
+    await ensureFrozenTable();
+    const res = await pool.query(`SELECT ${EVENT_COLUMNS} FROM sensor_frozen_events WHERE ended_at IS NULL;`);
+    const now = Date.now();
+    for (const ep of res.rows) {
+      const since = new Date(ep.started_at).getTime();
+      tracks.set(ep.serial_number, {
+        heartbeat: ep.heartbeat,
+        heartbeatSince: ep.reasons.includes('heartbeat') ? since : now,
+        ppm: ep.ppm,
+        ppmSince: ep.reasons.includes('ppm_flat') ? since : now,
+        episode: ep,
+      });
+    }
+  } catch (err) {
+    console.warn('Could not ensure sensor_frozen_events table exists:', err && err.message ? err.message : err);
+  }
+}
+
+function numOrNull(v) {
+  if (v === null || v === undefined || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function statusOf(serialNumber, track, now = Date.now()) {
+  const heartbeatStall = track.heartbeat === null ? null : Math.round((now - track.heartbeatSince) / 1000);
+  const ppmFlat = track.ppm === null ? null : Math.round((now - track.ppmSince) / 1000);
+  const ep = track.episode;
+  return {
+    serial_number: serialNumber,
+    frozen: !!ep,
+    reasons: ep ? ep.reasons : [],
+    since: ep ? ep.started_at : null,
+    frozen_s: ep ? Math.max(0, Math.round((now - new Date(ep.started_at).getTime()) / 1000)) : 0,
+    heartbeat: track.heartbeat,
+    heartbeat_stall_s: heartbeatStall,
+    ppm: track.ppm,
+    ppm_flat_s: ppmFlat,
+  };
+}
+
+/**
+ * Track a live reading and open, update or close the station's frozen episode.
+ *
+ * @param {string} serialNumber
+ * @param {object} los canonical reading (los_heartbeat, ppm_m / los_ppm)
+ * @param {number} at server time of the reading (ms)
+ * @returns {Promise<{status: object, changed: boolean}>} changed: the station became frozen, stopped
+ *   being frozen or its reasons changed
+ */
+async function observe(serialNumber, los, at = Date.now()) {
+  const heartbeat = numOrNull(los.los_heartbeat);
+  const ppm = numOrNull(los.ppm_m !== undefined ? los.ppm_m : los.los_ppm);
+  let track = tracks.get(serialNumber);
+  if (!track) {
+    track = { heartbeat: null, heartbeatSince: at, ppm: null, ppmSince: at, episode: null };
+    tracks.set(serialNumber, track);
+  }
+  if (heartbeat !== null && heartbeat !== track.heartbeat) {
+    track.heartbeat = heartbeat;
+    track.heartbeatSince = at;
+  }
+  if (ppm !== null && ppm !== track.ppm) {
+    track.ppm = ppm;
+    track.ppmSince = at;
+  }
+
+  const reasons = [];
+  if (FROZEN_HEARTBEAT_SECS > 0 && heartbeat !== null && at - track.heartbeatSince >= FROZEN_HEARTBEAT_SECS * 1000) reasons.push('heartbeat');
+  if (FROZEN_PPM_SECS > 0 && ppm !== null && ppm > FROZEN_PPM_BASELINE && at - track.ppmSince >= FROZEN_PPM_SECS * 1000) reasons.push('ppm_flat');
+
+  const ep = track.episode;
+  let changed = false;
+  // one episode write at a time per station; the next reading picks up what is left
+  if (track.writing) return { status: statusOf(serialNumber, track, at), changed };
+  track.writing = true;
+  try {
+    changed = await updateEpisode(serialNumber, track, ep, reasons, at);
+  } finally {
+    track.writing = false;
+  }
+  return { status: statusOf(serialNumber, track, at), changed };
+}
+
+async function updateEpisode(serialNumber, track, ep, reasons, at) {
+  if (reasons.length && !ep) {
+    const startedAt = new Date(Math.min(...reasons.map(r => (r === 'heartbeat' ? track.heartbeatSince : track.ppmSince))));
+    const res = await pool.query(
+      `INSERT INTO sensor_frozen_events (serial_number, reasons, started_at, detected_at, heartbeat, ppm)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING ${EVENT_COLUMNS};`,
+      [serialNumber, reasons, startedAt, new Date(at), track.heartbeat, track.ppm]
+    );
+    track.episode = res.rows[0];
+    return true;
+  }
+  if (!reasons.length && ep) {
+    await pool.query('UPDATE sensor_frozen_events SET ended_at = $2 WHERE id = $1;', [ep.id, new Date(at)]);
+    track.episode = null;
+    return true;
+  }
+  if (ep && reasons.join() !== ep.reasons.join()) {
+    // e.g. the PPM also went flat, or the heartbeat moved again while the PPM stays flat
+    const res = await pool.query(
+      `UPDATE sensor_frozen_events SET reasons = $2, heartbeat = $3, ppm = $4 WHERE id = $1 RETURNING ${EVENT_COLUMNS};`,
+      [ep.id, reasons, track.heartbeat, track.ppm]
+    );
+    track.episode = res.rows[0] || ep;
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Current tracking state per station (heartbeat_stall_s / ppm_flat_s: seconds since the value last
+ * changed, null when the station sends none).
+ * @param {string|null} serialNumber one station, or all tracked stations
+ */
+function currentStatus(serialNumber = null) {
+  const now = Date.now();
+  const out = [];
+  for (const [serial, track] of tracks.entries()) {
+    if (serialNumber && serial !== serialNumber) continue;
+    out.push(statusOf(serial, track, now));
+  }
+  return out;
+}
+
+/**
+ * Stored episodes, newest first.
+ * @param {{serial_number?: string, state?: 'open'|'ended', from?: string, to?: string, limit?: number}} filters
+ *   from / to keep the episodes overlapping that range
+ */
+async function listEvents({ serial_number = null, state = null, from = null, to = null, limit = 200 } = {}) {
+  const where = [];
+  const values = [];
+  if (serial_number) { values.push(serial_number); where.push(`serial_number = $${values.length}`); }
+  if (state === 'open') where.push('ended_at IS NULL');
+  if (state === 'ended') where.push('ended_at IS NOT NULL');
+  if (from) { values.push(new Date(from)); where.push(`(ended_at IS NULL OR ended_at > $${values.length})`); }
+  if (to) { values.push(new Date(to)); where.push(`started_at < $${values.length}`); }
+  values.push(limit);
+  const res = await pool.query(
+    `SELECT ${EVENT_COLUMNS} FROM sensor_frozen_events ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+     ORDER BY started_at DESC, id DESC LIMIT $${values.length};`,
+    values
+  );
+  return res.rows;
+}
+
+module.exports = {
+  FROZEN_HEARTBEAT_SECS,
+  FROZEN_PPM_SECS,
+  FROZEN_PPM_BASELINE,
+  enabled,
+  initFrozen,
+  observe,
+  currentStatus,
+  listEvents,
+};
@@ -0,0 +1,314 @@
+// ingest.js — in-memory write queues for MQTT ingestion.
+// Rows are pushed by the message handler and written by a flush function in multi-row batches,
+// when INGEST_BATCH_SIZE rows are queued or INGEST_FLUSH_MS after the first queued row, whichever
+// comes first. At most one flush per queue runs at a time. Queues are bounded by INGEST_MAX_QUEUE,
+// and above INGEST_HIGH_WATER_PCT of the bound the queue reports backpressure.
+//
+// With a spool (spool.js), a failed batch and everything queued behind it is appended to the on-disk
+// spool, as are rows past INGEST_MAX_QUEUE. While the spool holds rows, new rows are appended behind
+// them, and the spool is written back oldest first (retried every INGEST_RETRY_MS) so the write order
+// is kept. Without a spool a failed batch stays in memory and is retried, and rows past
+// INGEST_MAX_QUEUE are dropped (counted in the metrics).
+//
+// A batch refused for its data (SQLSTATE class 22 / 23, e.g. a timestamp out of range or a constraint)
+// would fail the same way on every retry and hold back everything behind it. It is written again row by
+// row instead; the rows that still fail are dead-lettered (spool.deadLetter, or dropped with an error
+// log without a spool), counted in `dead_lettered`, and the queue moves on past them.
+
+const INGEST_BATCH_SIZE = parseInt(process.env.INGEST_BATCH_SIZE || '200', 10);
+const INGEST_FLUSH_MS = parseInt(process.env.INGEST_FLUSH_MS || '1000', 10);
+const INGEST_MAX_QUEUE = parseInt(process.env.INGEST_MAX_QUEUE || '50000', 10);
+const INGEST_HIGH_WATER_PCT = parseInt(process.env.INGEST_HIGH_WATER_PCT || '80', 10);
+const INGEST_RETRY_MS = parseInt(process.env.INGEST_RETRY_MS || '5000', 10);
+
+const queues = [];
+
+// Errors caused by the rows themselves rather than by the connection or the server
+function isDataError(err) {
+  const code = err && typeof err.code === 'string' ? err.code : '';
+  return code.startsWith('22') || code.startsWith('23') || err instanceof RangeError;
+}
+
+/**
+ * Create a batched write queue.
+ *
+ * @param {string} name used in logs and metrics
+ * @param {(items: Array) => Promise<void>} flushFn writes one batch; throws to have it retried.
+ *   Batches may be written again after a crash or a lost acknowledgement, so it must be idempotent.
+ * @param {{batchSize?: number, flushMs?: number, maxDepth?: number, spool?: object,
+ *   encode?: Function, decode?: Function}} opts encode/decode convert items to and from JSON-safe
+ *   values for the spool (default: as is)
+ * @returns {{push: Function, flush: Function, drain: Function, spoolPending: Function, metrics: Function}}
+ */
+function createWriteQueue(name, flushFn, opts = {}) {
+  const batchSize = opts.batchSize || INGEST_BATCH_SIZE;
+  const flushMs = opts.flushMs || INGEST_FLUSH_MS;
+  const maxDepth = opts.maxDepth || INGEST_MAX_QUEUE;
+  const highWater = Math.max(1, Math.floor(maxDepth * INGEST_HIGH_WATER_PCT / 100));
+  const spool = opts.spool || null;
+  const encode = opts.encode || (item => item);
+  const decode = opts.decode || (item => item);
+
+  let items = []; // { item, queuedAt }
+  let timer = null;
+  let flushing = null;
+  let retryAfter = 0;
+  let warnedHighWater = false;
+  const stats = {
+    enqueued: 0,
+    written: 0,
+    dropped: 0,
+    batches: 0,
+    failed_batches: 0,
+    spooled: 0,
+    spool_written: 0,
+    dead_lettered: 0,
+    max_depth_seen: 0,
+    last_flush_at: null,
+    last_flush_ms: null,
+    last_batch_size: null,
+    last_error: null,
+  };
+
+  function schedule(delay) {
+    if (timer) return;
+    timer = setTimeout(() => {
+      timer = null;
+      flush();
+    }, delay);
+  }
+
+  // Move everything queued in memory to the spool (in order). Returns false if there is no spool
+  // or the disk write failed (rows then stay in memory).
+  function spoolPending() {
+    if (!spool || !items.length) return false;
+    try {
+      spool.append(items.map(e => ({ queuedAt: e.queuedAt, item: encode(e.item) })));
+    } catch (err) {
+      console.error(`Ingest queue ${name} spool write error:`, err && err.message ? err.message : err);
+      return false;
+    }
+    stats.spooled += items.length;
+    items = [];
+    return true;
+  }
+
+  function push(item) {
+    items.push({ item, queuedAt: Date.now() });
+    stats.enqueued++;
+    if (items.length > maxDepth && !spoolPending()) {
+      const over = items.length - maxDepth;
+      items.splice(0, over);
+      stats.dropped += over;
+      console.warn(`Ingest queue ${name} full (${maxDepth}); dropped ${over} oldest row(s)`);
+    }
+    if (items.length > stats.max_depth_seen) stats.max_depth_seen = items.length;
+    if (items.length >= highWater && !warnedHighWater) {
+      warnedHighWater = true;
+      console.warn(`Ingest queue ${name} above high water mark: ${items.length}/${maxDepth}`);
+    }
+    if (items.length >= batchSize && Date.now() >= retryAfter) flush();
+    else schedule(Math.max(flushMs, retryAfter - Date.now()));
+  }
+
+  function failed(err) {
+    stats.failed_batches++;
+    stats.last_error = err && err.message ? err.message : String(err);
+    console.error(`Ingest queue ${name} flush error:`, stats.last_error);
+    if (spoolPending()) console.warn(`Ingest queue ${name}: spooled queued rows to disk (${JSON.stringify(spool.status())})`);
+    retryAfter = Date.now() + INGEST_RETRY_MS;
+    schedule(INGEST_RETRY_MS);
+  }
+
+  function written(count, started) {
+    stats.written += count;
+    stats.batches++;
+    stats.last_flush_at = new Date().toISOString();
+    stats.last_flush_ms = Date.now() - started;
+    stats.last_batch_size = count;
+    retryAfter = 0;
+  }
+
+  // Keep a row the database refuses; entry is { item (encoded), queuedAt }
+  function deadLetter(entry, err) {
+    const error = err && err.message ? err.message : String(err);
+    stats.dead_lettered++;
+    stats.last_error = error;
+    if (spool) {
+      try {
+        spool.deadLetter(entry, error);
+        console.warn(`Ingest queue ${name}: row refused (${error}); moved to ${spool.status().dead_letter_file}`);
+        return;
+      } catch (e) {
+        console.error(`Ingest queue ${name} dead-letter write error:`, e && e.message ? e.message : e);
+      }
+    }
+    console.error(`Ingest queue ${name}: dropped a row the database refused (${error}):`, JSON.stringify(entry.item).slice(0, 500));
+  }
+
+  // Write one row; a data error dead-letters it, any other error is thrown (the row is retried later)
+  async function writeRow(item, entry) {
+    try {
+      await flushFn([item]);
+      return true;
+    } catch (err) {
+      if (!isDataError(err)) throw err;
+      deadLetter(entry, err);
+      return false;
+    }
+  }
+
+  // After a data error: write the oldest `lines` spool lines one at a time, committing each.
+  // Returns false if a row failed for another reason.
+  async function writeSpoolRows(lines) {
+    let left = lines;
+    while (left > 0 && !spool.isEmpty()) {
+      const one = spool.readBatch(1);
+      if (!one.lines) break;
+      const started = Date.now();
+      let ok = false;
+      if (one.entries.length) {
+        try {
+          ok = await writeRow(decode(one.entries[0].item), one.entries[0]);
+        } catch (err) {
+          failed(err);
+          return false;
+        }
+      }
+      spool.commit(one.nextOffset, one.lines);
+      if (ok) {
+        stats.spool_written++;
+        written(1, started);
+      }
+      left -= one.lines;
+    }
+    return true;
+  }
+
+  // Write the spool back, oldest first. Returns false if a batch failed.
+  async function writeSpool() {
+    while (!spool.isEmpty()) {
+      const { entries, nextOffset, lines } = spool.readBatch(batchSize);
+      if (!lines) break;
+      const started = Date.now();
+      if (entries.length) {
+        try {
+          await flushFn(entries.map(e => decode(e.item)));
+        } catch (err) {
+          if (!isDataError(err)) {
+            failed(err);
+            return false;
+          }
+          if (!(await writeSpoolRows(lines))) return false;
+          continue;
+        }
+      }
+      spool.commit(nextOffset, lines);
+      stats.spool_written += entries.length;
+      written(entries.length, started);
+      if (spool.isEmpty()) console.log(`Ingest queue ${name}: spool drained`);
+    }
+    return true;
+  }
+
+  async function writeBatches() {
+    // rows already on disk are older than anything in memory: queue behind them
+    if (spool && !spool.isEmpty()) {
+      spoolPending();
+      if (!(await writeSpool())) return false;
+    }
+    while (items.length) {
+      const batch = items.slice(0, batchSize);
+      const started = Date.now();
+      try {
+        await flushFn(batch.map(b => b.item));
+      } catch (err) {
+        if (!isDataError(err)) {
+          failed(err);
+          return false;
+        }
+        // one row at a time; rows done (written or dead-lettered) leave the queue right away
+        for (const e of batch) {
+          const rowStarted = Date.now();
+          let ok;
+          try {
+            ok = await writeRow(e.item, { item: encode(e.item), queuedAt: e.queuedAt });
+          } catch (rowErr) {
+            failed(rowErr);
+            return false;
+          }
+          items = items.filter(x => x !== e);
+          if (ok) written(1, rowStarted);
+        }
+        continue;
+      }
+      // rows may have been spooled or dropped while the batch was in flight; remove exactly what was written
+      const done = new Set(batch);
+      items = items.filter(e => !done.has(e));
+      written(batch.length, started);
+      if (spool && !spool.isEmpty()) {
+        spoolPending();
+        if (!(await writeSpool())) return false;
+      }
+    }
+    if (warnedHighWater && items.length < highWater) {
+      warnedHighWater = false;
+      console.log(`Ingest queue ${name} back below high water mark`);
+    }
+    return true;
+  }
+
+  // Write everything queued now. Resolves true once the queue is empty, false if a batch failed
+  // (the rows stay queued or spooled and are retried).
+  function flush() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    if (!flushing) {
+      flushing = writeBatches().finally(() => { flushing = null; });
+    }
+    return flushing;
+  }
+
+  // Wait for an in-flight flush, then write what is left (used on shutdown)
+  async function drain() {
+    if (flushing) await flushing;
+    return flush();
+  }
+
+  function metrics() {
+    return Object.assign({
+      name,
+      depth: items.length,
+      max_depth: maxDepth,
+      high_water: highWater,
+      backpressure: items.length >= highWater,
+      oldest_age_ms: items.length ? Date.now() - items[0].queuedAt : 0,
+      batch_size: batchSize,
+      flush_ms: flushMs,
+      flushing: !!flushing,
+      spool: spool ? spool.status() : null,
+    }, stats);
+  }
+
+  // rows left on disk by a previous run are written once the queue is up
+  if (spool && !spool.isEmpty()) {
+    console.log(`Ingest queue ${name}: ${spool.status().entries} spooled row(s) to write`);
+    schedule(flushMs);
+  }
+
+  const queue = { push, flush, drain, spoolPending, metrics };
+  queues.push(queue);
+  return queue;
+}
+
+// Metrics of every queue created in this process
+function queueMetrics() {
+  return queues.map(q => q.metrics());
+}
+
+module.exports = {
+  createWriteQueue,
+  queueMetrics,
+};
@@ -0,0 +1,233 @@
+// maintenance.js — maintenance windows per station (`maintenance_windows`): starts_at, ends_at, reason and
+// created_by. A window is scheduled ahead or ad hoc (starting now, ended early with endWindow()).
+//
+// While a window is active, alarms of the station are still evaluated and stored and its readings are
+// still recorded, but no notification is sent and escalation steps that fall due are postponed to the end
+// of the window (server.js, escalation.js).
+// Readings are tagged with the window they fall in when queried (windowAt), so a window added or changed
+// afterwards also tags the readings already stored.
+//
+// All windows are kept in memory (a few per station and week); reloadMaintenance() after every change.
+const { pool } = require('./db');
+
+const REASON_MAX = 500;
+const CREATOR_MAX = 100;
+const MAX_WINDOW_DAYS = 31;
+const WINDOW_COLUMNS = 'id, serial_number, starts_at, ends_at, reason, created_by, created_at, updated_at';
+
+let windows = []; // rows of maintenance_windows, by starts_at
+
+async function ensureMaintenanceTable() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS maintenance_windows (
+      id SERIAL PRIMARY KEY,
+      serial_number TEXT NOT NULL,
+      starts_at TIMESTAMPTZ NOT NULL,
+      ends_at TIMESTAMPTZ NOT NULL,
+      reason TEXT NOT NULL,
+      created_by TEXT NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT now(),
+      updated_at TIMESTAMPTZ DEFAULT now(),
+      CHECK (ends_at > starts_at)
+    );
+  `);
+  await pool.query('CREATE INDEX IF NOT EXISTS maintenance_windows_serial_idx ON maintenance_windows (serial_number, starts_at);');
+}
+
+async function reloadMaintenance() {
+  try {
+    const res = await pool.query(`SELECT ${WINDOW_COLUMNS} FROM maintenance_windows ORDER BY starts_at, id;`);
+    windows = res.rows;
+  } catch (err) {
+    console.error('Error loading maintenance windows:', err && err.message ? err.message : err);
+  }
+}
+
+async function initMaintenance() {
+  try {
+    await ensureMaintenanceTable();
+  } catch (err) {
+    console.warn('Could not ensure maintenance_windows table exists:', err && err.message ? err.message : err);
+  }
+  await reloadMaintenance();
+}
+
+function covers(w, t) {
+  return new Date(w.starts_at).getTime() <= t && t < new Date(w.ends_at).getTime();
+}
+
+/**
+ * Maintenance window of a station at a time (the one started last when several overlap).
+ * @param {string} serialNumber
+ * @param {Date|string|number} at default now
+ * @returns {object|null} maintenance_windows row
+ */
+function windowAt(serialNumber, at = new Date()) {
+  if (!serialNumber) return null;
+  const t = new Date(at).getTime();
+  if (Number.isNaN(t)) return null;
+  let found = null;
+  for (const w of windows) {
+    if (w.serial_number === serialNumber && covers(w, t)) found = w;
+  }
+  return found;
+}
+
+function inMaintenance(serialNumber, at = new Date()) {
+  return windowAt(serialNumber, at) !== null;
+}
+
+function windowState(w, now = Date.now()) {
+  if (new Date(w.ends_at).getTime() <= now) return 'ended';
+  return new Date(w.starts_at).getTime() <= now ? 'active' : 'scheduled';
+}
+
+/**
+ * Windows with their state ('scheduled' | 'active' | 'ended'), newest start first.
+ * @param {{serial_number?: string, state?: string, from?: string, to?: string, limit?: number}} filters
+ *   from / to keep the windows overlapping that range
+ */
+function listWindows({ serial_number = null, state = null, from = null, to = null, limit = 200 } = {}) {
+  const now = Date.now();
+  const fromT = from ? new Date(from).getTime() : null;
+  const toT = to ? new Date(to).getTime() : null;
+  return windows
+    .filter(w => !serial_number || w.serial_number === serial_number)
+    .filter(w => fromT === null || new Date(w.ends_at).getTime() > fromT)
+    .filter(w => toT === null || new Date(w.starts_at).getTime() < toT)
+    .map(w => Object.assign({}, w, { state: windowState(w, now) }))
+    .filter(w => !state || w.state === state)
+    .reverse()
+    .slice(0, limit);
+}
+
+function getWindow(id) {
+  const w = windows.find(x => x.id === Number(id));
+  return w ? Object.assign({}, w, { state: windowState(w) }) : null;
+}
+
+function parseTime(v) {
+  if (typeof v !== 'string' && typeof v !== 'number') return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * Validate a window body from the API. On create, starts_at defaults to now and the end is ends_at or
+ * duration_min minutes after the start.
+ *
+ * @param {object} body { serial_number, starts_at, ends_at, duration_min, reason, created_by }
+ * @param {{partial?: boolean, current?: object}} opts partial=true for updates of `current`
+ *   (serial_number and created_by cannot change)
+ * @returns {{value?: object, error?: string}}
+ */
+function validateWindowInput(body, { partial = false, current = null } = {}) {
+  const b = body && typeof body === 'object' ? body : {};
+  const value = {};
+
+  if (!partial) {
+    if (typeof b.serial_number !== 'string' || !b.serial_number.trim()) return { error: 'serial_number is required' };
+    value.serial_number = b.serial_number.trim();
+    if (typeof b.created_by !== 'string' || !b.created_by.trim() || b.created_by.length > CREATOR_MAX) {
+      return { error: `created_by is required (at most ${CREATOR_MAX} characters)` };
+    }
+    value.created_by = b.created_by.trim();
+  } else if (b.serial_number !== undefined || b.created_by !== undefined) {
+    return { error: 'serial_number and created_by cannot be changed' };
+  }
+
+  if (b.reason !== undefined || !partial) {
+    if (typeof b.reason !== 'string' || !b.reason.trim() || b.reason.length > REASON_MAX) {
+      return { error: `reason is required (at most ${REASON_MAX} characters)` };
+    }
+    value.reason = b.reason.trim();
+  }
+
+  if (b.starts_at !== undefined && b.starts_at !== null) {
+    const d = parseTime(b.starts_at);
+    if (!d) return { error: 'starts_at must be a date' };
+    value.starts_at = d;
+  } else if (!partial) {
+    value.starts_at = new Date();
+  }
+  const start = value.starts_at || (current ? new Date(current.starts_at) : null);
+
+  if (b.ends_at !== undefined && b.duration_min !== undefined) return { error: 'give either ends_at or duration_min' };
+  if (b.ends_at !== undefined) {
+    const d = parseTime(b.ends_at);
+    if (!d) return { error: 'ends_at must be a date' };
+    value.ends_at = d;
+  } else if (b.duration_min !== undefined) {
+    if (!Number.isInteger(b.duration_min) || b.duration_min <= 0) return { error: 'duration_min must be a positive integer' };
+    value.ends_at = new Date(start.getTime() + b.duration_min * 60 * 1000);
+  } else if (!partial) {
+    return { error: 'ends_at or duration_min is required' };
+  }
+  const end = value.ends_at || (current ? new Date(current.ends_at) : null);
+
+  if (start && end) {
+    if (end <= start) return { error: 'ends_at must be after starts_at' };
+    if (end - start > MAX_WINDOW_DAYS * 24 * 3600 * 1000) return { error: `a window lasts at most ${MAX_WINDOW_DAYS} days` };
+  }
+  if (partial && !Object.keys(value).length) return { error: 'nothing to update (starts_at, ends_at, duration_min, reason)' };
+  return { value };
+}
+
+async function createWindow(value) {
+  const res = await pool.query(
+    `INSERT INTO maintenance_windows (serial_number, starts_at, ends_at, reason, created_by)
+     VALUES ($1, $2, $3, $4, $5) RETURNING id;`,
+    [value.serial_number, value.starts_at, value.ends_at, value.reason, value.created_by]
+  );
+  await reloadMaintenance();
+  return getWindow(res.rows[0].id);
+}
+
+async function updateWindow(id, value) {
+  const sets = [];
+  const values = [];
+  let idx = 1;
+  for (const k of ['starts_at', 'ends_at', 'reason']) {
+    if (value[k] !== undefined) { sets.push(`${k} = $${idx++}`); values.push(value[k]); }
+  }
+  sets.push('updated_at = now()');
+  values.push(Number(id));
+  const res = await pool.query(`UPDATE maintenance_windows SET ${sets.join(', ')} WHERE id = $${idx};`, values);
+  await reloadMaintenance();
+  return res.rowCount ? getWindow(id) : null;
+}
+
+/**
+ * End an active window now.
+ * @returns {Promise<{window?: object, error?: 'not_found'|'not_active'}>}
+ */
+async function endWindow(id) {
+  const res = await pool.query(
+    `UPDATE maintenance_windows SET ends_at = now(), updated_at = now()
+     WHERE id = $1 AND starts_at <= now() AND ends_at > now();`,
+    [Number(id)]
+  );
+  await reloadMaintenance();
+  if (!res.rowCount) return { error: getWindow(id) ? 'not_active' : 'not_found' };
+  return { window: getWindow(id) };
+}
+
+async function deleteWindow(id) {
+  const res = await pool.query('DELETE FROM maintenance_windows WHERE id = $1;', [Number(id)]);
+  await reloadMaintenance();
+  return res.rowCount > 0;
+}
+
+module.exports = {
+  initMaintenance,
+  reloadMaintenance,
+  windowAt,
+  inMaintenance,
+  listWindows,
+  getWindow,
+  validateWindowInput,
+  createWindow,
+  updateWindow,
+  endWindow,
+  deleteWindow,
+};
@@ -0,0 +1,600 @@
+// notifications.js — notification channels and routing.
+// Channels live in `notification_channels` (name, type, enabled, config JSONB); each type below knows
+// how to validate its config and send a message:
+//  - fcm:     Firebase push to the mobile devices subscribed to the station and severity (sender
+//             injected with setPushSender)
+//  - email:   SMTP via nodemailer { host, port, secure, user, password, from, to }
+//  - webhook: JSON POST { url, secret, headers }; with a secret the body is signed with HMAC-SHA256 in
+//             X-Boreal-Signature (`sha256=<hex>` of `<X-Boreal-Timestamp>.<body>`)
+//  - sms:     HTTP request to an SMS gateway built from a template { url, method, headers, body,
+//             content_type, to }; {{to}} {{title}} {{message}} {{serial_number}} {{severity}} are
+//             replaced (escaped for the URL / body content type), one request per recipient
+// Routes in `notification_routes` map a severity (null = any) and station (null = any) to a channel;
+// a message goes to every enabled channel with at least one enabled matching route.
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { pool } = require('./db');
+const { SEVERITIES } = require('./alarms');
+
+const CHANNEL_TYPES = ['fcm', 'email', 'webhook', 'sms'];
+const NOTIFY_HTTP_TIMEOUT_MS = parseInt(process.env.NOTIFY_HTTP_TIMEOUT_MS || '10000', 10);
+const REDACTED = '********';
+const SECRET_KEYS = ['password', 'secret'];
+const SECRET_HEADER_RE = /authorization|token|key|secret/i;
+// query parameters of a url and fields of an sms body template whose value is a credential
+const SECRET_PARAM_RE = /key|token|secret|pass|pwd|auth|signature/i;
+// `name=value`, `name: value`, `"name": "value"` (quoted values are taken whole)
+const BODY_FIELD_RE = /([A-Za-z0-9_.-]+)(["']?\s*[:=]\s*)(?:(["'])([^"']*)\3|([^"'&,;\s}]+))/g;
+const PLACEHOLDERS = ['to', 'title', 'message', 'serial_number', 'severity'];
+
+const CHANNEL_COLUMNS = 'id, name, type, enabled, config, updated_at';
+const ROUTE_COLUMNS = 'id, channel_id, severity, serial_number, enabled, updated_at';
+
+let channels = []; // rows of notification_channels
+let routes = []; // rows of notification_routes
+let pushSender = null; // async (title, body, data, { serial_number, severity }) => void
+
+function setPushSender(fn) {
+  pushSender = fn;
+}
+
+// --- config validation ---
+function isNonEmptyString(v) {
+  return typeof v === 'string' && v.trim() !== '';
+}
+
+function recipientList(v) {
+  const list = Array.isArray(v) ? v : String(v || '').split(',');
+  return list.map(x => String(x).trim()).filter(Boolean);
+}
+
+function validateHeaders(headers) {
+  if (headers === undefined || headers === null) return { value: {} };
+  if (typeof headers !== 'object' || Array.isArray(headers)) return { error: 'headers must be an object' };
+  for (const [k, v] of Object.entries(headers)) {
+    if (!/^[A-Za-z0-9-]+$/.test(k) || typeof v !== 'string') return { error: `invalid header ${k}` };
+  }
+  return { value: headers };
+}
+
+function validateHttpUrl(url, name) {
+  if (!isNonEmptyString(url)) return `${name} is required`;
+  // placeholders are allowed in the sms url; check the url with them blanked out
+  try {
+    const u = new URL(url.replace(/\{\{\w+\}\}/g, 'x'));
+    if (u.protocol !== 'http:' && u.protocol !== 'https:') return `${name} must be an http(s) URL`;
+  } catch (e) {
+    return `${name} must be an http(s) URL`;
+  }
+  return null;
+}
+
+const CONFIG_VALIDATORS = {
+  fcm() {
+    return { value: {} };
+  },
+  email(c) {
+    if (!isNonEmptyString(c.host)) return { error: 'config.host is required' };
+    const port = c.port === undefined || c.port === null ? 25 : Number(c.port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) return { error: 'config.port must be a port number' };
+    if (!isNonEmptyString(c.from)) return { error: 'config.from is required' };
+    const to = recipientList(c.to);
+    if (!to.length || to.some(a => !/^[^\s@]+@[^\s@]+$/.test(a))) return { error: 'config.to must list e-mail addresses' };
+    for (const k of ['user', 'password']) {
+      if (c[k] !== undefined && c[k] !== null && typeof c[k] !== 'string') return { error: `config.${k} must be a string` };
+    }
+    return { value: { host: c.host.trim(), port, secure: c.secure === true, user: c.user || null, password: c.password || null, from: c.from.trim(), to } };
+  },
+  webhook(c) {
+    const urlError = validateHttpUrl(c.url, 'config.url');
+    if (urlError) return { error: urlError };
+    if (c.secret !== undefined && c.secret !== null && typeof c.secret !== 'string') return { error: 'config.secret must be a string' };
+    const headers = validateHeaders(c.headers);
+    if (headers.error) return { error: `config.${headers.error}` };
+    return { value: { url: c.url.trim(), secret: c.secret || null, headers: headers.value } };
+  },
+  sms(c) {
+    const urlError = validateHttpUrl(c.url, 'config.url');
+    if (urlError) return { error: urlError };
+    const method = String(c.method || 'POST').toUpperCase();
+    if (!['GET', 'POST', 'PUT'].includes(method)) return { error: 'config.method must be GET, POST or PUT' };
+    if (c.body !== undefined && c.body !== null && typeof c.body !== 'string') return { error: 'config.body must be a template string' };
+    const headers = validateHeaders(c.headers);
+    if (headers.error) return { error: `config.${headers.error}` };
+    const to = recipientList(c.to);
+    if (!to.length) return { error: 'config.to must list phone numbers' };
+    const contentType = c.content_type ? String(c.content_type) : 'application/json';
+    return { value: { url: c.url.trim(), method, headers: headers.value, body: c.body || null, content_type: contentType, to } };
+  },
+};
+
+// Replace the credentials in a url (userinfo password, secret-looking query parameters) with
+// fn(name, value); placeholder values ({{to}}) are left alone
+function mapUrlSecrets(url, fn) {
+  if (typeof url !== 'string') return url;
+  const out = url.replace(/^([a-z][a-z0-9+.-]*:\/\/[^:/@?#]+:)([^@/?#]+)@/i, (m, head, pw) => `${head}${fn('@password', pw)}@`);
+  const q = out.indexOf('?');
+  if (q < 0) return out;
+  const params = out.slice(q + 1).split('&').map((part) => {
+    const eq = part.indexOf('=');
+    if (eq < 0) return part;
+    const name = part.slice(0, eq);
+    const v = part.slice(eq + 1);
+    return SECRET_PARAM_RE.test(name) && v && !v.startsWith('{{') ? `${name}=${fn(name, v)}` : part;
+  });
+  return `${out.slice(0, q + 1)}${params.join('&')}`;
+}
+
+// Same for the secret-looking fields of a body template (JSON or form)
+function mapBodySecrets(body, fn) {
+  if (typeof body !== 'string') return body;
+  return body.replace(BODY_FIELD_RE, (m, name, sep, quote, quoted, bare) => {
+    const v = quote ? quoted : bare;
+    if (!SECRET_PARAM_RE.test(name) || !v || v.startsWith('{{')) return m;
+    return quote ? `${name}${sep}${quote}${fn(name, v)}${quote}` : `${name}${sep}${fn(name, v)}`;
+  });
+}
+
+// name -> value of the credentials found by mapUrlSecrets / mapBodySecrets
+function collectSecrets(map, text) {
+  const found = new Map();
+  map(text, (name, v) => {
+    found.set(name, v);
+    return v;
+  });
+  return found;
+}
+
+// Config as shown by the API: secrets replaced by REDACTED (also inside the url and the sms body)
+function redactConfig(config) {
+  const out = Object.assign({}, config || {});
+  for (const k of SECRET_KEYS) if (out[k]) out[k] = REDACTED;
+  if (out.headers && typeof out.headers === 'object') {
+    out.headers = Object.assign({}, out.headers);
+    for (const k of Object.keys(out.headers)) if (SECRET_HEADER_RE.test(k)) out.headers[k] = REDACTED;
+  }
+  if (out.url) out.url = mapUrlSecrets(out.url, () => REDACTED);
+  if (out.body) out.body = mapBodySecrets(out.body, () => REDACTED);
+  return out;
+}
+
+// A config sent back with REDACTED values keeps the stored secrets
+function restoreSecrets(config, stored) {
+  const out = Object.assign({}, config);
+  const prev = stored || {};
+  for (const k of SECRET_KEYS) if (out[k] === REDACTED) out[k] = prev[k];
+  if (out.headers && typeof out.headers === 'object') {
+    out.headers = Object.assign({}, out.headers);
+    for (const [k, v] of Object.entries(out.headers)) {
+      if (v === REDACTED) out.headers[k] = prev.headers && prev.headers[k];
+    }
+  }
+  for (const [field, map] of [['url', mapUrlSecrets], ['body', mapBodySecrets]]) {
+    if (typeof out[field] !== 'string' || !out[field].includes(REDACTED)) continue;
+    const kept = collectSecrets(map, prev[field]);
+    out[field] = map(out[field], (name, v) => (v === REDACTED && kept.has(name) ? kept.get(name) : v));
+  }
+  return out;
+}
+
+// --- senders ---
+function renderTemplate(template, vars, escape) {
+  return String(template || '').replace(/\{\{(\w+)\}\}/g, (m, name) => {
+    if (!PLACEHOLDERS.includes(name)) return m;
+    const v = vars[name] === undefined || vars[name] === null ? '' : String(vars[name]);
+    return escape(v);
+  });
+}
+
+function bodyEscaper(contentType) {
+  if (/json/i.test(contentType)) return v => JSON.stringify(v).slice(1, -1);
+  if (/x-www-form-urlencoded/i.test(contentType)) return encodeURIComponent;
+  return v => v;
+}
+
+async function httpRequest(url, options) {
+  const res = await fetch(url, Object.assign({ signal: AbortSignal.timeout(NOTIFY_HTTP_TIMEOUT_MS) }, options));
+  if (!res.ok) {
+    const text = await res.text().catch(() => '');
+    throw new Error(`HTTP ${res.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+  }
+  return res.status;
+}
+
+function messageText(msg) {
+  return msg.serial_number ? `${msg.body} (station ${msg.serial_number})` : msg.body;
+}
+
+const SENDERS = {
+  async fcm(config, msg) {
+    if (!pushSender) throw new Error('push notifications are not configured');
+    const data = {};
+    for (const [k, v] of Object.entries(msg.data || {})) if (v !== null && v !== undefined) data[k] = String(v);
+    await pushSender(msg.title, msg.body, data, { serial_number: msg.serial_number || null, severity: msg.severity || null });
+  },
+  async email(config, msg) {
+    const transport = nodemailer.createTransport({
+      host: config.host,
+      port: config.port,
+      secure: config.secure,
+      auth: config.user ? { user: config.user, pass: config.password || '' } : undefined,
+      connectionTimeout: NOTIFY_HTTP_TIMEOUT_MS,
+      greetingTimeout: NOTIFY_HTTP_TIMEOUT_MS,
+      socketTimeout: NOTIFY_HTTP_TIMEOUT_MS,
+    });
+    try {
+      const details = Object.entries(msg.data || {}).filter(([, v]) => v !== null && v !== undefined).map(([k, v]) => `${k}: ${v}`);
+      await transport.sendMail({
+        from: config.from,
+        to: config.to.join(', '),
+        subject: msg.title,
+        text: [messageText(msg), '', ...details].join('\n'),
+      });
+    } finally {
+      transport.close();
+    }
+  },
+  async webhook(config, msg) {
+    const body = JSON.stringify({
+      event: msg.event || 'alarm',
+      title: msg.title,
+      message: msg.body,
+      severity: msg.severity || null,
+      serial_number: msg.serial_number || null,
+      data: msg.data || {},
+      sent_at: new Date().toISOString(),
+    });
+    const headers = Object.assign({}, config.headers, { 'Content-Type': 'application/json' });
+    if (config.secret) {
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      headers['X-Boreal-Timestamp'] = timestamp;
+      headers['X-Boreal-Signature'] = 'sha256=' + crypto.createHmac('sha256', config.secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+    await httpRequest(config.url, { method: 'POST', headers, body });
+  },
+  // each recipient is sent separately: fails only when every send failed, otherwise reports the
+  // numbers that failed as { error }
+  async sms(config, msg) {
+    const escapeBody = bodyEscaper(config.content_type);
+    const failed = [];
+    for (const to of config.to) {
+      const vars = { to, title: msg.title, message: messageText(msg), serial_number: msg.serial_number, severity: msg.severity };
+      const options = { method: config.method, headers: Object.assign({}, config.headers) };
+      if (config.method !== 'GET' && config.body) {
+        options.headers['Content-Type'] = config.content_type;
+        options.body = renderTemplate(config.body, vars, escapeBody);
+      }
+      try {
+        await httpRequest(renderTemplate(config.url, vars, encodeURIComponent), options);
+      } catch (err) {
+        failed.push(`${to}: ${err && err.message ? err.message : err}`);
+      }
+    }
+    if (!failed.length) return null;
+    const error = `failed for ${failed.length} of ${config.to.length} recipient(s): ${failed.join('; ')}`;
+    if (failed.length === config.to.length) throw new Error(error);
+    return { error };
+  },
+};
+
+// --- routing and dispatch ---
+function routeMatches(route, severity, serialNumber) {
+  if (!route.enabled) return false;
+  if (route.severity && route.severity !== severity) return false;
+  if (route.serial_number && route.serial_number !== serialNumber) return false;
+  return true;
+}
+
+/**
+ * Enabled channels with an enabled route for this severity and station.
+ * @param {string|null} severity
+ * @param {string|null} serialNumber
+ * @returns {Array<object>} channel rows
+ */
+function channelsFor(severity, serialNumber) {
+  const ids = new Set(routes.filter(r => routeMatches(r, severity, serialNumber)).map(r => r.channel_id));
+  return channels.filter(c => c.enabled && ids.has(c.id));
+}
+
+// Config with `to` replaced by explicit recipients (email: addresses, sms: phone numbers); fcm and
+// webhook channels are not addressed to people and send as configured
+function configFor(channel, recipients) {
+  const config = channel.config || {};
+  if (!recipients) return config;
+  if (channel.type === 'email' || channel.type === 'sms') {
+    const to = (channel.type === 'email' ? recipients.emails : recipients.phones) || [];
+    if (!to.length) throw new Error(`no recipient with ${channel.type === 'email' ? 'an e-mail address' : 'a phone number'}`);
+    return Object.assign({}, config, { to });
+  }
+  return config;
+}
+
+async function sendToChannel(channel, msg, recipients = null) {
+  try {
+    const partial = await SENDERS[channel.type](configFor(channel, recipients), msg);
+    const result = { channel_id: channel.id, name: channel.name, type: channel.type, ok: true };
+    if (partial && partial.error) {
+      console.error(`Notification channel ${channel.name} (${channel.type}) partly failed:`, partial.error);
+      result.error = partial.error;
+    }
+    return result;
+  } catch (err) {
+    const error = err && err.message ? err.message : String(err);
+    console.error(`Notification channel ${channel.name} (${channel.type}) error:`, error);
+    return { channel_id: channel.id, name: channel.name, type: channel.type, ok: false, error };
+  }
+}
+
+/**
+ * Send a message to the channels routed for its severity and station.
+ *
+ * @param {{title: string, body: string, severity?: string|null, serial_number?: string|null,
+ *   event?: string, data?: object}} msg
+ * @returns {Promise<Array<{channel_id: number, name: string, type: string, ok: boolean, error?: string}>>}
+ *   ok with an error when only some recipients of an sms channel failed
+ */
+async function dispatch(msg) {
+  const targets = channelsFor(msg.severity || null, msg.serial_number || null);
+  if (!targets.length) {
+    console.log(`No notification channel routed for ${msg.severity || 'any'} / ${msg.serial_number || 'any station'} — skipping.`);
+    return [];
+  }
+  return Promise.all(targets.map(c => sendToChannel(c, msg)));
+}
+
+/**
+ * Send a message through one channel, ignoring the routes (used by escalation policies).
+ *
+ * @param {number} id channel id; a disabled channel is skipped
+ * @param {object} msg as in dispatch()
+ * @param {{emails?: string[], phones?: string[]}|null} recipients replace the configured `to` of email /
+ *   sms channels
+ * @returns {Promise<object>} result as in dispatch()
+ */
+async function dispatchToChannel(id, msg, recipients = null) {
+  const channel = channels.find(c => c.id === Number(id));
+  if (!channel) return { channel_id: Number(id), ok: false, error: 'channel not found' };
+  if (!channel.enabled) return { channel_id: channel.id, name: channel.name, type: channel.type, ok: false, error: 'channel disabled' };
+  return sendToChannel(channel, msg, recipients);
+}
+
+/**
+ * Send a test message to one channel, enabled or not, ignoring the routes.
+ * @param {number} id
+ * @returns {Promise<object|null>} result as in dispatch(), null when the channel does not exist
+ */
+async function testChannel(id) {
+  const channel = channels.find(c => c.id === Number(id));
+  if (!channel) return null;
+  return sendToChannel(channel, {
+    event: 'test',
+    title: 'Test notification',
+    body: `Test message from channel ${channel.name}`,
+    severity: null,
+    serial_number: null,
+    data: { test: true },
+  });
+}
+
+// --- storage ---
+async function ensureNotificationTables() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS notification_channels (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL UNIQUE,
+      type TEXT NOT NULL,
+      enabled BOOLEAN NOT NULL DEFAULT true,
+      config JSONB NOT NULL DEFAULT '{}'::jsonb,
+      updated_at TIMESTAMPTZ DEFAULT now()
+    );
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS notification_routes (
+      id SERIAL PRIMARY KEY,
+      channel_id INTEGER NOT NULL REFERENCES notification_channels(id) ON DELETE CASCADE,
+      severity TEXT,
+      serial_number TEXT,
+      enabled BOOLEAN NOT NULL DEFAULT true,
+      updated_at TIMESTAMPTZ DEFAULT now()
+    );
+  `);
+  // First start: keep the former behaviour (every alarm pushed to the mobile devices)
+  const { rows } = await pool.query('SELECT count(*)::int AS n FROM notification_channels;');
+  if (rows[0].n === 0) {
+    const ch = await pool.query(`INSERT INTO notification_channels (name, type) VALUES ('push', 'fcm') RETURNING id;`);
+    await pool.query('INSERT INTO notification_routes (channel_id) VALUES ($1);', [ch.rows[0].id]);
+  }
+}
+
+async function reloadNotifications() {
+  try {
+    const [c, r] = await Promise.all([
+      pool.query(`SELECT ${CHANNEL_COLUMNS} FROM notification_channels ORDER BY id;`),
+      pool.query(`SELECT ${ROUTE_COLUMNS} FROM notification_routes ORDER BY id;`),
+    ]);
+    channels = c.rows;
+    routes = r.rows;
+  } catch (err) {
+    console.error('Error loading notification channels:', err && err.message ? err.message : err);
+  }
+}
+
+async function initNotifications() {
+  try {
+    await ensureNotificationTables();
+  } catch (err) {
+    console.warn('Could not ensure notification tables exist:', err && err.message ? err.message : err);
+  }
+  await reloadNotifications();
+  return listChannels();
+}
+
+function publicChannel(c) {
+  return Object.assign({}, c, { config: redactConfig(c.config) });
+}
+
+function listChannels() {
+  return channels.map(publicChannel);
+}
+
+function getChannel(id) {
+  const c = channels.find(ch => ch.id === Number(id));
+  return c ? publicChannel(c) : null;
+}
+
+function listRoutes() {
+  return routes.slice();
+}
+
+/**
+ * Validate a channel body from the API.
+ *
+ * @param {object} body { name, type, enabled, config }
+ * @param {{partial?: boolean, current?: object}} opts partial=true for updates (type cannot change);
+ *   current is the stored channel (its secrets are kept where the body sends REDACTED)
+ * @returns {{value?: object, error?: string}}
+ */
+function validateChannelInput(body, { partial = false, current = null } = {}) {
+  const b = body && typeof body === 'object' ? body : {};
+  const value = {};
+
+  if (b.name !== undefined || !partial) {
+    if (typeof b.name !== 'string' || !/^[A-Za-z0-9_.-]{1,64}$/.test(b.name)) {
+      return { error: 'name is required (letters, digits, _ . -; at most 64 characters)' };
+    }
+    value.name = b.name;
+  }
+  if (!partial) {
+    if (!CHANNEL_TYPES.includes(b.type)) return { error: `type must be one of ${CHANNEL_TYPES.join(', ')}` };
+    value.type = b.type;
+  } else if (b.type !== undefined && (!current || b.type !== current.type)) {
+    return { error: 'type cannot be changed' };
+  }
+  if (b.enabled !== undefined) {
+    if (typeof b.enabled !== 'boolean') return { error: 'enabled must be a boolean' };
+    value.enabled = b.enabled;
+  }
+  if (b.config !== undefined || !partial) {
+    const raw = b.config === undefined || b.config === null ? {} : b.config;
+    if (typeof raw !== 'object' || Array.isArray(raw)) return { error: 'config must be an object' };
+    const type = value.type || (current && current.type);
+    const stored = current ? (channels.find(c => c.id === current.id) || {}).config : null;
+    const { value: config, error } = CONFIG_VALIDATORS[type](restoreSecrets(raw, stored));
+    if (error) return { error };
+    value.config = config;
+  }
+
+  return { value };
+}
+
+async function createChannel(value) {
+  const res = await pool.query(
+    `INSERT INTO notification_channels (name, type, enabled, config) VALUES ($1, $2, $3, $4) RETURNING ${CHANNEL_COLUMNS};`,
+    [value.name, value.type, value.enabled !== false, JSON.stringify(value.config || {})]
+  );
+  await reloadNotifications();
+  return res.rows[0] ? publicChannel(res.rows[0]) : null;
+}
+
+async function updateChannel(id, value) {
+  const sets = [];
+  const values = [];
+  let idx = 1;
+  for (const k of ['name', 'enabled', 'config']) {
+    if (value[k] !== undefined) { sets.push(`${k} = $${idx++}`); values.push(k === 'config' ? JSON.stringify(value[k]) : value[k]); }
+  }
+  sets.push('updated_at = now()');
+  values.push(Number(id));
+  const res = await pool.query(`UPDATE notification_channels SET ${sets.join(', ')} WHERE id = $${idx} RETURNING ${CHANNEL_COLUMNS};`, values);
+  await reloadNotifications();
+  return res.rows[0] ? publicChannel(res.rows[0]) : null;
+}
+
+async function deleteChannel(id) {
+  const res = await pool.query('DELETE FROM notification_channels WHERE id = $1;', [Number(id)]);
+  await reloadNotifications();
+  return res.rowCount > 0;
+}
+
+/**
+ * Validate a route body from the API.
+ *
+ * @param {object} body { channel_id, severity, serial_number, enabled }
+ * @param {{partial?: boolean}} opts partial=true for updates
+ * @returns {{value?: object, error?: string}}
+ */
+function validateRouteInput(body, { partial = false } = {}) {
+  const b = body && typeof body === 'object' ? body : {};
+  const value = {};
+
+  if (b.channel_id !== undefined || !partial) {
+    if (!Number.isInteger(b.channel_id)) return { error: 'channel_id must be an integer' };
+    value.channel_id = b.channel_id;
+  }
+  if (b.severity !== undefined) {
+    if (b.severity !== null && !SEVERITIES.includes(b.severity)) return { error: `severity must be one of ${SEVERITIES.join(', ')} or null` };
+    value.severity = b.severity;
+  }
+  if (b.serial_number !== undefined) {
+    if (b.serial_number !== null && !isNonEmptyString(b.serial_number)) return { error: 'serial_number must be a non-empty string or null' };
+    value.serial_number = b.serial_number ? b.serial_number.trim() : null;
+  }
+  if (b.enabled !== undefined) {
+    if (typeof b.enabled !== 'boolean') return { error: 'enabled must be a boolean' };
+    value.enabled = b.enabled;
+  }
+
+  return { value };
+}
+
+async function createRoute(value) {
+  const res = await pool.query(
+    `INSERT INTO notification_routes (channel_id, severity, serial_number, enabled) VALUES ($1, $2, $3, $4) RETURNING ${ROUTE_COLUMNS};`,
+    [value.channel_id, value.severity ?? null, value.serial_number ?? null, value.enabled !== false]
+  );
+  await reloadNotifications();
+  return res.rows[0] || null;
+}
+
+async function updateRoute(id, value) {
+  const sets = [];
+  const values = [];
+  let idx = 1;
+  for (const k of ['channel_id', 'severity', 'serial_number', 'enabled']) {
+    if (value[k] !== undefined) { sets.push(`${k} = $${idx++}`); values.push(value[k]); }
+  }
+  sets.push('updated_at = now()');
+  values.push(Number(id));
+  const res = await pool.query(`UPDATE notification_routes SET ${sets.join(', ')} WHERE id = $${idx} RETURNING ${ROUTE_COLUMNS};`, values);
+  await reloadNotifications();
+  return res.rows[0] || null;
+}
+
+async function deleteRoute(id) {
+  const res = await pool.query('DELETE FROM notification_routes WHERE id = $1;', [Number(id)]);
+  await reloadNotifications();
+  return res.rowCount > 0;
+}
+
+module.exports = {
+  CHANNEL_TYPES,
+  SEVERITIES,
+  setPushSender,
+  channelsFor,
+  dispatch,
+  dispatchToChannel,
+  testChannel,
+  initNotifications,
+  reloadNotifications,
+  listChannels,
+  getChannel,
+  listRoutes,
+  validateChannelInput,
+  createChannel,
+  updateChannel,
+  deleteChannel,
+  validateRouteInput,
+  createRoute,
+  updateRoute,
+  deleteRoute,
+};
@@ -0,0 +1,228 @@
+// prober.js — station health checks without a shell: ICMP echo (the system `ping` run with execFile and
+// an argument list), TCP connect (e.g. Modbus 502 or SSH 22) and HTTP GET (the gateway web UI).
+//
+// A station's `checks` (stations table) lists what to probe, e.g. [{ "type": "icmp" },
+// { "type": "tcp", "port": 502 }, { "type": "http", "port": 80, "path": "/" }]; null means ICMP only.
+// The station counts as online when at least one check succeeds. Targets are only ever the station's
+// `ip` and it is checked with net.isIP() before use, so a malformed address (REMOTE_STATIONS_JSON, API)
+// is reported as an error instead of reaching a command line or URL.
+//
+// createScheduler() probes every station once per interval at a jittered offset, with a bounded number of
+// stations probed at once, and hands each structured result to onResult.
+const net = require('net');
+const { execFile } = require('child_process');
+
+const CHECK_TYPES = ['icmp', 'tcp', 'http'];
+const DEFAULT_CHECKS = [{ type: 'icmp' }];
+const PATH_RE = /^\/[A-Za-z0-9\-._~!$&'()*+,;=:@%\/?]*$/;
+
+/**
+ * Validate a station's checks.
+ * @param {*} v array of { type, port, path, https } or null (ICMP only)
+ * @returns {{value?: Array|null, error?: string}}
+ */
+function validateChecks(v) {
+  if (v === null) return { value: null };
+  if (!Array.isArray(v) || !v.length || v.length > 5) return { error: 'checks must be a list of 1 to 5 checks or null' };
+  const out = [];
+  for (const [i, c] of v.entries()) {
+    const b = c && typeof c === 'object' ? c : {};
+    if (!CHECK_TYPES.includes(b.type)) return { error: `checks[${i}].type must be one of ${CHECK_TYPES.join(', ')}` };
+    const check = { type: b.type };
+    if (b.type === 'tcp' || b.type === 'http') {
+      const port = b.port === undefined && b.type === 'http' ? (b.https ? 443 : 80) : b.port;
+      if (!Number.isInteger(port) || port < 1 || port > 65535) return { error: `checks[${i}].port must be a port number` };
+      check.port = port;
+    }
+    if (b.type === 'http') {
+      const path = b.path === undefined ? '/' : b.path;
+      if (typeof path !== 'string' || path.length > 200 || !PATH_RE.test(path)) return { error: `checks[${i}].path must be a URL path starting with /` };
+      check.path = path;
+      check.https = b.https === true;
+    }
+    out.push(check);
+  }
+  return { value: out };
+}
+
+function round(v) {
+  return v === null || v === undefined ? null : Math.round(v * 100) / 100;
+}
+
+/**
+ * ICMP echo with the system ping (iputils or busybox), `count` packets.
+ * @returns {Promise<{ok: boolean, rtt_ms: number|null, loss_pct: number|null, sent: number, received: number, error?: string}>}
+ */
+function probeIcmp(ip, { count = 3, timeoutS = 5, intervalS = 1 } = {}) {
+  const args = ['-n', '-c', String(count), '-W', String(timeoutS), '-i', String(Math.max(0.2, intervalS))];
+  if (net.isIP(ip) === 6) args.unshift('-6');
+  args.push(ip);
+  const limitMs = (count * (Math.max(0.2, intervalS) + timeoutS) + 2) * 1000;
+  return new Promise((resolve) => {
+    execFile('ping', args, { timeout: limitMs }, (err, stdout) => {
+      const out = String(stdout || '');
+      const stats = /(\d+) packets transmitted, (\d+) (?:packets )?received/.exec(out);
+      if (!stats) {
+        const error = err && err.code === 'ENOENT' ? 'ping not available' : (err ? err.message : 'no ping statistics');
+        return resolve({ ok: false, rtt_ms: null, loss_pct: null, sent: 0, received: 0, error });
+      }
+      const sent = Number(stats[1]);
+      const received = Number(stats[2]);
+      const rtt = /= [\d.]+\/([\d.]+)\/[\d.]+/.exec(out); // min/avg/max
+      resolve({
+        ok: received > 0,
+        rtt_ms: rtt ? round(Number(rtt[1])) : null,
+        loss_pct: sent ? round(((sent - received) / sent) * 100) : null,
+        sent,
+        received,
+      });
+    });
+  });
+}
+
+/**
+ * TCP connect to a port (closed right away).
+ * @returns {Promise<{ok: boolean, rtt_ms: number|null, error?: string}>}
+ */
+function probeTcp(ip, port, { timeoutMs = 5000 } = {}) {
+  return new Promise((resolve) => {
+    const started = process.hrtime.bigint();
+    const socket = net.connect({ host: ip, port });
+    let done = false;
+    const finish = (result) => {
+      if (done) return;
+      done = true;
+      socket.destroy();
+      resolve(result);
+    };
+    socket.setTimeout(timeoutMs, () => finish({ ok: false, rtt_ms: null, error: 'timeout' }));
+    socket.once('connect', () => finish({ ok: true, rtt_ms: round(Number(process.hrtime.bigint() - started) / 1e6) }));
+    socket.once('error', (err) => finish({ ok: false, rtt_ms: null, error: err && err.code ? err.code : String(err) }));
+  });
+}
+
+/**
+ * HTTP GET (redirects not followed); any answer below 500 counts as up, e.g. a login page's 401.
+ * @returns {Promise<{ok: boolean, rtt_ms: number|null, status: number|null, error?: string}>}
+ */
+async function probeHttp(ip, { port = 80, path = '/', https = false } = {}, { timeoutMs = 5000 } = {}) {
+  const host = net.isIP(ip) === 6 ? `[${ip}]` : ip;
+  const url = `${https ? 'https' : 'http'}://${host}:${port}${path}`;
+  const started = process.hrtime.bigint();
+  try {
+    const res = await fetch(url, { method: 'GET', redirect: 'manual', signal: AbortSignal.timeout(timeoutMs) });
+    const rtt = round(Number(process.hrtime.bigint() - started) / 1e6);
+    if (res.body) await res.body.cancel().catch(() => {});
+    return { ok: res.status < 500, rtt_ms: rtt, status: res.status, error: res.status < 500 ? undefined : `HTTP ${res.status}` };
+  } catch (err) {
+    const cause = err && err.cause && err.cause.code ? err.cause.code : null;
+    return { ok: false, rtt_ms: null, status: null, error: err && err.name === 'TimeoutError' ? 'timeout' : (cause || (err && err.message) || String(err)) };
+  }
+}
+
+/**
+ * Run a station's checks (one after the other).
+ *
+ * @param {{serial_number: string, ip: string, checks?: Array|null}} station
+ * @param {{icmp?: object, timeoutMs?: number}} opts probeIcmp options and the TCP / HTTP timeout
+ * @returns {Promise<{serial_number, ip, online: boolean, rtt_ms: number|null, loss_pct: number|null,
+ *   checks: Array<object>, at: string}>} rtt_ms / loss_pct: of the ICMP check, else of the first check that succeeded
+ */
+async function probeStation(station, { icmp = {}, timeoutMs = 5000 } = {}) {
+  const ip = station.ip;
+  const checks = station.checks && station.checks.length ? station.checks : DEFAULT_CHECKS;
+  const results = [];
+  for (const c of checks) {
+    const target = c.type === 'icmp' ? ip : (c.type === 'tcp' ? `${ip}:${c.port}` : `${c.https ? 'https' : 'http'}://${ip}:${c.port}${c.path}`);
+    let r;
+    if (!net.isIP(ip || '')) r = { ok: false, rtt_ms: null, error: 'invalid ip' };
+    else if (c.type === 'icmp') r = await probeIcmp(ip, icmp);
+    else if (c.type === 'tcp') r = await probeTcp(ip, c.port, { timeoutMs });
+    else r = await probeHttp(ip, c, { timeoutMs });
+    if (r.loss_pct === undefined) r.loss_pct = r.ok ? 0 : 100;
+    results.push(Object.assign({ type: c.type, target }, r));
+  }
+  const main = results.find(r => r.type === 'icmp' && r.sent) || results.find(r => r.ok) || null;
+  return {
+    serial_number: station.serial_number,
+    ip,
+    online: results.some(r => r.ok),
+    rtt_ms: main ? main.rtt_ms : null,
+    loss_pct: main ? main.loss_pct : 100,
+    checks: results,
+    at: new Date().toISOString(),
+  };
+}
+
+/**
+ * Probe every target once per interval. Each station keeps its own schedule, offset by a random jitter,
+ * so the probes of a cycle are spread out; at most `concurrency` stations are probed at once and a
+ * station is never probed twice at the same time.
+ *
+ * @param {{intervalMs: number, jitterMs?: number, concurrency?: number, probe?: object,
+ *   getTargets: () => Array<object>, onResult: (result: object, station: object) => void}} opts
+ *   getTargets is read again on every tick (stations with an ip); probe is passed to probeStation
+ * @returns {{start: () => void, stop: () => void}}
+ */
+function createScheduler({ intervalMs, jitterMs = 0, concurrency = 4, probe = {}, getTargets, onResult }) {
+  const nextAt = new Map(); // serial -> ms
+  const running = new Set();
+  const queue = [];
+  let timer = null;
+  // +/- jitterMs / 2 around the interval, so the average interval stays intervalMs
+  const jitter = () => Math.floor(Math.random() * (jitterMs + 1)) - Math.floor(jitterMs / 2);
+
+  function pump() {
+    while (running.size < Math.max(1, concurrency) && queue.length) {
+      const station = queue.shift();
+      running.add(station.serial_number);
+      probeStation(station, probe)
+        .then((result) => onResult(result, station))
+        .catch((err) => console.error(`Probe of ${station.serial_number} failed:`, err && err.message ? err.message : err))
+        .finally(() => {
+          running.delete(station.serial_number);
+          pump();
+        });
+    }
+  }
+
+  function tick() {
+    const now = Date.now();
+    const targets = getTargets();
+    const serials = new Set(targets.map(s => s.serial_number));
+    for (const serial of Array.from(nextAt.keys())) {
+      if (!serials.has(serial)) nextAt.delete(serial);
+    }
+    for (const st of targets) {
+      // new stations start within the first interval
+      if (!nextAt.has(st.serial_number)) nextAt.set(st.serial_number, now + Math.floor(Math.random() * Math.min(intervalMs, jitterMs + 1)));
+      if (nextAt.get(st.serial_number) > now) continue;
+      if (running.has(st.serial_number) || queue.some(q => q.serial_number === st.serial_number)) continue;
+      nextAt.set(st.serial_number, now + Math.max(intervalMs / 2, intervalMs + jitter()));
+      queue.push(st);
+    }
+    pump();
+  }
+
+  return {
+    start() {
+      if (timer) return;
+      tick();
+      timer = setInterval(tick, Math.max(250, Math.min(1000, Math.floor(intervalMs / 4))));
+    },
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+  };
+}
+
+module.exports = {
+  CHECK_TYPES,
+  validateChecks,
+  probeIcmp,
+  probeTcp,
+  probeHttp,
+  probeStation,
+  createScheduler,
+};
@@ -0,0 +1,174 @@
+// alarm-client.js — alarm panel: recent alarms, kept in sync through the alarm socket events,
+// with acknowledge and comment actions.
+(function () {
+  const socket = io();
+  const listEl = document.getElementById('alarm-list');
+  const summaryEl = document.getElementById('alarm-summary');
+  if (!listEl) return;
+
+  const ALARM_LIMIT = 50;
+  const USER_STORAGE_KEY = 'alarm.user';
+  const alarmsById = new Map(); // id -> alarm row (alarm_events)
+
+  function fmtTime(v) {
+    if (!v) return '';
+    const d = new Date(v);
+    return Number.isNaN(d.getTime()) ? String(v) : d.toLocaleString();
+  }
+
+  function fmtNum(v) {
+    if (v === null || v === undefined) return '-';
+    const n = Number(v);
+    if (Number.isNaN(n)) return String(v);
+    return Number.isInteger(n) ? String(n) : n.toFixed(2);
+  }
+
+  // Name used for acknowledgements and comments (asked once, remembered in the browser)
+  function askUser() {
+    let user = '';
+    try { user = localStorage.getItem(USER_STORAGE_KEY) || ''; } catch (e) {}
+    const entered = window.prompt('Your name', user);
+    if (entered === null) return null;
+    const name = entered.trim();
+    if (!name) return null;
+    try { localStorage.setItem(USER_STORAGE_KEY, name); } catch (e) {}
+    return name;
+  }
+
+  async function postNote(url, body) {
+    try {
+      const r = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const data = await r.json().catch(() => null);
+      if (!r.ok || !data || !data.ok) {
+        alert((data && data.error) || `Request failed (${r.status})`);
+        return null;
+      }
+      return data;
+    } catch (e) {
+      alert('Request failed');
+      return null;
+    }
+  }
+
+  async function acknowledge(alarm) {
+    const by = askUser();
+    if (!by) return;
+    const comment = window.prompt(`Acknowledge ${alarm.rule_name} on ${alarm.serial_number} — comment (optional)`, '');
+    if (comment === null) return;
+    const data = await postNote(`/api/alarms/${alarm.id}/ack`, { by, comment });
+    if (data && data.alarm) upsert(data.alarm);
+  }
+
+  async function comment(alarm) {
+    const by = askUser();
+    if (!by) return;
+    const text = window.prompt(`Comment on ${alarm.rule_name} (${alarm.serial_number})`, '');
+    if (!text || !text.trim()) return;
+    const data = await postNote(`/api/alarms/${alarm.id}/comments`, { by, comment: text });
+    if (data && data.alarm) upsert(data.alarm);
+  }
+
+  function describe(a) {
+    const unit = a.kind === 'rate' ? '/min' : '';
+    const parts = [`${a.metric}${unit} ${a.operator} ${fmtNum(a.threshold)}`, `raised at ${fmtNum(a.raised_value)}`, `peak ${fmtNum(a.peak_value)}`];
+    if (a.cleared_at) parts.push(a.clear_reason === 'rule_removed' ? 'rule removed' : `cleared at ${fmtNum(a.cleared_value)}`);
+    return parts.join(' · ');
+  }
+
+  function render() {
+    const rows = Array.from(alarmsById.values())
+      .sort((x, y) => new Date(y.raised_at) - new Date(x.raised_at))
+      .slice(0, ALARM_LIMIT);
+    const open = rows.filter(a => !a.cleared_at);
+    const unacked = rows.filter(a => !a.acknowledged_at);
+    if (summaryEl) summaryEl.textContent = `${open.length} open · ${unacked.length} unacknowledged`;
+
+    listEl.innerHTML = '';
+    if (!rows.length) {
+      const empty = document.createElement('div');
+      empty.style.color = 'var(--muted)';
+      empty.textContent = 'No alarms';
+      listEl.appendChild(empty);
+      return;
+    }
+    rows.forEach(a => {
+      const row = document.createElement('div');
+      row.className = 'alarm-row' + (a.cleared_at ? ' cleared' : '');
+
+      const sev = document.createElement('span');
+      sev.className = `alarm-sev ${a.severity}`;
+      sev.textContent = a.severity;
+      row.appendChild(sev);
+
+      const main = document.createElement('div');
+      main.className = 'alarm-main';
+      const title = document.createElement('div');
+      title.textContent = `${a.serial_number} — ${a.rule_name} (${a.state})`;
+      const meta = document.createElement('div');
+      meta.className = 'alarm-meta';
+      const times = [`Raised ${fmtTime(a.raised_at)}`];
+      if (a.acknowledged_at) times.push(`Ack ${a.acknowledged_by} ${fmtTime(a.acknowledged_at)}${a.ack_comment ? ` “${a.ack_comment}”` : ''}`);
+      if (a.cleared_at) times.push(`Cleared ${fmtTime(a.cleared_at)}`);
+      if (a.comment_count || (a.comments && a.comments.length)) times.push(`${a.comments ? a.comments.length : a.comment_count} comment(s)`);
+      meta.textContent = `${describe(a)} — ${times.join(' · ')}`;
+      if (a.comments && a.comments.length) {
+        meta.title = a.comments.map(c => `${fmtTime(c.created_at)} ${c.author}: ${c.comment}`).join('\n');
+      }
+      main.appendChild(title);
+      main.appendChild(meta);
+      row.appendChild(main);
+
+      if (!a.acknowledged_at) {
+        const ackBtn = document.createElement('button');
+        ackBtn.className = 'btn';
+        ackBtn.textContent = 'Ack';
+        ackBtn.addEventListener('click', () => acknowledge(a));
+        row.appendChild(ackBtn);
+      }
+      const commentBtn = document.createElement('button');
+      commentBtn.className = 'btn secondary';
+      commentBtn.textContent = 'Comment';
+      commentBtn.addEventListener('click', () => comment(a));
+      row.appendChild(commentBtn);
+
+      listEl.appendChild(row);
+    });
+  }
+
+  function upsert(alarm) {
+    if (!alarm || alarm.id === undefined || alarm.id === null) return;
+    const prev = alarmsById.get(String(alarm.id));
+    // rows from the list carry comment_count, single alarms their comments
+    if (prev && alarm.comments === undefined && prev.comments !== undefined) alarm.comments = prev.comments;
+    alarmsById.set(String(alarm.id), alarm);
+    render();
+  }
+
+  async function loadRecent() {
+    try {
+      const r = await fetch(`/api/alarms?limit=${ALARM_LIMIT}`);
+      if (!r.ok) return;
+      const data = await r.json();
+      if (data && data.ok && Array.isArray(data.alarms)) {
+        data.alarms.forEach(a => alarmsById.set(String(a.id), a));
+        render();
+      }
+    } catch (e) {
+      console.warn('Failed loading alarms', e);
+    }
+  }
+
+  socket.on('alarm_snapshot', (list) => {
+    (Array.isArray(list) ? list : []).forEach(a => alarmsById.set(String(a.id), a));
+    render();
+  });
+  socket.on('alarm_event', (ev) => {
+    if (ev && ev.alarm) upsert(ev.alarm);
+  });
+
+  loadRecent();
+})();
@@ -0,0 +1,108 @@
+// availability-client.js — availability panel: uptime, outages and MTTR per station over the selected
+// range, with a timeline bar of its up (green), down (orange) and unmonitored (grey) periods.
+// Reloaded when a station goes up or down (availability_changed) and every minute.
+(function () {
+  const socket = io();
+  const listEl = document.getElementById('availability-list');
+  const summaryEl = document.getElementById('availability-summary');
+  const rangeEl = document.getElementById('availability-range');
+  if (!listEl) return;
+
+  let displayNames = {};
+
+  function fmtDuration(s) {
+    if (s === null || s === undefined) return '—';
+    if (s < 60) return `${s}s`;
+    if (s < 3600) return `${Math.round(s / 60)} min`;
+    if (s < 86400) return `${(s / 3600).toFixed(1)} h`;
+    return `${(s / 86400).toFixed(1)} d`;
+  }
+
+  function fmtTime(v) {
+    const d = new Date(v);
+    return Number.isNaN(d.getTime()) ? String(v) : d.toLocaleString();
+  }
+
+  function renderBar(st, fromMs, toMs) {
+    const bar = document.createElement('div');
+    bar.className = 'availability-bar';
+    const total = toMs - fromMs;
+    st.periods.forEach(p => {
+      const start = new Date(p.start).getTime();
+      const end = new Date(p.end).getTime();
+      const seg = document.createElement('div');
+      seg.className = p.online === true ? 'up' : (p.online === false ? 'down' : 'unknown');
+      seg.style.width = `${((end - start) / total) * 100}%`;
+      const label = p.online === true ? 'Up' : (p.online === false ? 'Down' : 'Not monitored');
+      seg.title = `${label}: ${fmtTime(p.start)} → ${fmtTime(p.end)} (${fmtDuration(Math.round((end - start) / 1000))})`;
+      bar.appendChild(seg);
+    });
+    return bar;
+  }
+
+  function render(data) {
+    listEl.innerHTML = '';
+    const fromMs = new Date(data.from).getTime();
+    const toMs = new Date(data.to).getTime();
+    const down = data.stations.filter(st => st.periods.length && st.periods[st.periods.length - 1].online === false);
+    if (summaryEl) summaryEl.textContent = down.length ? `Down now: ${down.map(st => st.serial_number).join(', ')}` : 'All monitored stations up';
+    if (!data.stations.length) {
+      const empty = document.createElement('div');
+      empty.style.color = 'var(--muted)';
+      empty.textContent = 'No stations';
+      listEl.appendChild(empty);
+      return;
+    }
+    data.stations.forEach(st => {
+      const row = document.createElement('div');
+      row.className = 'availability-row';
+      const name = displayNames[st.serial_number];
+      const head = document.createElement('div');
+      head.textContent = `${name ? `${name} (${st.serial_number})` : st.serial_number} — ${st.uptime_pct === null ? 'no data' : `${st.uptime_pct}% up`}`;
+      const meta = document.createElement('span');
+      meta.className = 'availability-meta';
+      const parts = [`${st.outages} outage${st.outages === 1 ? '' : 's'}`, `MTTR ${fmtDuration(st.mttr_s)}`, `down ${fmtDuration(st.down_s)}`];
+      if (st.rtt_avg_ms !== null) parts.push(`RTT ${st.rtt_avg_ms} ms`);
+      if (st.loss_avg_pct !== null) parts.push(`loss ${st.loss_avg_pct}%`);
+      meta.textContent = ` ${parts.join(' · ')}`;
+      head.appendChild(meta);
+      row.appendChild(head);
+      row.appendChild(renderBar(st, fromMs, toMs));
+      const axis = document.createElement('div');
+      axis.className = 'availability-axis';
+      axis.innerHTML = '<span></span><span></span>';
+      axis.children[0].textContent = fmtTime(data.from);
+      axis.children[1].textContent = fmtTime(data.to);
+      row.appendChild(axis);
+      listEl.appendChild(row);
+    });
+  }
+
+  async function load() {
+    const hours = parseInt(rangeEl ? rangeEl.value : '24', 10) || 24;
+    const to = new Date();
+    const from = new Date(to.getTime() - hours * 3600 * 1000);
+    try {
+      const [stationsRes, availabilityRes] = await Promise.all([
+        fetch('/api/stations', { cache: 'no-cache' }),
+        fetch(`/api/availability?from=${encodeURIComponent(from.toISOString())}&to=${encodeURIComponent(to.toISOString())}`, { cache: 'no-cache' })
+      ]);
+      const stations = stationsRes.ok ? await stationsRes.json() : null;
+      const data = availabilityRes.ok ? await availabilityRes.json() : null;
+      if (stations && stations.ok) {
+        displayNames = {};
+        (stations.stations || []).forEach(s => { if (s.display_name) displayNames[s.serial_number] = s.display_name; });
+      }
+      if (data && data.ok) render(data);
+    } catch (e) {
+      console.warn('Failed loading availability', e);
+    }
+  }
+
+  if (rangeEl) rangeEl.addEventListener('change', load);
+  socket.on('availability_changed', load);
+  socket.on('stations_changed', load);
+  setInterval(load, 60 * 1000);
+
+  load();
+})();
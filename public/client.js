@@ -25,6 +25,9 @@
   const statusDot = document.getElementById('status-dot');
   const statusLabel = document.getElementById('status-label');
   const localTimeEl = document.getElementById('local-time');
+  const brokerStatusEl = document.getElementById('broker-status');
+  const maintenanceBadgeEl = document.getElementById('maintenance-badge');
+  const frozenBadgeEl = document.getElementById('frozen-badge');
   const tilesContainer = document.getElementById('tiles');
   const feedEl = document.getElementById('feed');
   const resultsEl = document.getElementById('results');
@@ -36,26 +39,28 @@
     { keyVariants: ['LoS-Rx Light', 'LoS-RxLight', 'LoS Rx Light', 'losrxlight'], label: 'Rx Light', apiField: 'los_rx_light' },
     { keyVariants: ['LoS- R2', 'LoS-R2', 'LoS - R2', 'losr2'], label: 'R2', apiField: 'los_r2' },
     { keyVariants: ['LoS-HeartBeat', 'LoS- HeartBeat', 'losheartbeat'], label: 'HeartBeat', apiField: 'los_heartbeat' },
-    // New visual-only card: PPMM (pre-division PPM, not stored)
+    // PPMM: raw PPM-m before path length division (server field ppm_m)
     { keyVariants: ['LoS-PPMM', 'LoS- PPMM', 'los_ppmm', 'ppm_raw', 'ppm_mlo', 'ppm_pre', 'ppmm'], label: 'PPMM', apiField: 'los_ppmm' },
-    // New visual-only card: Path Length (Meters) (display current saved path length)
+    // Path Length (Meters): path length used for the latest reading (server field path_length)
     { keyVariants: [], label: 'Path Length (Meters)', apiField: 'path_length' },
     // Label updated to PPM (post-division value provided by server)
-    { keyVariants: ['LoS - PPM', 'LoS- PPM', 'LoS-PPM', 'los_ppm', 'ppm', 'losppm'], label: 'PPM', apiField: 'los_ppm' }
+    { keyVariants: ['LoS - PPM', 'LoS- PPM', 'LoS-PPM', 'los_ppm', 'ppm', 'losppm'], label: 'PPM', apiField: 'los_ppm' },
+    // Signal: GSM RSSI of the station's gateway (server event gsm_signal, not part of the LoS reading)
+    { keyVariants: [], label: 'Signal', apiField: 'gsm_signal' }
   ];
 
   // Latest values for tiles (values correspond to currently selected station)
   const latest = {};
-  KEYS.forEach(k => latest[k.label] = { value: null, updated_at: null, raw: null });
+  KEYS.forEach(k => latest[k.label] = { value: null, updated_at: null, raw: null, stale: false });
+  let ppmThreshold = null; // effective threshold of the selected station { threshold, scope } (/api/thresholds/effective)
+  let maintenanceWindows = []; // current and upcoming maintenance windows of the selected station (/api/maintenance)
+  const frozenMap = new Map(); // canonical serial -> frozen-sensor status (sensor_frozen events)
 
   // Remote stations
   let remoteStations = []; // array of { serial_number, ip, display, canonical }
   let selectedSerial = null; // canonical serial of currently selected station (always a station, no "All")
   const deviceStatusMap = new Map(); // canonical serial -> last status object
 
-  // Path length cache (used to reconstruct pre-division PPM if needed)
-  let currentPathLength = null;
-
   // Utility: canonicalize keys/serials for robust matching (lowercase, remove spaces/hyphens/underscores/parentheses)
   function canonicalKey(k) {
     return String(k || '').toLowerCase().replace(/[\s\-\(\)_]/g, '');
@@ -101,9 +106,11 @@
       const valueEl = tile.querySelector('.value');
       const metaEl = tile.querySelector('.meta');
 
+      tile.classList.toggle('stale', !!info.stale);
+      tile.classList.remove('over-threshold');
       if (info.value === null || info.value === undefined) {
         valueEl.textContent = '-';
-        metaEl.textContent = 'No data';
+        metaEl.textContent = k.apiField === 'los_ppm' && thresholdText() ? `No data · ${thresholdText()}` : 'No data';
       } else {
         let displayValue = info.value;
         if (k.label === 'R2') {
@@ -112,8 +119,13 @@
         }
         // Formatting: keep two decimal places for non-integer numbers
         const display = (typeof displayValue === 'number' && !Number.isInteger(displayValue)) ? displayValue.toFixed(2) : String(displayValue);
-        valueEl.textContent = display;
-        metaEl.textContent = '';
+        valueEl.textContent = info.unit ? `${display} ${info.unit}` : display;
+        metaEl.textContent = info.stale && info.updated_at ? `Last known · ${new Date(info.updated_at).toLocaleString()}` : (info.meta || '');
+        if (k.apiField === 'los_ppm' && thresholdText()) {
+          metaEl.textContent = metaEl.textContent ? `${metaEl.textContent} · ${thresholdText()}` : thresholdText();
+          const n = Number(info.value);
+          if (!info.stale && !Number.isNaN(n) && n > ppmThreshold.threshold) tile.classList.add('over-threshold');
+        }
       }
     });
   }
@@ -131,11 +143,29 @@
 
   function clearAllReadings() {
     KEYS.forEach(k => {
-      latest[k.label] = { value: null, updated_at: null, raw: null };
+      latest[k.label] = { value: null, updated_at: null, raw: null, stale: false };
     });
     updateTiles();
   }
 
+  // Actual serial (as stored in the registry) of the selected station, for API queries
+  function selectedStationSerial() {
+    const rs = remoteStations.find(r => r.canonical === selectedSerial);
+    return rs ? rs.serial_number : null;
+  }
+
+  // Let other page scripts (query-client.js) follow the station selection, and refresh per-station tiles
+  function notifyStationSelected() {
+    try {
+      window.dispatchEvent(new CustomEvent('station-selected', { detail: { serial_number: selectedStationSerial() } }));
+    } catch (e) {}
+    fetchPathLengthAndUpdate().catch(()=>{});
+    fetchThresholdAndUpdate().catch(()=>{});
+    fetchMaintenanceAndUpdate().catch(()=>{});
+    renderFrozenBadge();
+    applyLastKnown();
+  }
+
   // --- Status handling (tied to selectedSerial only) ---
   let deviceOnline = null;
   let deviceIp = null;
@@ -206,6 +236,23 @@
     addToFeed(`[${new Date((s.when || s.ts) || Date.now()).toLocaleTimeString()}] PING ${s.ip || ''} — ${s.online ? 'online' : 'offline'} ${rawSerial ? ('[' + rawSerial + ']') : ''}`);
   });
 
+  // MQTT broker connection state (server -> broker), sent on connect and on every change
+  let brokerState = null;
+  socket.on('broker_status', (b) => {
+    if (!b || typeof b !== 'object') return;
+    if (brokerStatusEl) {
+      const labels = { connected: 'Broker: connected', reconnecting: 'Broker: reconnecting…', connecting: 'Broker: connecting…', closed: 'Broker: disconnected' };
+      brokerStatusEl.textContent = labels[b.state] || `Broker: ${b.state}`;
+      brokerStatusEl.className = 'broker-status' + (b.state === 'connected' ? ' connected' : (b.state === 'connecting' ? '' : ' down'));
+      brokerStatusEl.title = `MQTT broker ${b.url || ''} since ${b.since ? new Date(b.since).toLocaleString() : '-'}` +
+        (b.last_error ? `\nLast error: ${b.last_error} (${new Date(b.last_error_at).toLocaleString()})` : '');
+    }
+    if (brokerState !== null && brokerState !== b.state) {
+      addToFeed(`[${new Date().toLocaleTimeString()}] MQTT broker ${b.state}${b.state !== 'connected' && b.last_error ? ' — ' + b.last_error : ''}`);
+    }
+    brokerState = b.state;
+  });
+
   // --- Init: fetch remote stations AND device status snapshot (ordering matters) ---
   async function fetchRemoteStationsAndPopulate() {
     try {
@@ -245,11 +292,18 @@
       select.appendChild(opt);
     });
 
-    if (remoteStations.length > 0) {
+    // Keep the current selection when the list is refreshed and the station still exists
+    const keep = selectedSerial && remoteStations.some(rs => rs.canonical === selectedSerial);
+    if (keep) {
+      select.disabled = false;
+      select.value = selectedSerial;
+    } else if (remoteStations.length > 0) {
+      select.disabled = false;
       selectedSerial = remoteStations[0].canonical;
       select.value = selectedSerial;
       applySelectedDeviceStatus();
       clearAllReadings();
+      notifyStationSelected();
       addToFeed(`[${new Date().toLocaleTimeString()}] Auto-selected station: ${remoteStations[0].display}`);
     } else {
       selectedSerial = null;
@@ -258,10 +312,17 @@
       disabledOpt.textContent = 'No stations configured';
       select.appendChild(disabledOpt);
       select.disabled = true;
+      applySelectedDeviceStatus();
+      clearAllReadings();
       addToFeed(`[${new Date().toLocaleTimeString()}] No remote stations returned from server`);
     }
   }
 
+  // Station registry changed on the server (added/renamed/removed): reload the dropdown
+  socket.on('stations_changed', () => {
+    fetchRemoteStationsAndPopulate().catch(() => {});
+  });
+
   async function initStatusSnapshot() {
     try {
       const res = await fetch('/_device_status', { cache: 'no-cache' });
@@ -321,6 +382,7 @@
       selectedSerial = val;
       applySelectedDeviceStatus();
       clearAllReadings();
+      notifyStationSelected();
       const display = ev.target.selectedOptions && ev.target.selectedOptions[0] ? ev.target.selectedOptions[0].dataset.display || ev.target.selectedOptions[0].textContent : selectedSerial;
       addToFeed(`[${new Date().toLocaleTimeString()}] Selected station: ${display}`);
     });
@@ -456,67 +518,73 @@
     return null;
   }
 
-  // --- NEW: helpers to detect and merge integer+decimal parts for ppm from arbitrary params ---
-  function normalizeKeyForMatch(k) {
-    if (!k) return '';
-    return String(k).toLowerCase().replace(/[^a-z0-9]/g, '');
-  }
-
-  function findPpmPartsInParams(params) {
-    let intPart;
-    let decPart;
-    for (const key of Object.keys(params || {})) {
-      const nk = normalizeKeyForMatch(key);
-      const raw = params[key];
-      const num = raw === null || raw === undefined ? NaN : Number(raw);
-      if (Number.isNaN(num)) continue;
-
-      if (nk.includes('ppm') && (nk.includes('dec') || nk.includes('decimal'))) {
-        decPart = num;
-        continue;
-      }
-
-      if (nk.includes('ppm') && (nk.includes('int') || nk.includes('mlo') || nk === 'losppm' || nk.includes('losppm'))) {
-        intPart = num;
-        continue;
-      }
-
-      // tolerant: if key has ppm but not dec, treat as integer unless we already have intPart
-      if (nk.includes('ppm') && !nk.includes('dec') && !nk.includes('decimal')) {
-        if (typeof intPart === 'undefined') intPart = num;
-      }
+  // --- MQTT message handling ---
+  // Last reading per station (canonical serial), live or last known, to fill the tiles on station change
+  const lastKnown = new Map();
 
-      // also accept keys like 'ppmint' or 'ppm_mloint'
-      if ((nk.endsWith('int') || nk.endsWith('mloint')) && nk.includes('ppm')) {
-        intPart = num;
-      }
-    }
-    return { intPart, decPart };
+  function rememberMessage(msg) {
+    const rawSerial = extractSerialFromMsg(msg);
+    if (!rawSerial) return;
+    const c = canonicalKey(rawSerial);
+    const prev = lastKnown.get(c);
+    if (!prev || String(prev.received_at || '') <= String(msg.received_at || '')) lastKnown.set(c, msg);
   }
 
-  function mergeIntAndDec(intVal, decVal) {
-    if (typeof intVal === 'undefined' || intVal === null || Number.isNaN(Number(intVal))) return undefined;
-    if (typeof decVal === 'undefined' || decVal === null || Number.isNaN(Number(decVal))) return Number(intVal);
-
-    // If integer is exactly zero, ignore decimals and return 0
-    if (Number(intVal) === 0) return 0;
+  // Last GSM signal per station (canonical serial)
+  const lastSignal = new Map();
+
+  function applySignal(s, stale) {
+    if (!selectedSerial || !s.serial_number || canonicalKey(s.serial_number) !== selectedSerial) return;
+    latest['Signal'] = {
+      value: (s.rssi_dbm === null || s.rssi_dbm === undefined) ? null : Number(s.rssi_dbm),
+      unit: 'dBm',
+      meta: `CSQ ${s.csq ?? '-'} · ${s.quality || 'unknown'}`,
+      updated_at: s.recorded_at,
+      raw: s,
+      stale: !!stale,
+    };
+    updateTiles();
+  }
 
-    let decStr = String(Math.abs(decVal)).replace(/[^0-9]/g, '');
-    if (decStr.length === 0) decStr = '0';
-    if (decStr.length > 2) decStr = decStr.slice(0, 2);
+  socket.on('gsm_signal', (s) => {
+    if (!s || typeof s !== 'object') return;
+    if (s.serial_number) lastSignal.set(canonicalKey(s.serial_number), s);
+    applySignal(s, false);
+  });
 
-    const digits = decStr.length;
-    const divisor = digits === 1 ? 100 : Math.pow(10, digits);
-    const fraction = Number(decStr) / divisor;
+  socket.on('gsm_signal_snapshot', (list) => {
+    if (!Array.isArray(list)) return;
+    list.forEach(s => { if (s && s.serial_number) lastSignal.set(canonicalKey(s.serial_number), s); });
+    applyLastKnown();
+  });
 
-    const sign = Number(intVal) < 0 ? -1 : 1;
-    const merged = Number(intVal) + sign * fraction;
-    return Number(merged.toFixed(2));
+  // Show the selected station's last known reading (marked stale) unless a live reading is shown
+  function applyLastKnown() {
+    if (!selectedSerial) return;
+    const sig = lastSignal.get(selectedSerial);
+    if (sig && latest['Signal'].value === null) applySignal(sig, true);
+    if (KEYS.some(k => !['path_length', 'gsm_signal'].includes(k.apiField) && latest[k.label].value !== null && !latest[k.label].stale)) return;
+    const msg = lastKnown.get(selectedSerial);
+    if (msg) applyMessage(Object.assign({}, msg, { stale: true }));
   }
 
-  // --- MQTT message handling ---
   socket.on('mqtt_message', (msg) => {
+    if (!msg || typeof msg !== 'object') return;
+    rememberMessage(msg);
+    applyMessage(msg);
+  });
+
+  // Sent on connect: latest reading of each station known to the server
+  socket.on('latest_snapshot', (list) => {
+    if (!Array.isArray(list)) return;
+    list.forEach(m => { if (m && typeof m === 'object') rememberMessage(Object.assign({}, m, { stale: true })); });
+    applyLastKnown();
+  });
+
+  // Update the tiles from an mqtt_message (stale/retained ones are shown as last known values)
+  function applyMessage(msg) {
     const ts = msg.received_at || new Date().toISOString();
+    const stale = !!(msg.stale || msg.retained);
     const rawSerial = extractSerialFromMsg(msg);
     const msgCanonical = rawSerial ? canonicalKey(rawSerial) : null;
 
@@ -550,20 +618,6 @@
         }
       }
       if (!params || typeof params !== 'object') params = {};
-    } else {
-      // Even when server provided los, we still want to inspect original payload for pre-division ppm
-      if (msg.payload && typeof msg.payload === 'object') {
-        params = (msg.payload.params && typeof msg.payload.params === 'object') ? msg.payload.params : msg.payload;
-      } else if (typeof msg.raw === 'string') {
-        try {
-          const parsed = JSON.parse(msg.raw);
-          params = (parsed && parsed.params && typeof parsed.params === 'object') ? parsed.params : parsed;
-        } catch (e) {
-          params = {};
-        }
-      } else {
-        params = {};
-      }
     }
 
     // If server didn't provide los, build los from params and perform client-side merge detection as fallback.
@@ -622,51 +676,19 @@
       return;
     }
 
-    // --- SIMPLE: compute original (pre-division) PPM as post-division * path_length when possible ---
-    // This is the straightforward behavior you requested: PPMM = PPM_before_division
-    // If server provided los.los_ppm (post-division) and we have currentPathLength > 0, reconstruct original.
-    let preDivisionPpm = undefined;
-    if (los && typeof los.los_ppm !== 'undefined' && currentPathLength && Number(currentPathLength) > 0) {
-      const postDiv = Number(los.los_ppm);
-      if (!Number.isNaN(postDiv)) {
-        preDivisionPpm = postDiv * Number(currentPathLength);
-        // set directly to PPMM tile (overwrite any previous heuristics)
-        latest['PPMM'] = { value: preDivisionPpm, updated_at: ts, raw: los };
-      }
-    } else {
-      // If path length not known yet, try to detect original ppm from params (best-effort),
-      // but this will be overwritten later when path_length is fetched.
-      const { intPart, decPart } = findPpmPartsInParams(params || {});
-      const merged = mergeIntAndDec(intPart, decPart);
-      if (typeof merged !== 'undefined' && !Number.isNaN(merged)) {
-        latest['PPMM'] = { value: merged, updated_at: ts, raw: { params, los } };
-      } else {
-        // fallback: look for ppm-like keys in params or los
-        let foundRaw = null;
-        for (const k of Object.keys(params || {})) {
-          const ck = canonicalKey(k);
-          if (ck.includes('ppm') || ck.includes('ppmm') || ck.includes('ppmraw')) {
-            const n = Number(params[k]);
-            if (!Number.isNaN(n)) { foundRaw = n; break; }
-          }
-        }
-        if (foundRaw === null) {
-          for (const k of Object.keys(los || {})) {
-            const ck = canonicalKey(k);
-            if (ck.includes('ppm') || ck.includes('ppmm') || ck.includes('ppmraw')) {
-              const n = Number(los[k]);
-              if (!Number.isNaN(n)) { foundRaw = n; break; }
-            }
-          }
-        }
-        if (foundRaw !== null) latest['PPMM'] = { value: foundRaw, updated_at: ts, raw: { params, los } };
-      }
+    // PPMM and path length come from the server with each reading (raw PPM-m before division and the
+    // path length that was in effect for it), so they stay correct across path length changes.
+    if (typeof los.ppm_m !== 'undefined' && los.ppm_m !== null) {
+      latest['PPMM'] = { value: Number(los.ppm_m), updated_at: ts, raw: los, stale };
+    }
+    if (typeof los.path_length !== 'undefined' && los.path_length !== null) {
+      latest['Path Length (Meters)'] = { value: Number(los.path_length), updated_at: ts, raw: los, stale };
     }
 
     // Update latest using exact-match-first, then tolerant includes fallback for all other tiles
     KEYS.forEach(mapping => {
-      // Skip PPMM and path_length here since we've already handled PPMM (above) and path_length polled separately.
-      if (mapping.apiField === 'los_ppmm' || mapping.apiField === 'path_length') return;
+      // Skip PPMM and path_length (taken from the server fields above) and Signal (gsm_signal event).
+      if (mapping.apiField === 'los_ppmm' || mapping.apiField === 'path_length' || mapping.apiField === 'gsm_signal') return;
 
       let found = false;
 
@@ -677,7 +699,7 @@
       for (const actualKey of Object.keys(los)) {
         const aCan = canonicalKey(actualKey);
         if (variantCans.includes(aCan)) {
-          latest[mapping.label] = { value: los[actualKey], updated_at: ts, raw: los };
+          latest[mapping.label] = { value: los[actualKey], updated_at: ts, raw: los, stale };
           found = true;
           break;
         }
@@ -688,7 +710,7 @@
         for (const variant of mapping.keyVariants) {
           for (const actualKey of Object.keys(los)) {
             if (canonicalMatch(actualKey, variant)) {
-              latest[mapping.label] = { value: los[actualKey], updated_at: ts, raw: los };
+              latest[mapping.label] = { value: los[actualKey], updated_at: ts, raw: los, stale };
               found = true;
               break;
             }
@@ -701,45 +723,34 @@
       if (!found && mapping.apiField === 'los_ppm') {
         // Prefer server-provided los.los_ppm if given
         if (los && (los.los_ppm !== undefined)) {
-          latest[mapping.label] = { value: los.los_ppm, updated_at: ts, raw: los };
+          latest[mapping.label] = { value: los.los_ppm, updated_at: ts, raw: los, stale };
         } else if (mergedPpm !== null) {
-          latest[mapping.label] = { value: mergedPpm, updated_at: ts, raw: los };
+          latest[mapping.label] = { value: mergedPpm, updated_at: ts, raw: los, stale };
         }
       }
     });
 
-    // Ensure path_length tile shows latest path length if available (visual-only)
-    if (currentPathLength !== null && currentPathLength !== undefined) {
-      latest['Path Length (Meters)'] = { value: Number(currentPathLength), updated_at: ts, raw: null };
-    }
-
-    // If we computed preDivisionPpm earlier we already set latest['PPMM']; otherwise we may have a fallback value set above.
     updateTiles();
 
-    addToFeed(`[${new Date(ts).toLocaleTimeString()}] [${rawSerial}] ${msg.topic} — ${JSON.stringify(los)}`);
-  });
+    addToFeed(`[${new Date(ts).toLocaleTimeString()}] [${rawSerial}]${stale ? ' (last known)' : ''} ${msg.topic} — ${JSON.stringify(los)}`);
+  }
 
-  // --- Path length polling (visual-only tile) ---
+  // --- Path length polling (visual-only tile, path length currently configured for the selected station) ---
   async function fetchPathLengthAndUpdate() {
     try {
-      const r = await fetch('/api/path_length', { cache: 'no-cache' });
+      const serial = selectedStationSerial();
+      const url = serial ? `/api/path_length?serial_number=${encodeURIComponent(serial)}` : '/api/path_length';
+      const r = await fetch(url, { cache: 'no-cache' });
       if (!r.ok) throw new Error('failed');
       const j = await r.json();
+      if (serial !== selectedStationSerial()) return; // selection changed meanwhile
+      // the path length a reading was divided by wins; the configured value only fills an empty tile
+      const current = latest['Path Length (Meters)'];
+      if (current && current.value !== null && current.raw) return;
       if (j && j.ok && typeof j.value !== 'undefined' && j.value !== null) {
         const v = Number(j.value);
         if (!Number.isNaN(v)) {
-          currentPathLength = v;
           latest['Path Length (Meters)'] = { value: v, updated_at: new Date().toISOString(), raw: null };
-          // Update PPMM if we currently have a post-division PPM available (reconstruct)
-          try {
-            const ppmPost = latest['PPM'] && latest['PPM'].value !== null && latest['PPM'].value !== undefined
-              ? Number(latest['PPM'].value)
-              : (latest['PPM'] && latest['PPM'].raw && latest['PPM'].raw.los_ppm ? Number(latest['PPM'].raw.los_ppm) : null);
-            if (ppmPost !== null && !Number.isNaN(ppmPost)) {
-              const reconstructed = ppmPost * v;
-              latest['PPMM'] = { value: reconstructed, updated_at: new Date().toISOString(), raw: null };
-            }
-          } catch (e) {}
           updateTiles();
         }
       }
@@ -748,6 +759,97 @@
     }
   }
 
+  // --- Effective PPM threshold of the selected station (shown on the PPM tile) ---
+  function thresholdText() {
+    if (!ppmThreshold || ppmThreshold.threshold === null || ppmThreshold.threshold === undefined) return '';
+    return `Threshold ${ppmThreshold.threshold}${ppmThreshold.scope === 'global' ? ' (global)' : ''}`;
+  }
+
+  async function fetchThresholdAndUpdate() {
+    const serial = selectedStationSerial();
+    try {
+      const url = serial ? `/api/thresholds/effective?serial_number=${encodeURIComponent(serial)}` : '/api/thresholds/effective';
+      const r = await fetch(url, { cache: 'no-cache' });
+      if (!r.ok) throw new Error('failed');
+      const j = await r.json();
+      if (serial !== selectedStationSerial()) return; // selection changed meanwhile
+      ppmThreshold = j && j.ok ? { threshold: j.threshold, scope: j.scope } : null;
+      updateTiles();
+    } catch (e) {
+      // ignore transient errors
+    }
+  }
+
+  socket.on('thresholds_changed', () => { fetchThresholdAndUpdate().catch(()=>{}); });
+
+  // --- Maintenance badge of the selected station (status area) ---
+  function renderMaintenanceBadge() {
+    if (!maintenanceBadgeEl) return;
+    const now = Date.now();
+    const active = maintenanceWindows.find(w => new Date(w.starts_at).getTime() <= now && now < new Date(w.ends_at).getTime());
+    maintenanceBadgeEl.hidden = !active;
+    maintenanceBadgeEl.title = active
+      ? `${active.reason} — by ${active.created_by}, until ${new Date(active.ends_at).toLocaleString()}. Alarms are not notified.`
+      : '';
+  }
+
+  async function fetchMaintenanceAndUpdate() {
+    const serial = selectedStationSerial();
+    if (!serial) {
+      maintenanceWindows = [];
+      renderMaintenanceBadge();
+      return;
+    }
+    try {
+      const url = `/api/maintenance?serial_number=${encodeURIComponent(serial)}&from=${encodeURIComponent(new Date().toISOString())}`;
+      const r = await fetch(url, { cache: 'no-cache' });
+      if (!r.ok) throw new Error('failed');
+      const j = await r.json();
+      if (serial !== selectedStationSerial()) return; // selection changed meanwhile
+      maintenanceWindows = j && j.ok && Array.isArray(j.windows) ? j.windows : [];
+      renderMaintenanceBadge();
+    } catch (e) {
+      // ignore transient errors
+    }
+  }
+
+  socket.on('maintenance_changed', (ev) => {
+    if (!ev || !ev.serial_number || ev.serial_number === selectedStationSerial()) fetchMaintenanceAndUpdate().catch(()=>{});
+  });
+  // scheduled windows start and end without an event
+  setInterval(renderMaintenanceBadge, 15000);
+
+  // --- Frozen-sensor badge of the selected station (status area) ---
+  function renderFrozenBadge() {
+    if (!frozenBadgeEl) return;
+    const st = selectedSerial ? frozenMap.get(selectedSerial) : null;
+    frozenBadgeEl.hidden = !(st && st.frozen);
+    if (!st || !st.frozen) {
+      frozenBadgeEl.title = '';
+      return;
+    }
+    const why = (st.reasons || []).map(r => (r === 'heartbeat' ? `heartbeat stuck at ${st.heartbeat}` : `PPM flat at ${st.ppm}`));
+    frozenBadgeEl.title = `${why.join(', ')} since ${new Date(st.since).toLocaleString()}. The gateway still publishes; the sensor is probably hung.`;
+  }
+
+  function setFrozenStatus(st) {
+    if (!st || !st.serial_number) return;
+    const c = canonicalKey(st.serial_number);
+    if (st.frozen) frozenMap.set(c, st);
+    else frozenMap.delete(c);
+    if (c === selectedSerial) renderFrozenBadge();
+  }
+
+  socket.on('sensor_frozen_snapshot', (list) => {
+    frozenMap.clear();
+    (Array.isArray(list) ? list : []).forEach(setFrozenStatus);
+    renderFrozenBadge();
+  });
+  socket.on('sensor_frozen', (st) => {
+    setFrozenStatus(st);
+    if (st && st.serial_number) addToFeed(`[${new Date().toLocaleTimeString()}] SENSOR ${st.serial_number} — ${st.frozen ? `frozen (${(st.reasons || []).join(', ')})` : 'no longer frozen'}`);
+  });
+
   // poll path length every 10s so the tile stays live when changed from path-length UI
   fetchPathLengthAndUpdate().catch(()=>{});
   setInterval(() => { fetchPathLengthAndUpdate().catch(()=>{}); }, 10000);
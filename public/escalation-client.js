@@ -0,0 +1,254 @@
+// escalation-client.js — on-call and escalation admin panel: people, on-call groups with their weekly
+// shifts (and who is on call now), and escalation policies built step by step from a group and a
+// notification channel. Everything is reloaded after each change; on-call is refreshed every minute.
+(function () {
+  const socket = io();
+  const panel = document.getElementById('escalation-panel');
+  if (!panel) return;
+  const $ = (id) => document.getElementById(id);
+  const summaryEl = $('escalation-summary');
+  const peopleEl = $('oncall-people');
+  const groupsEl = $('oncall-groups');
+  const policiesEl = $('escalation-policies');
+  const stepsEl = $('policy-steps');
+
+  let state = { days: [], people: [], groups: [], channels: [], policies: [], severities: [], stations: [] };
+  let pendingSteps = [];
+
+  async function send(method, url, body) {
+    try {
+      const r = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const data = await r.json().catch(() => null);
+      if (!r.ok || !data || !data.ok) {
+        alert((data && data.error) || `Request failed (${r.status})`);
+        return null;
+      }
+      return data;
+    } catch (e) {
+      alert('Request failed');
+      return null;
+    }
+  }
+
+  async function getJson(url) {
+    const r = await fetch(url, { cache: 'no-cache' });
+    if (!r.ok) return null;
+    const data = await r.json();
+    return data && data.ok ? data : null;
+  }
+
+  function fillSelect(el, items, firstLabel) {
+    if (!el) return;
+    const current = el.value;
+    el.innerHTML = '';
+    if (firstLabel) {
+      const opt = document.createElement('option');
+      opt.value = '';
+      opt.textContent = firstLabel;
+      el.appendChild(opt);
+    }
+    items.forEach(([value, label]) => {
+      const opt = document.createElement('option');
+      opt.value = String(value);
+      opt.textContent = label;
+      el.appendChild(opt);
+    });
+    if (Array.from(el.options).some(o => o.value === current)) el.value = current;
+  }
+
+  function row(text, meta, buttons) {
+    const el = document.createElement('div');
+    el.className = 'escalation-row';
+    const main = document.createElement('div');
+    main.className = 'escalation-main';
+    main.textContent = text;
+    if (meta) {
+      const m = document.createElement('span');
+      m.className = 'escalation-meta';
+      m.textContent = ` ${meta}`;
+      main.appendChild(m);
+    }
+    el.appendChild(main);
+    buttons.forEach(([label, cls, onClick]) => {
+      const b = document.createElement('button');
+      b.className = cls;
+      b.textContent = label;
+      b.addEventListener('click', onClick);
+      el.appendChild(b);
+    });
+    return el;
+  }
+
+  function emptyNote(el, text) {
+    const d = document.createElement('div');
+    d.style.color = 'var(--muted)';
+    d.textContent = text;
+    el.appendChild(d);
+  }
+
+  const names = (list) => list.map(p => p.name).join(', ');
+  const groupName = (id) => (state.groups.find(g => g.id === id) || {}).name || `#${id}`;
+  const channelName = (id) => (state.channels.find(c => c.id === id) || {}).name || `#${id}`;
+  const stepText = (s) => `+${s.delay_min} min → ${groupName(s.group_id)} via ${channelName(s.channel_id)}`;
+
+  async function remove(url, what) {
+    if (!window.confirm(`Delete ${what}?`)) return;
+    if (await send('DELETE', url)) load();
+  }
+
+  function renderPeople() {
+    peopleEl.innerHTML = '';
+    if (!state.people.length) return emptyNote(peopleEl, 'No people — add someone with an email or phone');
+    state.people.forEach(p => {
+      peopleEl.appendChild(row(p.name, [p.email, p.phone].filter(Boolean).join(' · '), [
+        ['Delete', 'btn secondary', () => remove(`/api/oncall/people/${p.id}`, `${p.name} (and their shifts)`)]
+      ]));
+    });
+  }
+
+  function renderGroups() {
+    groupsEl.innerHTML = '';
+    if (!state.groups.length) return emptyNote(groupsEl, 'No on-call groups');
+    state.groups.forEach(g => {
+      groupsEl.appendChild(row(`${g.name} (${g.timezone || 'server time'})`,
+        `on call: ${g.on_call.length ? names(g.on_call) : 'nobody'}`, [
+          ['Delete', 'btn secondary', () => remove(`/api/oncall/groups/${g.id}`, `group ${g.name}`)]
+        ]));
+      g.shifts.forEach(s => {
+        const person = state.people.find(p => p.id === s.person_id);
+        const shift = row(`${s.day} ${s.start}–${s.end} ${person ? person.name : '#' + s.person_id}`, '', [
+          ['×', 'btn secondary', () => remove(`/api/oncall/shifts/${s.id}`, 'this shift')]
+        ]);
+        shift.classList.add('shift');
+        groupsEl.appendChild(shift);
+      });
+    });
+  }
+
+  function renderPolicies() {
+    policiesEl.innerHTML = '';
+    if (!state.policies.length) return emptyNote(policiesEl, 'No escalation policies — unacknowledged alarms are not escalated');
+    state.policies.forEach(p => {
+      const scope = `${p.severity || 'any severity'}, ${p.serial_number || 'all stations'}`;
+      policiesEl.appendChild(row(`${p.name} — ${scope}${p.enabled ? '' : ' (disabled)'}`, p.steps.map(stepText).join(' · '), [
+        [p.enabled ? 'Disable' : 'Enable', 'btn', async () => {
+          if (await send('PUT', `/api/escalation_policies/${p.id}`, { enabled: !p.enabled })) load();
+        }],
+        ['Delete', 'btn secondary', () => remove(`/api/escalation_policies/${p.id}`, `policy ${p.name}`)]
+      ]));
+    });
+  }
+
+  function renderPendingSteps() {
+    stepsEl.textContent = pendingSteps.length ? pendingSteps.map(stepText).join(' · ') : 'No steps yet';
+  }
+
+  function render() {
+    const onCall = state.groups.map(g => `${g.name}: ${g.on_call.length ? names(g.on_call) : 'nobody'}`);
+    summaryEl.textContent = onCall.length ? `On call now — ${onCall.join(' · ')}` : '—';
+    const people = state.people.map(p => [p.id, p.name]);
+    const groups = state.groups.map(g => [g.id, g.name]);
+    fillSelect($('shift-person'), people);
+    fillSelect($('shift-group'), groups);
+    fillSelect($('shift-day'), state.days.map((d, i) => [i, d]));
+    fillSelect($('step-group'), groups);
+    fillSelect($('step-channel'), state.channels.map(c => [c.id, `${c.name} (${c.type})${c.enabled ? '' : ' — disabled'}`]));
+    fillSelect($('policy-severity'), state.severities.map(s => [s, s]), 'Any severity');
+    fillSelect($('policy-station'), state.stations.map(s => [s, s]), 'All stations');
+    renderPeople();
+    renderGroups();
+    renderPolicies();
+    renderPendingSteps();
+  }
+
+  async function load() {
+    try {
+      const [oncall, channels, policies, stations] = await Promise.all([
+        getJson('/api/oncall'),
+        getJson('/api/notification_channels'),
+        getJson('/api/escalation_policies'),
+        getJson('/api/stations')
+      ]);
+      if (!oncall || !policies) return;
+      state = {
+        days: oncall.days || [],
+        people: oncall.people || [],
+        groups: oncall.groups || [],
+        channels: (channels && channels.channels) || [],
+        policies: policies.policies || [],
+        severities: policies.severities || [],
+        stations: ((stations && stations.stations) || []).map(s => s.serial_number)
+      };
+      render();
+    } catch (e) {
+      console.warn('Failed loading on-call and escalation', e);
+    }
+  }
+
+  const val = (id) => ($(id) ? $(id).value.trim() : '');
+
+  $('person-add').addEventListener('click', async () => {
+    const body = { name: val('person-name'), email: val('person-email') || null, phone: val('person-phone') || null };
+    if (await send('POST', '/api/oncall/people', body)) {
+      ['person-name', 'person-email', 'person-phone'].forEach(id => { $(id).value = ''; });
+      load();
+    }
+  });
+
+  $('group-add').addEventListener('click', async () => {
+    const body = { name: val('group-name'), timezone: val('group-timezone') || null };
+    if (await send('POST', '/api/oncall/groups', body)) {
+      $('group-name').value = '';
+      load();
+    }
+  });
+
+  $('shift-add').addEventListener('click', async () => {
+    const body = {
+      group_id: Number(val('shift-group')),
+      person_id: Number(val('shift-person')),
+      day_of_week: Number(val('shift-day')),
+      start: val('shift-start'),
+      end: val('shift-end')
+    };
+    if (await send('POST', '/api/oncall/shifts', body)) load();
+  });
+
+  $('step-add').addEventListener('click', () => {
+    const delay = Number(val('step-delay'));
+    const group_id = Number(val('step-group'));
+    const channel_id = Number(val('step-channel'));
+    if (!Number.isInteger(delay) || delay < 0) { alert('Enter a delay in minutes'); return; }
+    if (!group_id || !channel_id) { alert('Add a group and a notification channel first'); return; }
+    pendingSteps.push({ delay_min: delay, group_id, channel_id });
+    renderPendingSteps();
+  });
+
+  $('step-clear').addEventListener('click', () => {
+    pendingSteps = [];
+    renderPendingSteps();
+  });
+
+  $('policy-add').addEventListener('click', async () => {
+    const body = {
+      name: val('policy-name'),
+      severity: val('policy-severity') || null,
+      serial_number: val('policy-station') || null,
+      steps: pendingSteps
+    };
+    if (await send('POST', '/api/escalation_policies', body)) {
+      $('policy-name').value = '';
+      pendingSteps = [];
+      load();
+    }
+  });
+
+  socket.on('stations_changed', load);
+  setInterval(load, 60 * 1000);
+
+  load();
+})();
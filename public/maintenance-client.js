@@ -0,0 +1,168 @@
+// maintenance-client.js — maintenance window panel: schedule a window for a station (or start one now),
+// end an active window early, delete a window. Follows maintenance_changed from the server.
+(function () {
+  const socket = io();
+  const listEl = document.getElementById('maintenance-list');
+  const summaryEl = document.getElementById('maintenance-summary');
+  const stationEl = document.getElementById('maintenance-station');
+  const reasonEl = document.getElementById('maintenance-reason');
+  const startEl = document.getElementById('maintenance-start');
+  const durationEl = document.getElementById('maintenance-duration');
+  const addBtn = document.getElementById('maintenance-add');
+  if (!listEl) return;
+
+  const USER_STORAGE_KEY = 'alarm.user'; // shared with alarm-client.js
+
+  // Name recorded as created_by (asked once, remembered in the browser)
+  function askUser() {
+    let user = '';
+    try { user = localStorage.getItem(USER_STORAGE_KEY) || ''; } catch (e) {}
+    const entered = window.prompt('Your name', user);
+    if (entered === null) return null;
+    const name = entered.trim();
+    if (!name) return null;
+    try { localStorage.setItem(USER_STORAGE_KEY, name); } catch (e) {}
+    return name;
+  }
+
+  function fmtTime(v) {
+    if (!v) return '';
+    const d = new Date(v);
+    return Number.isNaN(d.getTime()) ? String(v) : d.toLocaleString();
+  }
+
+  async function send(method, url, body) {
+    try {
+      const r = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const data = await r.json().catch(() => null);
+      if (!r.ok || !data || !data.ok) {
+        alert((data && data.error) || `Request failed (${r.status})`);
+        return null;
+      }
+      return data;
+    } catch (e) {
+      alert('Request failed');
+      return null;
+    }
+  }
+
+  function renderStations(serials) {
+    if (!stationEl) return;
+    const current = stationEl.value;
+    stationEl.innerHTML = '';
+    serials.forEach(s => {
+      const opt = document.createElement('option');
+      opt.value = s;
+      opt.textContent = s;
+      stationEl.appendChild(opt);
+    });
+    if (serials.includes(current)) stationEl.value = current;
+  }
+
+  async function endNow(w) {
+    if (!window.confirm(`End the maintenance of ${w.serial_number} now?`)) return;
+    if (await send('POST', `/api/maintenance/${w.id}/end`)) load();
+  }
+
+  async function remove(w) {
+    if (!window.confirm(`Delete the maintenance window of ${w.serial_number} (${w.reason})? Its readings are no longer tagged.`)) return;
+    if (await send('DELETE', `/api/maintenance/${w.id}`)) load();
+  }
+
+  function renderList(windows) {
+    listEl.innerHTML = '';
+    const active = windows.filter(w => w.state === 'active');
+    if (summaryEl) {
+      summaryEl.textContent = active.length ? `In maintenance: ${active.map(w => w.serial_number).join(', ')}` : 'No station in maintenance';
+    }
+    if (!windows.length) {
+      const empty = document.createElement('div');
+      empty.style.color = 'var(--muted)';
+      empty.textContent = 'No maintenance windows';
+      listEl.appendChild(empty);
+      return;
+    }
+    windows.forEach(w => {
+      const row = document.createElement('div');
+      row.className = `maintenance-row ${w.state}`;
+
+      const main = document.createElement('div');
+      main.className = 'maintenance-main';
+      main.textContent = `${w.serial_number} — ${w.reason}`;
+      const meta = document.createElement('span');
+      meta.className = 'maintenance-meta';
+      meta.textContent = ` ${w.state}, ${fmtTime(w.starts_at)} → ${fmtTime(w.ends_at)}, by ${w.created_by}`;
+      main.appendChild(meta);
+      row.appendChild(main);
+
+      if (w.state === 'active') {
+        const endBtn = document.createElement('button');
+        endBtn.className = 'btn';
+        endBtn.textContent = 'End now';
+        endBtn.addEventListener('click', () => endNow(w));
+        row.appendChild(endBtn);
+      }
+      const delBtn = document.createElement('button');
+      delBtn.className = 'btn secondary';
+      delBtn.textContent = 'Delete';
+      delBtn.addEventListener('click', () => remove(w));
+      row.appendChild(delBtn);
+
+      listEl.appendChild(row);
+    });
+  }
+
+  async function load() {
+    try {
+      const [stationsRes, windowsRes] = await Promise.all([
+        fetch('/api/stations', { cache: 'no-cache' }),
+        fetch('/api/maintenance?limit=50', { cache: 'no-cache' })
+      ]);
+      const stations = stationsRes.ok ? await stationsRes.json() : null;
+      const data = windowsRes.ok ? await windowsRes.json() : null;
+      if (stations && stations.ok) renderStations((stations.stations || []).map(s => s.serial_number));
+      if (!data || !data.ok) return;
+      // current and upcoming first, then the most recent ended ones
+      const order = { active: 0, scheduled: 1, ended: 2 };
+      renderList((data.windows || []).slice().sort((a, b) => order[a.state] - order[b.state]));
+    } catch (e) {
+      console.warn('Failed loading maintenance windows', e);
+    }
+  }
+
+  if (addBtn) {
+    addBtn.addEventListener('click', async () => {
+      const duration = parseInt(durationEl ? durationEl.value : '', 10);
+      if (Number.isNaN(duration) || duration <= 0) { alert('Enter a duration in minutes'); return; }
+      const reason = reasonEl ? reasonEl.value.trim() : '';
+      if (!reason) { alert('Enter a reason'); return; }
+      const by = askUser();
+      if (!by) return;
+      const body = {
+        serial_number: stationEl ? stationEl.value : '',
+        reason,
+        created_by: by,
+        duration_min: duration
+      };
+      // datetime-local is local time; empty starts now
+      if (startEl && startEl.value) body.starts_at = new Date(startEl.value).toISOString();
+      const data = await send('POST', '/api/maintenance', body);
+      if (data) {
+        if (reasonEl) reasonEl.value = '';
+        if (startEl) startEl.value = '';
+        load();
+      }
+    });
+  }
+
+  socket.on('maintenance_changed', load);
+  socket.on('stations_changed', load);
+  // states change as windows start and end
+  setInterval(load, 60 * 1000);
+
+  load();
+})();
@@ -36,6 +36,8 @@
   const chartMeta = document.getElementById('chart-meta');
   const chartCanvas = document.getElementById('ppm-chart');
   const pathLengthInput = document.getElementById('path-length');
+  const extraFieldSelect = document.getElementById('extra-field-add');
+  const extraFieldChips = document.getElementById('extra-field-chips');
 
   // Chart.js instance reference
   let ppmChart = null;
@@ -128,16 +130,27 @@
     toInput.addEventListener('change', () => { try { updateToPreview(); } catch(e){} });
   }
 
-  // --- Load and save path length UI wiring ---
+  // --- Load and save path length UI wiring (path length of the selected station) ---
   let __savePathDebounce = null;
+
+  // Actual serial of the station picked in the dropdown created by client.js
+  function selectedStationSerial() {
+    const stationSelect = document.getElementById('station-select');
+    return stationSelect && stationSelect.selectedOptions && stationSelect.selectedOptions[0]
+      ? stationSelect.selectedOptions[0].dataset.serial || null
+      : null;
+  }
+
   async function loadPathLength() {
     if (!pathLengthInput) return;
     try {
-      const r = await fetch('/api/path_length', { cache: 'no-cache' });
+      const serial = selectedStationSerial();
+      const url = serial ? `/api/path_length?serial_number=${encodeURIComponent(serial)}` : '/api/path_length';
+      const r = await fetch(url, { cache: 'no-cache' });
       if (!r.ok) return;
       const j = await r.json();
-      if (j && j.ok && typeof j.value !== 'undefined' && j.value !== null) {
-        pathLengthInput.value = String(j.value);
+      if (j && j.ok) {
+        pathLengthInput.value = (typeof j.value !== 'undefined' && j.value !== null) ? String(j.value) : '';
       }
     } catch (e) {
       console.warn('Failed loading path length', e);
@@ -149,6 +162,8 @@
     try {
       pathLengthInput.disabled = true;
       const body = { value: Number(value) };
+      const serial = selectedStationSerial();
+      if (serial) body.serial_number = serial;
       const r = await fetch('/api/path_length', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
@@ -167,6 +182,9 @@
     }
   }
 
+  // reload when the station selection changes (event dispatched by client.js)
+  window.addEventListener('station-selected', () => { loadPathLength().catch(()=>{}); });
+
   if (pathLengthInput) {
     pathLengthInput.addEventListener('change', (ev) => {
       const v = ev.target.value;
@@ -183,6 +201,88 @@
     });
   }
 
+  // --- Extra payload fields (los_data.extra) as table / CSV columns ---
+  const EXTRA_COLUMNS_STORAGE_KEY = 'query.extraColumns';
+  let extraColumns = [];
+  try { extraColumns = JSON.parse(localStorage.getItem(EXTRA_COLUMNS_STORAGE_KEY) || '[]').filter(k => typeof k === 'string'); } catch (e) { extraColumns = []; }
+  const knownExtraKeys = new Set(extraColumns);
+
+  function formatExtraValue(v) {
+    if (v === null || v === undefined) return '';
+    return typeof v === 'object' ? JSON.stringify(v) : v;
+  }
+
+  function renderExtraFieldControls() {
+    if (extraFieldSelect) {
+      extraFieldSelect.innerHTML = '';
+      const placeholder = document.createElement('option');
+      placeholder.value = '';
+      placeholder.textContent = knownExtraKeys.size ? '+ Add column' : '(no extra fields)';
+      extraFieldSelect.appendChild(placeholder);
+      Array.from(knownExtraKeys).sort().filter(k => !extraColumns.includes(k)).forEach(k => {
+        const opt = document.createElement('option');
+        opt.value = k;
+        opt.textContent = k;
+        extraFieldSelect.appendChild(opt);
+      });
+    }
+    if (extraFieldChips) {
+      extraFieldChips.innerHTML = '';
+      extraColumns.forEach(k => {
+        const chip = document.createElement('span');
+        chip.className = 'extra-chip';
+        chip.textContent = k;
+        const rm = document.createElement('button');
+        rm.type = 'button';
+        rm.textContent = '×';
+        rm.title = `Remove column ${k}`;
+        rm.addEventListener('click', () => setExtraColumns(extraColumns.filter(c => c !== k)));
+        chip.appendChild(rm);
+        extraFieldChips.appendChild(chip);
+      });
+    }
+  }
+
+  function setExtraColumns(cols) {
+    extraColumns = cols;
+    try { localStorage.setItem(EXTRA_COLUMNS_STORAGE_KEY, JSON.stringify(cols)); } catch (e) {}
+    renderExtraFieldControls();
+    if (pageCache.has(currentPage)) renderResultsTable(pageCache.get(currentPage));
+  }
+
+  // keys available for the current range / station (plus any seen in fetched rows)
+  async function loadExtraKeys(fromISO, toISO) {
+    try {
+      const params = new URLSearchParams();
+      if (fromISO) params.set('from', fromISO);
+      if (toISO) params.set('to', toISO);
+      const selSerial = selectedStationSerial();
+      if (selSerial) params.set('serial_number', selSerial);
+      const r = await fetch('/api/los/extra_keys?' + params.toString());
+      if (!r.ok) return;
+      const data = await r.json();
+      if (data && data.ok && Array.isArray(data.keys)) data.keys.forEach(k => knownExtraKeys.add(k.key));
+      renderExtraFieldControls();
+    } catch (e) {
+      console.warn('Failed loading extra fields', e);
+    }
+  }
+
+  function noteExtraKeys(rows) {
+    const before = knownExtraKeys.size;
+    (rows || []).forEach(r => { if (r && r.extra && typeof r.extra === 'object') Object.keys(r.extra).forEach(k => knownExtraKeys.add(k)); });
+    if (knownExtraKeys.size !== before) renderExtraFieldControls();
+  }
+
+  if (extraFieldSelect) {
+    extraFieldSelect.addEventListener('change', () => {
+      const k = extraFieldSelect.value;
+      if (k && !extraColumns.includes(k)) setExtraColumns(extraColumns.concat([k]));
+      else extraFieldSelect.value = '';
+    });
+  }
+  renderExtraFieldControls();
+
   // --- Pagination and query state ---
   const pageSize = 2000;
   let currentPage = 0;
@@ -610,7 +710,8 @@
         alert('No data to export');
         return;
       }
-      const headers = ['Recorded_At','Temp','Rx_Light','R2','HeartBeat','PPM'];
+      const headers = ['Recorded_At','Temp','Rx_Light','R2','HeartBeat','PPM','PPM_M','Path_Length','Decoding_Profile','Quality','Quality_Reasons','Maintenance']
+        .concat(extraColumns.map(k => `"${k.replace(/"/g, '""')}"`));
       const lines = [headers.join(',')];
       rows.forEach(r => {
         // Use frontend helper to format recorded time into local timezone (simple, readable)
@@ -622,8 +723,14 @@
           r.los_rx_light ?? '',
           r.los_r2 ?? '',
           r.los_heartbeat ?? '',
-          r.los_ppm ?? ''
-        ];
+          r.los_ppm ?? '',
+          r.ppm_m ?? '',
+          r.path_length ?? '',
+          r.decoding_profile ?? '',
+          r.quality ?? '',
+          `"${(Array.isArray(r.quality_reasons) ? r.quality_reasons.join('; ') : '').replace(/"/g, '""')}"`,
+          `"${(r.maintenance ? r.maintenance.reason : '').replace(/"/g, '""')}"`
+        ].concat(extraColumns.map(k => `"${String(formatExtraValue(r.extra ? r.extra[k] : null)).replace(/"/g, '""')}"`));
         lines.push(vals.join(','));
       });
       const csv = lines.join('\n');
@@ -792,7 +899,10 @@
     const params = getParamsForCurrentInputs();
     if (!params) return;
 
-    if (params.hash !== lastRequestParamsHash) clearCacheForNewQuery(params.hash);
+    if (params.hash !== lastRequestParamsHash) {
+      clearCacheForNewQuery(params.hash);
+      loadExtraKeys(params.fromISO, params.toISO);
+    }
 
     updatePageLabel();
     if (pageCache.has(pageIndex)) {
@@ -821,6 +931,7 @@
 
     pageCache.set(pageIndex, rows);
     lastFetchedCountForPage.set(pageIndex, rows.length);
+    noteExtraKeys(rows);
     renderResultsTable(rows);
     updatePageLabel();
     setPagingButtonsState();
@@ -836,10 +947,7 @@
       params.set('offset', String(pageIndex * pageSize));
 
       try {
-        const stationSelect = document.getElementById('station-select');
-        const selSerial = stationSelect && stationSelect.selectedOptions && stationSelect.selectedOptions[0]
-          ? stationSelect.selectedOptions[0].dataset.serial
-          : null;
+        const selSerial = selectedStationSerial();
         if (selSerial) params.set('serial_number', selSerial);
       } catch (e) {}
 
@@ -954,7 +1062,7 @@
     table.className = 'table';
     const thead = document.createElement('thead');
     const headerRow = document.createElement('tr');
-    ['Recorded_At','Temp','Rx_Light','R2','HeartBeat','PPM'].forEach(h => {
+    ['Recorded_At','Temp','Rx_Light','R2','HeartBeat','PPM','PPM_M','Path_Length','Quality','Maintenance'].concat(extraColumns).forEach(h => {
       const th = document.createElement('th');
       th.textContent = h;
       headerRow.appendChild(th);
@@ -981,6 +1089,20 @@
       tr.appendChild(addCell(row.los_r2));
       tr.appendChild(addCell(row.los_heartbeat));
       tr.appendChild(addCell(row.los_ppm));
+      tr.appendChild(addCell(row.ppm_m));
+      tr.appendChild(addCell(row.path_length));
+      const tdQuality = addCell(row.quality);
+      if (Array.isArray(row.quality_reasons) && row.quality_reasons.length) tdQuality.title = row.quality_reasons.join('\n');
+      if (row.quality === 'invalid') tdQuality.style.color = 'var(--danger)';
+      else if (row.quality === 'suspect') tdQuality.style.color = 'var(--warning)';
+      tr.appendChild(tdQuality);
+      const tdMaintenance = addCell(row.maintenance ? 'yes' : '');
+      if (row.maintenance) {
+        tdMaintenance.title = row.maintenance.reason;
+        tdMaintenance.style.color = 'var(--warning)';
+      }
+      tr.appendChild(tdMaintenance);
+      extraColumns.forEach(k => tr.appendChild(addCell(formatExtraValue(row.extra ? row.extra[k] : null))));
 
       tbody.appendChild(tr);
     }
@@ -1248,6 +1370,37 @@
     return all.slice(0, maxPoints);
   }
 
+  // GSM signal readings of the selected station in the range (oldest first); [] when unavailable
+  async function fetchSignalRowsForGraph(fromISO, toISO) {
+    try {
+      const params = new URLSearchParams();
+      if (fromISO) params.set('from', fromISO);
+      if (toISO) params.set('to', toISO);
+      params.set('limit', '10000');
+      const selSerial = selectedStationSerial();
+      if (selSerial) params.set('serial_number', selSerial);
+      const r = await fetch('/api/signal?' + params.toString());
+      if (!r.ok) return [];
+      const data = await r.json();
+      return data && data.ok && Array.isArray(data.rows) ? data.rows : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  // For each (time-sorted) PPM row, the last signal reading at or before it (within maxAgeMs)
+  function alignSignalToRows(rows, signalRows, maxAgeMs = 60 * 60 * 1000) {
+    const out = [];
+    let j = -1;
+    for (const r of rows) {
+      const t = (parseToDate(r.recorded_at || r.recorded_at_raw || r.recorded_at_str) || new Date(0)).getTime();
+      while (j + 1 < signalRows.length && new Date(signalRows[j + 1].recorded_at).getTime() <= t) j++;
+      const sig = j >= 0 ? signalRows[j] : null;
+      out.push(sig && t - new Date(sig.recorded_at).getTime() <= maxAgeMs ? sig : null);
+    }
+    return out;
+  }
+
   async function renderPpmGraphForParams(params) {
     if (!params) return;
     if (!chartArea || !chartCanvas) return;
@@ -1266,7 +1419,7 @@
     chartMeta.textContent = 'Fetching data…';
     const rows = await fetchAllRowsForGraph(params.fromISO, params.toISO, 10000);
     if (rows === null) { chartMeta.textContent = 'Error fetching data'; return; }
-    if (rows.length === 0) { chartMeta.textContent = 'No rows for selected range'; if (ppmChart) { ppmChart.data.labels = []; ppmChart.data.datasets[0].data = []; ppmChart.update(); } return; }
+    if (rows.length === 0) { chartMeta.textContent = 'No rows for selected range'; if (ppmChart) { ppmChart.data.labels = []; ppmChart.data.datasets[0].data = []; ppmChart.data.datasets.length = 1; ppmChart.update(); } return; }
 
     rows.sort((a, b) => {
       const ta = parseToDate(a.recorded_at || a.recorded_at_raw || a.recorded_at_str) || new Date(0);
@@ -1276,8 +1429,13 @@
 
     const labels = rows.map(r => toLocalDisplay(r.recorded_at || r.recorded_at_raw || r.recorded_at_str || ''));
     const dataPts = rows.map(r => (r.los_ppm === null || r.los_ppm === undefined) ? null : Number(r.los_ppm));
+    // GSM signal next to PPM (right axis), to correlate gaps with poor coverage
+    const signalRows = await fetchSignalRowsForGraph(params.fromISO, params.toISO);
+    const signalAt = alignSignalToRows(rows, signalRows);
+    const signalPts = signalAt.map(sig => (sig && sig.rssi_dbm !== null && sig.rssi_dbm !== undefined) ? Number(sig.rssi_dbm) : null);
+    const hasSignal = signalPts.some(v => v !== null);
 
-    chartMeta.textContent = `${rows.length.toLocaleString()} points`;
+    chartMeta.textContent = `${rows.length.toLocaleString()} points` + (hasSignal ? ` · ${signalRows.length.toLocaleString()} signal readings` : '');
 
     try {
       if (!window.Chart) { chartMeta.textContent = 'Chart.js not available'; return; }
@@ -1292,8 +1450,23 @@
         pointRadius: 0.5,
         pointHoverRadius: 4,
         tension: 0.15,
-        borderWidth: 1.5
+        borderWidth: 1.5,
+        yAxisID: 'y'
+      };
+      const signalDataset = {
+        label: 'Signal (dBm)',
+        data: signalPts,
+        borderColor: 'rgba(234,179,8,0.9)',
+        backgroundColor: 'rgba(234,179,8,0.05)',
+        spanGaps: false,
+        stepped: true,
+        pointRadius: 0,
+        pointHoverRadius: 3,
+        borderWidth: 1,
+        yAxisID: 'y1'
       };
+      const datasets = hasSignal ? [dataset, signalDataset] : [dataset];
+      const signalScale = { display: hasSignal, position: 'right', title: { display: true, text: 'Signal (dBm)' }, suggestedMin: -113, suggestedMax: -51, grid: { drawOnChartArea: false } };
 
       const tooltipConfig = {
         callbacks: {
@@ -1307,6 +1480,11 @@
           },
           label: function (context) {
             const idx = context.dataIndex;
+            if (context.dataset && context.dataset.yAxisID === 'y1') {
+              const sig = signalAt[idx];
+              if (!sig || sig.rssi_dbm === null || sig.rssi_dbm === undefined) return 'Signal: n/a';
+              return `Signal: ${sig.rssi_dbm} dBm (CSQ ${sig.csq ?? '-'}, ${sig.quality || 'unknown'})`;
+            }
             const r = rows && rows[idx] ? rows[idx] : null;
             let val = null;
             if (r && (r.los_ppm !== undefined && r.los_ppm !== null)) {
@@ -1322,6 +1500,18 @@
             }
             if (val === null || val === undefined || val === '') return 'PPM: n/a';
             return `PPM: ${val}`;
+          },
+          afterLabel: function (context) {
+            if (context.dataset && context.dataset.yAxisID === 'y1') return '';
+            const r = rows && rows[context.dataIndex] ? rows[context.dataIndex] : null;
+            if (!r) return '';
+            const lines = [];
+            if (r.quality && r.quality !== 'ok') {
+              const reasons = Array.isArray(r.quality_reasons) && r.quality_reasons.length ? ` (${r.quality_reasons.join('; ')})` : '';
+              lines.push(`Quality: ${r.quality}${reasons}`);
+            }
+            if (r.maintenance) lines.push(`Maintenance: ${r.maintenance.reason}`);
+            return lines;
           }
         }
       };
@@ -1333,7 +1523,7 @@
 
       if (ppmChart) {
         ppmChart.data.labels = labels;
-        ppmChart.data.datasets[0] = dataset;
+        ppmChart.data.datasets = datasets;
         if (ppmChart.options.plugins && ppmChart.options.plugins.tooltip) {
           ppmChart.options.plugins.tooltip.callbacks = tooltipConfig.callbacks;
         }
@@ -1341,13 +1531,14 @@
         if (!ppmChart.options.scales.y) ppmChart.options.scales.y = {};
         ppmChart.options.scales.y.title = { display: true, text: 'PPM' };
         ppmChart.options.scales.y.beginAtZero = true;
+        ppmChart.options.scales.y1 = signalScale;
         try { ppmChart.options.plugins.zoom = zoomPluginOptions; } catch (e) {}
         ppmChart.update();
         if (labels.length > 0) { setTimeout(() => { try { if (ppmChart && typeof ppmChart.resetZoom === 'function') ppmChart.resetZoom(); setFullView(ppmChart); } catch (e) {} }, 0); }
       } else {
         ppmChart = new Chart(ctx, {
           type: 'line',
-          data: { labels, datasets: [dataset] },
+          data: { labels, datasets },
           options: {
             responsive: true,
             maintainAspectRatio: false,
@@ -1355,7 +1546,8 @@
             plugins: { legend: { display: false }, tooltip: tooltipConfig, zoom: zoomPluginOptions },
             scales: {
               x: { display: true, title: { display: true, text: 'Time' }, ticks: { maxRotation: 45, autoSkip: true, maxTicksLimit: 20 } },
-              y: { display: true, title: { display: true, text: 'PPM' }, beginAtZero: true }
+              y: { display: true, title: { display: true, text: 'PPM' }, beginAtZero: true },
+              y1: signalScale
             }
           }
         });
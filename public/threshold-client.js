@@ -0,0 +1,149 @@
+// threshold-client.js — threshold admin panel: global and per-station PPM thresholds with add, edit
+// and delete, plus the threshold in effect for each station. Follows thresholds_changed from the server.
+(function () {
+  const socket = io();
+  const listEl = document.getElementById('threshold-list');
+  const effectiveEl = document.getElementById('threshold-effective');
+  const scopeEl = document.getElementById('threshold-scope');
+  const indicatorEl = document.getElementById('threshold-indicator');
+  const valueEl = document.getElementById('threshold-value');
+  const addBtn = document.getElementById('threshold-add');
+  if (!listEl) return;
+
+  function fmtTime(v) {
+    if (!v) return '';
+    const d = new Date(v);
+    return Number.isNaN(d.getTime()) ? String(v) : d.toLocaleString();
+  }
+
+  async function send(method, url, body) {
+    try {
+      const r = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const data = await r.json().catch(() => null);
+      if (!r.ok || !data || !data.ok) {
+        alert((data && data.error) || `Request failed (${r.status})`);
+        return null;
+      }
+      return data;
+    } catch (e) {
+      alert('Request failed');
+      return null;
+    }
+  }
+
+  // Keep the scope dropdown in step with the station registry (selection kept when possible)
+  function renderScopes(serials) {
+    if (!scopeEl) return;
+    const current = scopeEl.value;
+    scopeEl.innerHTML = '';
+    const global = document.createElement('option');
+    global.value = '';
+    global.textContent = 'Global (all stations)';
+    scopeEl.appendChild(global);
+    serials.forEach(s => {
+      const opt = document.createElement('option');
+      opt.value = s;
+      opt.textContent = s;
+      scopeEl.appendChild(opt);
+    });
+    if (serials.includes(current)) scopeEl.value = current;
+  }
+
+  function renderEffective(effective) {
+    if (!effectiveEl) return;
+    effectiveEl.textContent = effective.length
+      ? 'In effect: ' + effective.map(e => `${e.serial_number} ${e.threshold === null ? '—' : e.threshold}${e.scope === 'global' ? ' (global)' : ''}`).join(' · ')
+      : '';
+  }
+
+  async function edit(t) {
+    const entered = window.prompt(`Threshold for ${t.indicator} (${t.serial_number || 'global'})`, String(t.threshold));
+    if (entered === null || entered.trim() === '') return;
+    const data = await send('PUT', `/api/thresholds/${t.id}`, { threshold: entered.trim() });
+    if (data) load();
+  }
+
+  async function remove(t) {
+    if (!window.confirm(`Delete the ${t.indicator} threshold for ${t.serial_number || 'all stations'}?`)) return;
+    const data = await send('DELETE', `/api/thresholds/${t.id}`);
+    if (data) load();
+  }
+
+  function renderList(rows) {
+    listEl.innerHTML = '';
+    if (!rows.length) {
+      const empty = document.createElement('div');
+      empty.style.color = 'var(--muted)';
+      empty.textContent = 'No thresholds — alarms on PPM are off until one is added';
+      listEl.appendChild(empty);
+      return;
+    }
+    rows.forEach(t => {
+      const row = document.createElement('div');
+      row.className = 'threshold-row';
+
+      const main = document.createElement('div');
+      main.className = 'threshold-main';
+      main.textContent = `${t.serial_number || 'Global'} — ${t.indicator} > ${t.threshold}`;
+      const meta = document.createElement('span');
+      meta.className = 'threshold-meta';
+      meta.textContent = t.updated_at ? ` updated ${fmtTime(t.updated_at)}` : '';
+      main.appendChild(meta);
+      row.appendChild(main);
+
+      const editBtn = document.createElement('button');
+      editBtn.className = 'btn';
+      editBtn.textContent = 'Edit';
+      editBtn.addEventListener('click', () => edit(t));
+      row.appendChild(editBtn);
+
+      const delBtn = document.createElement('button');
+      delBtn.className = 'btn secondary';
+      delBtn.textContent = 'Delete';
+      delBtn.addEventListener('click', () => remove(t));
+      row.appendChild(delBtn);
+
+      listEl.appendChild(row);
+    });
+  }
+
+  async function load() {
+    try {
+      const r = await fetch('/api/thresholds', { cache: 'no-cache' });
+      if (!r.ok) return;
+      const data = await r.json();
+      if (!data || !data.ok) return;
+      renderScopes((data.effective || []).map(e => e.serial_number));
+      renderEffective(data.effective || []);
+      renderList(data.thresholds || []);
+    } catch (e) {
+      console.warn('Failed loading thresholds', e);
+    }
+  }
+
+  if (addBtn) {
+    addBtn.addEventListener('click', async () => {
+      const value = valueEl ? valueEl.value.trim() : '';
+      if (!value) { alert('Enter a threshold'); return; }
+      const body = {
+        indicator: (indicatorEl && indicatorEl.value.trim()) || 'ppm',
+        threshold: value,
+        serial_number: scopeEl && scopeEl.value ? scopeEl.value : null
+      };
+      const data = await send('POST', '/api/thresholds', body);
+      if (data) {
+        if (valueEl) valueEl.value = '';
+        load();
+      }
+    });
+  }
+
+  socket.on('thresholds_changed', load);
+  socket.on('stations_changed', load);
+
+  load();
+})();
@@ -0,0 +1,261 @@
+// quality.js — data-quality validation of readings before they are stored.
+// Range rules per metric live in the `quality_rules` table: a row without serial_number is the
+// default, a row with one overrides it for that station. A value outside [invalid_min, invalid_max]
+// makes the reading invalid, outside [suspect_min, suspect_max] suspect; a field that is present but
+// not a number is invalid. The payload timestamp is checked as metric `ts_offset_s` (device ts minus
+// receive time, in seconds; negative = in the past). A ts that is not an epoch-ms timestamp between 1970
+// and 9999, or whose offset is outside the invalid bounds, is not used (usableTimestamp): the reading is
+// stored at its receive time and flagged invalid, with the rejected ts in its reasons.
+// Every stored reading gets quality 'ok' | 'suspect' | 'invalid' plus the reasons; invalid readings
+// are stored but not used for alarms.
+const { pool } = require('./db');
+
+const METRICS = ['los_temp', 'los_rx_light', 'los_r2', 'los_heartbeat', 'los_ppm', 'ppm_m', 'ts_offset_s'];
+const QUALITY_LEVELS = ['ok', 'suspect', 'invalid'];
+const BOUNDS = ['invalid_min', 'invalid_max', 'suspect_min', 'suspect_max'];
+
+// Default rules every deployment starts with (not overwritten once they exist)
+const BUILTIN_RULES = [
+  { metric: 'los_temp', invalid_min: -60, invalid_max: 100, suspect_min: -40, suspect_max: 70 },
+  { metric: 'los_ppm', invalid_min: 0, invalid_max: null, suspect_min: null, suspect_max: null },
+  { metric: 'ppm_m', invalid_min: 0, invalid_max: null, suspect_min: null, suspect_max: null },
+  { metric: 'los_rx_light', invalid_min: 0, invalid_max: null, suspect_min: null, suspect_max: null },
+  { metric: 'los_r2', invalid_min: 0, invalid_max: 100, suspect_min: null, suspect_max: null },
+  // device clock: more than 1h ahead or 30 days behind is invalid; 5 min ahead or 1 day behind is suspect
+  { metric: 'ts_offset_s', invalid_min: -30 * 86400, invalid_max: 3600, suspect_min: -86400, suspect_max: 300 },
+];
+
+// timestamps accepted as recorded_at (Postgres and JS Date both hold these)
+const MIN_TS_MS = 0;
+const MAX_TS_MS = Date.UTC(9999, 11, 31, 23, 59, 59, 999);
+
+const RULE_COLUMNS = 'id, metric, serial_number, invalid_min, invalid_max, suspect_min, suspect_max, updated_at';
+
+let rules = []; // rows of quality_rules (numeric bounds as numbers)
+
+function numOrNull(v) {
+  if (v === null || v === undefined || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function normalizeRule(r) {
+  const out = Object.assign({}, r);
+  for (const k of BOUNDS) out[k] = numOrNull(r[k]);
+  return out;
+}
+
+// Station-specific rule for a metric, else the default one
+function ruleFor(metric, serialNumber) {
+  let fallback = null;
+  for (const r of rules) {
+    if (r.metric !== metric) continue;
+    if (serialNumber && r.serial_number === serialNumber) return r;
+    if (!r.serial_number) fallback = r;
+  }
+  return fallback;
+}
+
+/**
+ * Whether a device timestamp can be stored as the reading time: epoch ms in 1970-9999 and, when a
+ * ts_offset_s rule applies, within its invalid bounds.
+ *
+ * @param {number} tsMs
+ * @param {number} receivedMs receive time (ms)
+ * @param {string|null} serialNumber
+ */
+function usableTimestamp(tsMs, receivedMs, serialNumber = null) {
+  if (typeof tsMs !== 'number' || !Number.isFinite(tsMs) || tsMs < MIN_TS_MS || tsMs > MAX_TS_MS) return false;
+  const r = ruleFor('ts_offset_s', serialNumber);
+  if (!r) return true;
+  const offset = (tsMs - receivedMs) / 1000;
+  return !((r.invalid_min !== null && offset < r.invalid_min) || (r.invalid_max !== null && offset > r.invalid_max));
+}
+
+/**
+ * Validate a decoded reading.
+ *
+ * @param {object} los canonical fields (los_temp, los_rx_light, los_r2, los_heartbeat, los_ppm, ppm_m)
+ * @param {{serialNumber?: string|null, tsOffsetS?: number|null, tsRejected?: any}} ctx tsOffsetS is only
+ *   set when the payload carried a numeric ts; tsRejected is the payload ts when it was not used as the
+ *   reading time (see usableTimestamp)
+ * @returns {{quality: string, reasons: string[]}}
+ */
+function evaluateReading(los, { serialNumber = null, tsOffsetS = null, tsRejected = null } = {}) {
+  const reasons = [];
+  let level = 0; // index in QUALITY_LEVELS
+  if (tsRejected !== null && tsRejected !== undefined) {
+    reasons.push(`ts: ${String(tsRejected).slice(0, 64)} not used, stored at the receive time`);
+    level = 2;
+  }
+
+  const values = {};
+  for (const metric of METRICS) {
+    if (metric === 'ts_offset_s') continue;
+    if (los && los[metric] !== undefined && los[metric] !== null && los[metric] !== '') values[metric] = los[metric];
+  }
+  if (tsOffsetS !== null && tsOffsetS !== undefined) values.ts_offset_s = Math.round(tsOffsetS);
+
+  for (const [metric, raw] of Object.entries(values)) {
+    const v = typeof raw === 'number' ? raw : Number(raw);
+    if (!Number.isFinite(v)) {
+      reasons.push(`${metric}: not a number`);
+      level = 2;
+      continue;
+    }
+    const r = ruleFor(metric, serialNumber);
+    if (!r) continue;
+    if (r.invalid_min !== null && v < r.invalid_min) {
+      reasons.push(`${metric}: ${v} below ${r.invalid_min}`);
+      level = 2;
+    } else if (r.invalid_max !== null && v > r.invalid_max) {
+      reasons.push(`${metric}: ${v} above ${r.invalid_max}`);
+      level = 2;
+    } else if (r.suspect_min !== null && v < r.suspect_min) {
+      reasons.push(`${metric}: ${v} below ${r.suspect_min}`);
+      level = Math.max(level, 1);
+    } else if (r.suspect_max !== null && v > r.suspect_max) {
+      reasons.push(`${metric}: ${v} above ${r.suspect_max}`);
+      level = Math.max(level, 1);
+    }
+  }
+
+  return { quality: QUALITY_LEVELS[level], reasons };
+}
+
+// --- storage ---
+async function ensureQualityRulesTable() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS quality_rules (
+      id SERIAL PRIMARY KEY,
+      metric TEXT NOT NULL,
+      serial_number TEXT,
+      invalid_min NUMERIC,
+      invalid_max NUMERIC,
+      suspect_min NUMERIC,
+      suspect_max NUMERIC,
+      updated_at TIMESTAMPTZ DEFAULT now()
+    );
+  `);
+  await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS quality_rules_metric_serial_idx ON quality_rules (metric, COALESCE(serial_number, ''));`);
+  for (const r of BUILTIN_RULES) {
+    await pool.query(
+      `INSERT INTO quality_rules (metric, invalid_min, invalid_max, suspect_min, suspect_max) VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT DO NOTHING;`,
+      [r.metric, r.invalid_min, r.invalid_max, r.suspect_min, r.suspect_max]
+    );
+  }
+}
+
+async function reloadRules() {
+  try {
+    const res = await pool.query(`SELECT ${RULE_COLUMNS} FROM quality_rules ORDER BY metric, serial_number NULLS FIRST;`);
+    rules = res.rows.map(normalizeRule);
+  } catch (err) {
+    console.error('Error loading quality_rules:', err && err.message ? err.message : err);
+  }
+  return listRules();
+}
+
+async function initQualityRules() {
+  try {
+    await ensureQualityRulesTable();
+  } catch (err) {
+    console.warn('Could not ensure quality_rules table exists:', err && err.message ? err.message : err);
+  }
+  return reloadRules();
+}
+
+function listRules() {
+  return rules.slice();
+}
+
+// Rule by id from the cache, null when absent
+function getRule(id) {
+  return rules.find(r => r.id === Number(id)) || null;
+}
+
+/**
+ * Validate a rule body from the API.
+ *
+ * @param {object} body { metric, serial_number, invalid_min, invalid_max, suspect_min, suspect_max }
+ * @param {{partial?: boolean, current?: object}} opts partial=true for updates of `current` (metric and
+ *   serial_number cannot change); the bounds that result from the update are checked together
+ * @returns {{value?: object, error?: string}}
+ */
+function validateRuleInput(body, { partial = false, current = null } = {}) {
+  const b = body && typeof body === 'object' ? body : {};
+  const value = {};
+
+  if (!partial) {
+    if (!METRICS.includes(b.metric)) return { error: `metric must be one of ${METRICS.join(', ')}` };
+    value.metric = b.metric;
+    if (b.serial_number !== undefined && b.serial_number !== null && (typeof b.serial_number !== 'string' || !b.serial_number.trim())) {
+      return { error: 'serial_number must be a non-empty string or null' };
+    }
+    value.serial_number = b.serial_number ? b.serial_number.trim() : null;
+  }
+
+  for (const k of BOUNDS) {
+    if (b[k] === undefined) continue;
+    if (b[k] !== null && !Number.isFinite(b[k])) return { error: `${k} must be a number or null` };
+    value[k] = b[k];
+  }
+  if (!partial && BOUNDS.every(k => value[k] === undefined || value[k] === null)) {
+    return { error: `at least one of ${BOUNDS.join(', ')} is required` };
+  }
+  const merged = {};
+  for (const k of BOUNDS) merged[k] = value[k] !== undefined ? value[k] : (current ? current[k] : null);
+  for (const [lo, hi] of [['invalid_min', 'invalid_max'], ['suspect_min', 'suspect_max']]) {
+    if (Number.isFinite(merged[lo]) && Number.isFinite(merged[hi]) && merged[lo] > merged[hi]) {
+      return { error: `${lo} must not be greater than ${hi}` };
+    }
+  }
+
+  return { value };
+}
+
+async function createRule(value) {
+  const res = await pool.query(
+    `INSERT INTO quality_rules (metric, serial_number, invalid_min, invalid_max, suspect_min, suspect_max)
+     VALUES ($1, $2, $3, $4, $5, $6) RETURNING ${RULE_COLUMNS};`,
+    [value.metric, value.serial_number, value.invalid_min ?? null, value.invalid_max ?? null, value.suspect_min ?? null, value.suspect_max ?? null]
+  );
+  await reloadRules();
+  return res.rows[0] ? normalizeRule(res.rows[0]) : null;
+}
+
+async function updateRule(id, value) {
+  const sets = [];
+  const values = [];
+  let idx = 1;
+  for (const k of BOUNDS) {
+    if (value[k] !== undefined) { sets.push(`${k} = $${idx++}`); values.push(value[k]); }
+  }
+  sets.push('updated_at = now()');
+  values.push(Number(id));
+  const res = await pool.query(`UPDATE quality_rules SET ${sets.join(', ')} WHERE id = $${idx} RETURNING ${RULE_COLUMNS};`, values);
+  await reloadRules();
+  return res.rows[0] ? normalizeRule(res.rows[0]) : null;
+}
+
+async function deleteRule(id) {
+  const res = await pool.query('DELETE FROM quality_rules WHERE id = $1;', [Number(id)]);
+  await reloadRules();
+  return res.rowCount > 0;
+}
+
+module.exports = {
+  METRICS,
+  QUALITY_LEVELS,
+  evaluateReading,
+  usableTimestamp,
+  initQualityRules,
+  reloadRules,
+  listRules,
+  getRule,
+  validateRuleInput,
+  createRule,
+  updateRule,
+  deleteRule,
+};
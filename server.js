@@ -1,15 +1,18 @@
 /**
- Updated server.js — station naming strictly based on serial mapping (TOPIC_TO_SERIAL).
+ Updated server.js — stations come from the database-backed registry (stations.js).
 
- Change: /api/remote_stations now determines station display names strictly from the serials
- derived from TOPIC_TO_SERIAL (or MQTT_TOPIC_2_SERIAL / MQTT_TOPIC_3_SERIAL). It does NOT
- use IP addresses to decide the display name.
+ Change: topics, serials, display names and ping IPs are read from the `stations` table
+ (CRUD under /api/stations). MQTT subscriptions, the health checks and the station dropdown
+ follow registry changes at runtime. The old MQTT_TOPIC_2..5 / MQTT_TOPIC_*_SERIAL settings
+ are only used to seed an empty table.
 
  Additionally: /api/los now returns pagination metadata (total rows) so the frontend can
  display accurate total counts and compute total pages without scanning all pages client-side.
 
- Added: support for a single-path-length value stored in DB (table path_length).
- This value is used to divide all PPM values before emitting and storing.
+ Path length: per-station, effective-dated values in the path_length table (a row without a
+ serial is the default). The value in effect at a reading's time divides its PPM before emitting
+ and storing; los_data keeps the raw PPM-m (ppm_m), the divisor (path_length) and the decoding
+ profile used, so PPM can be recomputed after corrections and PPM-m is shown as measured.
 */
 
 require('dotenv').config();
@@ -17,11 +20,34 @@ const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
 const mqtt = require('mqtt');
-const { exec } = require('child_process');
 const { Pool } = require('pg');
 const path = require('path');
-
-const { insertLosData, fetchLosData, countLosData, getLatestPathLength, setPathLength } = require('./db');
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+
+const {
+  insertLosDataBatch, fetchLosData, countLosData, latestRecordedAt, parseExtraFilters, listLosExtraKeys, dedupeLosData,
+  getPathLength, setPathLength, listAllPathLengths, pickPathLength, listPathLengths, updatePathLength, deletePathLength, recomputeLosPpm,
+} = require('./db');
+const stations = require('./stations');
+const prober = require('./prober');
+const availability = require('./availability');
+const frozen = require('./frozen');
+const discovery = require('./discovery');
+const decoding = require('./decoding');
+const quality = require('./quality');
+const signal = require('./signal');
+const alarms = require('./alarms');
+const thresholds = require('./thresholds');
+const notifications = require('./notifications');
+const devices = require('./devices');
+const escalation = require('./escalation');
+const maintenance = require('./maintenance');
+const archive = require('./archive');
+const ingest = require('./ingest');
+const { createSpool } = require('./spool');
+const { createConfigCache, cacheMetrics } = require('./configcache');
 
 const app = express();
 const server = http.createServer(app);
@@ -29,47 +55,39 @@ const io = new Server(server);
 
 // Config
 const MQTT_URL = process.env.MQTT_URL || 'mqtt://localhost:1883';
-const MQTT_PREFIX = process.env.MQTT_PREFIX || 'BivicomData';
-const MQTT_TOPIC_2 = process.env.MQTT_TOPIC_2 || `${MQTT_PREFIX}2`;
-const MQTT_TOPIC_3 = process.env.MQTT_TOPIC_3 || `${MQTT_PREFIX}3`;
-const MQTT_TOPIC_4 = process.env.MQTT_TOPIC_4 || `${MQTT_PREFIX}4`;
-const MQTT_TOPIC_5 = process.env.MQTT_TOPIC_5 || `${MQTT_PREFIX}5`;
-const DATA_TOPICS = [MQTT_TOPIC_2, MQTT_TOPIC_3, MQTT_TOPIC_4, MQTT_TOPIC_5];
-const MODBUS_TOPIC = process.env.MODBUS_TOPIC || 'modbus/gsm_signal';
+const MODBUS_TOPIC = signal.MODBUS_TOPIC; // GSM signal readings (see signal.js)
+// Stable client id + persistent session (clean=false) + QoS 1: the broker queues messages for us
+// while the server restarts or the network drops, and redelivers them on reconnect.
+const MQTT_CLIENT_ID = process.env.MQTT_CLIENT_ID || `boreal-viewer-${os.hostname()}`;
+const MQTT_CLEAN_SESSION = process.env.MQTT_CLEAN_SESSION === '1';
+const MQTT_QOS = process.env.MQTT_QOS !== undefined ? parseInt(process.env.MQTT_QOS, 10) : 1;
+const MQTT_RECONNECT_MS = parseInt(process.env.MQTT_RECONNECT_MS || '5000', 10);
+// Messages redelivered before the station registry has loaded are held (at most this many) and
+// processed once it is ready
+const MQTT_STARTUP_BUFFER = parseInt(process.env.MQTT_STARTUP_BUFFER || '10000', 10);
 const PORT = process.env.PORT ? parseInt(process.env.PORT, 10) : (process.env.PORT || 3000);
 const SAVE_MQTT_TO_DB = (process.env.SAVE_MQTT_TO_DB === '1') || false;
+// Retained messages seed the latest state shown in the UI (marked stale) instead of being ignored
+const MQTT_RETAINED_AS_LAST_KNOWN = process.env.MQTT_RETAINED_AS_LAST_KNOWN === '1';
 const NOTIFY_COOLDOWN_SECS = parseInt(process.env.NOTIFY_COOLDOWN_SECS || '60', 10);
+const STATIONS_REFRESH_MS = parseInt(process.env.STATIONS_REFRESH_MS || String(60 * 1000), 10); // reload stations table (picks up direct SQL edits)
+const ESCALATION_TICK_MS = parseInt(process.env.ESCALATION_TICK_MS || String(30 * 1000), 10); // check for due escalation steps
+const QUARANTINE_SWEEP_MS = parseInt(process.env.QUARANTINE_SWEEP_MS || String(10 * 60 * 1000), 10); // quarantine retention / cap
+const PROBE_SAMPLE_SWEEP_MS = parseInt(process.env.PROBE_SAMPLE_SWEEP_MS || String(60 * 60 * 1000), 10); // probe sample retention
 
-// Option A serial mapping: environment variables to map topic -> serial when payload lacks serial.
-// Provide MQTT_TOPIC_2_SERIAL and MQTT_TOPIC_3_SERIAL in .env to match your devices.
-// Defaults are the example serials used previously.
-const MQTT_TOPIC_2_SERIAL = process.env.MQTT_TOPIC_2_SERIAL || 'B452A25032102';
-const MQTT_TOPIC_3_SERIAL = process.env.MQTT_TOPIC_3_SERIAL || 'B462A25032001';
-const MQTT_TOPIC_4_SERIAL = process.env.MQTT_TOPIC_4_SERIAL || 'B452A25032103';
-const MQTT_TOPIC_5_SERIAL = process.env.MQTT_TOPIC_5_SERIAL || 'B323A25032002';
-
-// Example device IP mapping (for ping loop) - these are defaults (fallbacks)
-const DEFAULT_DEVICE_IP_MAPPING = {
-  'B452A25032102': '10.0.0.42',
-  'B462A25032001': '10.0.0.46',
-  'B452A25032103': '10.0.0.43',
-  'B323A25032002': '10.0.0.45',
-};
-
-// Topic -> serial mapping (explicit mapping as requested)
-// This mapping is authoritative for the web UI station list and for inferring serials by topic.
-const TOPIC_TO_SERIAL = {
-  [MQTT_TOPIC_2]: MQTT_TOPIC_2_SERIAL,
-  [MQTT_TOPIC_3]: MQTT_TOPIC_3_SERIAL,
-  [MQTT_TOPIC_4]: MQTT_TOPIC_4_SERIAL,
-  [MQTT_TOPIC_5]: MQTT_TOPIC_5_SERIAL,
-};
-
-// Ping configuration
+// Health check (prober) configuration
 const PING_INTERVAL_MS = parseInt(process.env.PING_INTERVAL_MS || String(30 * 1000), 10); // defaults 30s
-const PING_ATTEMPTS = parseInt(process.env.PING_ATTEMPTS || '3', 10); // attempts per cycle
-const PING_TIMEOUT_SECONDS = parseInt(process.env.PING_TIMEOUT_SECONDS || '5', 10); // per-attempt timeout (s)
-const PING_DELAY_BETWEEN_MS = parseInt(process.env.PING_DELAY_BETWEEN_MS || String(5 * 1000), 10); // 5s between attempts
+const PING_ATTEMPTS = parseInt(process.env.PING_ATTEMPTS || '3', 10); // ICMP echo requests per check
+const PING_TIMEOUT_SECONDS = parseInt(process.env.PING_TIMEOUT_SECONDS || '5', 10); // per-reply timeout (s)
+const PING_DELAY_BETWEEN_MS = parseInt(process.env.PING_DELAY_BETWEEN_MS || String(1000), 10); // between echo requests
+const PROBE_CONCURRENCY = parseInt(process.env.PROBE_CONCURRENCY || '4', 10); // stations probed at once
+const PROBE_JITTER_MS = parseInt(process.env.PROBE_JITTER_MS || String(Math.floor(PING_INTERVAL_MS / 5)), 10); // spread of the schedule
+const PROBE_TIMEOUT_MS = parseInt(process.env.PROBE_TIMEOUT_MS || String(5 * 1000), 10); // TCP / HTTP check timeout
+
+// Station monitor alarms (built-in rules station_offline / data_stale; 0 turns one off)
+const OFFLINE_PING_CYCLES = parseInt(process.env.OFFLINE_PING_CYCLES || '3', 10); // consecutive failed ping cycles
+const DATA_STALE_SECS = parseInt(process.env.DATA_STALE_SECS || String(10 * 60), 10); // no reading for this long
+const STALE_CHECK_MS = parseInt(process.env.STALE_CHECK_MS || String(30 * 1000), 10); // how often data age is checked
 
 // Postgres config (used for thresholds + device tokens). Adjust through env.
 const PG_CONFIG = {
@@ -80,57 +98,34 @@ const PG_CONFIG = {
   database: process.env.PG_DATABASE || 'boreal_app',
 };
 const pool = new Pool(PG_CONFIG);
+const thresholdStore = thresholds.createThresholdStore(pool);
+const deviceStore = devices.createDeviceStore(pool);
 
-// Serve static assets
-app.use(express.json());
-app.use(express.static(path.join(__dirname, 'public')));
+// Config read on every reading, cached in memory (invalidated by the routes that change it)
+const pathLengthCache = createConfigCache('path_length', listAllPathLengths);
+const thresholdsCache = createConfigCache('thresholds', thresholdStore.listThresholds);
 
-// Build device IP mapping: prefer REMOTE_STATIONS_JSON or DEVICE_IP env, but only as fallback data for serials
-let envDeviceIpMap = {};
-if (process.env.REMOTE_STATIONS_JSON) {
+// Batched writes for ingestion (see ingest.js); rows that cannot be written go to an on-disk spool
+// under DATA_DIR (see spool.js) and are written back in order once Postgres is reachable again
+function openSpool(name) {
   try {
-    const parsed = JSON.parse(process.env.REMOTE_STATIONS_JSON);
-    if (typeof parsed === 'object' && parsed !== null) {
-      envDeviceIpMap = parsed;
-    }
-  } catch (e) {
-    console.warn('Failed parsing REMOTE_STATIONS_JSON, ignoring:', e && e.message ? e.message : e);
-    envDeviceIpMap = {};
-  }
-}
-// If a single DEVICE_IP env is provided, map it to DEVICE_SERIAL (if provided)
-if (Object.keys(envDeviceIpMap).length === 0) {
-  const deviceIp = process.env.DEVICE_IP || null;
-  const deviceSerial = process.env.DEVICE_SERIAL || null;
-  if (deviceIp && deviceSerial) {
-    envDeviceIpMap[deviceSerial] = deviceIp;
-  }
-}
-
-// Now create the effective deviceIPMapping used for ping loop and for returning ip in /api/remote_stations.
-// The authoritative station list comes from TOPIC_TO_SERIAL (serials derived from topics).
-// For each serial from TOPIC_TO_SERIAL, pick IP from envDeviceIpMap if present, else from DEFAULT_DEVICE_IP_MAPPING if present.
-// Then also include any additional serials present in envDeviceIpMap that are not part of TOPIC_TO_SERIAL.
-const deviceIPMapping = {};
-// Primary: serials from TOPIC_TO_SERIAL
-for (const serial of Object.values(TOPIC_TO_SERIAL)) {
-  if (!serial) continue;
-  if (envDeviceIpMap[serial]) {
-    deviceIPMapping[serial] = envDeviceIpMap[serial];
-  } else if (DEFAULT_DEVICE_IP_MAPPING[serial]) {
-    deviceIPMapping[serial] = DEFAULT_DEVICE_IP_MAPPING[serial];
-  } else {
-    // leave undefined (no ip) — ping loop will skip entries without an IP
+    return createSpool(name);
+  } catch (err) {
+    console.warn(`Could not open ingest spool ${name}; failed writes are kept in memory only:`, err && err.message ? err.message : err);
+    return null;
   }
 }
-// Secondary: include any env-provided serials not already added (these are not used to compute display labels)
-for (const [serial, ip] of Object.entries(envDeviceIpMap)) {
-  if (!deviceIPMapping[serial]) deviceIPMapping[serial] = ip;
-}
-// Final fallback: if still empty, seed DEFAULT_DEVICE_IP_MAPPING
-if (Object.keys(deviceIPMapping).length === 0) {
-  Object.assign(deviceIPMapping, DEFAULT_DEVICE_IP_MAPPING);
-}
+const losQueue = ingest.createWriteQueue('los_data', insertLosDataBatch, { spool: openSpool('los_data') });
+const archiveQueue = ingest.createWriteQueue('mqtt_archive', archive.archiveMessagesBatch, {
+  spool: openSpool('mqtt_archive'),
+  encode: item => Object.assign({}, item, { payload: item.payload.toString('base64') }),
+  decode: item => Object.assign({}, item, { payload: Buffer.from(item.payload, 'base64') }),
+});
+const signalQueue = ingest.createWriteQueue('gsm_signal', signal.insertSignalBatch, { spool: openSpool('gsm_signal') });
+
+// Serve static assets
+app.use(express.json());
+app.use(express.static(path.join(__dirname, 'public')));
 
 // Firebase Admin init (optional). If you have a service account JSON, set SERVICE_ACCOUNT_PATH env to its path.
 let admin;
@@ -166,17 +161,18 @@ function canonicalKey(k) {
   return String(k || '').toLowerCase().replace(/[\s\-\(\)_]/g, '');
 }
 
-function extractCanonicalLos(params) {
-  const fieldVariants = {
-    los_temp: ['LoS-Temp(c)', 'LoS-Temp', 'LoS-Temp(C)', 'lostemp', 'los_temp'],
-    los_rx_light: ['LoS-Rx Light', 'LoS-RxLight', 'LoS Rx Light', 'losrxlight'],
-    los_r2: ['LoS- R2', 'LoS-R2', 'LoS - R2', 'losr2'],
-    los_heartbeat: ['LoS-HeartBeat', 'LoS- HeartBeat', 'losheartbeat'],
-    los_ppm: ['LoS - PPM', 'LoS- PPM', 'LoS-PPM', 'los_ppm', 'ppm', 'losppm'],
-  };
+const LOS_FIELD_VARIANTS = {
+  los_temp: ['LoS-Temp(c)', 'LoS-Temp', 'LoS-Temp(C)', 'lostemp', 'los_temp'],
+  los_rx_light: ['LoS-Rx Light', 'LoS-RxLight', 'LoS Rx Light', 'losrxlight'],
+  los_r2: ['LoS- R2', 'LoS-R2', 'LoS - R2', 'losr2'],
+  los_heartbeat: ['LoS-HeartBeat', 'LoS- HeartBeat', 'losheartbeat'],
+  los_ppm: ['LoS - PPM', 'LoS- PPM', 'LoS-PPM', 'los_ppm', 'ppm', 'losppm'],
+};
+const LOS_CANONICAL_KEYS = new Set([].concat(...Object.values(LOS_FIELD_VARIANTS)).map(canonicalKey));
 
+function extractCanonicalLos(params) {
   const result = {};
-  for (const [field, variants] of Object.entries(fieldVariants)) {
+  for (const [field, variants] of Object.entries(LOS_FIELD_VARIANTS)) {
     for (const key of Object.keys(params || {})) {
       for (const variant of variants) {
         if (canonicalKey(key) === canonicalKey(variant)) {
@@ -199,6 +195,25 @@ function extractCanonicalLos(params) {
   return result;
 }
 
+/**
+ * Params that are not LoS fields, PPM registers (decodedKeys), the serial or the timestamp:
+ * supply voltage, internal temperature, alarm bits, new firmware fields... Stored as los_data.extra.
+ *
+ * @param {object} params payload params
+ * @param {string[]} decodedKeys params the decoding profile read (decodePpm().keys)
+ * @returns {object|null} null when there are none
+ */
+function extractExtraParams(params, decodedKeys = []) {
+  const skip = new Set(['ts'].concat(discovery.DISCOVERY_SERIAL_KEYS, decodedKeys));
+  const extra = {};
+  for (const key of Object.keys(params || {})) {
+    if (skip.has(key) || LOS_CANONICAL_KEYS.has(canonicalKey(key))) continue;
+    if (params[key] === undefined) continue;
+    extra[key] = params[key];
+  }
+  return Object.keys(extra).length ? extra : null;
+}
+
 /**
  * Map a database row (which may contain weird column names like "LoS-Temp(c)" or "LoS - PPM")
  * into the normalized shape expected by the frontend / query-client:
@@ -207,6 +222,10 @@ function extractCanonicalLos(params) {
  *  - los_r2
  *  - los_heartbeat
  *  - los_ppm
+ *  - ppm_m (raw PPM-m before path length division), decoding_profile
+ *  - quality ('ok' | 'suspect' | 'invalid', null for rows stored before validation), quality_reasons
+ *  - extra (payload params that are not LoS fields, null when none)
+ *  - path_length (the path length los_ppm was divided by)
  *  - recorded_at, recorded_at_str
  */
 function mapDbRowToApi(row) {
@@ -232,9 +251,15 @@ function mapDbRowToApi(row) {
   out.los_r2 = pick(['LoS- R2', 'LoS-R2', 'LoS - R2', 'losr2', 'los_r2']);
   out.los_heartbeat = pick(['LoS-HeartBeat', 'LoS- HeartBeat', 'losheartbeat', 'los_heartbeat']);
   out.los_ppm = pick(['LoS - PPM', 'LoS- PPM', 'LoS-PPM', 'los_ppm', 'ppm', 'losppm']);
+  out.ppm_m = pick(['ppm_m']);
+  out.path_length = pick(['path_length']);
+  if (out.decoding_profile === undefined) out.decoding_profile = null;
+  if (out.quality === undefined) out.quality = null;
+  if (out.quality_reasons === undefined) out.quality_reasons = null;
+  if (out.extra === undefined) out.extra = null;
 
   // Coerce numeric-looking fields to numbers where appropriate; if not present set null
-  ['los_temp', 'los_rx_light', 'los_r2', 'los_heartbeat', 'los_ppm'].forEach((f) => {
+  ['los_temp', 'los_rx_light', 'los_r2', 'los_heartbeat', 'los_ppm', 'ppm_m', 'path_length'].forEach((f) => {
     if (out[f] === undefined) {
       out[f] = null;
     } else if (out[f] === null) {
@@ -267,302 +292,295 @@ function mapDbRowToApi(row) {
   return out;
 }
 
-/**
- * The authoritative int/dec detection + merging helpers based on the original single-file server.js you provided.
- */
-
-// normalize key for detection: lower + drop non-alphanumeric (matches original logic)
-function normalizeKeyForMatch(k) {
-  if (!k) return '';
-  return String(k).toLowerCase().replace(/[^a-z0-9]/g, '');
-}
-
-// find integer and decimal parts for PPM in params (tolerant matching)
-function findLosPpmParts(params) {
-  let intPart;
-  let decPart;
-
-  for (const key of Object.keys(params || {})) {
-    const nk = normalizeKeyForMatch(key);
-    const raw = params[key];
-
-    // Try to coerce numeric-ish values
-    const num = raw === null || raw === undefined ? NaN : Number(raw);
-    // if it's not numeric, skip
-    if (Number.isNaN(num)) continue;
-
-    // decimal key detection: contains 'ppm' and 'dec' or 'decimal'
-    if (nk.includes('ppm') && (nk.includes('dec') || nk.includes('decimal'))) {
-      decPart = num;
-      continue;
-    }
-
-    // integer key detection: contains 'ppm' and ('int' or 'mlo' or nothing else but not 'dec')
-    if (nk.includes('ppm') && (nk.includes('int') || nk.includes('mlo') || nk === 'losppm' || nk === 'losppmmloint' || nk.includes('losppm'))) {
-      intPart = num;
-      continue;
-    }
-
-    // Additional tolerant detection: key mentioning ppm but not dec -> treat as integer
-    if (nk.includes('ppm') && !nk.includes('dec') && !nk.includes('decimal')) {
-      if (typeof intPart === 'undefined') intPart = num;
-    }
-  }
-
-  return { intPart, decPart };
-}
-
-// merge int and decimal parts to form numeric with at most 2 fractional digits
-function mergeIntAndDec(intVal, decVal) {
-  if (typeof intVal === 'undefined' || intVal === null || Number.isNaN(Number(intVal))) return undefined;
-  // If decimal part missing, just return integer
-  if (typeof decVal === 'undefined' || decVal === null || Number.isNaN(Number(decVal))) {
-    return Number(intVal);
-  }
-  // If integer is exactly zero, ignore decimals and return 0
-  if (Number(intVal) === 0) {
-    return 0;
-  }
-
-  // Convert decimal to string digits only (drop any sign or decimal separators).
-  let decStr = String(Math.abs(decVal)).replace(/[^0-9]/g, '');
-  if (decStr.length === 0) decStr = '0';
-
-  // Restrict to at most 2 digits of fraction as requested.
-  if (decStr.length > 2) decStr = decStr.slice(0, 2);
-
-  // divisor is 10^digits, but treat single-digit decimal as hundredths (e.g., '5' => 0.05)
-  const digits = decStr.length;
-  const divisor = digits === 1 ? 100 : 10 ** digits;
-  const fraction = Number(decStr) / divisor;
-
-  const sign = Number(intVal) < 0 ? -1 : 1;
-  const merged = Number(intVal) + sign * fraction;
-
-  // Round to 2 decimal places to avoid floating precision surprises
-  return Number(merged.toFixed(2));
-}
-
 // --- Notifications via Firebase Admin and thresholds ---
-async function sendNotificationToAll(title, message, data = {}) {
+const FCM_MULTICAST_MAX = 500; // tokens per sendEachForMulticast call
+
+// Firebase multicast to the devices subscribed to the station and severity (all devices when they are
+// null): the `fcm` notification channel (see notifications.js). Tokens Firebase reports as invalid are
+// unregistered. Throws when Firebase is not set up or the send fails, so the channel reports the failure.
+async function sendNotificationToAll(title, message, data = {}, target = {}) {
   if (!admin || !admin.messaging) {
-    console.warn('Firebase admin SDK not available — skipping notifications.');
+    throw new Error('Firebase admin SDK not available');
+  }
+  const tokens = await deviceStore.tokensFor(target);
+  if (!tokens.length) {
+    console.log(`No device subscribed to ${target.severity || 'any'} / ${target.serial_number || 'any station'} — skipping push.`);
     return;
   }
-  try {
-    const { rows } = await pool.query('SELECT token FROM mobile_devices');
-    const tokens = rows.map(r => r.token).filter(Boolean);
-    if (!tokens.length) {
-      console.log('No registered device tokens found — skipping notifications.');
-      return;
-    }
 
-    const msg = {
-      tokens,
+  const tokensToRemove = [];
+  for (let i = 0; i < tokens.length; i += FCM_MULTICAST_MAX) {
+    const batch = tokens.slice(i, i + FCM_MULTICAST_MAX);
+    const response = await admin.messaging().sendEachForMulticast({
+      tokens: batch,
       notification: {
         title,
         body: message,
       },
       data: data || {},
-    };
-
-    const response = await admin.messaging().sendEachForMulticast(msg);
+    });
     console.log(`sendMulticast: success=${response.successCount} failure=${response.failureCount}`);
 
-    const tokensToRemove = [];
     response.responses.forEach((r, idx) => {
       if (!r.success) {
         const err = r.error;
         const code = err && (err.code || (err.errorInfo && err.errorInfo.code));
         if (code && (code.includes('registration-token-not-registered') || code.includes('invalid-registration-token'))) {
-          tokensToRemove.push(tokens[idx]);
+          tokensToRemove.push(batch[idx]);
         } else {
-          console.warn(`Failed sending to token index ${idx}:`, err);
+          console.warn(`Failed sending to token index ${i + idx}:`, err);
         }
       }
     });
+  }
 
-    if (tokensToRemove.length) {
-      try {
-        const q = `DELETE FROM mobile_devices WHERE token = ANY($1::text[])`;
-        await pool.query(q, [tokensToRemove]);
-        console.log(`Removed ${tokensToRemove.length} invalid token(s) from database.`);
-      } catch (delErr) {
-        console.error('Error deleting invalid tokens:', delErr);
-      }
+  if (tokensToRemove.length) {
+    try {
+      const removed = await deviceStore.removeTokens(tokensToRemove);
+      console.log(`Removed ${removed} invalid token(s) from database.`);
+    } catch (delErr) {
+      console.error('Error deleting invalid tokens:', delErr);
     }
-  } catch (err) {
-    console.error('Error in sendNotificationToAll:', err);
   }
 }
 
+notifications.setPushSender(sendNotificationToAll);
+
 /**
- * Get LOS threshold, preferring serial-specific thresholds.
- * 1) Try thresholds WHERE serial_number = $1
- * 2) Fallback to global thresholds WHERE serial_number IS NULL
- * 3) Fallback to any thresholds (legacy)
- * Picks indicator containing 'ppm' first, else first numeric threshold.
+ * Get LOS threshold, preferring serial-specific thresholds, then global ones (see
+ * thresholds.effectiveThreshold). Rows come from the in-memory thresholds cache.
  */
 async function getLosThreshold(serialNumber) {
   try {
-    function pickThresholdFromRows(rows) {
-      if (!rows || rows.length === 0) return null;
-      for (const row of rows) {
-        const ind = (row.indicator || '').toString().toLowerCase();
-        const thr = row.threshold;
-        if (!ind) continue;
-        if (ind.includes('ppm')) {
-          const t = Number(thr);
-          if (!Number.isNaN(t)) return t;
-        }
-      }
-      for (const row of rows) {
-        const t = Number(row.threshold);
-        if (!Number.isNaN(t)) return t;
-      }
-      return null;
-    }
-
-    if (serialNumber) {
-      const q = 'SELECT indicator, threshold FROM thresholds WHERE serial_number = $1';
-      const res = await pool.query(q, [serialNumber]);
-      const t = pickThresholdFromRows(res.rows);
-      if (t !== null) return t;
-    }
-
-    const qGlobal = 'SELECT indicator, threshold FROM thresholds WHERE serial_number IS NULL';
-    const resGlobal = await pool.query(qGlobal);
-    const tGlobal = pickThresholdFromRows(resGlobal.rows);
-    if (tGlobal !== null) return tGlobal;
-
-    const qAny = 'SELECT indicator, threshold FROM thresholds';
-    const resAny = await pool.query(qAny);
-    const tAny = pickThresholdFromRows(resAny.rows);
-    if (tAny !== null) return tAny;
-
-    return null;
+    const eff = thresholds.effectiveThreshold(await thresholdsCache.get(), serialNumber);
+    return eff ? eff.threshold : null;
   } catch (err) {
     console.error('getLosThreshold error:', err && err.message ? err.message : err);
     return null;
   }
 }
 
-// In-memory rate-limiter for notifications per serial
+// The legacy PPM threshold is evaluated as the built-in `ppm_threshold` alarm rule
+alarms.setThresholdLookup(getLosThreshold);
+alarms.setBuiltinThresholds({
+  [alarms.OFFLINE_RULE_NAME]: OFFLINE_PING_CYCLES,
+  [alarms.STALE_RULE_NAME]: DATA_STALE_SECS,
+  [alarms.FROZEN_RULE_NAME]: frozen.enabled() ? 1 : 0, // as soon as frozen.js reports the sensor frozen
+});
+// Every alarm state change goes to all dashboards
+alarms.onAlarmEvent((action, alarm) => io.emit('alarm_event', { action, alarm }));
+
+// Rate-limiter for notifications per station and rule, so a flapping warning does not hold back another
+// rule's (e.g. critical) alarm (seeded from alarm_events.notified_at on start). The cooldown starts
+// when a notification went out on at least one channel (markCooldown), not when one was attempted.
 const lastNotificationAt = new Map();
-function canNotify(serial) {
+const cooldownKey = (serial, rule) => `${serial}\u0000${rule}`;
+function canNotify(serial, rule) {
   if (!serial) return true;
-  const now = Date.now();
-  const last = lastNotificationAt.get(serial) || 0;
-  if (now - last >= NOTIFY_COOLDOWN_SECS * 1000) {
-    lastNotificationAt.set(serial, now);
-    return true;
-  }
-  return false;
+  const last = lastNotificationAt.get(cooldownKey(serial, rule)) || 0;
+  return Date.now() - last >= NOTIFY_COOLDOWN_SECS * 1000;
 }
 
-// --- device ping utilities (multi-attempt) ---
-const deviceStatus = new Map();
+function markCooldown(serial, rule) {
+  if (serial) lastNotificationAt.set(cooldownKey(serial, rule), Date.now());
+}
 
-function pingOnce(ip, timeoutSeconds) {
-  return new Promise((resolve) => {
-    if (!ip) return resolve({ online: false, rtt: null, error: 'no ip' });
-    const cmd = `ping -c 1 -W ${timeoutSeconds} ${ip}`;
-    exec(cmd, { timeout: (timeoutSeconds + 2) * 1000 }, (err, stdout, stderr) => {
-      if (!err && stdout) {
-        const m = stdout.match(/time=([0-9.]+)\s*ms/);
-        const rtt = m ? Number(m[1]) : null;
-        resolve({ online: true, rtt, raw: stdout });
-      } else {
-        resolve({ online: false, rtt: null, error: err ? err.message : stderr || 'no output' });
-      }
-    });
-  });
+// Notification text of a raised alarm
+function alarmMessage(t) {
+  if (t.rule.name === alarms.THRESHOLD_RULE_NAME) return `PPM ${t.value} exceeded threshold ${t.rule.threshold}`;
+  if (t.metric === 'ping_failures') return `Station unreachable: no health check answered for ${t.value} consecutive cycles`;
+  if (t.metric === 'data_age_s') return `No reading received for ${Math.round(t.value / 60)} min`;
+  if (t.metric === 'sensor_frozen_s') {
+    const st = frozen.currentStatus(t.serial_number)[0];
+    const why = (st ? st.reasons : []).map(r => (r === 'heartbeat' ? 'heartbeat not incrementing' : 'PPM flat')).join(', ');
+    return `Sensor frozen for ${Math.round(t.value / 60)} min${why ? ` (${why})` : ''}`;
+  }
+  const what = t.rule.kind === 'rate' ? `${t.metric} changing ${t.value.toFixed(2)}/min` : `${t.metric} ${t.value}`;
+  return `${what} ${t.rule.operator} ${t.rule.threshold} (${t.rule.name})`;
 }
 
-async function pingMultipleAttempts(ip, attempts, timeoutSeconds, delayBetweenMs) {
-  for (let i = 0; i < attempts; i++) {
-    try {
-      const res = await pingOnce(ip, timeoutSeconds);
-      if (res && res.online) {
-        return { online: true, rtt: res.rtt, attempt: i + 1, raw: res.raw };
-      }
-    } catch (e) {
-      console.error('pingOnce error:', e && e.message ? e.message : e);
+/**
+ * Act on an alarm engine transition: store it in alarm_events, notify and emit `alarm` on raise
+ * (notifications are rate limited per station and rule by NOTIFY_COOLDOWN_SECS and not sent while the station is
+ * in a maintenance window), emit `alarm_cleared` on clear.
+ *
+ * @param {object} t transition from alarms.evaluate()
+ * @param {{ts?: number}} ctx ts of the reading (payload ts) when known
+ */
+async function handleAlarmTransition(t, ctx = {}) {
+  const stored = await alarms.recordTransition(t);
+  if (t.type === 'peak') return;
+
+  const event = {
+    alarm_id: stored ? stored.id : null,
+    serial_number: t.serial_number,
+    rule: t.rule.name,
+    rule_id: t.rule.id,
+    metric: t.metric,
+    kind: t.rule.kind,
+    operator: t.rule.operator,
+    threshold: t.rule.threshold,
+    severity: t.severity,
+    value: t.value,
+    peak: t.peak,
+    since: t.since,
+    at: t.at,
+    ts: ctx.ts !== undefined ? ctx.ts : null,
+  };
+  if (t.type === 'clear') {
+    event.reason = t.reason;
+    io.emit('alarm_cleared', event);
+    console.log(`ALARM cleared for ${t.serial_number}: ${t.rule.name} (${t.reason}; ${t.metric}=${t.value}, peak ${t.peak})`);
+    return;
+  }
+
+  // `ppm` kept for clients of the former PPM-only alarm event
+  if (t.metric === 'los_ppm' && t.rule.kind !== 'rate') event.ppm = t.value;
+  const window = maintenance.windowAt(t.serial_number);
+  event.maintenance = window ? { id: window.id, reason: window.reason } : null;
+  io.emit('alarm', event);
+  console.log(`ALARM raised for ${t.serial_number}: ${t.rule.name} ${t.metric}${t.rule.kind === 'rate' ? '/min' : ''}=${t.value} ${t.rule.operator} ${t.rule.threshold} (${t.severity})`);
+  if (window) {
+    console.log(`Alarm notification suppressed by maintenance window ${window.id} for ${t.serial_number}`);
+    if (stored) {
+      await alarms.addEventComment(stored.id, { by: 'maintenance', comment: `Raised during maintenance (${window.reason}, by ${window.created_by}); not notified` });
     }
-    if (i < attempts - 1) {
-      await new Promise(r => setTimeout(r, delayBetweenMs));
+  } else if (canNotify(t.serial_number, t.rule.name)) {
+    const title = `${t.severity === 'critical' ? 'Alarm' : 'Warning'}: ${t.serial_number}`;
+    const message = alarmMessage(t);
+    const results = await notifications.dispatch({
+      title,
+      body: message,
+      severity: t.severity,
+      serial_number: t.serial_number,
+      data: { alarm_id: event.alarm_id, serial_number: t.serial_number, rule: t.rule.name, severity: t.severity, metric: t.metric, value: t.value, threshold: t.rule.threshold },
+    });
+    if (results.some(r => r.ok)) {
+      markCooldown(t.serial_number, t.rule.name);
+      if (stored) await alarms.markNotified(stored.id);
     }
+  } else {
+    console.log(`Alarm notification suppressed by cooldown for ${t.serial_number} (${t.rule.name})`);
+  }
+  // on-call escalation is per alarm, not subject to the cooldown; it also starts during maintenance
+  // (steps due in the window are postponed to the end of the window), so an alarm still open then escalates
+  if (stored) escalation.startEscalation(stored);
+}
+
+/**
+ * Run a reading through the alarm rules and act on the transitions.
+ *
+ * @param {string} serialNumber
+ * @param {object} values metric -> value (see alarms.METRICS)
+ * @param {string|Date} at reading time
+ * @param {{ts?: number}} ctx passed to handleAlarmTransition
+ */
+async function evaluateAlarms(serialNumber, values, at, ctx = {}) {
+  try {
+    const transitions = await alarms.evaluate(serialNumber, values, new Date(at).getTime());
+    for (const t of transitions) await handleAlarmTransition(t, ctx);
+  } catch (err) {
+    console.error('Error in alarm evaluation:', err && err.message ? err.message : err);
   }
-  return { online: false, rtt: null, attempt: attempts };
 }
 
-async function checkDeviceStatus(serialNumber, ip) {
+// Latest reading per station (the mqtt_message payload last emitted), sent to browsers on connect
+const latestReadings = new Map();
+// Latest GSM signal per station (the gsm_signal payload last emitted)
+const latestSignal = new Map();
+
+// --- station health checks (prober.js) ---
+const deviceStatus = new Map();
+
+// Enabled stations with an ip are probed
+function probeTargets() {
+  return stations.getEnabledStations().filter(st => st.ip);
+}
+
+async function handleProbeResult(result) {
+  const serialNumber = result.serial_number;
+  // a probe still in flight when its station was disabled, removed or lost its ip: the station is
+  // already recorded as unmonitored (onStationsChanged), drop the result
+  if (!probeTargets().some(st => st.serial_number === serialNumber)) return;
   try {
-    const res = await pingMultipleAttempts(ip, PING_ATTEMPTS, PING_TIMEOUT_SECONDS, PING_DELAY_BETWEEN_MS);
     const prev = deviceStatus.get(serialNumber);
-    if (prev === undefined || prev.online !== res.online) {
-      deviceStatus.set(serialNumber, { online: res.online, rtt: res.rtt, when: new Date().toISOString(), attempt: res.attempt });
-      const payload = { serial_number: serialNumber, ip, online: res.online, rtt: res.rtt, when: new Date().toISOString(), attempt: res.attempt };
+    // consecutive failed cycles, for the station_offline alarm
+    const failures = result.online ? 0 : ((prev && prev.failures) || 0) + 1;
+    const entry = {
+      ip: result.ip,
+      online: result.online,
+      rtt: result.rtt_ms,
+      loss_pct: result.loss_pct,
+      when: result.at,
+      failures,
+      checks: result.checks,
+    };
+    deviceStatus.set(serialNumber, entry);
+    availability.recordProbe(result)
+      .then((changed) => { if (changed) io.emit('availability_changed', { serial_number: serialNumber, online: result.online, at: result.at }); })
+      .catch((err) => console.error(`Error recording availability of ${serialNumber}:`, err && err.message ? err.message : err));
+    if (prev === undefined || prev.online !== result.online) {
+      const payload = Object.assign({ serial_number: serialNumber }, entry);
       io.emit('device_status', payload);
       io.emit('device_ping', payload); // backward compatibility
-      console.log(`Device ping: ${serialNumber} -> ${res.online ? 'ONLINE' : 'OFFLINE'} (attempt ${res.attempt})`);
-    } else {
-      // update timestamp and rtt even if status same (so UI can show fresh ts)
-      deviceStatus.set(serialNumber, { online: res.online, rtt: res.rtt, when: new Date().toISOString(), attempt: res.attempt });
+      const failed = result.checks.filter(c => !c.ok).map(c => `${c.type}: ${c.error || 'failed'}`);
+      console.log(`Device status: ${serialNumber} -> ${result.online ? 'ONLINE' : 'OFFLINE'}${failed.length ? ` (${failed.join(', ')})` : ''}`);
     }
+    await evaluateAlarms(serialNumber, { ping_failures: failures }, new Date());
   } catch (err) {
     console.error(`Error checking device ${serialNumber}:`, err && err.message ? err.message : err);
   }
 }
 
-let devicePingInterval = null;
-function startDevicePingLoop(intervalMs = 30 * 1000) {
-  // run once immediately
-  for (const [serial, ip] of Object.entries(deviceIPMapping)) {
-    checkDeviceStatus(serial, ip);
-  }
+// Targets are re-read from the station registry on every scheduler tick
+const deviceProber = prober.createScheduler({
+  intervalMs: PING_INTERVAL_MS,
+  jitterMs: PROBE_JITTER_MS,
+  concurrency: PROBE_CONCURRENCY,
+  probe: {
+    icmp: { count: PING_ATTEMPTS, timeoutS: PING_TIMEOUT_SECONDS, intervalS: PING_DELAY_BETWEEN_MS / 1000 },
+    timeoutMs: PROBE_TIMEOUT_MS,
+  },
+  getTargets: probeTargets,
+  onResult: handleProbeResult,
+});
+
+// --- data staleness (data_stale alarm) ---
+// Server time of the last live reading per station; seeded from los_data on start (seedLastReadings), and
+// stations without any reading count from the start of the process.
+const lastReadingAt = new Map();
+const monitorStartedAt = Date.now();
 
-  // schedule loop
-  devicePingInterval = setInterval(() => {
-    for (const [serial, ip] of Object.entries(deviceIPMapping)) {
-      checkDeviceStatus(serial, ip);
+async function seedLastReadings() {
+  for (const st of stations.getEnabledStations()) {
+    if (lastReadingAt.has(st.serial_number)) continue;
+    try {
+      const at = await latestRecordedAt(st.serial_number);
+      if (at) lastReadingAt.set(st.serial_number, Math.min(new Date(at).getTime(), Date.now()));
+    } catch (err) {
+      console.warn(`Could not read the last reading time of ${st.serial_number}:`, err && err.message ? err.message : err);
     }
-  }, intervalMs);
+  }
+}
 
-  process.on('exit', () => {
-    if (devicePingInterval) clearInterval(devicePingInterval);
-  });
-  process.on('SIGINT', () => {
-    if (devicePingInterval) clearInterval(devicePingInterval);
-    process.exit();
-  });
+async function checkDataStaleness() {
+  const now = Date.now();
+  for (const st of stations.getEnabledStations()) {
+    const last = lastReadingAt.has(st.serial_number) ? lastReadingAt.get(st.serial_number) : monitorStartedAt;
+    await evaluateAlarms(st.serial_number, { data_age_s: Math.max(0, Math.round((now - last) / 1000)) }, new Date(now));
+  }
 }
 
 // --- routes ---
 // Expose remote stations (for frontend selection)
-// NOTE: Station name mapping now strictly uses serial number mapping (TOPIC_TO_SERIAL / MQTT_TOPIC_*_SERIAL).
-// IPs are included in the response only as an "ip" field when available, but IPs are NOT used to determine the display label.
+// Enabled stations from the registry, in sort order. "display" falls back to the serial when no name is set.
 app.get('/api/remote_stations', (req, res) => {
   try {
-    // Use unique serials from TOPIC_TO_SERIAL as the authoritative list (no fallback to IP for display)
-    const serials = Array.from(new Set(Object.values(TOPIC_TO_SERIAL).filter(Boolean)));
-    const rows = serials.map((serial) => {
-      const ip = deviceIPMapping[serial] || null; // include ip if known, but DO NOT use it to compute display
-      let display;
-      if (serial === MQTT_TOPIC_2_SERIAL) {
-        display = 'Station 1';
-      } else if (serial === MQTT_TOPIC_3_SERIAL) {
-        display = 'Station 2';
-      } else if (serial === MQTT_TOPIC_4_SERIAL) {
-        display = 'Station 3';
-      } else if (serial === MQTT_TOPIC_5_SERIAL) {
-        display = 'Station 4';
-      } else {
-        display = serial;
-      }
-      return { serial_number: serial, ip, display };
-    });
-
+    const rows = stations.getEnabledStations().map((st) => ({
+      serial_number: st.serial_number,
+      ip: st.ip || null,
+      display: st.display_name || st.serial_number,
+    }));
     return res.json(rows);
   } catch (err) {
     console.error('GET /api/remote_stations error:', err);
@@ -570,35 +588,84 @@ app.get('/api/remote_stations', (req, res) => {
   }
 });
 
-// Path length endpoints
-app.get('/api/path_length', async (req, res) => {
+// Station registry CRUD
+// Optional ?status=active|pending|ignored filter (pending = auto-discovered, awaiting approval)
+app.get('/api/stations', (req, res) => {
+  const { status } = req.query;
+  let list = stations.getStations();
+  if (status) list = list.filter(st => st.status === status);
+  return res.json({ ok: true, stations: list });
+});
+
+app.get('/api/stations/:serial', (req, res) => {
+  const st = stations.getStationBySerial(req.params.serial);
+  if (!st) return res.status(404).json({ ok: false, error: 'station not found' });
+  return res.json({ ok: true, station: st });
+});
+
+app.post('/api/stations', async (req, res) => {
+  const { value, error } = stations.validateStationInput(req.body);
+  if (error) return res.status(400).json({ ok: false, error });
   try {
-    const v = await getLatestPathLength();
-    return res.json({ ok: true, value: v });
+    const created = await stations.createStation(value);
+    return res.status(201).json({ ok: true, station: created });
   } catch (err) {
-    console.error('GET /api/path_length error:', err);
+    if (err && err.code === '23505') {
+      return res.status(409).json({ ok: false, error: 'station with this serial_number already exists' });
+    }
+    console.error('POST /api/stations error:', err);
     return res.status(500).json({ ok: false, error: 'failed' });
   }
 });
 
-app.post('/api/path_length', async (req, res) => {
+app.put('/api/stations/:serial', async (req, res) => {
+  const { value, error } = stations.validateStationInput(req.body, { partial: true });
+  if (error) return res.status(400).json({ ok: false, error });
   try {
-    const val = req.body && typeof req.body.value !== 'undefined' ? Number(req.body.value) : NaN;
-    if (Number.isNaN(val) || val <= 0) {
-      return res.status(400).json({ ok: false, error: 'invalid value; must be positive number' });
-    }
-    const saved = await setPathLength(val);
-    return res.json({ ok: true, value: Number(saved.value) });
+    const updated = await stations.updateStation(req.params.serial, value);
+    if (!updated) return res.status(404).json({ ok: false, error: 'station not found' });
+    return res.json({ ok: true, station: updated });
   } catch (err) {
-    console.error('POST /api/path_length error:', err);
+    console.error('PUT /api/stations error:', err);
     return res.status(500).json({ ok: false, error: 'failed' });
   }
 });
 
-// Keep los fetch endpoint (uses fetchLosData from ./db)
-// Now returns { ok: true, rows: [...], total: <number> } where total is the total matching rows for the filters
-app.get('/api/los', async (req, res) => {
-  const { from, to, limit, offset, serial_number } = req.query;
+// Approve a pending (auto-discovered) station: optional body { display_name, ip, sort_order, topic }.
+// Its quarantined readings are then stored as regular readings.
+app.post('/api/stations/:serial/approve', async (req, res) => {
+  const st = stations.getStationBySerial(req.params.serial);
+  if (!st) return res.status(404).json({ ok: false, error: 'station not found' });
+  const { value, error } = stations.validateStationInput(req.body, { partial: true });
+  if (error) return res.status(400).json({ ok: false, error });
+  try {
+    const updated = await stations.updateStation(st.serial_number, Object.assign(value, { status: 'active', enabled: true }));
+    const released = await releaseQuarantine(updated);
+    console.log(`Station ${updated.serial_number} approved; released ${released} quarantined reading(s)`);
+    return res.json({ ok: true, station: updated, released });
+  } catch (err) {
+    console.error('POST /api/stations/approve error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+// Ignore a discovered station: future messages are dropped and quarantined readings discarded
+app.post('/api/stations/:serial/ignore', async (req, res) => {
+  const st = stations.getStationBySerial(req.params.serial);
+  if (!st) return res.status(404).json({ ok: false, error: 'station not found' });
+  try {
+    const updated = await stations.updateStation(st.serial_number, { status: 'ignored', enabled: false });
+    const discarded = await discovery.deleteQuarantine(st.serial_number);
+    return res.json({ ok: true, station: updated, discarded });
+  } catch (err) {
+    console.error('POST /api/stations/ignore error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+// Quarantined readings of a pending station (oldest first)
+app.get('/api/stations/:serial/quarantine', async (req, res) => {
+  const { limit, offset } = req.query;
   let parsedLimit = 500;
   if (limit) {
     const n = parseInt(limit, 10);
@@ -609,273 +676,1871 @@ app.get('/api/los', async (req, res) => {
     const n = parseInt(offset, 10);
     if (!Number.isNaN(n) && n >= 0) parsedOffset = n;
   }
-
   try {
-    const rawRows = await fetchLosData(from || null, to || null, parsedLimit, parsedOffset, serial_number || null);
-    // Map DB rows to API-friendly shape expected by query-client.js
-    const rows = Array.isArray(rawRows) ? rawRows.map(mapDbRowToApi) : [];
-
-    // Compute total count for the same filters so the client can paginate accurately
-    let total = 0;
-    try {
-      total = await countLosData(from || null, to || null, serial_number || null);
-    } catch (countErr) {
-      console.warn('countLosData failed:', countErr && countErr.message ? countErr.message : countErr);
-      total = 0;
-    }
-
-    res.json({ ok: true, rows, total });
+    const rows = await discovery.listQuarantine(req.params.serial, parsedLimit, parsedOffset);
+    const total = await discovery.countQuarantine(req.params.serial);
+    return res.json({ ok: true, rows, total });
   } catch (err) {
-    console.error('GET /api/los error:', err && err.message ? err.message : err);
-    res.status(500).json({ ok: false, error: 'Failed to query database' });
+    console.error('GET /api/stations/quarantine error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
   }
 });
 
-// Device status endpoint (returns snapshot of deviceStatus map)
-app.get('/_device_status', (req, res) => {
+app.delete('/api/stations/:serial', async (req, res) => {
   try {
-    const snapshot = [];
-    for (const [serial, st] of deviceStatus.entries()) {
-      snapshot.push(Object.assign({ serial_number: serial }, st));
-    }
-    return res.json({ ok: true, status: snapshot });
+    const removed = await stations.deleteStation(req.params.serial);
+    if (!removed) return res.status(404).json({ ok: false, error: 'station not found' });
+    // readings quarantined while it was pending are dropped with it
+    const discarded = await discovery.deleteQuarantine(req.params.serial);
+    if (discarded) console.log(`Station ${req.params.serial} deleted; discarded ${discarded} quarantined reading(s)`);
+    return res.json({ ok: true });
   } catch (err) {
-    console.error('_device_status error:', err);
+    console.error('DELETE /api/stations error:', err);
     return res.status(500).json({ ok: false, error: 'failed' });
   }
 });
 
-// Basic health
-app.get('/_health', (req, res) => {
-  res.json({ ok: true, ts: new Date().toISOString() });
+// PPM decoding profiles (assigned to stations via stations.decoding_profile)
+app.get('/api/decoding_profiles', (req, res) => {
+  return res.json({ ok: true, default: decoding.DEFAULT_DECODING_PROFILE, kinds: decoding.PROFILE_KINDS, profiles: decoding.listProfiles() });
 });
 
-// Socket.IO connection
-io.on('connection', (socket) => {
-  console.log('Web client connected, id=', socket.id);
-  // Emit device snapshot
+app.post('/api/decoding_profiles', async (req, res) => {
+  const { value, error } = decoding.validateProfileInput(req.body);
+  if (error) return res.status(400).json({ ok: false, error });
   try {
-    const snapshot = [];
-    for (const [serial, st] of deviceStatus.entries()) {
-      snapshot.push(Object.assign({ serial_number: serial }, st));
+    const created = await decoding.createProfile(value);
+    return res.status(201).json({ ok: true, profile: created });
+  } catch (err) {
+    if (err && err.code === '23505') {
+      return res.status(409).json({ ok: false, error: 'profile with this name already exists' });
     }
-    if (snapshot.length) socket.emit('device_status_snapshot', snapshot);
-  } catch (e) {
-    console.warn('Error emitting device status snapshot:', e && e.message ? e.message : e);
+    console.error('POST /api/decoding_profiles error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
   }
-
-  socket.on('disconnect', () => {
-    console.log('Web client disconnected, id=', socket.id);
-  });
 });
 
-// --- MQTT subscribe / message handling ---
-// (unchanged, omitted in this block for brevity — original logic retained)
-
-const mqttOptions = {};
-if (process.env.MQTT_USERNAME) mqttOptions.username = process.env.MQTT_USERNAME;
-if (process.env.MQTT_PASSWORD) mqttOptions.password = process.env.MQTT_PASSWORD;
-const client = mqtt.connect(MQTT_URL, mqttOptions);
-
-client.on('connect', () => {
-  console.log('Connected to MQTT broker');
-  const topics = Array.from(new Set([...DATA_TOPICS, MODBUS_TOPIC]));
-  client.subscribe(topics, { qos: 0 }, (err) => {
-    if (err) console.error(`Subscribe error on topics "${topics.join(', ')}":`, err);
-    else console.log(`Subscribed to: ${topics.join(', ')}`);
-  });
+app.put('/api/decoding_profiles/:name', async (req, res) => {
+  const current = decoding.getStoredProfile(req.params.name);
+  if (!current) return res.status(404).json({ ok: false, error: 'profile not found' });
+  const { value, error } = decoding.validateProfileInput(req.body, { partial: true, current });
+  if (error) return res.status(400).json({ ok: false, error });
+  try {
+    const updated = await decoding.updateProfile(req.params.name, value);
+    if (!updated) return res.status(404).json({ ok: false, error: 'profile not found' });
+    return res.json({ ok: true, profile: updated });
+  } catch (err) {
+    console.error('PUT /api/decoding_profiles error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
 });
 
-client.on('message', async (topic, payloadBuffer, packet) => {
-  // Entire message handling preserved from original file (unchanged)
-  // Optionally ignore retained messages (prevent duplicates on startup)
-  if (packet && packet.retain) {
-    // remove this `return` if you want to process retained messages
-    return;
+app.delete('/api/decoding_profiles/:name', async (req, res) => {
+  // stations without a profile decode with the default one
+  if (req.params.name === decoding.DEFAULT_DECODING_PROFILE) {
+    return res.status(409).json({ ok: false, error: 'the default profile (DEFAULT_DECODING_PROFILE) cannot be deleted' });
+  }
+  const users = stations.getStations().filter(st => st.decoding_profile === req.params.name);
+  if (users.length) {
+    return res.status(409).json({ ok: false, error: `profile in use by ${users.map(st => st.serial_number).join(', ')}` });
+  }
+  try {
+    const removed = await decoding.deleteProfile(req.params.name);
+    if (!removed) return res.status(404).json({ ok: false, error: 'profile not found' });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('DELETE /api/decoding_profiles error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
   }
+});
 
-  const payloadString = payloadBuffer.toString();
+// Data-quality range rules (see quality.js); a rule with serial_number overrides the default for that station
+app.get('/api/quality_rules', (req, res) => {
+  const serial = req.query.serial_number ? String(req.query.serial_number) : null;
+  const rules = quality.listRules().filter(r => !serial || !r.serial_number || r.serial_number === serial);
+  return res.json({ ok: true, metrics: quality.METRICS, rules });
+});
 
-  // Forward modbus/gsm_signal raw string as 'signal' to frontend and log emitted signal
-  if (topic === MODBUS_TOPIC) {
-    io.emit('signal', payloadString);
-    console.log(`[${new Date().toISOString()}] Emit signal -> ${payloadString}`);
-    return;
+app.post('/api/quality_rules', async (req, res) => {
+  const { value, error } = quality.validateRuleInput(req.body);
+  if (error) return res.status(400).json({ ok: false, error });
+  if (value.serial_number && !stations.getStationBySerial(value.serial_number)) {
+    return res.status(404).json({ ok: false, error: 'station not found' });
   }
-
-  // Only process data topics configured (BivicomData2 & BivicomData3 by default)
-  if (!DATA_TOPICS.includes(topic)) {
-    return;
+  try {
+    const created = await quality.createRule(value);
+    return res.status(201).json({ ok: true, rule: created });
+  } catch (err) {
+    if (err && err.code === '23505') {
+      return res.status(409).json({ ok: false, error: 'a rule for this metric and station already exists' });
+    }
+    console.error('POST /api/quality_rules error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
   }
+});
 
-  let payload = payloadString;
+app.put('/api/quality_rules/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) return res.status(400).json({ ok: false, error: 'invalid id' });
+  const current = quality.getRule(id);
+  if (!current) return res.status(404).json({ ok: false, error: 'rule not found' });
+  const { value, error } = quality.validateRuleInput(req.body, { partial: true, current });
+  if (error) return res.status(400).json({ ok: false, error });
   try {
-    payload = JSON.parse(payloadString);
-  } catch (e) {
-    // keep as string if not JSON
+    const updated = await quality.updateRule(id, value);
+    if (!updated) return res.status(404).json({ ok: false, error: 'rule not found' });
+    return res.json({ ok: true, rule: updated });
+  } catch (err) {
+    console.error('PUT /api/quality_rules error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
   }
+});
 
-  // Extract params either from payload.params or payload itself
-  let params = null;
-  if (payload && typeof payload === 'object') {
-    params = (payload.params && typeof payload.params === 'object') ? payload.params : payload;
+app.delete('/api/quality_rules/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) return res.status(400).json({ ok: false, error: 'invalid id' });
+  try {
+    const removed = await quality.deleteRule(id);
+    if (!removed) return res.status(404).json({ ok: false, error: 'rule not found' });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('DELETE /api/quality_rules error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
   }
-  if (!params) params = {};
-
-  // Extract canonical los fields
-  const los = extractCanonicalLos(params) || {};
+});
 
-  // --- NEW: derive integer & decimal parts using authoritative detection helper ---
-  const { intPart, decPart } = findLosPpmParts(params);
-
-  // --- Topic -> serial mapping (topic overrides any serial in payload per authoritative logic) ---
-  let mappedSerial = null;
-  if (topic === MQTT_TOPIC_2) {
-    mappedSerial = MQTT_TOPIC_2_SERIAL;
-  } else if (topic === MQTT_TOPIC_3) {
-    mappedSerial = MQTT_TOPIC_3_SERIAL;
-  } else if (topic === MQTT_TOPIC_4) {
-    mappedSerial = MQTT_TOPIC_4_SERIAL;
-  } else if (topic === MQTT_TOPIC_5) {
-    mappedSerial = MQTT_TOPIC_5_SERIAL;
-  } else if (TOPIC_TO_SERIAL[topic]) {
-    mappedSerial = TOPIC_TO_SERIAL[topic];
-  } else {
-    mappedSerial = null;
-  }
+// PPM thresholds (see thresholds.js); a row with serial_number overrides the global one for that station.
+// Changes reload the cache right away, so the next reading is evaluated against the new value.
+function effectiveThresholdFor(rows, serial) {
+  const eff = thresholds.effectiveThreshold(rows, serial);
+  return {
+    serial_number: serial,
+    threshold: eff ? eff.threshold : null,
+    scope: eff ? eff.scope : null,
+    threshold_id: eff && eff.row.id !== undefined ? eff.row.id : null,
+    indicator: eff ? eff.row.indicator : null,
+  };
+}
 
-  // Override serial_number with mapping (authoritative)
-  let serial_number = mappedSerial || null;
+function thresholdsChanged() {
+  thresholdsCache.invalidate();
+  io.emit('thresholds_changed');
+}
 
-  // Decide merging behavior using Station 1 detection (Option A)
-  // Station 1 is the device whose serial equals MQTT_TOPIC_2_SERIAL
+app.get('/api/thresholds', async (req, res) => {
+  const serial = req.query.serial_number ? String(req.query.serial_number) : null;
   try {
-    if (serial_number === MQTT_TOPIC_2_SERIAL) {
-      // Station 1: use integer part only (ignore decimal)
-      if (typeof intPart !== 'undefined' && !Number.isNaN(Number(intPart))) {
-        los.los_ppm = Number(intPart);
-      }
-    } else {
-      // Station 2 or others: attempt merge, else fallback to integer
-      const merged = mergeIntAndDec(intPart, decPart);
-      if (typeof merged !== 'undefined' && !Number.isNaN(Number(merged))) {
-        los.los_ppm = merged;
-      } else if (typeof intPart !== 'undefined' && !Number.isNaN(Number(intPart))) {
-        los.los_ppm = Number(intPart);
-      }
+    const rows = await thresholdStore.listThresholds();
+    const serials = serial ? [serial] : stations.getStations().map(st => st.serial_number);
+    return res.json({
+      ok: true,
+      thresholds: rows.filter(r => !serial || !r.serial_number || r.serial_number === serial),
+      effective: serials.map(s => effectiveThresholdFor(rows, s)),
+    });
+  } catch (err) {
+    console.error('GET /api/thresholds error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+// Threshold in effect for one station (what the ppm_threshold alarm rule uses)
+app.get('/api/thresholds/effective', async (req, res) => {
+  const serial = req.query.serial_number ? String(req.query.serial_number) : null;
+  try {
+    return res.json(Object.assign({ ok: true }, effectiveThresholdFor(await thresholdsCache.get(), serial)));
+  } catch (err) {
+    console.error('GET /api/thresholds/effective error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+app.post('/api/thresholds', async (req, res) => {
+  const { value, error } = thresholds.validateThresholdInput(req.body);
+  if (error) return res.status(400).json({ ok: false, error });
+  if (value.serial_number && !stations.getStationBySerial(value.serial_number)) {
+    return res.status(404).json({ ok: false, error: 'station not found' });
+  }
+  try {
+    const created = await thresholdStore.createThreshold(value);
+    if (!created) return res.status(409).json({ ok: false, error: 'a threshold for this indicator and station already exists' });
+    thresholdsChanged();
+    return res.status(201).json({ ok: true, threshold: created });
+  } catch (err) {
+    if (err && err.code === '23505') {
+      return res.status(409).json({ ok: false, error: 'a threshold for this indicator and station already exists' });
+    }
+    console.error('POST /api/thresholds error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+app.put('/api/thresholds/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) return res.status(400).json({ ok: false, error: 'invalid id' });
+  const { value, error } = thresholds.validateThresholdInput(req.body, { partial: true });
+  if (error) return res.status(400).json({ ok: false, error });
+  try {
+    const updated = await thresholdStore.updateThreshold(id, value);
+    if (!updated) return res.status(404).json({ ok: false, error: 'threshold not found' });
+    thresholdsChanged();
+    return res.json({ ok: true, threshold: updated });
+  } catch (err) {
+    if (err && err.code === '23505') {
+      return res.status(409).json({ ok: false, error: 'a threshold for this indicator and station already exists' });
+    }
+    console.error('PUT /api/thresholds error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+app.delete('/api/thresholds/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) return res.status(400).json({ ok: false, error: 'invalid id' });
+  try {
+    const removed = await thresholdStore.deleteThreshold(id);
+    if (!removed) return res.status(404).json({ ok: false, error: 'threshold not found' });
+    thresholdsChanged();
+    return res.json({ ok: true, threshold: removed });
+  } catch (err) {
+    console.error('DELETE /api/thresholds error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+// Alarm rules (see alarms.js); a rule with serial_number replaces the global rule of the same name for that station
+app.get('/api/alarm_rules', (req, res) => {
+  const serial = req.query.serial_number ? String(req.query.serial_number) : null;
+  const rules = alarms.listRules().filter(r => !serial || !r.serial_number || r.serial_number === serial);
+  return res.json({
+    ok: true,
+    metrics: alarms.METRICS,
+    operators: alarms.OPERATORS,
+    kinds: alarms.KINDS,
+    severities: alarms.SEVERITIES,
+    rules,
+  });
+});
+
+app.post('/api/alarm_rules', async (req, res) => {
+  const { value, error } = alarms.validateRuleInput(req.body);
+  if (error) return res.status(400).json({ ok: false, error });
+  if (value.serial_number && !stations.getStationBySerial(value.serial_number)) {
+    return res.status(404).json({ ok: false, error: 'station not found' });
+  }
+  try {
+    const created = await alarms.createRule(value);
+    return res.status(201).json({ ok: true, rule: created });
+  } catch (err) {
+    if (err && err.code === '23505') {
+      return res.status(409).json({ ok: false, error: 'a rule with this name already exists for this station' });
+    }
+    console.error('POST /api/alarm_rules error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+app.put('/api/alarm_rules/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) return res.status(400).json({ ok: false, error: 'invalid id' });
+  try {
+    const current = await alarms.getRule(id);
+    if (!current) return res.status(404).json({ ok: false, error: 'rule not found' });
+    const { value, error } = alarms.validateRuleInput(req.body, { partial: true, current });
+    if (error) return res.status(400).json({ ok: false, error });
+    const updated = await alarms.updateRule(id, value);
+    if (!updated) return res.status(404).json({ ok: false, error: 'rule not found' });
+    return res.json({ ok: true, rule: updated });
+  } catch (err) {
+    console.error('PUT /api/alarm_rules error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+app.delete('/api/alarm_rules/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) return res.status(400).json({ ok: false, error: 'invalid id' });
+  try {
+    const removed = await alarms.deleteRule(id);
+    if (!removed) return res.status(404).json({ ok: false, error: 'rule not found' });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('DELETE /api/alarm_rules error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+// Alarms currently active (in memory, per rule and station)
+app.get('/api/alarms/active', (req, res) => {
+  const serial = req.query.serial_number ? String(req.query.serial_number) : null;
+  return res.json({ ok: true, alarms: alarms.activeAlarms().filter(a => !serial || a.serial_number === serial) });
+});
+
+// Alarm history: ?state=open|raised|acknowledged|cleared&serial_number=&severity=&from=&to=&limit=&offset=
+app.get('/api/alarms', async (req, res) => {
+  const { state, serial_number, severity, from, to, limit, offset } = req.query;
+  if (state && state !== 'open' && !alarms.EVENT_STATES.includes(state)) {
+    return res.status(400).json({ ok: false, error: `state must be open or one of ${alarms.EVENT_STATES.join(', ')}` });
+  }
+  if (severity && !alarms.SEVERITIES.includes(severity)) {
+    return res.status(400).json({ ok: false, error: `severity must be one of ${alarms.SEVERITIES.join(', ')}` });
+  }
+  for (const [name, v] of [['from', from], ['to', to]]) {
+    if (v && Number.isNaN(new Date(v).getTime())) return res.status(400).json({ ok: false, error: `invalid ${name}` });
+  }
+  let parsedLimit = 100;
+  if (limit) {
+    const n = parseInt(limit, 10);
+    if (!Number.isNaN(n) && n > 0 && n <= 1000) parsedLimit = n;
+  }
+  let parsedOffset = 0;
+  if (offset) {
+    const n = parseInt(offset, 10);
+    if (!Number.isNaN(n) && n >= 0) parsedOffset = n;
+  }
+  try {
+    const { rows, total } = await alarms.listEvents({
+      state: state || null,
+      serial_number: serial_number || null,
+      severity: severity || null,
+      from: from || null,
+      to: to || null,
+      limit: parsedLimit,
+      offset: parsedOffset,
+    });
+    return res.json({ ok: true, alarms: rows, total });
+  } catch (err) {
+    console.error('GET /api/alarms error:', err && err.message ? err.message : err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+app.get('/api/alarms/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) return res.status(400).json({ ok: false, error: 'invalid id' });
+  try {
+    const alarm = await alarms.getEvent(id);
+    if (!alarm) return res.status(404).json({ ok: false, error: 'alarm not found' });
+    return res.json({ ok: true, alarm });
+  } catch (err) {
+    console.error('GET /api/alarms/:id error:', err && err.message ? err.message : err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+// Acknowledge: body { by, comment }
+app.post('/api/alarms/:id/ack', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) return res.status(400).json({ ok: false, error: 'invalid id' });
+  const { value, error } = alarms.validateAlarmNote(req.body);
+  if (error) return res.status(400).json({ ok: false, error });
+  try {
+    const result = await alarms.acknowledgeEvent(id, value);
+    if (result.error === 'not_found') return res.status(404).json({ ok: false, error: 'alarm not found' });
+    if (result.error) return res.status(409).json({ ok: false, error: 'alarm already acknowledged' });
+    console.log(`Alarm ${id} acknowledged by ${value.by}`);
+    return res.json({ ok: true, alarm: result.alarm });
+  } catch (err) {
+    console.error('POST /api/alarms/:id/ack error:', err && err.message ? err.message : err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+// Comment: body { by, comment }
+app.post('/api/alarms/:id/comments', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) return res.status(400).json({ ok: false, error: 'invalid id' });
+  const { value, error } = alarms.validateAlarmNote(req.body, { commentRequired: true });
+  if (error) return res.status(400).json({ ok: false, error });
+  try {
+    const result = await alarms.addEventComment(id, value);
+    if (result.error) return res.status(404).json({ ok: false, error: 'alarm not found' });
+    return res.status(201).json({ ok: true, comment: result.comment, alarm: result.alarm });
+  } catch (err) {
+    console.error('POST /api/alarms/:id/comments error:', err && err.message ? err.message : err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+// Mobile devices for push notifications (see devices.js). POST registers a token (registering it
+// again updates it); serial_numbers / severities subscribe it to a subset of stations and severities.
+function unknownSerial(serials) {
+  return (serials || []).find(s => !stations.getStationBySerial(s)) || null;
+}
+
+app.get('/api/devices', async (req, res) => {
+  try {
+    return res.json({ ok: true, platforms: devices.PLATFORMS, devices: await deviceStore.listDevices() });
+  } catch (err) {
+    console.error('GET /api/devices error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+app.post('/api/devices', async (req, res) => {
+  const { value, error } = devices.validateDeviceInput(req.body);
+  if (error) return res.status(400).json({ ok: false, error });
+  const unknown = unknownSerial(value.serial_numbers);
+  if (unknown) return res.status(404).json({ ok: false, error: `station not found: ${unknown}` });
+  try {
+    const { device, created } = await deviceStore.registerDevice(value);
+    return res.status(created ? 201 : 200).json({ ok: true, device });
+  } catch (err) {
+    console.error('POST /api/devices error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+app.put('/api/devices/:token', async (req, res) => {
+  const { value, error } = devices.validateDeviceInput(req.body, { partial: true });
+  if (error) return res.status(400).json({ ok: false, error });
+  const unknown = unknownSerial(value.serial_numbers);
+  if (unknown) return res.status(404).json({ ok: false, error: `station not found: ${unknown}` });
+  try {
+    const updated = await deviceStore.updateDevice(req.params.token, value);
+    if (!updated) return res.status(404).json({ ok: false, error: 'device not found' });
+    return res.json({ ok: true, device: updated });
+  } catch (err) {
+    console.error('PUT /api/devices error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+app.delete('/api/devices/:token', async (req, res) => {
+  try {
+    const removed = await deviceStore.unregisterDevice(req.params.token);
+    if (!removed) return res.status(404).json({ ok: false, error: 'device not found' });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('DELETE /api/devices error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+// Notification channels and routes (see notifications.js); secrets in a channel config are returned
+// as ******** and kept when sent back unchanged
+app.get('/api/notification_channels', (req, res) => {
+  return res.json({
+    ok: true,
+    types: notifications.CHANNEL_TYPES,
+    severities: notifications.SEVERITIES,
+    channels: notifications.listChannels(),
+    routes: notifications.listRoutes(),
+  });
+});
+
+app.post('/api/notification_channels', async (req, res) => {
+  const { value, error } = notifications.validateChannelInput(req.body);
+  if (error) return res.status(400).json({ ok: false, error });
+  try {
+    const created = await notifications.createChannel(value);
+    return res.status(201).json({ ok: true, channel: created });
+  } catch (err) {
+    if (err && err.code === '23505') return res.status(409).json({ ok: false, error: 'a channel with this name already exists' });
+    console.error('POST /api/notification_channels error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+app.put('/api/notification_channels/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) return res.status(400).json({ ok: false, error: 'invalid id' });
+  const current = notifications.getChannel(id);
+  if (!current) return res.status(404).json({ ok: false, error: 'channel not found' });
+  const { value, error } = notifications.validateChannelInput(req.body, { partial: true, current });
+  if (error) return res.status(400).json({ ok: false, error });
+  try {
+    const updated = await notifications.updateChannel(id, value);
+    if (!updated) return res.status(404).json({ ok: false, error: 'channel not found' });
+    return res.json({ ok: true, channel: updated });
+  } catch (err) {
+    if (err && err.code === '23505') return res.status(409).json({ ok: false, error: 'a channel with this name already exists' });
+    console.error('PUT /api/notification_channels error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+app.delete('/api/notification_channels/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) return res.status(400).json({ ok: false, error: 'invalid id' });
+  const users = escalation.policiesUsing({ channelId: id });
+  if (users.length) {
+    return res.status(409).json({ ok: false, error: `channel in use by escalation policy ${users.map(p => p.name).join(', ')}` });
+  }
+  try {
+    const removed = await notifications.deleteChannel(id);
+    if (!removed) return res.status(404).json({ ok: false, error: 'channel not found' });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('DELETE /api/notification_channels error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+// Send a test message through one channel (enabled or not, routes ignored)
+app.post('/api/notification_channels/:id/test', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) return res.status(400).json({ ok: false, error: 'invalid id' });
+  const result = await notifications.testChannel(id);
+  if (!result) return res.status(404).json({ ok: false, error: 'channel not found' });
+  if (!result.ok) return res.status(502).json({ ok: false, error: result.error, result });
+  return res.json({ ok: true, result });
+});
+
+app.post('/api/notification_routes', async (req, res) => {
+  const { value, error } = notifications.validateRouteInput(req.body);
+  if (error) return res.status(400).json({ ok: false, error });
+  if (!notifications.getChannel(value.channel_id)) return res.status(404).json({ ok: false, error: 'channel not found' });
+  if (value.serial_number && !stations.getStationBySerial(value.serial_number)) {
+    return res.status(404).json({ ok: false, error: 'station not found' });
+  }
+  try {
+    const created = await notifications.createRoute(value);
+    return res.status(201).json({ ok: true, route: created });
+  } catch (err) {
+    console.error('POST /api/notification_routes error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+app.put('/api/notification_routes/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) return res.status(400).json({ ok: false, error: 'invalid id' });
+  const { value, error } = notifications.validateRouteInput(req.body, { partial: true });
+  if (error) return res.status(400).json({ ok: false, error });
+  if (value.channel_id !== undefined && !notifications.getChannel(value.channel_id)) {
+    return res.status(404).json({ ok: false, error: 'channel not found' });
+  }
+  if (value.serial_number && !stations.getStationBySerial(value.serial_number)) {
+    return res.status(404).json({ ok: false, error: 'station not found' });
+  }
+  try {
+    const updated = await notifications.updateRoute(id, value);
+    if (!updated) return res.status(404).json({ ok: false, error: 'route not found' });
+    return res.json({ ok: true, route: updated });
+  } catch (err) {
+    console.error('PUT /api/notification_routes error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+app.delete('/api/notification_routes/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) return res.status(400).json({ ok: false, error: 'invalid id' });
+  try {
+    const removed = await notifications.deleteRoute(id);
+    if (!removed) return res.status(404).json({ ok: false, error: 'route not found' });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('DELETE /api/notification_routes error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+// On-call schedules and escalation policies (see escalation.js). Shifts are weekly: day_of_week 0 = Sunday,
+// start / end 'HH:MM' in the group's timezone.
+app.get('/api/oncall', (req, res) => {
+  const at = req.query.at ? new Date(req.query.at) : new Date();
+  if (Number.isNaN(at.getTime())) return res.status(400).json({ ok: false, error: 'invalid at' });
+  return res.json({
+    ok: true,
+    at: at.toISOString(),
+    default_timezone: escalation.ONCALL_TIMEZONE,
+    days: escalation.DAYS,
+    people: escalation.listPeople(),
+    groups: escalation.listGroups(at),
+  });
+});
+
+app.post('/api/oncall/people', async (req, res) => {
+  const { value, error } = escalation.validatePersonInput(req.body);
+  if (error) return res.status(400).json({ ok: false, error });
+  try {
+    const created = await escalation.createPerson(value);
+    return res.status(201).json({ ok: true, person: created });
+  } catch (err) {
+    if (err && err.code === '23505') return res.status(409).json({ ok: false, error: 'a person with this name already exists' });
+    console.error('POST /api/oncall/people error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+app.put('/api/oncall/people/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) return res.status(400).json({ ok: false, error: 'invalid id' });
+  const { value, error } = escalation.validatePersonInput(req.body, { partial: true });
+  if (error) return res.status(400).json({ ok: false, error });
+  try {
+    const updated = await escalation.updatePerson(id, value);
+    if (!updated) return res.status(404).json({ ok: false, error: 'person not found' });
+    return res.json({ ok: true, person: updated });
+  } catch (err) {
+    if (err && err.code === '23505') return res.status(409).json({ ok: false, error: 'a person with this name already exists' });
+    console.error('PUT /api/oncall/people error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+app.delete('/api/oncall/people/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) return res.status(400).json({ ok: false, error: 'invalid id' });
+  try {
+    const removed = await escalation.deletePerson(id);
+    if (!removed) return res.status(404).json({ ok: false, error: 'person not found' });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('DELETE /api/oncall/people error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+app.post('/api/oncall/groups', async (req, res) => {
+  const { value, error } = escalation.validateGroupInput(req.body);
+  if (error) return res.status(400).json({ ok: false, error });
+  try {
+    const created = await escalation.createGroup(value);
+    return res.status(201).json({ ok: true, group: created });
+  } catch (err) {
+    if (err && err.code === '23505') return res.status(409).json({ ok: false, error: 'a group with this name already exists' });
+    console.error('POST /api/oncall/groups error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+app.put('/api/oncall/groups/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) return res.status(400).json({ ok: false, error: 'invalid id' });
+  const { value, error } = escalation.validateGroupInput(req.body, { partial: true });
+  if (error) return res.status(400).json({ ok: false, error });
+  try {
+    const updated = await escalation.updateGroup(id, value);
+    if (!updated) return res.status(404).json({ ok: false, error: 'group not found' });
+    return res.json({ ok: true, group: updated });
+  } catch (err) {
+    if (err && err.code === '23505') return res.status(409).json({ ok: false, error: 'a group with this name already exists' });
+    console.error('PUT /api/oncall/groups error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+app.delete('/api/oncall/groups/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) return res.status(400).json({ ok: false, error: 'invalid id' });
+  const users = escalation.policiesUsing({ groupId: id });
+  if (users.length) {
+    return res.status(409).json({ ok: false, error: `group in use by escalation policy ${users.map(p => p.name).join(', ')}` });
+  }
+  try {
+    const removed = await escalation.deleteGroup(id);
+    if (!removed) return res.status(404).json({ ok: false, error: 'group not found' });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('DELETE /api/oncall/groups error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+app.post('/api/oncall/shifts', async (req, res) => {
+  const { value, error } = escalation.validateShiftInput(req.body);
+  if (error) return res.status(400).json({ ok: false, error });
+  try {
+    const created = await escalation.createShift(value);
+    return res.status(201).json({ ok: true, shift: created });
+  } catch (err) {
+    console.error('POST /api/oncall/shifts error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+app.put('/api/oncall/shifts/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) return res.status(400).json({ ok: false, error: 'invalid id' });
+  const { value, error } = escalation.validateShiftInput(req.body, { partial: true });
+  if (error) return res.status(400).json({ ok: false, error });
+  try {
+    const updated = await escalation.updateShift(id, value);
+    if (!updated) return res.status(404).json({ ok: false, error: 'shift not found' });
+    return res.json({ ok: true, shift: updated });
+  } catch (err) {
+    console.error('PUT /api/oncall/shifts error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+app.delete('/api/oncall/shifts/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) return res.status(400).json({ ok: false, error: 'invalid id' });
+  try {
+    const removed = await escalation.deleteShift(id);
+    if (!removed) return res.status(404).json({ ok: false, error: 'shift not found' });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('DELETE /api/oncall/shifts error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+app.get('/api/escalation_policies', (req, res) => {
+  return res.json({ ok: true, severities: alarms.SEVERITIES, policies: escalation.listPolicies() });
+});
+
+app.post('/api/escalation_policies', async (req, res) => {
+  const { value, error } = escalation.validatePolicyInput(req.body);
+  if (error) return res.status(400).json({ ok: false, error });
+  if (value.serial_number && !stations.getStationBySerial(value.serial_number)) {
+    return res.status(404).json({ ok: false, error: 'station not found' });
+  }
+  try {
+    const created = await escalation.createPolicy(value);
+    return res.status(201).json({ ok: true, policy: created });
+  } catch (err) {
+    if (err && err.code === '23505') return res.status(409).json({ ok: false, error: 'a policy with this name already exists' });
+    console.error('POST /api/escalation_policies error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+app.put('/api/escalation_policies/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) return res.status(400).json({ ok: false, error: 'invalid id' });
+  const { value, error } = escalation.validatePolicyInput(req.body, { partial: true });
+  if (error) return res.status(400).json({ ok: false, error });
+  if (value.serial_number && !stations.getStationBySerial(value.serial_number)) {
+    return res.status(404).json({ ok: false, error: 'station not found' });
+  }
+  try {
+    const updated = await escalation.updatePolicy(id, value);
+    if (!updated) return res.status(404).json({ ok: false, error: 'policy not found' });
+    return res.json({ ok: true, policy: updated });
+  } catch (err) {
+    if (err && err.code === '23505') return res.status(409).json({ ok: false, error: 'a policy with this name already exists' });
+    console.error('PUT /api/escalation_policies error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+app.delete('/api/escalation_policies/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) return res.status(400).json({ ok: false, error: 'invalid id' });
+  try {
+    const removed = await escalation.deletePolicy(id);
+    if (!removed) return res.status(404).json({ ok: false, error: 'policy not found' });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('DELETE /api/escalation_policies error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+// Maintenance windows (see maintenance.js): ?serial_number=&state=scheduled|active|ended&from=&to=&limit=
+app.get('/api/maintenance', (req, res) => {
+  const { serial_number, state, from, to } = req.query;
+  if (state && !['scheduled', 'active', 'ended'].includes(state)) {
+    return res.status(400).json({ ok: false, error: 'state must be scheduled, active or ended' });
+  }
+  for (const [name, v] of [['from', from], ['to', to]]) {
+    if (v && Number.isNaN(new Date(v).getTime())) return res.status(400).json({ ok: false, error: `invalid ${name}` });
+  }
+  let limit = 200;
+  if (req.query.limit) {
+    const n = parseInt(req.query.limit, 10);
+    if (!Number.isNaN(n) && n > 0 && n <= 1000) limit = n;
+  }
+  return res.json({
+    ok: true,
+    windows: maintenance.listWindows({ serial_number: serial_number || null, state: state || null, from: from || null, to: to || null, limit }),
+  });
+});
+
+function maintenanceChanged(w) {
+  io.emit('maintenance_changed', { serial_number: w ? w.serial_number : null });
+}
+
+// Body { serial_number, starts_at (default now), ends_at | duration_min, reason, created_by }
+app.post('/api/maintenance', async (req, res) => {
+  const { value, error } = maintenance.validateWindowInput(req.body);
+  if (error) return res.status(400).json({ ok: false, error });
+  if (!stations.getStationBySerial(value.serial_number)) return res.status(404).json({ ok: false, error: 'station not found' });
+  try {
+    const created = await maintenance.createWindow(value);
+    console.log(`Maintenance window ${created.id} for ${created.serial_number} (${created.state}) by ${created.created_by}: ${created.reason}`);
+    maintenanceChanged(created);
+    return res.status(201).json({ ok: true, window: created });
+  } catch (err) {
+    console.error('POST /api/maintenance error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+app.put('/api/maintenance/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) return res.status(400).json({ ok: false, error: 'invalid id' });
+  const current = maintenance.getWindow(id);
+  if (!current) return res.status(404).json({ ok: false, error: 'window not found' });
+  const { value, error } = maintenance.validateWindowInput(req.body, { partial: true, current });
+  if (error) return res.status(400).json({ ok: false, error });
+  try {
+    const updated = await maintenance.updateWindow(id, value);
+    if (!updated) return res.status(404).json({ ok: false, error: 'window not found' });
+    maintenanceChanged(updated);
+    return res.json({ ok: true, window: updated });
+  } catch (err) {
+    console.error('PUT /api/maintenance error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+// End an active window now
+app.post('/api/maintenance/:id/end', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) return res.status(400).json({ ok: false, error: 'invalid id' });
+  try {
+    const result = await maintenance.endWindow(id);
+    if (result.error === 'not_found') return res.status(404).json({ ok: false, error: 'window not found' });
+    if (result.error) return res.status(409).json({ ok: false, error: 'window is not active' });
+    console.log(`Maintenance window ${id} for ${result.window.serial_number} ended`);
+    maintenanceChanged(result.window);
+    return res.json({ ok: true, window: result.window });
+  } catch (err) {
+    console.error('POST /api/maintenance/:id/end error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+app.delete('/api/maintenance/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) return res.status(400).json({ ok: false, error: 'invalid id' });
+  const current = maintenance.getWindow(id);
+  try {
+    const removed = await maintenance.deleteWindow(id);
+    if (!removed) return res.status(404).json({ ok: false, error: 'window not found' });
+    maintenanceChanged(current);
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('DELETE /api/maintenance error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+// Path length endpoints
+// Path lengths are per station (?serial_number=) with an effective_from date; rows without a
+// serial_number are the default for stations that have none. GET returns the value in effect
+// (at ?at=, default now) plus the station's history.
+app.get('/api/path_length', async (req, res) => {
+  const { serial_number, at } = req.query;
+  if (at && Number.isNaN(new Date(at).getTime())) {
+    return res.status(400).json({ ok: false, error: 'invalid at' });
+  }
+  try {
+    const current = await getPathLength(serial_number || null, at || null);
+    const history = await listPathLengths(serial_number || null);
+    return res.json({
+      ok: true,
+      value: current ? current.value : null,
+      effective: current,
+      history,
+    });
+  } catch (err) {
+    console.error('GET /api/path_length error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+// Body { value, serial_number?, effective_from? } — effective_from defaults to now
+app.post('/api/path_length', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const val = typeof body.value !== 'undefined' ? Number(body.value) : NaN;
+    if (Number.isNaN(val) || val <= 0) {
+      return res.status(400).json({ ok: false, error: 'invalid value; must be positive number' });
+    }
+    if (body.effective_from && Number.isNaN(new Date(body.effective_from).getTime())) {
+      return res.status(400).json({ ok: false, error: 'invalid effective_from' });
+    }
+    if (body.serial_number && !stations.getStationBySerial(body.serial_number)) {
+      return res.status(404).json({ ok: false, error: 'station not found' });
+    }
+    const saved = await setPathLength(val, body.serial_number || null, body.effective_from || null);
+    pathLengthCache.invalidate();
+    return res.json({ ok: true, value: Number(saved.value), path_length: saved });
+  } catch (err) {
+    console.error('POST /api/path_length error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+// Correct a history entry: body { value?, effective_from? }. Stored readings are not changed;
+// run POST /api/path_length/recompute for the affected range afterwards.
+app.put('/api/path_length/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) return res.status(400).json({ ok: false, error: 'invalid id' });
+  const body = req.body || {};
+  if (typeof body.value !== 'undefined' && !(Number(body.value) > 0)) {
+    return res.status(400).json({ ok: false, error: 'invalid value; must be positive number' });
+  }
+  if (body.effective_from && Number.isNaN(new Date(body.effective_from).getTime())) {
+    return res.status(400).json({ ok: false, error: 'invalid effective_from' });
+  }
+  try {
+    const updated = await updatePathLength(id, { value: body.value, effective_from: body.effective_from });
+    pathLengthCache.invalidate();
+    if (!updated) return res.status(404).json({ ok: false, error: 'path length not found' });
+    return res.json({ ok: true, path_length: updated });
+  } catch (err) {
+    console.error('PUT /api/path_length error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+app.delete('/api/path_length/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (Number.isNaN(id)) return res.status(400).json({ ok: false, error: 'invalid id' });
+  try {
+    const removed = await deletePathLength(id);
+    pathLengthCache.invalidate();
+    if (!removed) return res.status(404).json({ ok: false, error: 'path length not found' });
+    return res.json({ ok: true, path_length: removed });
+  } catch (err) {
+    console.error('DELETE /api/path_length error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+// Admin: re-divide stored PPM by the path lengths now in effect.
+// Body { serial_number?, from?, to? } limits the rows touched (all rows when omitted).
+app.post('/api/path_length/recompute', async (req, res) => {
+  const { serial_number, from, to } = req.body || {};
+  for (const [name, v] of [['from', from], ['to', to]]) {
+    if (v && Number.isNaN(new Date(v).getTime())) return res.status(400).json({ ok: false, error: `invalid ${name}` });
+  }
+  try {
+    const result = await recomputeLosPpm({ serial_number: serial_number || null, from: from || null, to: to || null });
+    console.log(`Recomputed PPM for ${serial_number || 'all stations'} (${from || '-'} .. ${to || '-'}): ${result.updated} row(s) updated, ${result.skipped} skipped`);
+    return res.json(Object.assign({ ok: true }, result));
+  } catch (err) {
+    console.error('POST /api/path_length/recompute error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+// Remove readings stored more than once for the same station and time: body { from, to, serial_number, dry_run }
+app.post('/api/los/dedupe', async (req, res) => {
+  const { serial_number, from, to, dry_run } = req.body || {};
+  for (const [name, v] of [['from', from], ['to', to]]) {
+    if (v && Number.isNaN(new Date(v).getTime())) return res.status(400).json({ ok: false, error: `invalid ${name}` });
+  }
+  if (dry_run !== undefined && typeof dry_run !== 'boolean') {
+    return res.status(400).json({ ok: false, error: 'dry_run must be a boolean' });
+  }
+  try {
+    await losQueue.flush();
+    const report = await dedupeLosData({ serial_number: serial_number || null, from: from || null, to: to || null, dry_run: dry_run === true });
+    console.log(`Dedupe los_data for ${serial_number || 'all stations'} (${from || '-'} .. ${to || '-'}): ${report.duplicate_groups} duplicate group(s), ${dry_run ? 'would delete' : 'deleted'} ${report.deleted ?? report.would_delete} row(s)`);
+    return res.json(Object.assign({ ok: true }, report));
+  } catch (err) {
+    console.error('POST /api/los/dedupe error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+// --- Archive replay (one job at a time, progress in replayJob) ---
+let replayJob = null;
+
+/**
+ * Re-run archived messages through the current decoding, path length and storage logic.
+ * Readings go through processReading with live=false (no socket emit, no alarms).
+ *
+ * @param {{from?: string, to?: string, topic?: string, serial_number?: string, replace?: boolean}} params
+ *   serial_number limits the replay to one station; replace=true replaces readings already stored
+ *   for the same station and time, otherwise they are kept.
+ */
+async function runReplay(params) {
+  const job = replayJob;
+  let afterId = 0;
+  try {
+    while (true) {
+      const rows = await archive.fetchArchiveBatch({ from: params.from, to: params.to, topic: params.topic }, afterId, 500);
+      if (!rows.length) break;
+      for (const row of rows) {
+        afterId = row.id;
+        job.scanned++;
+        // GSM signal readings are stored as received (gsm_signal), there is nothing to rebuild
+        if (signal.matchesSignalTopic(row.topic)) { job.skipped++; continue; }
+        const payloadString = row.payload ? row.payload.toString() : '';
+        let payload = payloadString;
+        try {
+          payload = JSON.parse(payloadString);
+        } catch (e) {
+          // keep as string if not JSON
+        }
+        const station = await resolveStation(row.topic, payload, payloadString, { replay: true });
+        if (!station || (params.serial_number && station.serial_number !== params.serial_number)) {
+          job.skipped++;
+          continue;
+        }
+        await processReading(row.topic, payload, station, { live: false, receivedAt: row.received_at, replace: params.replace });
+        job.replayed++;
+      }
+      // keep the queue bounded: write each batch before reading the next
+      await losQueue.flush();
+    }
+    job.status = 'done';
+  } catch (err) {
+    job.status = 'failed';
+    job.error = err && err.message ? err.message : String(err);
+    console.error('Replay error:', job.error);
+  }
+  job.finished_at = new Date().toISOString();
+  console.log(`Replay ${job.id} ${job.status}: ${job.replayed} replayed, ${job.skipped} skipped of ${job.scanned} archived message(s)`);
+}
+
+// Start a replay: body { from, to, topic?, serial_number?, replace? } (from/to compare the archive receive time)
+app.post('/api/replay', (req, res) => {
+  const { from, to, topic, serial_number, replace } = req.body || {};
+  if (!from || !to || Number.isNaN(new Date(from).getTime()) || Number.isNaN(new Date(to).getTime())) {
+    return res.status(400).json({ ok: false, error: 'from and to are required dates' });
+  }
+  if (replace !== undefined && typeof replace !== 'boolean') {
+    return res.status(400).json({ ok: false, error: 'replace must be a boolean' });
+  }
+  if (replayJob && replayJob.status === 'running') {
+    return res.status(409).json({ ok: false, error: 'a replay is already running', job: replayJob });
+  }
+  const params = { from, to, topic: topic || null, serial_number: serial_number || null, replace: replace === true };
+  replayJob = Object.assign({
+    id: Date.now(),
+    status: 'running',
+    started_at: new Date().toISOString(),
+    finished_at: null,
+    scanned: 0,
+    replayed: 0,
+    skipped: 0,
+    error: null,
+  }, { params });
+  runReplay(params);
+  return res.status(202).json({ ok: true, job: replayJob });
+});
+
+// Progress of the current / last replay
+app.get('/api/replay', (req, res) => {
+  return res.json({ ok: true, job: replayJob });
+});
+
+// Keep los fetch endpoint (uses fetchLosData from ./db)
+// Now returns { ok: true, rows: [...], total: <number> } where total is the total matching rows for the filters
+// ?extra=key1,key2 keeps only those keys of each row's `extra` (default: all);
+// ?extra_filter=voltage>=11.5 (repeatable) filters on extra keys, see parseExtraFilters
+app.get('/api/los', async (req, res) => {
+  const { from, to, limit, offset, serial_number } = req.query;
+  const { filters: extraFilters, error: filterError } = parseExtraFilters(req.query.extra_filter);
+  if (filterError) return res.status(400).json({ ok: false, error: filterError });
+  const extraKeys = typeof req.query.extra === 'string' && req.query.extra.trim()
+    ? req.query.extra.split(',').map(k => k.trim()).filter(Boolean)
+    : null;
+  let parsedLimit = 500;
+  if (limit) {
+    const n = parseInt(limit, 10);
+    if (!Number.isNaN(n) && n > 0 && n <= 5000) parsedLimit = n;
+  }
+  let parsedOffset = 0;
+  if (offset) {
+    const n = parseInt(offset, 10);
+    if (!Number.isNaN(n) && n >= 0) parsedOffset = n;
+  }
+
+  try {
+    const rawRows = await fetchLosData(from || null, to || null, parsedLimit, parsedOffset, serial_number || null, extraFilters);
+    // Map DB rows to API-friendly shape expected by query-client.js
+    const rows = Array.isArray(rawRows) ? rawRows.map(mapDbRowToApi) : [];
+    // maintenance window the reading was taken in, if any
+    for (const row of rows) {
+      const window = maintenance.windowAt(row.serial_number, row.recorded_at);
+      row.maintenance = window ? { id: window.id, reason: window.reason } : null;
+    }
+    if (extraKeys) {
+      for (const row of rows) {
+        if (!row.extra) continue;
+        const picked = {};
+        for (const k of extraKeys) if (row.extra[k] !== undefined) picked[k] = row.extra[k];
+        row.extra = picked;
+      }
+    }
+
+    // Compute total count for the same filters so the client can paginate accurately
+    let total = 0;
+    try {
+      total = await countLosData(from || null, to || null, serial_number || null, extraFilters);
+    } catch (countErr) {
+      console.warn('countLosData failed:', countErr && countErr.message ? countErr.message : countErr);
+      total = 0;
+    }
+
+    res.json({ ok: true, rows, total });
+  } catch (err) {
+    console.error('GET /api/los error:', err && err.message ? err.message : err);
+    res.status(500).json({ ok: false, error: 'Failed to query database' });
+  }
+});
+
+// Keys stored in los_data.extra: ?serial_number=&from=&to= -> { ok, keys: [{ key, rows }] }
+app.get('/api/los/extra_keys', async (req, res) => {
+  const { from, to, serial_number } = req.query;
+  for (const [name, v] of [['from', from], ['to', to]]) {
+    if (v && Number.isNaN(new Date(v).getTime())) return res.status(400).json({ ok: false, error: `invalid ${name}` });
+  }
+  try {
+    const keys = await listLosExtraKeys({ from: from || null, to: to || null, serial_number: serial_number || null });
+    return res.json({ ok: true, keys });
+  } catch (err) {
+    console.error('GET /api/los/extra_keys error:', err && err.message ? err.message : err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+// Availability per station over a range: ?from=&to= (default the last 24 hours), ?serial_number=
+// (default every station). Uptime %, outages, MTTR, RTT / loss averages and the up / down periods.
+app.get('/api/availability', async (req, res) => {
+  const { serial_number } = req.query;
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 24 * 3600 * 1000);
+  if (Number.isNaN(from.getTime())) return res.status(400).json({ ok: false, error: 'invalid from' });
+  if (Number.isNaN(to.getTime())) return res.status(400).json({ ok: false, error: 'invalid to' });
+  if (to <= from) return res.status(400).json({ ok: false, error: 'to must be after from' });
+  if (to - from > availability.MAX_RANGE_DAYS * 24 * 3600 * 1000) {
+    return res.status(400).json({ ok: false, error: `range is at most ${availability.MAX_RANGE_DAYS} days` });
+  }
+  let serials = stations.getStations().filter(s => s.status === 'active').map(s => s.serial_number);
+  if (serial_number) {
+    if (!stations.getStationBySerial(serial_number)) return res.status(404).json({ ok: false, error: 'station not found' });
+    serials = [serial_number];
+  }
+  try {
+    const report = await availability.availabilityReport({ serials, from, to });
+    return res.json({ ok: true, from: from.toISOString(), to: to.toISOString(), stations: report });
+  } catch (err) {
+    console.error('GET /api/availability error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+// Stored online / offline transitions: ?serial_number=&from=&to=&limit= (newest first, limit up to 5000)
+app.get('/api/availability/transitions', async (req, res) => {
+  const { serial_number, from, to } = req.query;
+  for (const [name, v] of [['from', from], ['to', to]]) {
+    if (v && Number.isNaN(new Date(v).getTime())) return res.status(400).json({ ok: false, error: `invalid ${name}` });
+  }
+  let limit = 500;
+  if (req.query.limit) {
+    const n = parseInt(req.query.limit, 10);
+    if (!Number.isNaN(n) && n > 0 && n <= 5000) limit = n;
+  }
+  try {
+    const rows = await availability.listTransitions({ serial_number: serial_number || null, from: from || null, to: to || null, limit });
+    return res.json({ ok: true, rows });
+  } catch (err) {
+    console.error('GET /api/availability/transitions error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+// Health check samples (online, RTT, loss): ?serial_number=&from=&to=&limit= (oldest first, limit up to 10000)
+app.get('/api/availability/samples', async (req, res) => {
+  const { serial_number, from, to } = req.query;
+  for (const [name, v] of [['from', from], ['to', to]]) {
+    if (v && Number.isNaN(new Date(v).getTime())) return res.status(400).json({ ok: false, error: `invalid ${name}` });
+  }
+  let limit = 5000;
+  if (req.query.limit) {
+    const n = parseInt(req.query.limit, 10);
+    if (!Number.isNaN(n) && n > 0 && n <= 10000) limit = n;
+  }
+  try {
+    const rows = await availability.listSamples({ serial_number: serial_number || null, from: from || null, to: to || null, limit });
+    return res.json({ ok: true, rows });
+  } catch (err) {
+    console.error('GET /api/availability/samples error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+// Frozen-sensor tracking per station: heartbeat / PPM and for how long they have not changed, frozen or not
+app.get('/api/sensor_frozen', (req, res) => {
+  const { serial_number } = req.query;
+  return res.json({
+    ok: true,
+    heartbeat_secs: frozen.FROZEN_HEARTBEAT_SECS,
+    ppm_secs: frozen.FROZEN_PPM_SECS,
+    stations: frozen.currentStatus(serial_number || null),
+  });
+});
+
+// Frozen-sensor episodes: ?serial_number=&state=open|ended&from=&to=&limit= (newest first, limit up to 1000)
+app.get('/api/sensor_frozen/events', async (req, res) => {
+  const { serial_number, state, from, to } = req.query;
+  if (state && !['open', 'ended'].includes(state)) return res.status(400).json({ ok: false, error: 'state must be open or ended' });
+  for (const [name, v] of [['from', from], ['to', to]]) {
+    if (v && Number.isNaN(new Date(v).getTime())) return res.status(400).json({ ok: false, error: `invalid ${name}` });
+  }
+  let limit = 200;
+  if (req.query.limit) {
+    const n = parseInt(req.query.limit, 10);
+    if (!Number.isNaN(n) && n > 0 && n <= 1000) limit = n;
+  }
+  try {
+    const events = await frozen.listEvents({ serial_number: serial_number || null, state: state || null, from: from || null, to: to || null, limit });
+    return res.json({ ok: true, events });
+  } catch (err) {
+    console.error('GET /api/sensor_frozen/events error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+// GSM signal readings: ?serial_number=&from=&to=&limit= (oldest first, limit up to 10000)
+app.get('/api/signal', async (req, res) => {
+  const { from, to, serial_number, limit } = req.query;
+  for (const [name, v] of [['from', from], ['to', to]]) {
+    if (v && Number.isNaN(new Date(v).getTime())) return res.status(400).json({ ok: false, error: `invalid ${name}` });
+  }
+  let parsedLimit = 5000;
+  if (limit) {
+    const n = parseInt(limit, 10);
+    if (!Number.isNaN(n) && n > 0 && n <= 10000) parsedLimit = n;
+  }
+  try {
+    const rows = await signal.fetchSignal({ from: from || null, to: to || null, serial_number: serial_number || null, limit: parsedLimit });
+    return res.json({ ok: true, rows });
+  } catch (err) {
+    console.error('GET /api/signal error:', err && err.message ? err.message : err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+// Device status endpoint (returns snapshot of deviceStatus map)
+app.get('/_device_status', (req, res) => {
+  try {
+    const snapshot = [];
+    for (const [serial, st] of deviceStatus.entries()) {
+      snapshot.push(Object.assign({ serial_number: serial }, st));
+    }
+    return res.json({ ok: true, status: snapshot });
+  } catch (err) {
+    console.error('_device_status error:', err);
+    return res.status(500).json({ ok: false, error: 'failed' });
+  }
+});
+
+// Basic health
+app.get('/_health', (req, res) => {
+  const spool = {};
+  for (const q of ingest.queueMetrics()) {
+    if (q.spool) spool[q.name] = { entries: q.spool.entries, bytes: q.spool.bytes, oldest_age_ms: q.spool.oldest_age_ms };
+  }
+  res.json({ ok: true, ts: new Date().toISOString(), mqtt: brokerStatus, spool });
+});
+
+// Ingestion metrics: write queue depth / backpressure and config cache state
+app.get('/_metrics', (req, res) => {
+  res.json({
+    ok: true,
+    ts: new Date().toISOString(),
+    queues: ingest.queueMetrics(),
+    caches: cacheMetrics(),
+  });
+});
+
+// Socket.IO connection
+io.on('connection', (socket) => {
+  console.log('Web client connected, id=', socket.id);
+  // Emit device snapshot
+  try {
+    const snapshot = [];
+    for (const [serial, st] of deviceStatus.entries()) {
+      snapshot.push(Object.assign({ serial_number: serial }, st));
+    }
+    if (snapshot.length) socket.emit('device_status_snapshot', snapshot);
+  } catch (e) {
+    console.warn('Error emitting device status snapshot:', e && e.message ? e.message : e);
+  }
+  socket.emit('broker_status', brokerStatus);
+  const frozenNow = frozen.currentStatus().filter(st => st.frozen);
+  if (frozenNow.length) socket.emit('sensor_frozen_snapshot', frozenNow);
+  alarms.listEvents({ state: 'open', limit: 500 })
+    .then(({ rows }) => socket.emit('alarm_snapshot', rows))
+    .catch((err) => console.warn('Error emitting alarm snapshot:', err && err.message ? err.message : err));
+  if (latestReadings.size) socket.emit('latest_snapshot', Array.from(latestReadings.values()));
+  if (latestSignal.size) socket.emit('gsm_signal_snapshot', Array.from(latestSignal.values()));
+
+  socket.on('disconnect', () => {
+    console.log('Web client disconnected, id=', socket.id);
+  });
+});
+
+// --- MQTT subscribe / message handling ---
+// (unchanged, omitted in this block for brevity — original logic retained)
+
+// Subscriptions are managed here (resubscribe disabled) so they can follow the station registry.
+const mqttOptions = {
+  resubscribe: false,
+  clientId: MQTT_CLIENT_ID,
+  clean: MQTT_CLEAN_SESSION,
+  reconnectPeriod: MQTT_RECONNECT_MS,
+};
+if (process.env.MQTT_USERNAME) mqttOptions.username = process.env.MQTT_USERNAME;
+if (process.env.MQTT_PASSWORD) mqttOptions.password = process.env.MQTT_PASSWORD;
+// TLS (mqtts:// or wss:// URL): CA bundle, client certificate/key for mutual TLS
+if (process.env.MQTT_CA_FILE) mqttOptions.ca = fs.readFileSync(process.env.MQTT_CA_FILE);
+if (process.env.MQTT_CERT_FILE) mqttOptions.cert = fs.readFileSync(process.env.MQTT_CERT_FILE);
+if (process.env.MQTT_KEY_FILE) mqttOptions.key = fs.readFileSync(process.env.MQTT_KEY_FILE);
+if (process.env.MQTT_KEY_PASSPHRASE) mqttOptions.passphrase = process.env.MQTT_KEY_PASSPHRASE;
+if (process.env.MQTT_REJECT_UNAUTHORIZED !== undefined) mqttOptions.rejectUnauthorized = process.env.MQTT_REJECT_UNAUTHORIZED !== '0';
+if (process.env.MQTT_SERVERNAME) mqttOptions.servername = process.env.MQTT_SERVERNAME;
+const client = mqtt.connect(MQTT_URL, mqttOptions);
+
+// Broker connection state, shown in the UI (broker_status socket event) and on /_health
+const brokerStatus = {
+  state: 'connecting', // connecting | connected | reconnecting | closed
+  since: new Date().toISOString(),
+  last_connected_at: null,
+  last_error: null,
+  last_error_at: null,
+  session_present: null,
+  client_id: MQTT_CLIENT_ID,
+  url: MQTT_URL.replace(/\/\/[^@/]*@/, '//'), // no credentials
+};
+
+function setBrokerState(state, extra = {}) {
+  const changed = brokerStatus.state !== state;
+  Object.assign(brokerStatus, extra);
+  if (changed) {
+    brokerStatus.state = state;
+    brokerStatus.since = new Date().toISOString();
+  }
+  if (changed || Object.keys(extra).length) io.emit('broker_status', brokerStatus);
+}
+
+const subscribedTopics = new Set();
+
+// Station topics already covered by the discovery wildcard are not subscribed separately
+// (overlapping subscriptions can make the broker deliver a message twice).
+function desiredTopics() {
+  const discoveryFilter = discovery.getDiscoveryFilter();
+  const topics = stations.getStationTopics().filter(t => !discovery.topicMatchesFilter(discoveryFilter, t));
+  if (discoveryFilter) topics.push(discoveryFilter);
+  return Array.from(new Set([...topics, signal.getSignalFilter()]));
+}
+
+// Subscribe to topics of newly added stations and drop topics no station uses anymore
+function syncSubscriptions() {
+  if (!client.connected) return;
+  const desired = desiredTopics();
+  const toAdd = desired.filter(t => !subscribedTopics.has(t));
+  const toRemove = Array.from(subscribedTopics).filter(t => !desired.includes(t));
+
+  if (toAdd.length) {
+    toAdd.forEach(t => subscribedTopics.add(t));
+    client.subscribe(toAdd, { qos: MQTT_QOS }, (err) => {
+      if (err) {
+        toAdd.forEach(t => subscribedTopics.delete(t));
+        console.error(`Subscribe error on topics "${toAdd.join(', ')}":`, err);
+      } else {
+        console.log(`Subscribed to: ${toAdd.join(', ')}`);
+      }
+    });
+  }
+  if (toRemove.length) {
+    toRemove.forEach(t => subscribedTopics.delete(t));
+    client.unsubscribe(toRemove, (err) => {
+      if (err) console.error(`Unsubscribe error on topics "${toRemove.join(', ')}":`, err);
+      else console.log(`Unsubscribed from: ${toRemove.join(', ')}`);
+    });
+  }
+}
+
+client.on('connect', (connack) => {
+  const sessionPresent = !!(connack && connack.sessionPresent);
+  console.log(`Connected to MQTT broker as ${MQTT_CLIENT_ID} (session ${sessionPresent ? 'resumed' : 'new'})`);
+  setBrokerState('connected', { last_connected_at: new Date().toISOString(), session_present: sessionPresent });
+  // (re)subscribe on every connect: a resumed session keeps its subscriptions, but subscribing again
+  // is harmless and covers new sessions and registry changes made while disconnected
+  subscribedTopics.clear();
+  syncSubscriptions();
+});
+
+client.on('reconnect', () => setBrokerState('reconnecting'));
+client.on('close', () => {
+  if (brokerStatus.state === 'connected') console.warn('MQTT connection closed; reconnecting');
+  setBrokerState(client.disconnecting ? 'closed' : 'reconnecting');
+});
+
+// Registry changes (API writes or periodic reload): update subscriptions, forget removed devices, tell browsers
+stations.onStationsChanged((list) => {
+  syncSubscriptions();
+  const known = new Set(stations.getEnabledStations().map(s => s.serial_number));
+  const probed = new Set(probeTargets().map(s => s.serial_number));
+  for (const serial of Array.from(deviceStatus.keys())) {
+    if (!probed.has(serial)) {
+      deviceStatus.delete(serial);
+      availability.recordUnmonitored(serial)
+        .catch((err) => console.error(`Error recording availability of ${serial}:`, err && err.message ? err.message : err));
+    }
+  }
+  for (const serial of Array.from(latestReadings.keys())) {
+    if (!known.has(serial)) latestReadings.delete(serial);
+  }
+  for (const serial of Array.from(latestSignal.keys())) {
+    if (!known.has(serial)) latestSignal.delete(serial);
+  }
+  for (const serial of Array.from(lastReadingAt.keys())) {
+    if (!known.has(serial)) lastReadingAt.delete(serial);
+  }
+  for (const t of alarms.retainStations(known)) {
+    handleAlarmTransition(t)
+      .catch((err) => console.error(`Error clearing alarms of ${t.serial_number}:`, err && err.message ? err.message : err));
+  }
+  io.emit('stations_changed', { count: list.length });
+});
+
+// The broker redelivers a resumed session's messages (and acknowledges them) as soon as we connect,
+// usually before initStations() resolves: hold them until the registry is loaded instead of dropping
+// them as unknown senders.
+let registryReady = false;
+let startupBuffer = [];
+let startupDropped = 0;
+
+client.on('message', (topic, payloadBuffer, packet) => {
+  const receivedAt = new Date();
+  if (!registryReady) {
+    if (startupBuffer.length >= MQTT_STARTUP_BUFFER) {
+      startupBuffer.shift();
+      startupDropped++;
+    }
+    startupBuffer.push({ topic, payloadBuffer, packet, receivedAt });
+    return;
+  }
+  handleMessage(topic, payloadBuffer, packet, receivedAt);
+});
+
+// Process the messages held during startup, in arrival order, then handle new ones directly
+async function releaseStartupBuffer() {
+  if (startupBuffer.length) console.log(`Processing ${startupBuffer.length} MQTT message(s) received during startup`);
+  if (startupDropped) console.warn(`MQTT startup buffer full (${MQTT_STARTUP_BUFFER}); dropped ${startupDropped} oldest message(s)`);
+  while (startupBuffer.length) {
+    const held = startupBuffer;
+    startupBuffer = [];
+    for (const m of held) await handleMessage(m.topic, m.payloadBuffer, m.packet, m.receivedAt);
+  }
+  registryReady = true;
+}
+
+async function handleMessage(topic, payloadBuffer, packet, receivedAt) {
+  // errors must not escape: an async 'message' listener that rejects crashes the process
+  try {
+    // Raw archive of everything we receive (data topics, discovery pattern, MODBUS_TOPIC), before any parsing
+    if (SAVE_MQTT_TO_DB) {
+      archiveQueue.push({
+        ingestId: crypto.randomUUID(),
+        topic,
+        payload: payloadBuffer,
+        receivedAt,
+        retain: !!(packet && packet.retain),
+        qos: packet && Number.isInteger(packet.qos) ? packet.qos : 0,
+      });
+    }
+
+    // Retained messages were already stored when first received: ignore them, or (with
+    // MQTT_RETAINED_AS_LAST_KNOWN) only use them as the last known state of the station
+    const retained = !!(packet && packet.retain);
+    if (retained && (!MQTT_RETAINED_AS_LAST_KNOWN || signal.matchesSignalTopic(topic))) {
+      return;
+    }
+
+    const payloadString = payloadBuffer.toString();
+
+    // GSM signal (MODBUS_TOPIC): parse, attribute to a station, store and forward
+    if (signal.matchesSignalTopic(topic)) {
+      handleSignal(topic, payloadString, receivedAt);
+      return;
+    }
+
+    let payload = payloadString;
+    try {
+      payload = JSON.parse(payloadString);
+    } catch (e) {
+      // keep as string if not JSON
+    }
+
+    // Only process topics that belong to an enabled station; unknown senders on the
+    // discovery pattern are quarantined until approved
+    const station = await resolveStation(topic, payload, payloadString, { retained });
+    if (!station) {
+      return;
+    }
+
+    await processReading(topic, payload, station, { receivedAt, retained });
+  } catch (err) {
+    console.error(`Error handling MQTT message on ${topic}:`, err && err.message ? err.message : err);
+  }
+}
+
+/**
+ * Parse a GSM signal message, emit it ('signal' with the raw string for older clients, 'gsm_signal'
+ * parsed and attributed to a station) and queue it for the gsm_signal table.
+ *
+ * @param {string} topic
+ * @param {string} payloadString
+ * @param {Date} receivedAt
+ */
+function handleSignal(topic, payloadString, receivedAt) {
+  io.emit('signal', payloadString);
+  const parsed = signal.parseSignal(payloadString, receivedAt.getTime());
+  if (!parsed) {
+    console.warn(`Unrecognised GSM signal payload on ${topic}: ${payloadString.slice(0, 200)}`);
+    return;
+  }
+  const serial = signal.signalSerial(topic, parsed);
+  const reading = {
+    serial_number: serial,
+    recorded_at: new Date(parsed.ts !== null ? parsed.ts : receivedAt).toISOString(),
+    rssi_dbm: parsed.rssi_dbm,
+    csq: parsed.csq,
+    ber: parsed.ber,
+    quality: parsed.quality,
+  };
+  if (serial) latestSignal.set(serial, reading);
+  io.emit('gsm_signal', reading);
+  console.log(`[${reading.recorded_at}] Emit gsm_signal -> ${JSON.stringify(reading)}`);
+
+  signalQueue.push({
+    ingestId: crypto.randomUUID(),
+    serialNumber: serial,
+    recordedAt: reading.recorded_at,
+    rssi_dbm: parsed.rssi_dbm,
+    csq: parsed.csq,
+    ber: parsed.ber,
+    quality: parsed.quality,
+    topic,
+    raw: payloadString,
+  });
+
+  const station = serial ? stations.getStationBySerial(serial) : null;
+  if (station && station.status === 'active' && station.enabled) {
+    evaluateAlarms(serial, { rssi_dbm: parsed.rssi_dbm, csq: parsed.csq === 99 ? null : parsed.csq }, reading.recorded_at);
+  }
+}
+
+/**
+ * Map a data message to an active station.
+ * Registered topics map to their station. On the discovery pattern a serial in the payload
+ * takes precedence (several gateways may share a topic); unknown senders are registered as
+ * pending stations, messages from pending senders are quarantined and messages from
+ * ignored/disabled ones are dropped.
+ * With opts.replay (archive replay) or opts.retained (retained message) nothing is registered or
+ * quarantined: only readings of active stations are resolved.
+ *
+ * @returns {Promise<object|null>} station to process the reading for, or null
+ */
+async function resolveStation(topic, payload, payloadString, opts = {}) {
+  const byTopic = stations.getStationByTopic(topic);
+  if (!discovery.matchesDiscovery(topic)) return byTopic;
+
+  const serial = byTopic ? discovery.payloadSerial(payload) : discovery.extractSerial(topic, payload);
+  if (!serial || (byTopic && serial === byTopic.serial_number)) return byTopic;
+
+  let st = stations.getStationBySerial(serial);
+  if (st && st.status === 'active') return st.enabled ? st : null;
+  if (st && st.status === 'ignored') return null;
+  if (opts.replay || opts.retained) return null;
+
+  if (!st) {
+    try {
+      st = await stations.registerPendingStation(serial, topic);
+      if (st) {
+        io.emit('station_pending', { serial_number: serial, topic });
+        console.log(`Discovered new sender ${serial} on ${topic} — pending approval`);
+      }
+    } catch (err) {
+      console.error('Error registering pending station:', err && err.message ? err.message : err);
+    }
+  }
+  await discovery.quarantineReading(serial, topic, payloadString, new Date());
+  return null;
+}
+
+/**
+ * Decode a data message for a known station, emit it to browsers, store it and run alarm checks.
+ *
+ * @param {string} topic
+ * @param {object|string} payload parsed payload (string if not JSON)
+ * @param {object} station row from the station registry
+ * @param {{live?: boolean, receivedAt?: string|Date, replace?: boolean, retained?: boolean}} opts
+ *   live=false (quarantine release, replay) only stores the reading: no socket emit and no alarm
+ *   checks. receivedAt is the fallback timestamp when the payload has no usable `ts`. A reading already
+ *   stored for the station at the same time is updated; replay sets replace=true (same, see
+ *   insertLosDataBatch) or replace=false (the stored reading is kept). retained=true (retained
+ *   message) is only emitted as the last known state, marked stale, unless a newer reading is known:
+ *   it is not stored and does not raise alarms.
+ *   The reading is stored through losQueue, so it is in los_data after the next flush.
+ */
+async function processReading(topic, payload, station, opts = {}) {
+  const live = opts.live !== false;
+  const retained = !!opts.retained;
+
+  // Extract params either from payload.params or payload itself
+  let params = null;
+  if (payload && typeof payload === 'object') {
+    params = (payload.params && typeof payload.params === 'object') ? payload.params : payload;
+  }
+  if (!params) params = {};
+
+  // Extract canonical los fields
+  const los = extractCanonicalLos(params) || {};
+
+  // --- Topic -> serial mapping (the registry's topic overrides any serial in payload) ---
+  const serial_number = station.serial_number;
+
+  // PPM is decoded with the station's decoding profile (default profile when none is set)
+  let decodingProfile = null;
+  let decodedKeys = [];
+  try {
+    const decoded = decoding.decodePpm(station.decoding_profile, params);
+    decodedKeys = decoded.keys;
+    if (typeof decoded.value !== 'undefined') {
+      los.los_ppm = decoded.value;
+      decodingProfile = decoded.profile;
     }
   } catch (e) {
-    console.error('Error applying conditional merging logic:', e && e.message ? e.message : e);
+    console.error('Error decoding PPM:', e && e.message ? e.message : e);
   }
 
+  // everything else the gateway sent is kept as-is (los_data.extra)
+  const extra = extractExtraParams(params, decodedKeys);
+
   // Use numeric ts from payload if present
   let mqttTsRaw = undefined;
   if (payload && typeof payload === 'object' && typeof payload.ts !== 'undefined') {
     mqttTsRaw = payload.ts;
   }
-  const mqttTs = (typeof mqttTsRaw !== 'undefined' && mqttTsRaw !== null && !Number.isNaN(Number(mqttTsRaw)))
-    ? Number(mqttTsRaw)
-    : undefined;
-  const mqttWhenIso = (typeof mqttTs !== 'undefined') ? new Date(mqttTs).toISOString() : new Date().toISOString();
-
-  // normalize los_ppm numeric
+  // a ts that is not usable as the reading time (not a number, outside 1970-9999 or the ts_offset_s
+  // invalid bounds, see quality.usableTimestamp) is replaced by the receive time; the reading is
+  // flagged invalid with the rejected ts in its reasons
+  const receivedMs = (opts.receivedAt ? new Date(opts.receivedAt) : new Date()).getTime();
+  const hasTs = typeof mqttTsRaw !== 'undefined' && mqttTsRaw !== null && mqttTsRaw !== '';
+  const usable = hasTs && quality.usableTimestamp(Number(mqttTsRaw), receivedMs, serial_number);
+  const mqttTs = usable ? Number(mqttTsRaw) : undefined;
+  const tsRejected = hasTs && !usable ? mqttTsRaw : null;
+  const mqttWhenIso = (typeof mqttTs !== 'undefined')
+    ? new Date(mqttTs).toISOString()
+    : (opts.receivedAt ? new Date(opts.receivedAt) : new Date()).toISOString();
+
+  // normalize los_ppm numeric; keep the raw PPM-m (before path length division) and how it was decoded
   if (los && typeof los.los_ppm !== 'undefined' && los.los_ppm !== null) {
     const parsed = Number(los.los_ppm);
-    if (!Number.isNaN(parsed)) los.los_ppm = parsed;
+    if (!Number.isNaN(parsed)) {
+      los.los_ppm = parsed;
+      los.ppm_m = parsed;
+      los.path_length = null;
+      los.decoding_profile = decodingProfile;
+    }
   }
 
-  // --- NEW: apply path length division if configured ---
+  // --- apply the station's path length in effect at the reading time, if configured ---
   try {
-    const pathLen = await getLatestPathLength();
+    const pathRow = pickPathLength(await pathLengthCache.get(), serial_number, mqttWhenIso);
+    const pathLen = pathRow ? pathRow.value : null;
     if (pathLen && Number(pathLen) > 0 && los && typeof los.los_ppm !== 'undefined' && los.los_ppm !== null && !Number.isNaN(Number(los.los_ppm))) {
       const orig = Number(los.los_ppm);
       const adjusted = Number(orig / Number(pathLen));
       // keep numeric; do not force rounding beyond JS floats (DB insertion will coerce)
       los.los_ppm = adjusted;
+      los.path_length = Number(pathLen);
       console.log(`Applied path length division: ${orig} / ${pathLen} => ${adjusted}`);
     }
   } catch (e) {
     console.warn('Failed applying path length division:', e && e.message ? e.message : e);
   }
 
+  // Data-quality flags (range rules per metric, device clock offset); stored with the reading
+  if (Object.keys(los).length > 0) {
+    const result = quality.evaluateReading(los, {
+      serialNumber: serial_number,
+      tsOffsetS: hasTs && Number.isFinite(Number(mqttTsRaw)) ? (Number(mqttTsRaw) - receivedMs) / 1000 : null,
+      tsRejected,
+    });
+    los.quality = result.quality;
+    los.quality_reasons = result.reasons;
+    if (result.quality !== 'ok' && live) console.warn(`Reading from ${serial_number} is ${result.quality}: ${result.reasons.join('; ')}`);
+  }
+
   // Build emitted object for frontend
   const emitted = {
     topic,
     serial_number,
     payload,
     los,
+    extra,
     ts: (typeof mqttTs !== 'undefined') ? mqttTs : null,
     received_at: mqttWhenIso,
+    retained,
+    stale: retained,
   };
 
   // Emit to frontend
-  io.emit('mqtt_message', emitted);
+  if (live) {
+    const prev = latestReadings.get(serial_number);
+    if (retained && prev && prev.received_at >= mqttWhenIso) return;
+    if (!prev || prev.received_at <= mqttWhenIso) latestReadings.set(serial_number, emitted);
+    io.emit('mqtt_message', emitted);
 
-  // Log only what is emitted to frontend
-  try {
-    console.log(`[${mqttWhenIso}] Emit mqtt_message -> ${JSON.stringify({
-      topic: emitted.topic,
-      serial_number: emitted.serial_number,
-      los: emitted.los,
-      ts: emitted.ts,
-      received_at: emitted.received_at,
-    })}`);
-  } catch (e) {
-    console.log(`[${mqttWhenIso}] Emit mqtt_message`);
+    // Log only what is emitted to frontend
+    try {
+      console.log(`[${mqttWhenIso}] Emit mqtt_message -> ${JSON.stringify({
+        topic: emitted.topic,
+        serial_number: emitted.serial_number,
+        los: emitted.los,
+        ts: emitted.ts,
+        received_at: emitted.received_at,
+        retained: emitted.retained,
+      })}`);
+    } catch (e) {
+      console.log(`[${mqttWhenIso}] Emit mqtt_message`);
+    }
   }
 
-  // Optionally persist to DB (uses insertLosData from ./db)
-  try {
-    if (typeof insertLosData === 'function') {
-      // Only insert if we detected los fields
-      if (los && Object.keys(los).length > 0) {
-        try {
-          await insertLosData(topic, payload, los, mqttWhenIso, serial_number);
-        } catch (err) {
-          console.warn('Failed saving LOS to DB (insertLosData):', err && err.message ? err.message : err);
-        }
-      } else if (SAVE_MQTT_TO_DB) {
-        // Optional: if configured to save all incoming MQTT messages, you can implement another DB call.
+  // retained: already stored when it was first published
+  if (retained) return;
+
+  // Queue for the batched los_data insert (only if we detected los fields)
+  if (los && Object.keys(los).length > 0) {
+    if (live) lastReadingAt.set(serial_number, Date.now());
+    losQueue.push({
+      ingestId: crypto.randomUUID(),
+      losObj: Object.assign({}, los, { extra }),
+      receivedAt: mqttWhenIso,
+      serialNumber: serial_number,
+      onConflict: opts.replace === true ? 'replace' : (opts.replace === false ? 'ignore' : 'update'),
+    });
+  }
+
+  if (!live) return;
+
+  // stuck heartbeat / flat PPM (frozen.js), tracked on every live reading
+  let frozenStatus = null;
+  if (Object.keys(los).length > 0) {
+    try {
+      const { status, changed } = await frozen.observe(serial_number, los, Date.now());
+      frozenStatus = status;
+      if (changed) {
+        io.emit('sensor_frozen', status);
+        console.log(`Sensor ${serial_number}: ${status.frozen ? `FROZEN (${status.reasons.join(', ')}) since ${new Date(status.since).toISOString()}` : 'no longer frozen'}`);
       }
+    } catch (err) {
+      console.error(`Error tracking frozen sensor ${serial_number}:`, err && err.message ? err.message : err);
     }
-  } catch (err) {
-    console.warn('Error in DB persistence block:', err && err.message ? err.message : err);
   }
 
-  // Notification logic: serial-aware threshold lookup and cooldown
-  try {
-    const rawPpm = los.los_ppm ?? los.ppm ?? (params && (params.los_ppm ?? params.ppm));
-    const ppmNumber = (typeof rawPpm === 'number') ? rawPpm : (rawPpm !== undefined ? Number(rawPpm) : NaN);
-    if (!Number.isNaN(ppmNumber)) {
-      const lookupDevice = serial_number || topic;
-      const threshold = await getLosThreshold(lookupDevice);
-      if (threshold !== null && !Number.isNaN(threshold) && ppmNumber > Number(threshold)) {
-        if (canNotify(lookupDevice)) {
-          const title = lookupDevice ? `Alarm: ${lookupDevice}` : 'Alarm: Gas Finder';
-          const message = `PPM ${ppmNumber} exceeded threshold ${threshold}`;
-          await sendNotificationToAll(title, message, { serial_number: lookupDevice || '' });
-          io.emit('alarm', { serial_number: lookupDevice, ppm: ppmNumber, threshold, ts: mqttTs });
-          console.log(`ALARM triggered for ${lookupDevice || '(unknown)'}: ppm=${ppmNumber} threshold=${threshold} ts=${mqttTs !== undefined ? mqttTs : '(none)'}`);
-        } else {
-          console.log(`Alarm suppressed by cooldown for ${lookupDevice || '(unknown)'}`);
-        }
+  // invalid readings are kept for inspection but never raise alarms
+  if (los.quality === 'invalid') return;
+
+  // Alarm rules (alarms.js; includes the per-serial PPM threshold); a reading also clears data_stale
+  const values = Object.assign({ data_age_s: 0 }, frozenStatus ? { sensor_frozen_s: frozenStatus.frozen_s } : {}, los);
+  await evaluateAlarms(serial_number, values, mqttWhenIso, { ts: mqttTs });
+}
+
+/**
+ * Replay an approved station's quarantined readings through processReading (store only),
+ * oldest first, then remove them from quarantine. A batch leaves quarantine only once los_data has it:
+ * if the write fails the release stops with an error and the rest stays quarantined (replaying it
+ * again upserts the same rows).
+ *
+ * @returns {Promise<number>} number of readings released
+ */
+async function releaseQuarantine(station) {
+  let released = 0;
+  while (true) {
+    const rows = await discovery.listQuarantine(station.serial_number, 500, 0);
+    if (!rows.length) break;
+    for (const row of rows) {
+      let payload = row.payload;
+      try {
+        payload = JSON.parse(row.payload);
+      } catch (e) {
+        // keep as string if not JSON
       }
+      await processReading(row.topic, payload, station, { live: false, receivedAt: row.received_at });
     }
-  } catch (err) {
-    console.error('Error in notification logic:', err && err.message ? err.message : err);
+    if (!(await losQueue.flush())) {
+      throw new Error(`could not store released readings of ${station.serial_number} (${released} released)`);
+    }
+    await discovery.deleteQuarantine(station.serial_number, rows.map(r => r.id));
+    released += rows.length;
   }
-});
+  return released;
+}
 
 client.on('error', (err) => {
   console.error('MQTT error:', err && err.message ? err.message : err);
+  setBrokerState(brokerStatus.state, { last_error: err && err.message ? err.message : String(err), last_error_at: new Date().toISOString() });
+});
+
+// Load decoding profiles, quality rules, notification channels, alarm rules, on-call / escalation config, maintenance windows, availability state, open frozen-sensor episodes and the station registry, then start the station health checks and the data staleness check and keep the registry fresh
+discovery.ensureQuarantineTable();
+thresholdStore.ensureThresholdsTable();
+deviceStore.ensureDevicesTable();
+if (SAVE_MQTT_TO_DB) archive.ensureArchiveTable();
+signal.ensureSignalTable();
+decoding.initDecodingProfiles().then(() => quality.initQualityRules()).then(() => notifications.initNotifications()).then(() => alarms.initAlarms()).then(() => escalation.initEscalation()).then(() => maintenance.initMaintenance()).then(() => availability.initAvailability()).then(() => frozen.initFrozen()).then(async () => {
+  for (const row of await alarms.lastNotified()) {
+    lastNotificationAt.set(cooldownKey(row.serial_number, row.rule_name), new Date(row.notified_at).getTime());
+  }
+}).then(() => stations.initStations()).then(async (list) => {
+  await seedLastReadings();
+  await releaseStartupBuffer();
+  deviceProber.start();
+  setInterval(() => { checkDataStaleness(); }, STALE_CHECK_MS);
+  setInterval(() => { stations.reloadStations(); }, STATIONS_REFRESH_MS);
+  setInterval(() => { escalation.runDueEscalations(); }, ESCALATION_TICK_MS);
+  setInterval(() => {
+    discovery.pruneQuarantine()
+      .then((n) => { if (n) console.log(`Quarantine: pruned ${n} reading(s)`); })
+      .catch((err) => console.error('Error pruning quarantine:', err && err.message ? err.message : err));
+  }, QUARANTINE_SWEEP_MS);
+  setInterval(() => {
+    availability.pruneSamples()
+      .then((n) => { if (n) console.log(`Availability: pruned ${n} probe sample(s)`); })
+      .catch((err) => console.error('Error pruning probe samples:', err && err.message ? err.message : err));
+  }, PROBE_SAMPLE_SWEEP_MS);
+  console.log(`Station registry: ${list.length} station(s); subscribing to ${desiredTopics().join(', ')} (GSM signal: ${MODBUS_TOPIC})`);
+  if (discovery.getDiscoveryFilter()) console.log(`Auto-discovery enabled for pattern ${discovery.DISCOVERY_PATTERN}`);
+  console.log(`Station health checks: ${list.filter(s => s.enabled && s.ip).length} device(s) every ${PING_INTERVAL_MS/1000}s ±${PROBE_JITTER_MS/2000}s, ${PROBE_CONCURRENCY} at once (ICMP: ${PING_ATTEMPTS} packet(s), ${PING_TIMEOUT_SECONDS}s timeout)`);
 });
 
-// Start device ping loop
-startDevicePingLoop(PING_INTERVAL_MS);
+// Write what is still queued before exiting (bounded by SHUTDOWN_TIMEOUT_MS)
+let shuttingDown = false;
+function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`${signal} received; flushing ingest queues before exit`);
+  deviceProber.stop();
+  const timeoutMs = parseInt(process.env.SHUTDOWN_TIMEOUT_MS || '10000', 10);
+  const timer = setTimeout(() => {
+    // keep what is still in memory on disk; it is written on the next start
+    losQueue.spoolPending();
+    archiveQueue.spoolPending();
+    signalQueue.spoolPending();
+    console.warn('Shutdown timeout; exiting with queued rows unwritten:', JSON.stringify(ingest.queueMetrics().map(q => ({ name: q.name, depth: q.depth, spooled: q.spool ? q.spool.entries : 0 }))));
+    process.exit(1);
+  }, timeoutMs);
+  Promise.all([losQueue.drain(), archiveQueue.drain(), signalQueue.drain()])
+    .catch(() => {})
+    .then(() => {
+      clearTimeout(timer);
+      process.exit(0);
+    });
+}
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 // start server
 server.listen(PORT, () => {
   console.log(`Web server listening on http://localhost:${PORT}`);
-  console.log(`Connecting to MQTT broker at ${MQTT_URL} and subscribing to ${DATA_TOPICS.join(', ')} (modbus: ${MODBUS_TOPIC})`);
-  console.log(`Device ping monitor: will ping ${Object.keys(deviceIPMapping).length} device(s) every ${PING_INTERVAL_MS/1000}s (attempts=${PING_ATTEMPTS}, timeout=${PING_TIMEOUT_SECONDS}s per attempt)`);
+  console.log(`Connecting to MQTT broker at ${MQTT_URL}`);
 });
@@ -0,0 +1,232 @@
+// signal.js — GSM signal readings from MODBUS_TOPIC (`gsm_signal` table).
+// Payloads are either JSON ({ rssi, csq, ber, serial_number, ... }, optionally under `params`) or a
+// modem-style string ("+CSQ: 21,99", "RSSI: -71", a bare CSQ or dBm number). Whatever is sent, each
+// reading is stored with both RSSI (dBm) and CSQ (integer 0-31, 99 = unknown), converted with
+// RSSI = -113 + 2 × CSQ, and a coarse quality label. BER is kept when it is 0-7 or 99, else null.
+// A payload ts that is not usable as the reading time (quality.usableTimestamp: epoch ms in 1970-9999,
+// within the ts_offset_s invalid bounds) is ignored: the receive time is used.
+//
+// The station is taken from a serial in the payload (MQTT_DISCOVERY_SERIAL_KEYS), else from the first
+// `+` of MODBUS_TOPIC (e.g. `modbus/+/gsm_signal` or `gsm_signal_+`), else MODBUS_TOPIC_SERIAL.
+const { pool } = require('./db');
+const discovery = require('./discovery');
+const quality = require('./quality');
+
+const MODBUS_TOPIC = process.env.MODBUS_TOPIC || 'modbus/gsm_signal';
+const MODBUS_TOPIC_SERIAL = (process.env.MODBUS_TOPIC_SERIAL || '').trim() || null;
+
+const compiled = discovery.compilePattern(MODBUS_TOPIC) || { filter: MODBUS_TOPIC, regex: null };
+
+const RSSI_KEYS = ['rssi', 'rssi_dbm', 'signal_dbm', 'dbm'];
+const CSQ_KEYS = ['csq', 'signal', 'signal_strength', 'gsm_signal'];
+const BER_KEYS = ['ber'];
+
+// MQTT subscription filter for MODBUS_TOPIC
+function getSignalFilter() {
+  return compiled.filter;
+}
+
+function matchesSignalTopic(topic) {
+  if (compiled.regex) return compiled.regex.test(topic);
+  return topic === MODBUS_TOPIC;
+}
+
+function csqToRssi(csq) {
+  return csq >= 0 && csq <= 31 ? -113 + 2 * csq : null;
+}
+
+function rssiToCsq(rssi) {
+  if (rssi <= -113) return 0;
+  if (rssi >= -51) return 31;
+  return Math.round((rssi + 113) / 2);
+}
+
+// excellent >= 20, good 15-19, fair 10-14, poor 2-9, none < 2 (CSQ)
+function qualityLabel(csq) {
+  if (csq === null || csq === undefined || csq === 99) return 'unknown';
+  if (csq >= 20) return 'excellent';
+  if (csq >= 15) return 'good';
+  if (csq >= 10) return 'fair';
+  if (csq >= 2) return 'poor';
+  return 'none';
+}
+
+function pickNumber(obj, keys) {
+  for (const k of Object.keys(obj || {})) {
+    if (!keys.includes(k.toLowerCase())) continue;
+    const n = Number(obj[k]);
+    if (obj[k] !== null && obj[k] !== '' && Number.isFinite(n)) return n;
+  }
+  return null;
+}
+
+/**
+ * Parse a signal payload.
+ *
+ * @param {string} payloadString raw payload
+ * @param {number} receivedMs receive time (ms), to check the payload ts against
+ * @returns {{rssi_dbm: number|null, csq: number|null, ber: number|null, quality: string,
+ *   serial: string|null, ts: number|null}|null} null when no signal value is found
+ */
+function parseSignal(payloadString, receivedMs = Date.now()) {
+  const text = String(payloadString || '').trim();
+  let rssi = null;
+  let csq = null;
+  let ber = null;
+  let serial = null;
+  let ts = null;
+
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch (e) {
+    json = null;
+  }
+
+  if (json !== null && typeof json === 'object') {
+    const params = json.params && typeof json.params === 'object' ? json.params : json;
+    rssi = pickNumber(params, RSSI_KEYS);
+    csq = pickNumber(params, CSQ_KEYS);
+    ber = pickNumber(params, BER_KEYS);
+    serial = discovery.payloadSerial(json);
+    if (json.ts !== undefined && json.ts !== null && json.ts !== '') {
+      const n = Number(json.ts);
+      if (quality.usableTimestamp(n, receivedMs, serial)) ts = n;
+    }
+  } else {
+    const source = typeof json === 'number' ? String(json) : text;
+    const csqMatch = source.match(/CSQ\s*:?\s*(\d{1,2})\s*(?:,\s*(\d{1,2}))?/i);
+    const rssiMatch = source.match(/RSSI\s*:?\s*(-?\d+(?:\.\d+)?)/i);
+    if (csqMatch) {
+      csq = Number(csqMatch[1]);
+      if (csqMatch[2] !== undefined) ber = Number(csqMatch[2]);
+    }
+    if (rssiMatch) rssi = Number(rssiMatch[1]);
+    if (!csqMatch && !rssiMatch && /^-?\d+(\.\d+)?$/.test(source)) {
+      const n = Number(source);
+      if (n < 0) rssi = n;
+      else csq = n;
+    }
+  }
+
+  // a "csq" outside 0-31/99 is really a dBm value
+  if (csq !== null && csq < 0) {
+    if (rssi === null) rssi = csq;
+    csq = null;
+  }
+  if (csq !== null && (!Number.isInteger(csq) || (csq > 31 && csq !== 99))) csq = null;
+  if (ber !== null && (!Number.isInteger(ber) || ber < 0 || (ber > 7 && ber !== 99))) ber = null;
+  if (rssi === null && csq === null) return null;
+
+  if (rssi === null && csq !== null) rssi = csqToRssi(csq);
+  if (csq === null && rssi !== null) csq = rssiToCsq(rssi);
+
+  return { rssi_dbm: rssi, csq, ber, quality: qualityLabel(csq), serial, ts };
+}
+
+/**
+ * Station serial for a signal message: payload serial, else the topic, else MODBUS_TOPIC_SERIAL.
+ * @param {string} topic
+ * @param {{serial: string|null}} parsed from parseSignal
+ * @returns {string|null}
+ */
+function signalSerial(topic, parsed) {
+  if (parsed && parsed.serial) return parsed.serial;
+  if (compiled.regex) {
+    const m = compiled.regex.exec(topic);
+    if (m && m[1]) return m[1];
+  }
+  return MODBUS_TOPIC_SERIAL;
+}
+
+// --- storage ---
+async function ensureSignalTable() {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS gsm_signal (
+        id BIGSERIAL PRIMARY KEY,
+        serial_number TEXT,
+        recorded_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        rssi_dbm NUMERIC,
+        csq SMALLINT,
+        ber SMALLINT,
+        quality TEXT,
+        topic TEXT,
+        raw TEXT,
+        ingest_id UUID
+      );
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS gsm_signal_serial_recorded_idx ON gsm_signal (serial_number, recorded_at);');
+    await pool.query('CREATE UNIQUE INDEX IF NOT EXISTS gsm_signal_ingest_id_idx ON gsm_signal (ingest_id);');
+  } catch (err) {
+    console.warn('Could not ensure gsm_signal table exists:', err && err.message ? err.message : err);
+  }
+}
+
+/**
+ * Store signal readings with one multi-row INSERT (used by the ingest queue).
+ * Readings whose ingestId is already stored are skipped. Throws on error so the batch can be retried.
+ *
+ * @param {Array<{serialNumber: string|null, recordedAt: string, rssi_dbm: number|null, csq: number|null,
+ *   ber: number|null, quality: string, topic: string, raw: string, ingestId?: string}>} items
+ * @returns {Promise<number>} rows inserted
+ */
+async function insertSignalBatch(items) {
+  if (!items || items.length === 0) return 0;
+  const values = [];
+  const tuples = items.map((it, i) => {
+    values.push(it.serialNumber || null, new Date(it.recordedAt).toISOString(), it.rssi_dbm, it.csq, it.ber,
+      it.quality || null, it.topic || null, it.raw || null, it.ingestId || null);
+    const b = i * 9;
+    return `(${Array.from({ length: 9 }, (_, k) => `$${b + k + 1}`).join(', ')})`;
+  });
+  const res = await pool.query(
+    `INSERT INTO gsm_signal (serial_number, recorded_at, rssi_dbm, csq, ber, quality, topic, raw, ingest_id)
+     VALUES ${tuples.join(', ')} ON CONFLICT (ingest_id) DO NOTHING;`,
+    values
+  );
+  return res.rowCount;
+}
+
+/**
+ * Signal readings in a time range, oldest first.
+ *
+ * @param {{from?: string|Date|null, to?: string|Date|null, serial_number?: string|null, limit?: number}} params
+ * @returns {Promise<Array>} rows { id, serial_number, recorded_at, rssi_dbm, csq, ber, quality }
+ */
+async function fetchSignal({ from = null, to = null, serial_number = null, limit = 5000 } = {}) {
+  const clauses = [];
+  const values = [];
+  let idx = 1;
+  if (from) {
+    clauses.push(`recorded_at >= $${idx++}`);
+    values.push(new Date(from).toISOString());
+  }
+  if (to) {
+    clauses.push(`recorded_at <= $${idx++}`);
+    values.push(new Date(to).toISOString());
+  }
+  if (serial_number) {
+    clauses.push(`serial_number = $${idx++}`);
+    values.push(String(serial_number));
+  }
+  const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+  const res = await pool.query(
+    `SELECT id, serial_number, recorded_at, rssi_dbm::float8 AS rssi_dbm, csq, ber, quality
+     FROM gsm_signal ${where} ORDER BY recorded_at ASC, id ASC LIMIT $${idx};`,
+    values.concat([Number(limit)])
+  );
+  return res.rows;
+}
+
+module.exports = {
+  MODBUS_TOPIC,
+  getSignalFilter,
+  matchesSignalTopic,
+  parseSignal,
+  signalSerial,
+  qualityLabel,
+  ensureSignalTable,
+  insertSignalBatch,
+  fetchSignal,
+};
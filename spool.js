@@ -0,0 +1,201 @@
+// spool.js — durable append-only on-disk spool for rows that could not be written to Postgres.
+// One file per queue under DATA_DIR/spool: `<name>.jsonl` holds one JSON entry per line
+// ({ queuedAt, item }) and `<name>.offset` the byte offset of the first entry not yet written.
+// Appends are fsync'ed before returning. Entries are read back oldest first; once everything has
+// been written the file is truncated. Rows Postgres refuses for good (see ingest.js) are moved to
+// `<name>.dead.jsonl` ({ queuedAt, failedAt, error, item }) for inspection; that file is never read back.
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const SPOOL_READ_BYTES = 1024 * 1024; // max bytes read per readBatch()
+
+/**
+ * Open (or create) the spool for a queue.
+ *
+ * @param {string} name file name prefix (queue name)
+ * @param {string} dir defaults to DATA_DIR/spool
+ * @returns {object} spool with append / readBatch / commit / deadLetter / status
+ */
+function createSpool(name, dir = path.join(DATA_DIR, 'spool')) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `${name}.jsonl`);
+  const offsetFile = path.join(dir, `${name}.offset`);
+  const deadFile = path.join(dir, `${name}.dead.jsonl`);
+
+  let offset = 0;
+  try {
+    offset = parseInt(fs.readFileSync(offsetFile, 'utf8'), 10) || 0;
+  } catch (e) {
+    offset = 0;
+  }
+  let size = 0;
+  try {
+    size = fs.statSync(file).size;
+  } catch (e) {
+    size = 0;
+  }
+  if (offset > size) offset = size;
+  // a crash mid-append can leave a partial last line; terminate it so it is skipped as corrupt
+  if (size > 0) {
+    const last = Buffer.alloc(1);
+    const fd = fs.openSync(file, 'r');
+    try {
+      fs.readSync(fd, last, 0, 1, size - 1);
+    } finally {
+      fs.closeSync(fd);
+    }
+    if (last[0] !== 10) {
+      fs.appendFileSync(file, '\n');
+      size += 1;
+    }
+  }
+  let entries = countEntriesFrom(offset);
+  let oldestQueuedAt = entries ? peekQueuedAt() : null;
+
+  function countEntriesFrom(start) {
+    if (size <= start) return 0;
+    let count = 0;
+    const fd = fs.openSync(file, 'r');
+    try {
+      const buf = Buffer.alloc(64 * 1024);
+      let pos = start;
+      while (pos < size) {
+        const n = fs.readSync(fd, buf, 0, buf.length, pos);
+        if (n <= 0) break;
+        for (let i = 0; i < n; i++) if (buf[i] === 10) count++;
+        pos += n;
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+    return count;
+  }
+
+  function peekQueuedAt() {
+    const { entries: first } = readBatch(1);
+    return first.length ? first[0].queuedAt : null;
+  }
+
+  function writeOffset(value) {
+    const tmp = `${offsetFile}.tmp`;
+    fs.writeFileSync(tmp, String(value));
+    fs.renameSync(tmp, offsetFile);
+  }
+
+  /**
+   * Append items (in order). Throws if the disk write fails.
+   * @param {Array<{item: any, queuedAt: number}>} list
+   */
+  function append(list) {
+    if (!list.length) return;
+    const data = list.map(e => JSON.stringify({ queuedAt: e.queuedAt, item: e.item })).join('\n') + '\n';
+    const fd = fs.openSync(file, 'a');
+    try {
+      fs.writeSync(fd, data);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    size += Buffer.byteLength(data);
+    if (!entries) oldestQueuedAt = list[0].queuedAt;
+    entries += list.length;
+  }
+
+  /**
+   * Oldest entries not yet written (up to `max`; does not consume them).
+   * @param {number} max
+   * @returns {{entries: Array<{item: any, queuedAt: number}>, nextOffset: number, lines: number}}
+   *   lines counts the spool lines covered, including skipped corrupt ones
+   */
+  function readBatch(max) {
+    if (size <= offset) return { entries: [], nextOffset: offset, lines: 0 };
+    const len = Math.min(SPOOL_READ_BYTES, size - offset);
+    const buf = Buffer.alloc(len);
+    const fd = fs.openSync(file, 'r');
+    try {
+      fs.readSync(fd, buf, 0, len, offset);
+    } finally {
+      fs.closeSync(fd);
+    }
+    const out = [];
+    let pos = 0;
+    let lines = 0;
+    while (out.length < max) {
+      const nl = buf.indexOf(10, pos);
+      if (nl < 0) break;
+      const line = buf.slice(pos, nl).toString('utf8');
+      pos = nl + 1;
+      lines++;
+      if (!line.trim()) continue;
+      try {
+        out.push(JSON.parse(line));
+      } catch (e) {
+        console.warn(`Skipping corrupt spool entry in ${file} at offset ${offset + pos}`);
+      }
+    }
+    // a single entry larger than SPOOL_READ_BYTES
+    if (out.length === 0 && pos === 0 && len === SPOOL_READ_BYTES) {
+      throw new Error(`spool entry larger than ${SPOOL_READ_BYTES} bytes in ${file}`);
+    }
+    return { entries: out, nextOffset: offset + pos, lines };
+  }
+
+  /**
+   * Mark everything before nextOffset as written; truncates the file once it is fully drained.
+   * @param {number} nextOffset from readBatch()
+   * @param {number} lines from readBatch()
+   */
+  function commit(nextOffset, lines) {
+    offset = nextOffset;
+    entries = Math.max(0, entries - lines);
+    if (offset >= size) {
+      fs.truncateSync(file, 0);
+      size = 0;
+      offset = 0;
+      entries = 0;
+      oldestQueuedAt = null;
+    } else {
+      oldestQueuedAt = peekQueuedAt();
+    }
+    writeOffset(offset);
+  }
+
+  /**
+   * Keep a row that cannot be written (appended to the dead-letter file). Throws if the disk write fails.
+   * @param {{item: any, queuedAt: number}} entry
+   * @param {string} error why it was refused
+   */
+  function deadLetter(entry, error) {
+    const line = JSON.stringify({ queuedAt: entry.queuedAt, failedAt: Date.now(), error, item: entry.item }) + '\n';
+    const fd = fs.openSync(deadFile, 'a');
+    try {
+      fs.writeSync(fd, line);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  function isEmpty() {
+    return size <= offset;
+  }
+
+  function status() {
+    return {
+      file,
+      dead_letter_file: deadFile,
+      entries,
+      bytes: size - offset,
+      oldest_queued_at: oldestQueuedAt ? new Date(oldestQueuedAt).toISOString() : null,
+      oldest_age_ms: oldestQueuedAt ? Date.now() - oldestQueuedAt : 0,
+    };
+  }
+
+  return { append, readBatch, commit, deadLetter, isEmpty, status };
+}
+
+module.exports = {
+  DATA_DIR,
+  createSpool,
+};
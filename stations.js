@@ -0,0 +1,356 @@
+// stations.js — station registry backed by the `stations` table.
+// Keeps an in-memory copy of the table so the MQTT handler, ping loop and
+// /api/remote_stations can look stations up without a query per message.
+// Listeners registered with onStationsChanged() are called when a reload finds changes.
+//
+// status: 'active' stations are live; 'pending' ones were auto-discovered and wait for an
+// admin to approve them; 'ignored' ones are discovered senders whose messages are dropped.
+// decoding_profile names the PPM decoding profile (see decoding.js); null = default profile.
+// checks lists the health checks run against the station's ip (see prober.js); null = ICMP only.
+const net = require('net');
+const { pool } = require('./db');
+const decoding = require('./decoding');
+const prober = require('./prober');
+
+let stations = []; // rows ordered by sort_order, serial_number
+const listeners = [];
+
+const STATION_COLUMNS = 'serial_number, topic, display_name, ip, enabled, sort_order, status, decoding_profile, checks, created_at, updated_at';
+const STATION_STATUSES = ['active', 'pending', 'ignored'];
+
+async function ensureStationsTable() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS stations (
+      serial_number TEXT PRIMARY KEY,
+      topic TEXT,
+      display_name TEXT,
+      ip TEXT,
+      enabled BOOLEAN NOT NULL DEFAULT true,
+      sort_order INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMPTZ DEFAULT now(),
+      updated_at TIMESTAMPTZ DEFAULT now()
+    );
+  `);
+  await pool.query(`ALTER TABLE stations ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'active';`);
+  await pool.query('ALTER TABLE stations ADD COLUMN IF NOT EXISTS checks JSONB;');
+
+  // decoding_profile replaces the hard-coded "Station 1 uses integer only" rule; when the column is
+  // first added, give the legacy Station 1 serial the profile it used to get implicitly.
+  const col = await pool.query(
+    `SELECT 1 FROM information_schema.columns
+     WHERE table_schema = current_schema() AND table_name = 'stations' AND column_name = 'decoding_profile';`
+  );
+  if (col.rowCount === 0) {
+    await pool.query('ALTER TABLE stations ADD COLUMN IF NOT EXISTS decoding_profile TEXT;');
+    await pool.query(
+      `UPDATE stations SET decoding_profile = 'integer_only' WHERE serial_number = $1;`,
+      [process.env.MQTT_TOPIC_2_SERIAL || 'B452A25032102']
+    );
+  }
+}
+
+/**
+ * Build the legacy station list from the old env constants (MQTT_TOPIC_2..5,
+ * MQTT_TOPIC_*_SERIAL, REMOTE_STATIONS_JSON / DEVICE_IP). Only used to seed an
+ * empty stations table so existing deployments keep working after upgrade.
+ *
+ * @returns {Array<object>} station rows (serial_number, topic, display_name, ip, enabled, sort_order, decoding_profile)
+ */
+function legacyStationsFromEnv() {
+  const prefix = process.env.MQTT_PREFIX || 'BivicomData';
+  const legacy = [
+    { topic: process.env.MQTT_TOPIC_2 || `${prefix}2`, serial: process.env.MQTT_TOPIC_2_SERIAL || 'B452A25032102', ip: '10.0.0.42' },
+    { topic: process.env.MQTT_TOPIC_3 || `${prefix}3`, serial: process.env.MQTT_TOPIC_3_SERIAL || 'B462A25032001', ip: '10.0.0.46' },
+    { topic: process.env.MQTT_TOPIC_4 || `${prefix}4`, serial: process.env.MQTT_TOPIC_4_SERIAL || 'B452A25032103', ip: '10.0.0.43' },
+    { topic: process.env.MQTT_TOPIC_5 || `${prefix}5`, serial: process.env.MQTT_TOPIC_5_SERIAL || 'B323A25032002', ip: '10.0.0.45' },
+  ];
+
+  // REMOTE_STATIONS_JSON ({ serial: ip }) or DEVICE_IP + DEVICE_SERIAL override the default IPs
+  let envDeviceIpMap = {};
+  if (process.env.REMOTE_STATIONS_JSON) {
+    try {
+      const parsed = JSON.parse(process.env.REMOTE_STATIONS_JSON);
+      if (typeof parsed === 'object' && parsed !== null) envDeviceIpMap = parsed;
+    } catch (e) {
+      console.warn('Failed parsing REMOTE_STATIONS_JSON, ignoring:', e && e.message ? e.message : e);
+    }
+    // only plain IP addresses; anything else is left out rather than stored and probed
+    for (const [serial, ip] of Object.entries(envDeviceIpMap)) {
+      if (typeof ip === 'string' && net.isIP(ip.trim())) {
+        envDeviceIpMap[serial] = ip.trim();
+      } else {
+        console.warn(`REMOTE_STATIONS_JSON: ignoring ${serial}, ${JSON.stringify(ip)} is not an IP address`);
+        delete envDeviceIpMap[serial];
+      }
+    }
+  }
+  if (Object.keys(envDeviceIpMap).length === 0 && process.env.DEVICE_IP && process.env.DEVICE_SERIAL && net.isIP(process.env.DEVICE_IP)) {
+    envDeviceIpMap[process.env.DEVICE_SERIAL] = process.env.DEVICE_IP;
+  }
+
+  const rows = [];
+  const seen = new Set();
+  legacy.forEach((l, idx) => {
+    if (!l.serial || seen.has(l.serial)) return;
+    seen.add(l.serial);
+    rows.push({
+      serial_number: l.serial,
+      topic: l.topic,
+      display_name: `Station ${idx + 1}`,
+      ip: envDeviceIpMap[l.serial] || l.ip,
+      enabled: true,
+      sort_order: idx + 1,
+      // Station 1 firmware only sends a usable integer PPM register
+      decoding_profile: idx === 0 ? 'integer_only' : null,
+    });
+  });
+  // Extra env-provided serials have no topic; they are still pinged.
+  for (const [serial, ip] of Object.entries(envDeviceIpMap)) {
+    if (seen.has(serial)) continue;
+    seen.add(serial);
+    rows.push({ serial_number: serial, topic: null, display_name: serial, ip, enabled: true, sort_order: rows.length + 1, decoding_profile: null });
+  }
+  return rows;
+}
+
+async function seedStationsIfEmpty() {
+  const res = await pool.query('SELECT COUNT(*) AS total FROM stations;');
+  if (Number(res.rows[0].total) > 0) return 0;
+  const seed = legacyStationsFromEnv();
+  for (const s of seed) {
+    await pool.query(
+      `INSERT INTO stations (serial_number, topic, display_name, ip, enabled, sort_order, decoding_profile)
+       VALUES ($1, $2, $3, $4, $5, $6, $7) ON CONFLICT (serial_number) DO NOTHING;`,
+      [s.serial_number, s.topic, s.display_name, s.ip, s.enabled, s.sort_order, s.decoding_profile]
+    );
+  }
+  console.log(`Seeded stations table with ${seed.length} station(s) from legacy env settings`);
+  return seed.length;
+}
+
+/**
+ * Reload the station cache from the database and notify listeners if anything changed.
+ * On failure the previous cache is kept.
+ *
+ * @returns {Promise<Array<object>>} current station list
+ */
+async function reloadStations() {
+  try {
+    const res = await pool.query(`SELECT ${STATION_COLUMNS} FROM stations ORDER BY sort_order ASC, serial_number ASC;`);
+    const changed = JSON.stringify(res.rows) !== JSON.stringify(stations);
+    stations = res.rows;
+    if (!changed) return stations;
+  } catch (err) {
+    console.error('Error loading stations:', err && err.message ? err.message : err);
+    return stations;
+  }
+  for (const fn of listeners) {
+    try {
+      fn(stations);
+    } catch (e) {
+      console.warn('stations change listener failed:', e && e.message ? e.message : e);
+    }
+  }
+  return stations;
+}
+
+/**
+ * Ensure the table exists, seed it from the legacy env settings when empty, then load the cache.
+ */
+async function initStations() {
+  try {
+    await ensureStationsTable();
+    await seedStationsIfEmpty();
+  } catch (err) {
+    console.warn('Could not ensure stations table exists:', err && err.message ? err.message : err);
+  }
+  return reloadStations();
+}
+
+function onStationsChanged(fn) {
+  if (typeof fn === 'function') listeners.push(fn);
+}
+
+// --- cache lookups ---
+function getStations() {
+  return stations.slice();
+}
+
+// Enabled, approved stations (what the UI, ping loop and MQTT subscriptions use)
+function getEnabledStations() {
+  return stations.filter(s => s.enabled && s.status === 'active');
+}
+
+function getStationBySerial(serial) {
+  if (!serial) return null;
+  return stations.find(s => s.serial_number === String(serial)) || null;
+}
+
+// First enabled station (by sort order) listening on the given topic
+function getStationByTopic(topic) {
+  if (!topic) return null;
+  return getEnabledStations().find(s => s.topic === topic) || null;
+}
+
+// Unique topics of enabled stations (what the MQTT client should subscribe to)
+function getStationTopics() {
+  return Array.from(new Set(getEnabledStations().map(s => s.topic).filter(Boolean)));
+}
+
+/**
+ * Validate a station body from the API.
+ * With partial=true (updates) only the provided fields are checked.
+ *
+ * @param {object} body
+ * @param {{partial?: boolean}} opts
+ * @returns {{value?: object, error?: string}}
+ */
+function validateStationInput(body, { partial = false } = {}) {
+  const b = body && typeof body === 'object' ? body : {};
+  const value = {};
+  const has = (k) => Object.prototype.hasOwnProperty.call(b, k) && b[k] !== undefined;
+
+  if (!partial) {
+    const serial = typeof b.serial_number === 'string' ? b.serial_number.trim() : '';
+    if (!serial) return { error: 'serial_number is required' };
+    value.serial_number = serial;
+  }
+
+  if (has('topic')) {
+    if (b.topic === null || b.topic === '') {
+      value.topic = null;
+    } else if (typeof b.topic !== 'string' || /[#+]/.test(b.topic) || !b.topic.trim()) {
+      return { error: 'topic must be a plain MQTT topic without wildcards' };
+    } else {
+      value.topic = b.topic.trim();
+    }
+  }
+
+  if (has('display_name')) {
+    if (b.display_name !== null && typeof b.display_name !== 'string') return { error: 'display_name must be a string' };
+    value.display_name = b.display_name ? b.display_name.trim() : null;
+  }
+
+  if (has('ip')) {
+    if (b.ip === null || b.ip === '') {
+      value.ip = null;
+    } else if (typeof b.ip !== 'string' || !net.isIP(b.ip.trim())) {
+      return { error: 'ip must be a valid IPv4 or IPv6 address' };
+    } else {
+      value.ip = b.ip.trim();
+    }
+  }
+
+  if (has('enabled')) {
+    if (typeof b.enabled !== 'boolean') return { error: 'enabled must be a boolean' };
+    value.enabled = b.enabled;
+  }
+
+  if (has('sort_order')) {
+    const n = Number(b.sort_order);
+    if (!Number.isInteger(n)) return { error: 'sort_order must be an integer' };
+    value.sort_order = n;
+  }
+
+  if (has('decoding_profile')) {
+    if (b.decoding_profile === null || b.decoding_profile === '') {
+      value.decoding_profile = null;
+    } else if (typeof b.decoding_profile !== 'string' || !decoding.hasProfile(b.decoding_profile)) {
+      return { error: 'decoding_profile must name an existing decoding profile' };
+    } else {
+      value.decoding_profile = b.decoding_profile;
+    }
+  }
+
+  if (has('checks')) {
+    const { value: checks, error } = prober.validateChecks(b.checks);
+    if (error) return { error };
+    value.checks = checks;
+  }
+
+  return { value };
+}
+
+// --- CRUD (each write reloads the cache so changes apply immediately) ---
+async function createStation(value) {
+  const res = await pool.query(
+    `INSERT INTO stations (serial_number, topic, display_name, ip, enabled, sort_order, decoding_profile, checks)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING ${STATION_COLUMNS};`,
+    [
+      value.serial_number,
+      value.topic ?? null,
+      value.display_name ?? null,
+      value.ip ?? null,
+      value.enabled ?? true,
+      value.sort_order ?? 0,
+      value.decoding_profile ?? null,
+      value.checks ? JSON.stringify(value.checks) : null,
+    ]
+  );
+  await reloadStations();
+  return res.rows[0] || null;
+}
+
+async function updateStation(serial, value) {
+  const sets = [];
+  const values = [];
+  let idx = 1;
+  for (const col of ['topic', 'display_name', 'ip', 'enabled', 'sort_order', 'status', 'decoding_profile', 'checks']) {
+    if (Object.prototype.hasOwnProperty.call(value, col)) {
+      sets.push(`${col} = $${idx++}`);
+      values.push(col === 'checks' && value[col] ? JSON.stringify(value[col]) : value[col]);
+    }
+  }
+  sets.push('updated_at = now()');
+  values.push(String(serial));
+  const res = await pool.query(
+    `UPDATE stations SET ${sets.join(', ')} WHERE serial_number = $${idx} RETURNING ${STATION_COLUMNS};`,
+    values
+  );
+  await reloadStations();
+  return res.rows[0] || null;
+}
+
+/**
+ * Record an auto-discovered sender as a pending (disabled) station.
+ * Does nothing if the serial is already known.
+ *
+ * @param {string} serial
+ * @param {string} topic topic the sender published on
+ * @returns {Promise<object|null>} the new station row, or null if it already existed
+ */
+async function registerPendingStation(serial, topic) {
+  const res = await pool.query(
+    `INSERT INTO stations (serial_number, topic, display_name, enabled, sort_order, status)
+     VALUES ($1, $2, $1, false, 0, 'pending')
+     ON CONFLICT (serial_number) DO NOTHING
+     RETURNING ${STATION_COLUMNS};`,
+    [String(serial), topic || null]
+  );
+  if (res.rows[0]) await reloadStations();
+  return res.rows[0] || null;
+}
+
+async function deleteStation(serial) {
+  const res = await pool.query('DELETE FROM stations WHERE serial_number = $1 RETURNING serial_number;', [String(serial)]);
+  await reloadStations();
+  return res.rowCount > 0;
+}
+
+module.exports = {
+  STATION_STATUSES,
+  initStations,
+  reloadStations,
+  onStationsChanged,
+  getStations,
+  getEnabledStations,
+  getStationBySerial,
+  getStationByTopic,
+  getStationTopics,
+  validateStationInput,
+  createStation,
+  updateStation,
+  registerPendingStation,
+  deleteStation,
+};
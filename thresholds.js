@@ -0,0 +1,169 @@
+// thresholds.js — alarm thresholds (`thresholds` table): one row per indicator, either global
+// (serial_number NULL) or for one station. The effective PPM threshold of a station is its own
+// 'ppm' row, else the global one (see effectiveThreshold); it feeds the built-in `ppm_threshold`
+// alarm rule (alarms.js).
+//
+// The table lives in the app database (PG_* pool in server.js), so the storage functions are bound
+// to that pool with createThresholdStore(pool).
+
+const INDICATOR_RE = /^[A-Za-z0-9 _\-().\/]{1,64}$/;
+const THRESHOLD_COLUMNS = 'id, indicator, threshold::float8 AS threshold, serial_number, updated_at';
+
+function isPpmIndicator(indicator) {
+  return String(indicator || '').toLowerCase().includes('ppm');
+}
+
+// First 'ppm' indicator with a numeric threshold; rows of other indicators never set the PPM threshold
+function pickRow(rows) {
+  if (!rows || rows.length === 0) return null;
+  return rows.find(r => isPpmIndicator(r.indicator)
+    && r.threshold !== null && r.threshold !== undefined && !Number.isNaN(Number(r.threshold))) || null;
+}
+
+/**
+ * Effective threshold for a station.
+ * 1) rows for the station, 2) global rows (serial_number NULL). Only indicators containing 'ppm'
+ * count, so a station row of another indicator does not hide the global ppm row. Another station's
+ * row never applies: without either the station has no threshold.
+ *
+ * @param {Array<{indicator: string, threshold: number|string, serial_number: string|null}>} rows
+ * @param {string|null} serialNumber
+ * @returns {{threshold: number, scope: 'station'|'global', row: object}|null}
+ */
+function effectiveThreshold(rows, serialNumber) {
+  const all = rows || [];
+  const steps = [
+    ['station', serialNumber ? all.filter(r => r.serial_number === serialNumber) : []],
+    ['global', all.filter(r => r.serial_number === null || r.serial_number === undefined)],
+  ];
+  for (const [scope, candidates] of steps) {
+    const row = pickRow(candidates);
+    if (row) return { threshold: Number(row.threshold), scope, row };
+  }
+  return null;
+}
+
+/**
+ * Validate a threshold body from the API.
+ *
+ * @param {object} body { indicator, threshold, serial_number }
+ * @param {{partial?: boolean}} opts partial=true for updates (serial_number cannot change)
+ * @returns {{value?: object, error?: string}}
+ */
+function validateThresholdInput(body, { partial = false } = {}) {
+  const b = body && typeof body === 'object' ? body : {};
+  const value = {};
+
+  if (b.indicator !== undefined || !partial) {
+    const indicator = typeof b.indicator === 'string' ? b.indicator.trim() : (b.indicator === undefined && !partial ? 'ppm' : null);
+    if (!indicator || !INDICATOR_RE.test(indicator)) {
+      return { error: 'indicator must be 1-64 characters (letters, digits, space, _ - ( ) . /)' };
+    }
+    value.indicator = indicator;
+  }
+
+  if (b.threshold !== undefined || !partial) {
+    const n = typeof b.threshold === 'string' && b.threshold.trim() !== '' ? Number(b.threshold) : b.threshold;
+    if (typeof n !== 'number' || !Number.isFinite(n) || n < 0) return { error: 'threshold must be a number >= 0' };
+    value.threshold = n;
+  }
+
+  if (!partial) {
+    if (b.serial_number !== undefined && b.serial_number !== null && (typeof b.serial_number !== 'string' || !b.serial_number.trim())) {
+      return { error: 'serial_number must be a non-empty string or null' };
+    }
+    value.serial_number = b.serial_number ? b.serial_number.trim() : null;
+  } else if (b.serial_number !== undefined) {
+    return { error: 'serial_number cannot be changed; delete the threshold and create a new one' };
+  }
+
+  if (partial && !Object.keys(value).length) return { error: 'nothing to update (indicator, threshold)' };
+  return { value };
+}
+
+/**
+ * Storage functions bound to a pg pool.
+ *
+ * @param {import('pg').Pool} pool
+ */
+function createThresholdStore(pool) {
+  // Older deployments created `thresholds` by hand without id / updated_at; add them in place
+  async function ensureThresholdsTable() {
+    try {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS thresholds (
+          id SERIAL PRIMARY KEY,
+          indicator TEXT NOT NULL,
+          threshold NUMERIC NOT NULL,
+          serial_number TEXT,
+          updated_at TIMESTAMPTZ DEFAULT now()
+        );
+      `);
+      await pool.query('ALTER TABLE thresholds ADD COLUMN IF NOT EXISTS id SERIAL;');
+      await pool.query('ALTER TABLE thresholds ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT now();');
+    } catch (err) {
+      console.warn('Could not ensure thresholds table exists:', err && err.message ? err.message : err);
+      return;
+    }
+    try {
+      await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS thresholds_indicator_serial_idx ON thresholds (lower(indicator), COALESCE(serial_number, ''));`);
+    } catch (err) {
+      // duplicates written by hand; createThreshold still refuses new ones
+      console.warn('Could not add unique index on thresholds (duplicate rows?):', err && err.message ? err.message : err);
+    }
+  }
+
+  async function listThresholds() {
+    const res = await pool.query(`SELECT ${THRESHOLD_COLUMNS} FROM thresholds ORDER BY serial_number NULLS FIRST, indicator, id;`);
+    return res.rows;
+  }
+
+  /**
+   * Insert a threshold.
+   * @returns {Promise<object|null>} the row, or null when the indicator already has a threshold for that scope
+   */
+  async function createThreshold(value) {
+    const res = await pool.query(
+      `INSERT INTO thresholds (indicator, threshold, serial_number)
+       SELECT $1::text, $2::numeric, $3::text
+       WHERE NOT EXISTS (
+         SELECT 1 FROM thresholds WHERE lower(indicator) = lower($1::text) AND COALESCE(serial_number, '') = COALESCE($3::text, '')
+       )
+       RETURNING ${THRESHOLD_COLUMNS};`,
+      [value.indicator, value.threshold, value.serial_number]
+    );
+    return res.rows[0] || null;
+  }
+
+  async function updateThreshold(id, value) {
+    const sets = [];
+    const values = [];
+    let idx = 1;
+    for (const k of ['indicator', 'threshold']) {
+      if (value[k] !== undefined) { sets.push(`${k} = $${idx++}`); values.push(value[k]); }
+    }
+    sets.push('updated_at = now()');
+    values.push(Number(id));
+    const res = await pool.query(`UPDATE thresholds SET ${sets.join(', ')} WHERE id = $${idx} RETURNING ${THRESHOLD_COLUMNS};`, values);
+    return res.rows[0] || null;
+  }
+
+  async function deleteThreshold(id) {
+    const res = await pool.query(`DELETE FROM thresholds WHERE id = $1 RETURNING ${THRESHOLD_COLUMNS};`, [Number(id)]);
+    return res.rows[0] || null;
+  }
+
+  return {
+    ensureThresholdsTable,
+    listThresholds,
+    createThreshold,
+    updateThreshold,
+    deleteThreshold,
+  };
+}
+
+module.exports = {
+  effectiveThreshold,
+  validateThresholdInput,
+  createThresholdStore,
+};